@@ -223,7 +223,7 @@ class TempFileCleaner {
             }
 
             // Sort by age (oldest first)
-            fileInfo.sort((a, b) => a.age - b.age);
+            fileInfo.sort((a, b) => b.age - a.age);
 
             // Calculate current total size
             const currentTotalSize = fileInfo.reduce((sum, file) => sum + file.size, 0);
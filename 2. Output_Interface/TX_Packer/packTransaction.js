@@ -2,18 +2,79 @@
  * TX_Packer - packTransaction.js
  * Prepares signature data for blockchain submission
  * Handles transaction formatting, validation, and gas estimation
+ * Call data is encoded with the ABI from SignatureVerifier's Hardhat artifact
+ * (`npx hardhat compile`), so the packer always matches the compiled contract
+ * Packed transactions are broadcast through a ChainClient, whose nonce manager
+ * assigns the nonce and replaces the transaction if it gets stuck, or are
+ * exported unsigned for an offline signer (see Chain/rawTransaction.js)
  */
 
+const fs = require("fs");
+const path = require("path");
 const { ethers } = require("ethers");
+const { createUnsignedTransaction } = require("../../5. Tools/JS/Chain/rawTransaction");
+
+const DEFAULT_ARTIFACT_PATH = path.join(
+    __dirname, "../../artifacts/3. Blockchain_Interaction/Smart_Contract/SignatureVerifier.sol/SignatureVerifier.json"
+);
+
+// Arguments of each SignatureVerifier method that takes signature data
+const METHOD_ARGUMENTS = {
+    submitSignature: (data) => [data.message, data.signatureBytes, data.signer],
+    submitEnvelope: (data) => [data.message, data.nonce, data.deadline, data.signatureBytes, data.signer],
+    verifySignatureOnly: (data) => [data.message, data.signatureBytes, data.signer],
+    isSignatureUsed: (data) => [data.message, data.signatureBytes, data.signer],
+    verifyTypedSignature: (data) => [data.domainSeparator, data.structHash, data.signatureBytes, data.signer]
+};
+
+// Per-signature execution gas of batchVerifySignatures in the packed batch limit
+const BATCH_SIGNATURE_GAS = 50000;
+// Margin on top of the provider's estimate, like ChainClient's gasLimitBuffer
+const GAS_LIMIT_BUFFER = 1.2;
 
 class TransactionPacker {
-    constructor(provider = null, chainId = 11155111) { // Default to Sepolia
+    /**
+     * @param {Object} provider - Ethers provider
+     * @param {number} chainId - Chain ID (default Sepolia)
+     * @param {Object} options - { artifactPath } of the SignatureVerifier Hardhat artifact
+     */
+    constructor(provider = null, chainId = 11155111, options = {}) { // Default to Sepolia
         this.provider = provider;
         this.chainId = chainId;
         this.gasPrice = null;
         this.maxFeePerGas = null;
         this.maxPriorityFeePerGas = null;
         this.defaultGasLimit = 300000;
+        this.artifactPath = options.artifactPath || DEFAULT_ARTIFACT_PATH;
+        this.contractInterface = null;
+    }
+
+    /**
+     * Load the SignatureVerifier interface from its Hardhat artifact
+     * @returns {Object} Ethers Interface
+     */
+    getContractInterface() {
+        if (!this.contractInterface) {
+            if (!fs.existsSync(this.artifactPath)) {
+                throw new Error(`SignatureVerifier artifact not found at ${this.artifactPath}. Run \`npx hardhat compile\` first`);
+            }
+            const artifact = JSON.parse(fs.readFileSync(this.artifactPath, "utf8"));
+            this.contractInterface = new ethers.Interface(artifact.abi);
+        }
+        return this.contractInterface;
+    }
+
+    /**
+     * Check that a method exists on the contract
+     * @param {string} methodName - Contract method name
+     * @returns {Object} Ethers FunctionFragment
+     */
+    getMethod(methodName) {
+        const fragment = this.getContractInterface().getFunction(methodName);
+        if (!fragment) {
+            throw new Error(`SignatureVerifier has no method ${methodName}`);
+        }
+        return fragment;
     }
 
     /**
@@ -100,18 +161,32 @@ class TransactionPacker {
 
     /**
      * Pack signature data for blockchain transaction
-     * @param {Object} signatureData - Signature data
+     * @param {Object} signatureData - Signature data; message and signer (or
+     *   domainSeparator and structHash for verifyTypedSignature, plus nonce and
+     *   deadline for submitEnvelope) may be given here or in options
      * @param {Object} options - Packing options
-     * @returns {Object} Packed transaction data
+     * @param {string} options.contractAddress - SignatureVerifier address
+     * @param {string} options.methodName - submitSignature (default), submitEnvelope,
+     *   verifySignatureOnly, isSignatureUsed or verifyTypedSignature
+     * @param {string} options.message - Signed message
+     * @param {string} options.signer - Expected signer address
+     * @param {string|number} options.nonce - Envelope nonce (submitEnvelope)
+     * @param {string|number} options.deadline - Envelope deadline in Unix seconds (submitEnvelope)
+     * @returns {Object} Packed transaction data, with the default gas limit until estimateGas replaces it
      */
     packSignatureTransaction(signatureData, options = {}) {
         const {
             contractAddress = "",
-            methodName = "verifySignature",
-            includeMetadata = true,
-            compressData = false
+            methodName = "submitSignature",
+            includeMetadata = true
         } = options;
 
+        // Fail before doing any work for methods the contract does not have
+        this.getMethod(methodName);
+        if (!METHOD_ARGUMENTS[methodName]) {
+            throw new Error(`SignatureVerifier.${methodName} does not take signature data`);
+        }
+
         // Validate signature data
         const validation = this.validateSignatureData(signatureData);
         if (!validation.isValid) {
@@ -131,6 +206,12 @@ class TransactionPacker {
         const txData = {
             signature: normalizedSignature,
             hash: normalizedHash,
+            message: options.message !== undefined ? options.message : signatureData.message,
+            signer: options.signer || signatureData.signer,
+            domainSeparator: options.domainSeparator || signatureData.domainSeparator,
+            structHash: options.structHash || signatureData.structHash,
+            nonce: options.nonce !== undefined ? options.nonce : signatureData.nonce,
+            deadline: options.deadline !== undefined ? options.deadline : signatureData.deadline,
             timestamp: signatureData.timestamp || Date.now().toString(),
             metadata: includeMetadata ? (signatureData.metadata || {}) : {},
             validation: validation,
@@ -140,11 +221,7 @@ class TransactionPacker {
         // Create contract call data
         const contractData = this.createContractCallData(txData, methodName);
 
-        // Estimate gas if provider is available
-        let gasEstimate = this.defaultGasLimit;
-        if (this.provider) {
-            gasEstimate = this.estimateGas(contractData);
-        }
+        const gasEstimate = this.defaultGasLimit;
 
         // Create transaction object
         const transaction = {
@@ -180,53 +257,60 @@ class TransactionPacker {
      * @returns {string} Contract call data
      */
     createContractCallData(txData, methodName) {
-        // Define contract ABI for signature verification
-        const abi = [
-            "function verifySignature(bytes32 hash, uint8 v, bytes32 r, bytes32 s) public view returns (bool)",
-            "function verifySignatureWithMetadata(bytes32 hash, uint8 v, bytes32 r, bytes32 s, string memory metadata) public view returns (bool)"
-        ];
-
-        const iface = new ethers.utils.Interface(abi);
-
-        // Prepare parameters
-        const hash = "0x" + txData.hash;
-        const v = parseInt(txData.signature.v, 16);
-        const r = "0x" + txData.signature.r;
-        const s = "0x" + txData.signature.s;
-
-        let callData;
-        if (methodName === "verifySignatureWithMetadata" && Object.keys(txData.metadata).length > 0) {
-            const metadata = JSON.stringify(txData.metadata);
-            callData = iface.encodeFunctionData("verifySignatureWithMetadata", [hash, v, r, s, metadata]);
-        } else {
-            callData = iface.encodeFunctionData("verifySignature", [hash, v, r, s]);
+        const buildArguments = METHOD_ARGUMENTS[methodName];
+        if (!buildArguments) {
+            throw new Error(`SignatureVerifier.${methodName} does not take signature data`);
         }
 
-        return callData;
+        if (methodName === "verifyTypedSignature") {
+            if (!ethers.isHexString(txData.domainSeparator, 32) || !ethers.isHexString(txData.structHash, 32)) {
+                throw new Error("verifyTypedSignature requires 32-byte domainSeparator and structHash values");
+            }
+        } else if (typeof txData.message !== "string" || txData.message.length === 0) {
+            throw new Error(`${methodName} requires the signed message`);
+        }
+        if (methodName === "submitEnvelope" && (txData.nonce === undefined || txData.deadline === undefined)) {
+            throw new Error("submitEnvelope requires the envelope nonce and deadline");
+        }
+        if (!txData.signer || !ethers.isAddress(txData.signer)) {
+            throw new Error(`${methodName} requires a valid signer address`);
+        }
+
+        const args = buildArguments({
+            ...txData,
+            signatureBytes: this.toSignatureBytes(txData.signature)
+        });
+        return this.getContractInterface().encodeFunctionData(methodName, args);
     }
 
     /**
-     * Estimate gas for transaction
-     * @param {string} callData - Contract call data
-     * @returns {number} Gas estimate
+     * Join signature components into the 65-byte r || s || v form the contract expects
+     * @param {Object} signature - Normalized { r, s, v } hex components
+     * @returns {string} 0x-prefixed signature
      */
-    estimateGas(callData) {
-        if (!this.provider) {
-            return this.defaultGasLimit;
-        }
+    toSignatureBytes(signature) {
+        return "0x" + signature.r + signature.s + signature.v.padStart(2, "0");
+    }
 
-        try {
-            // This is a simplified gas estimation
-            // In a real implementation, you would call provider.estimateGas()
-            const baseGas = 21000;
-            const dataGas = callData.length / 2 * 16; // 16 gas per byte
-            const contractGas = 50000; // Estimated contract execution gas
-            
-            return Math.ceil(baseGas + dataGas + contractGas);
-        } catch (error) {
-            console.warn("Gas estimation failed, using default:", error.message);
-            return this.defaultGasLimit;
+    /**
+     * Estimate the gas limit of a packed transaction with the provider
+     * Sets the packed transaction's gasLimit (and gasEstimate) to eth_estimateGas
+     * plus a 20% buffer
+     * @param {Object} packedTx - Packed transaction (packSignatureTransaction or packBatchTransaction)
+     * @param {string} from - Sender to estimate for
+     * @returns {Promise<number>} Gas limit
+     * @throws {Error} Without a provider, or when the call would revert
+     */
+    async estimateGas(packedTx, from = undefined) {
+        if (!this.provider) {
+            throw new Error("Provider not set");
         }
+        const { to, data } = packedTx.transaction;
+        const estimate = await this.provider.estimateGas({ from, to, data });
+        const gasLimit = Math.ceil(Number(estimate) * GAS_LIMIT_BUFFER);
+        packedTx.transaction.gasLimit = gasLimit;
+        packedTx.gasEstimate = gasLimit;
+        return gasLimit;
     }
 
     /**
@@ -252,16 +336,15 @@ class TransactionPacker {
     }
 
     /**
-     * Pack multiple signatures into batch transaction
-     * @param {Array} signaturesArray - Array of signature data
+     * Pack multiple signatures into a batchVerifySignatures call
+     * @param {Array} signaturesArray - Array of signature data, each with its message and signer
      * @param {Object} options - Packing options
      * @returns {Object} Batch transaction data
      */
     packBatchTransaction(signaturesArray, options = {}) {
         const {
             contractAddress = "",
-            maxBatchSize = 10,
-            includeMetadata = false
+            maxBatchSize = 10
         } = options;
 
         if (!Array.isArray(signaturesArray) || signaturesArray.length === 0) {
@@ -288,11 +371,13 @@ class TransactionPacker {
             r: "0x" + this.normalizeHex(sig.signature.r),
             s: "0x" + this.normalizeHex(sig.signature.s),
             v: parseInt(this.normalizeHex(sig.signature.v), 16),
-            hash: "0x" + this.normalizeHex(sig.hash)
+            hash: "0x" + this.normalizeHex(sig.hash),
+            message: sig.message,
+            signer: sig.signer
         }));
 
         // Create batch contract call data
-        const batchData = this.createBatchContractCallData(packedSignatures, includeMetadata);
+        const batchData = this.createBatchContractCallData(packedSignatures);
 
         // Estimate gas for batch
         const gasEstimate = this.estimateBatchGas(batchData, signaturesArray.length);
@@ -325,24 +410,23 @@ class TransactionPacker {
     /**
      * Create batch contract call data
      * @param {Array} packedSignatures - Packed signatures
-     * @param {boolean} includeMetadata - Include metadata
      * @returns {string} Batch call data
      */
-    createBatchContractCallData(packedSignatures, includeMetadata) {
-        // This would require a custom contract with batch verification
-        // For now, we will create a simple concatenated call
-        const abi = [
-            "function verifyBatchSignatures(bytes32[] memory hashes, uint8[] memory v, bytes32[] memory r, bytes32[] memory s) public view returns (bool[])"
-        ];
-
-        const iface = new ethers.utils.Interface(abi);
+    createBatchContractCallData(packedSignatures) {
+        this.getMethod("batchVerifySignatures");
+
+        const missing = packedSignatures
+            .map((sig, index) => (typeof sig.message === "string" && sig.message && ethers.isAddress(sig.signer) ? null : index))
+            .filter(index => index !== null);
+        if (missing.length > 0) {
+            throw new Error(`Missing message or signer at indices: ${missing.join(", ")}`);
+        }
 
-        const hashes = packedSignatures.map(sig => sig.hash);
-        const v = packedSignatures.map(sig => sig.v);
-        const r = packedSignatures.map(sig => sig.r);
-        const s = packedSignatures.map(sig => sig.s);
+        const messages = packedSignatures.map(sig => sig.message);
+        const signatures = packedSignatures.map(sig => ethers.concat([sig.r, sig.s, ethers.toBeHex(sig.v, 1)]));
+        const signers = packedSignatures.map(sig => sig.signer);
 
-        return iface.encodeFunctionData("verifyBatchSignatures", [hashes, v, r, s]);
+        return this.getContractInterface().encodeFunctionData("batchVerifySignatures", [messages, signatures, signers]);
     }
 
     /**
@@ -354,7 +438,7 @@ class TransactionPacker {
     estimateBatchGas(callData, batchSize) {
         const baseGas = 21000;
         const dataGas = callData.length / 2 * 16;
-        const contractGas = 50000 * batchSize; // Gas per signature
+        const contractGas = BATCH_SIGNATURE_GAS * batchSize;
         
         return Math.ceil(baseGas + dataGas + contractGas);
     }
@@ -384,6 +468,68 @@ class TransactionPacker {
         };
     }
 
+    /**
+     * Broadcast a packed transaction through a chain client
+     * The client simulates the call first, like any transaction it submits, so
+     * a call that would revert is never sent, and sends it with the simulated
+     * gas limit rather than the packed one. Its nonce manager assigns the
+     * nonce, tracks the transaction and reports it (and any replacement) to its
+     * ReceiptProcessor
+     * @param {Object} packedTx - Packed transaction (packSignatureTransaction)
+     * @param {Object} chain - Initialized ChainClient holding the signer
+     * @returns {Promise<Object>} Transaction receipt template, with the nonce
+     * @throws {Error} ChainError CALL_REVERTED with the decoded `revert` when the simulation fails
+     */
+    async sendPackedTransaction(packedTx, chain) {
+        const { transaction } = packedTx;
+        const network = await chain.getNetworkInfo();
+        if (BigInt(transaction.chainId) !== BigInt(network.chainId)) {
+            throw new Error(`Packed for chain ${transaction.chainId}, but the client is on chain ${network.chainId}`);
+        }
+
+        // Fees the packer had no provider to read come from the client
+        const fees = transaction.maxFeePerGas
+            ? { maxFeePerGas: BigInt(transaction.maxFeePerGas), maxPriorityFeePerGas: BigInt(transaction.maxPriorityFeePerGas || 0), type: 2 }
+            : transaction.gasPrice ? { gasPrice: BigInt(transaction.gasPrice), type: 0 } : await chain.getOptimalGasPrice();
+
+        const contractInterface = this.getContractInterface();
+        const contract = chain.createContract(transaction.to, contractInterface);
+        const args = contractInterface.decodeFunctionData(packedTx.methodName, transaction.data);
+        const { hash, nonce } = await chain.submitTransaction(contract, packedTx.methodName, [...args], fees);
+        return { ...this.createTransactionReceipt(packedTx, hash), nonce };
+    }
+
+    /**
+     * Export a packed transaction unsigned, to be signed offline
+     * The packer does not know the sender's nonce, so the caller gives it, and
+     * the fees when the packer had no provider to read them. A signed transaction
+     * cannot be re-estimated, so the gas limit is the provider's estimate unless
+     * the caller gives one
+     * @param {Object} packedTx - Packed transaction (packSignatureTransaction)
+     * @param {Object} options - { from, nonce, gasLimit, maxFeePerGas, maxPriorityFeePerGas }
+     * @returns {Promise<Object>} Unsigned transaction document (JSON, or QR text with toQrPayload)
+     */
+    async exportUnsignedTransaction(packedTx, options = {}) {
+        const { transaction } = packedTx;
+        if (transaction.type !== 2 && !options.maxFeePerGas) {
+            throw new Error("Offline signing needs EIP-1559 fees: pass maxFeePerGas and maxPriorityFeePerGas");
+        }
+        if (!options.gasLimit && !this.provider) {
+            throw new Error("Offline signing needs a gas limit: set a provider to estimate it or pass gasLimit");
+        }
+        const gasLimit = options.gasLimit || await this.estimateGas(packedTx, options.from);
+        return createUnsignedTransaction({
+            chainId: this.chainId,
+            nonce: options.nonce,
+            from: options.from,
+            to: transaction.to,
+            data: transaction.data,
+            gasLimit,
+            maxFeePerGas: options.maxFeePerGas || transaction.maxFeePerGas,
+            maxPriorityFeePerGas: options.maxPriorityFeePerGas || transaction.maxPriorityFeePerGas
+        }, { chainId: this.chainId });
+    }
+
     /**
      * Get transaction status
      * @param {string} txHash - Transaction hash
@@ -403,10 +549,10 @@ class TransactionPacker {
 
             return {
                 status: receipt.status === 1 ? "SUCCESS" : "FAILED",
-                confirmations: receipt.confirmations,
+                confirmations: await receipt.confirmations(),
                 blockNumber: receipt.blockNumber,
                 gasUsed: receipt.gasUsed.toString(),
-                effectiveGasPrice: receipt.effectiveGasPrice.toString()
+                effectiveGasPrice: receipt.gasPrice.toString()
             };
         } catch (error) {
             throw new Error(`Failed to get transaction status: ${error.message}`);
@@ -428,10 +574,10 @@ class TransactionPacker {
             const receipt = await this.provider.waitForTransaction(txHash, confirmations);
             return {
                 status: receipt.status === 1 ? "SUCCESS" : "FAILED",
-                confirmations: receipt.confirmations,
+                confirmations: await receipt.confirmations(),
                 blockNumber: receipt.blockNumber,
                 gasUsed: receipt.gasUsed.toString(),
-                effectiveGasPrice: receipt.effectiveGasPrice.toString()
+                effectiveGasPrice: receipt.gasPrice.toString()
             };
         } catch (error) {
             throw new Error(`Transaction confirmation failed: ${error.message}`);
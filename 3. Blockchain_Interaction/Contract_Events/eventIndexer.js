@@ -0,0 +1,318 @@
+/**
+ * Event Indexer for SignatureVerifier
+ * Indexes contract events into an SQLiteEventStore. A block is only indexed
+ * once `confirmations` blocks sit on top of it, and the hashes of indexed
+ * blocks are stored with a checkpoint, so a reorganisation deeper than that
+ * is detected on the next sync: the orphaned range is rolled back to the
+ * newest stored block still on the canonical chain and indexed again.
+ * Backfill pages through eth_getLogs `pageSize` blocks at a time and halves
+ * the range when the node rejects it. With a WebhookDispatcher, each page's
+ * events are queued for webhook delivery before the checkpoint moves past them.
+ *
+ * Usage: node "3. Blockchain_Interaction/Contract_Events/eventIndexer.js"
+ * Reads CONTRACT_ADDRESS and SEPOLIA_RPC_URL like listen_events.js, plus
+ * EVENT_DB_PATH, INDEXER_CONFIRMATIONS and INDEXER_START_BLOCK (webhooks: see
+ * webhookDispatcher.js)
+ */
+
+const path = require('path');
+const { ethers } = require('ethers');
+const { SQLiteEventStore } = require('./eventStore');
+const { createWebhookDispatcher } = require('./webhookDispatcher');
+const { CONFIG, CONTRACT_ABI, createProvider } = require('../Scripts/listen_events');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '../TX_Result_Store/events.db');
+
+const DEFAULTS = {
+    confirmations: 12,
+    pageSize: 2000,
+    startBlock: 0,
+    pollInterval: 15000,
+    retryDelay: 5000
+};
+
+class EventIndexer {
+    /**
+     * @param {Object} options - Indexer options
+     * @param {Object} options.provider - Ethers provider
+     * @param {Object} options.store - SQLiteEventStore
+     * @param {string} options.contractAddress - SignatureVerifier address
+     * @param {number} options.confirmations - Blocks required on top of a block before it is indexed
+     * @param {number} options.pageSize - Maximum blocks per eth_getLogs request
+     * @param {number} options.startBlock - First block to index (e.g. the deployment block)
+     * @param {number} options.pollInterval - Delay between syncs in ms
+     * @param {number} options.retryDelay - Delay after a failed sync in ms
+     * @param {Object} options.webhooks - WebhookDispatcher that receives indexed events
+     */
+    constructor(options = {}) {
+        const { provider, store, contractAddress, webhooks = null, ...config } = options;
+        if (!provider || !store) {
+            throw new Error('EventIndexer requires a provider and a store');
+        }
+        if (!ethers.isAddress(contractAddress)) {
+            throw new Error(`Invalid contract address: ${contractAddress}`);
+        }
+
+        this.config = { ...DEFAULTS, ...config };
+        this.provider = provider;
+        this.store = store;
+        this.webhooks = webhooks;
+        this.contractAddress = ethers.getAddress(contractAddress);
+        this.contractInterface = new ethers.Interface(CONTRACT_ABI);
+        this.pageSize = this.config.pageSize;
+        this.isRunning = false;
+        this.syncing = null;
+        this.loop = null;
+        this.timer = null;
+        this.wake = null;
+        this.stats = {
+            eventsIndexed: 0,
+            eventsRolledBack: 0,
+            reorgs: 0,
+            errors: 0,
+            lastIndexedBlock: null
+        };
+    }
+
+    /**
+     * Roll back any reorganised range, then index every confirmed block since the checkpoint
+     * Concurrent calls share one sync
+     * @returns {Promise<Object>} - { fromBlock, toBlock, eventsIndexed, reorg }
+     */
+    sync() {
+        if (!this.syncing) {
+            const done = () => { this.syncing = null; };
+            this.syncing = this.runSync();
+            this.syncing.then(done, done);
+        }
+        return this.syncing;
+    }
+
+    async runSync() {
+        const reorg = await this.checkForReorg();
+        const head = await this.provider.getBlockNumber();
+        const target = head - this.config.confirmations;
+        const checkpoint = await this.store.getCheckpoint(this.contractAddress);
+        const fromBlock = checkpoint ? checkpoint.blockNumber + 1 : this.config.startBlock;
+
+        let eventsIndexed = 0;
+        let next = fromBlock;
+        while (next <= target) {
+            const range = await this.indexRange(next, Math.min(next + this.pageSize - 1, target));
+            eventsIndexed += range.events;
+            next = range.toBlock + 1;
+        }
+
+        this.stats.lastIndexedBlock = next - 1;
+        return { fromBlock, toBlock: next - 1, eventsIndexed, reorg };
+    }
+
+    /**
+     * Index one page of blocks
+     * @param {number} fromBlock - First block
+     * @param {number} toBlock - Last block; the page may end earlier if the node rejects the range
+     * @returns {Promise<Object>} - { toBlock, events } where events is the number stored
+     */
+    async indexRange(fromBlock, toBlock) {
+        const { logs, toBlock: endBlock } = await this.fetchLogs(fromBlock, toBlock);
+        const end = await this.provider.getBlock(endBlock);
+        const hashes = new Map([[endBlock, end.hash]]);
+
+        const events = [];
+        for (const log of logs) {
+            const parsed = this.contractInterface.parseLog(log);
+            if (!parsed) {
+                continue;
+            }
+            if (!hashes.has(log.blockNumber)) {
+                const block = await this.provider.getBlock(log.blockNumber);
+                hashes.set(log.blockNumber, block ? block.hash : null);
+            }
+            // The log came from a block that is no longer canonical; the next sync retries the page
+            if (hashes.get(log.blockNumber) !== log.blockHash) {
+                throw new Error(`Chain reorganised while indexing blocks ${fromBlock}-${endBlock}`);
+            }
+            events.push(this.toEvent(log, parsed));
+        }
+
+        // Queued first: a crash in between re-indexes the page, and the outbox skips events it already has
+        if (this.webhooks && events.length) {
+            await this.webhooks.enqueue(events);
+        }
+        await this.store.saveRange(this.contractAddress, {
+            events,
+            blocks: Array.from(hashes, ([number, hash]) => ({ number, hash })),
+            checkpoint: { blockNumber: endBlock, blockHash: end.hash }
+        });
+        this.stats.eventsIndexed += events.length;
+        return { toBlock: endBlock, events: events.length };
+    }
+
+    /**
+     * Get the contract's logs for a block range, halving the range while the node rejects it
+     * @param {number} fromBlock - First block
+     * @param {number} toBlock - Last block
+     * @returns {Promise<Object>} - { logs, toBlock } where toBlock is the end of the range actually fetched
+     */
+    async fetchLogs(fromBlock, toBlock) {
+        try {
+            const logs = await this.provider.getLogs({ address: this.contractAddress, fromBlock, toBlock });
+            return { logs, toBlock };
+        } catch (error) {
+            if (toBlock <= fromBlock) {
+                throw error;
+            }
+            const halfEnd = fromBlock + Math.floor((toBlock - fromBlock) / 2);
+            // Later pages start at the size the node accepted
+            this.pageSize = halfEnd - fromBlock + 1;
+            console.warn(`[EventIndexer] getLogs ${fromBlock}-${toBlock} failed (${error.message}); retrying with ${this.pageSize} blocks`);
+            return this.fetchLogs(fromBlock, halfEnd);
+        }
+    }
+
+    /**
+     * Detect a reorganisation past the checkpoint and roll the store back
+     * @returns {Promise<Object|null>} - { fromBlock, toBlock, eventsRemoved } of the rolled back range
+     */
+    async checkForReorg() {
+        const checkpoint = await this.store.getCheckpoint(this.contractAddress);
+        if (!checkpoint || !checkpoint.blockHash || await this.isCanonical(checkpoint.blockNumber, checkpoint.blockHash)) {
+            return null;
+        }
+
+        // Newest stored block still on the canonical chain; everything after it is orphaned
+        let ancestor = null;
+        for (const block of await this.store.getBlocks(this.contractAddress, checkpoint.blockNumber)) {
+            if (await this.isCanonical(block.number, block.hash)) {
+                ancestor = block;
+                break;
+            }
+        }
+        const keep = ancestor
+            ? { blockNumber: ancestor.number, blockHash: ancestor.hash }
+            : { blockNumber: this.config.startBlock - 1, blockHash: null };
+
+        const eventsRemoved = await this.store.rollback(this.contractAddress, keep);
+        this.stats.reorgs++;
+        this.stats.eventsRolledBack += eventsRemoved;
+        console.warn(`[EventIndexer] Reorg detected at block ${checkpoint.blockNumber}; rolled back to block ${keep.blockNumber} (${eventsRemoved} events removed)`);
+        return { fromBlock: keep.blockNumber + 1, toBlock: checkpoint.blockNumber, eventsRemoved };
+    }
+
+    async isCanonical(blockNumber, blockHash) {
+        const block = await this.provider.getBlock(blockNumber);
+        return Boolean(block) && block.hash === blockHash;
+    }
+
+    /**
+     * Convert a parsed log into a stored event
+     * @param {Object} log - Ethers Log
+     * @param {Object} parsed - Ethers LogDescription
+     * @returns {Object} - Event for SQLiteEventStore.saveRange
+     */
+    toEvent(log, parsed) {
+        const args = Object.fromEntries(parsed.fragment.inputs.map((input, index) => {
+            const value = parsed.args[index];
+            return [input.name, typeof value === 'bigint' ? value.toString() : value];
+        }));
+        return {
+            eventName: parsed.name,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+            signer: args.signer || null,
+            messageHash: args.messageHash || null,
+            isValid: typeof args.isValid === 'boolean' ? args.isValid : null,
+            args,
+            timestamp: args.timestamp ? Number(args.timestamp) : null
+        };
+    }
+
+    /**
+     * Sync every pollInterval until stopped
+     */
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+        this.isRunning = true;
+        this.loop = this.poll();
+    }
+
+    async poll() {
+        while (this.isRunning) {
+            let delay = this.config.pollInterval;
+            try {
+                await this.sync();
+            } catch (error) {
+                this.stats.errors++;
+                delay = this.config.retryDelay;
+                console.error('[EventIndexer] Sync failed:', error.message);
+            }
+            if (this.isRunning) {
+                await new Promise(resolve => {
+                    this.wake = resolve;
+                    this.timer = setTimeout(resolve, delay);
+                });
+            }
+        }
+    }
+
+    /**
+     * Stop polling and wait for the current sync to finish
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.isRunning = false;
+        clearTimeout(this.timer);
+        if (this.wake) {
+            this.wake();
+        }
+        await this.loop;
+    }
+
+    getStats() {
+        return { ...this.stats, isRunning: this.isRunning, contractAddress: this.contractAddress };
+    }
+}
+
+async function main() {
+    const store = new SQLiteEventStore(process.env.EVENT_DB_PATH || DEFAULT_DB_PATH);
+    const webhooks = await createWebhookDispatcher();
+    const indexer = new EventIndexer({
+        provider: createProvider(CONFIG),
+        store,
+        webhooks: webhooks.dispatcher,
+        contractAddress: CONFIG.contractAddress,
+        confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || DEFAULTS.confirmations, 10),
+        startBlock: parseInt(process.env.INDEXER_START_BLOCK || DEFAULTS.startBlock, 10),
+        pollInterval: CONFIG.pollInterval
+    });
+
+    const shutdown = async () => {
+        console.log('[EventIndexer] Shutting down...');
+        await indexer.stop();
+        await webhooks.dispatcher.stop();
+        await store.close();
+        await webhooks.store.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    console.log(`[EventIndexer] Indexing ${indexer.contractAddress} with ${indexer.config.confirmations} confirmations`);
+    indexer.start();
+    webhooks.dispatcher.start();
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('[EventIndexer] Failed to start:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    EventIndexer
+};
@@ -0,0 +1,303 @@
+/**
+ * Event Store for SignatureVerifier events
+ * SQLite storage used by EventIndexer: indexed events, the hashes of the
+ * blocks they were read from, and a checkpoint per contract. Each indexed
+ * range and each rollback is written in one transaction, so a crash never
+ * leaves a half-indexed range behind
+ */
+
+const sqlite3 = require('sqlite3');
+
+class SQLiteEventStore {
+    /**
+     * @param {string} dbPath - SQLite database file (':memory:' for tests)
+     */
+    constructor(dbPath) {
+        this.dbPath = dbPath;
+        this.db = null;
+        this.ready = null;
+        // Transactions are queued so two writers never interleave statements
+        this.writes = Promise.resolve();
+    }
+
+    init() {
+        if (!this.ready) {
+            this.ready = new Promise((resolve, reject) => {
+                this.db = new sqlite3.Database(this.dbPath, err => (err ? reject(err) : resolve()));
+                this.db.serialize();
+            }).then(() => this.run(`CREATE TABLE IF NOT EXISTS events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                contract_address TEXT NOT NULL,
+                block_number INTEGER NOT NULL,
+                block_hash TEXT NOT NULL,
+                transaction_hash TEXT NOT NULL,
+                log_index INTEGER NOT NULL,
+                event_name TEXT NOT NULL,
+                signer TEXT,
+                message_hash TEXT,
+                is_valid INTEGER,
+                args TEXT NOT NULL,
+                timestamp INTEGER,
+                UNIQUE (contract_address, block_hash, log_index)
+            )`)).then(() => this.run(
+                'CREATE INDEX IF NOT EXISTS idx_events_signer ON events (signer, block_number)'
+            )).then(() => this.run(
+                'CREATE INDEX IF NOT EXISTS idx_events_message_hash ON events (message_hash)'
+            )).then(() => this.run(
+                'CREATE INDEX IF NOT EXISTS idx_events_block ON events (contract_address, block_number, log_index)'
+            )).then(() => this.run(`CREATE TABLE IF NOT EXISTS blocks (
+                contract_address TEXT NOT NULL,
+                number INTEGER NOT NULL,
+                hash TEXT NOT NULL,
+                PRIMARY KEY (contract_address, number)
+            )`)).then(() => this.run(`CREATE TABLE IF NOT EXISTS checkpoints (
+                contract_address TEXT PRIMARY KEY,
+                block_number INTEGER NOT NULL,
+                block_hash TEXT,
+                updated_at INTEGER NOT NULL
+            )`));
+        }
+        return this.ready;
+    }
+
+    /**
+     * Get the last indexed block of a contract
+     * @param {string} contractAddress - Contract address
+     * @returns {Promise<Object|null>} - { blockNumber, blockHash }
+     */
+    async getCheckpoint(contractAddress) {
+        await this.init();
+        const rows = await this.all('SELECT * FROM checkpoints WHERE contract_address = ?', [contractAddress.toLowerCase()]);
+        return rows.length ? { blockNumber: rows[0].block_number, blockHash: rows[0].block_hash } : null;
+    }
+
+    /**
+     * Store an indexed block range and move the checkpoint to its end
+     * @param {string} contractAddress - Contract address
+     * @param {Object} range - { events, blocks: [{ number, hash }], checkpoint: { blockNumber, blockHash } }
+     * @returns {Promise<void>}
+     */
+    async saveRange(contractAddress, { events, blocks, checkpoint }) {
+        await this.init();
+        const address = contractAddress.toLowerCase();
+        const statements = [
+            ...blocks.map(block => [
+                'INSERT OR REPLACE INTO blocks (contract_address, number, hash) VALUES (?, ?, ?)',
+                [address, block.number, block.hash]
+            ]),
+            ...events.map(event => [
+                `INSERT OR IGNORE INTO events (contract_address, block_number, block_hash, transaction_hash, log_index,
+                    event_name, signer, message_hash, is_valid, args, timestamp)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    address,
+                    event.blockNumber,
+                    event.blockHash,
+                    event.transactionHash,
+                    event.logIndex,
+                    event.eventName,
+                    event.signer ? event.signer.toLowerCase() : null,
+                    event.messageHash ? event.messageHash.toLowerCase() : null,
+                    typeof event.isValid === 'boolean' ? Number(event.isValid) : null,
+                    JSON.stringify(event.args),
+                    event.timestamp === undefined ? null : event.timestamp
+                ]
+            ]),
+            this.checkpointStatement(address, checkpoint)
+        ];
+        await this.transaction(statements);
+    }
+
+    /**
+     * List the stored block hashes of a contract at or below a block, newest first
+     * @param {string} contractAddress - Contract address
+     * @param {number} belowOrAt - Highest block number to return
+     * @returns {Promise<Array<Object>>} - [{ number, hash }]
+     */
+    async getBlocks(contractAddress, belowOrAt) {
+        await this.init();
+        return this.all(
+            'SELECT number, hash FROM blocks WHERE contract_address = ? AND number <= ? ORDER BY number DESC',
+            [contractAddress.toLowerCase(), belowOrAt]
+        );
+    }
+
+    /**
+     * Remove everything indexed after a block and move the checkpoint back to it
+     * @param {string} contractAddress - Contract address
+     * @param {Object} checkpoint - { blockNumber, blockHash } of the last block to keep
+     * @returns {Promise<number>} - Number of events removed
+     */
+    async rollback(contractAddress, checkpoint) {
+        await this.init();
+        const address = contractAddress.toLowerCase();
+        const [{ count }] = await this.all(
+            'SELECT COUNT(*) AS count FROM events WHERE contract_address = ? AND block_number > ?',
+            [address, checkpoint.blockNumber]
+        );
+        await this.transaction([
+            ['DELETE FROM events WHERE contract_address = ? AND block_number > ?', [address, checkpoint.blockNumber]],
+            ['DELETE FROM blocks WHERE contract_address = ? AND number > ?', [address, checkpoint.blockNumber]],
+            this.checkpointStatement(address, checkpoint)
+        ]);
+        return count;
+    }
+
+    /**
+     * Find indexed events in chain order
+     * @param {Object} filter - Query filter
+     * @param {string} filter.contractAddress - Only this contract's events
+     * @param {string} filter.signer - Only events of this signer
+     * @param {string} filter.messageHash - Only events for this message hash
+     * @param {string} filter.eventName - Only events with this name
+     * @param {boolean} filter.isValid - Only SignatureVerified events with this outcome
+     * @param {number} filter.fromBlock - First block (inclusive)
+     * @param {number} filter.toBlock - Last block (inclusive)
+     * @param {Object} filter.after - { blockNumber, logIndex } of the last event already seen
+     * @param {string} filter.order - 'asc' (oldest first, default) or 'desc'
+     * @param {number} filter.limit - Maximum number of events
+     * @returns {Promise<Array<Object>>} - Indexed events
+     */
+    async queryEvents(filter = {}) {
+        await this.init();
+        const descending = filter.order === 'desc';
+        const { conditions, params } = this.eventConditions(filter);
+        if (filter.after) {
+            conditions.push(`(block_number, log_index) ${descending ? '<' : '>'} (?, ?)`);
+            params.push(filter.after.blockNumber, filter.after.logIndex);
+        }
+
+        let sql = 'SELECT * FROM events';
+        if (conditions.length) {
+            sql += ' WHERE ' + conditions.join(' AND ');
+        }
+        sql += descending ? ' ORDER BY block_number DESC, log_index DESC' : ' ORDER BY block_number, log_index';
+        if (filter.limit) {
+            sql += ' LIMIT ?';
+            params.push(filter.limit);
+        }
+        const rows = await this.all(sql, params);
+        return rows.map(row => this.fromRow(row));
+    }
+
+    /**
+     * Summarize a signer's indexed events
+     * @param {string} signer - Signer address
+     * @param {string} contractAddress - Only this contract's events (all if omitted)
+     * @returns {Promise<Object>} - { submitted, verified, valid, invalid, firstBlock, lastBlock, firstSeen, lastSeen }
+     */
+    async getSignerStats(signer, contractAddress = null) {
+        await this.init();
+        const { conditions, params } = this.eventConditions({ signer, contractAddress });
+        const [row] = await this.all(`SELECT
+                SUM(event_name = 'SignatureSubmitted') AS submitted,
+                SUM(event_name = 'SignatureVerified') AS verified,
+                SUM(event_name = 'SignatureVerified' AND is_valid = 1) AS valid,
+                SUM(event_name = 'SignatureVerified' AND is_valid = 0) AS invalid,
+                MIN(block_number) AS first_block,
+                MAX(block_number) AS last_block,
+                MIN(timestamp) AS first_seen,
+                MAX(timestamp) AS last_seen
+            FROM events WHERE ${conditions.join(' AND ')}`, params);
+        return {
+            submitted: row.submitted || 0,
+            verified: row.verified || 0,
+            valid: row.valid || 0,
+            invalid: row.invalid || 0,
+            firstBlock: row.first_block,
+            lastBlock: row.last_block,
+            firstSeen: row.first_seen,
+            lastSeen: row.last_seen
+        };
+    }
+
+    async close() {
+        if (!this.ready) {
+            return;
+        }
+        await this.ready;
+        await this.writes;
+        await new Promise((resolve, reject) => this.db.close(err => (err ? reject(err) : resolve())));
+        this.ready = null;
+    }
+
+    eventConditions(filter) {
+        const conditions = [];
+        const params = [];
+        const where = (condition, value) => {
+            conditions.push(condition);
+            params.push(value);
+        };
+        if (filter.contractAddress) where('contract_address = ?', filter.contractAddress.toLowerCase());
+        if (filter.signer) where('signer = ?', filter.signer.toLowerCase());
+        if (filter.messageHash) where('message_hash = ?', filter.messageHash.toLowerCase());
+        if (filter.eventName) where('event_name = ?', filter.eventName);
+        if (typeof filter.isValid === 'boolean') where('is_valid = ?', Number(filter.isValid));
+        if (filter.fromBlock !== undefined) where('block_number >= ?', filter.fromBlock);
+        if (filter.toBlock !== undefined) where('block_number <= ?', filter.toBlock);
+        return { conditions, params };
+    }
+
+    checkpointStatement(address, checkpoint) {
+        return [
+            `INSERT INTO checkpoints (contract_address, block_number, block_hash, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT(contract_address) DO UPDATE SET
+                block_number = excluded.block_number, block_hash = excluded.block_hash, updated_at = excluded.updated_at`,
+            [address, checkpoint.blockNumber, checkpoint.blockHash || null, Date.now()]
+        ];
+    }
+
+    fromRow(row) {
+        return {
+            contractAddress: row.contract_address,
+            eventName: row.event_name,
+            blockNumber: row.block_number,
+            blockHash: row.block_hash,
+            transactionHash: row.transaction_hash,
+            logIndex: row.log_index,
+            signer: row.signer,
+            messageHash: row.message_hash,
+            isValid: row.is_valid === null ? null : row.is_valid === 1,
+            args: JSON.parse(row.args),
+            timestamp: row.timestamp
+        };
+    }
+
+    /**
+     * Run statements in one transaction after any queued transaction
+     * @param {Array<Array>} statements - [sql, params] pairs
+     * @returns {Promise<void>}
+     */
+    transaction(statements) {
+        const write = this.writes.then(async () => {
+            await this.run('BEGIN IMMEDIATE');
+            try {
+                for (const [sql, params] of statements) {
+                    await this.run(sql, params);
+                }
+                await this.run('COMMIT');
+            } catch (error) {
+                await this.run('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        });
+        this.writes = write.catch(() => {});
+        return write;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, err => (err ? reject(err) : resolve()));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+    }
+}
+
+module.exports = {
+    SQLiteEventStore
+};
@@ -0,0 +1,486 @@
+/**
+ * Webhook Dispatcher for contract events
+ * Fans events out to webhook subscriptions through a persistent outbox
+ * (SQLiteWebhookStore) and delivers them with exponential-backoff retries.
+ * Deliveries that exhaust their attempts move to the dead-letter list, from
+ * which they can be replayed. Delivery is at-least-once: receivers should
+ * deduplicate on the X-Webhook-Id header.
+ *
+ * Every request is signed: X-Webhook-Signature is
+ * `sha256=` + hex HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+ *
+ * Subscriptions made by users (with an owner) must point at public addresses:
+ * their host is resolved again before every delivery, so a name that later
+ * resolves to a private or loopback address is refused rather than requested
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const { SQLiteWebhookStore } = require('./webhookStore');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '../TX_Result_Store/webhooks.db');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+const DEFAULTS = {
+    maxAttempts: 8,
+    baseDelay: 1000, // Delay before the first retry, doubled after every failure
+    maxDelay: 60 * 60 * 1000,
+    timeout: 10000,
+    pollInterval: 1000,
+    batchSize: 20,
+    allowPrivateTargets: false // Deliver owned subscriptions to private and loopback addresses
+};
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+// (BlockList also matches IPv4-mapped IPv6 addresses against the IPv4 ranges)
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Parse a webhook URL
+ * @param {string} url - Subscription URL
+ * @returns {URL} - Parsed URL
+ * @throws {Error} - With status 400 when the URL is not http(s)
+ */
+function parseWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        throw Object.assign(new Error('Webhook url must be an http(s) URL'), { status: 400 });
+    }
+    return parsed;
+}
+
+/**
+ * Refuse webhook URLs whose host is, or resolves to, a private or loopback address
+ * @param {string} url - Subscription URL
+ * @param {Function} lookup - dns.promises.lookup implementation (for tests)
+ * @returns {Promise<void>}
+ * @throws {Error} - With status 400 when the URL is invalid or not public
+ */
+async function checkWebhookTarget(url, lookup = dns.promises.lookup) {
+    const hostname = parseWebhookUrl(url).hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    if (net.isIP(hostname)) {
+        addresses = [{ address: hostname, family: net.isIP(hostname) }];
+    } else {
+        try {
+            addresses = await lookup(hostname, { all: true });
+        } catch (err) {
+            throw Object.assign(new Error(`Webhook host ${hostname} cannot be resolved`), { status: 400 });
+        }
+    }
+    const blocked = addresses.find(({ address, family }) => (
+        PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+    ));
+    if (!addresses.length || blocked) {
+        throw Object.assign(
+            new Error(`Webhook url must not point at a private or loopback address (${hostname})`),
+            { status: 400 }
+        );
+    }
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Subscription secret
+ * @param {string|number} timestamp - Unix time in seconds sent as X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} - X-Webhook-Signature header value
+ */
+function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check a received webhook (for receivers)
+ * @param {Object} params - Received request parts
+ * @param {string} params.secret - Subscription secret
+ * @param {string} params.body - Raw request body
+ * @param {string} params.timestamp - X-Webhook-Timestamp header
+ * @param {string} params.signature - X-Webhook-Signature header
+ * @param {number} params.tolerance - Maximum age of the timestamp in seconds (default 5 minutes)
+ * @returns {boolean} - Whether the signature matches and the timestamp is recent
+ */
+function verifyWebhookSignature({ secret, body, timestamp, signature, tolerance = 300 }) {
+    const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+    if (!signature || !(age <= tolerance)) {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+class WebhookDispatcher {
+    /**
+     * @param {Object} options - Dispatcher options
+     * @param {Object} options.store - SQLiteWebhookStore
+     * @param {number} options.maxAttempts - Attempts before a delivery is dead-lettered
+     * @param {number} options.baseDelay - Delay before the first retry in ms
+     * @param {number} options.maxDelay - Longest delay between retries in ms
+     * @param {number} options.timeout - Request timeout in ms
+     * @param {number} options.pollInterval - Delay between outbox checks in ms
+     * @param {number} options.batchSize - Deliveries sent per outbox check
+     * @param {boolean} options.allowPrivateTargets - Deliver owned subscriptions to private addresses too
+     * @param {Function} options.fetch - fetch implementation (default: global fetch)
+     * @param {Function} options.lookup - dns.promises.lookup implementation (for tests)
+     */
+    constructor(options = {}) {
+        const { store, fetch = globalThis.fetch, lookup = dns.promises.lookup, ...config } = options;
+        if (!store) {
+            throw new Error('WebhookDispatcher requires a store');
+        }
+        this.store = store;
+        this.fetch = fetch;
+        this.lookup = lookup;
+        this.config = { ...DEFAULTS, ...config };
+        this.isRunning = false;
+        this.dispatching = null;
+        this.loop = null;
+        this.timer = null;
+        this.wake = null;
+        this.stats = { delivered: 0, failedAttempts: 0, deadLettered: 0 };
+    }
+
+    /**
+     * Add a subscription
+     * @param {Object} params - Subscription parameters
+     * @param {string} params.url - http(s) URL receiving POSTed events
+     * @param {Array<string>} params.eventTypes - Event names to deliver (all when empty)
+     * @param {string} params.secret - HMAC secret (generated when omitted)
+     * @param {string} params.owner - User the subscription belongs to (none for operator subscriptions)
+     * @returns {Promise<Object>} - Subscription, including its secret
+     */
+    async subscribe({ url, eventTypes = [], secret, owner } = {}) {
+        const parsed = parseWebhookUrl(url);
+        if (!Array.isArray(eventTypes) || eventTypes.some(type => typeof type !== 'string' || !type)) {
+            throw Object.assign(new Error('eventTypes must be an array of event names'), { status: 400 });
+        }
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+            throw Object.assign(new Error('secret must be at least 16 characters'), { status: 400 });
+        }
+
+        const subscription = {
+            id: crypto.randomUUID(),
+            url: parsed.toString(),
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            eventTypes: [...new Set(eventTypes)],
+            createdAt: Date.now(),
+            owner: owner || null
+        };
+        await this.store.addSubscription(subscription);
+        return subscription;
+    }
+
+    /**
+     * Return the operator subscription (without an owner) for a URL, adding it if there is none
+     * @param {Object} params - Same as subscribe
+     * @returns {Promise<Object>} - { subscription, created }
+     */
+    async ensureSubscription(params) {
+        const subscriptions = await this.store.listSubscriptions();
+        const url = new URL(params.url).toString();
+        const existing = subscriptions.find(subscription => !subscription.owner && subscription.url === url);
+        if (existing) {
+            return { subscription: existing, created: false };
+        }
+        return { subscription: await this.subscribe(params), created: true };
+    }
+
+    /**
+     * Remove a subscription
+     * @param {string} id - Subscription ID
+     * @param {string} owner - Only remove it if it belongs to this user (any subscription when omitted)
+     * @returns {Promise<boolean>} - Whether a subscription was removed
+     */
+    async unsubscribe(id, owner) {
+        if (owner) {
+            const subscription = await this.store.getSubscription(id);
+            if (!subscription || subscription.owner !== owner) {
+                return false;
+            }
+        }
+        return this.store.removeSubscription(id);
+    }
+
+    /**
+     * List subscriptions without their secrets
+     * @param {string} owner - Only list this user's subscriptions (every subscription when omitted)
+     * @returns {Promise<Array<Object>>} - Subscriptions
+     */
+    async listSubscriptions(owner) {
+        const subscriptions = await this.store.listSubscriptions({ owner });
+        return subscriptions.map(({ secret, ...subscription }) => subscription);
+    }
+
+    /**
+     * Queue contract events for every subscription whose filter matches
+     * Accepts EventIndexer events and EventListener event data
+     * @param {Object|Array<Object>} events - { eventName, blockNumber, blockHash, transactionHash, logIndex, args }
+     * @returns {Promise<number>} - Number of deliveries queued (events already queued are skipped)
+     */
+    async enqueue(events) {
+        const list = Array.isArray(events) ? events : [events];
+        const subscriptions = await this.store.listSubscriptions();
+        const now = Date.now();
+        const deliveries = [];
+
+        for (const event of list) {
+            const eventKey = `${event.transactionHash}:${event.logIndex}`;
+            const payload = {
+                id: eventKey,
+                type: event.eventName,
+                blockNumber: event.blockNumber,
+                blockHash: event.blockHash,
+                transactionHash: event.transactionHash,
+                logIndex: event.logIndex,
+                args: event.args
+            };
+            for (const subscription of subscriptions) {
+                if (subscription.eventTypes.length && !subscription.eventTypes.includes(event.eventName)) {
+                    continue;
+                }
+                deliveries.push({
+                    id: crypto.randomUUID(),
+                    subscriptionId: subscription.id,
+                    eventKey,
+                    eventType: event.eventName,
+                    payload,
+                    status: 'pending',
+                    nextAttemptAt: now,
+                    createdAt: now
+                });
+            }
+        }
+        return deliveries.length ? this.store.addDeliveries(deliveries) : 0;
+    }
+
+    /**
+     * Send every due delivery once
+     * Concurrent calls share one pass, so a delivery is never sent twice at once
+     * @returns {Promise<Object>} - { delivered, retrying, dead }
+     */
+    dispatchDue() {
+        if (!this.dispatching) {
+            const done = () => { this.dispatching = null; };
+            this.dispatching = this.runDispatch();
+            this.dispatching.then(done, done);
+        }
+        return this.dispatching;
+    }
+
+    async runDispatch() {
+        const result = { delivered: 0, retrying: 0, dead: 0 };
+        const due = await this.store.dueDeliveries(Date.now(), this.config.batchSize);
+        for (const delivery of due) {
+            const status = await this.attempt(delivery);
+            result[status]++;
+        }
+        return result;
+    }
+
+    /**
+     * Make one delivery attempt and record its outcome
+     * @param {Object} delivery - Stored delivery
+     * @returns {Promise<string>} - 'delivered', 'retrying' or 'dead'
+     */
+    async attempt(delivery) {
+        const subscription = await this.store.getSubscription(delivery.subscriptionId);
+        const attempts = delivery.attempts + 1;
+        let error = null;
+
+        if (!subscription) {
+            error = 'Subscription no longer exists';
+        } else {
+            try {
+                await this.post(subscription, delivery);
+            } catch (err) {
+                error = err.message;
+            }
+        }
+
+        if (!error) {
+            await this.store.updateDelivery(delivery.id, {
+                status: 'delivered', attempts, nextAttemptAt: delivery.nextAttemptAt, deliveredAt: Date.now()
+            });
+            this.stats.delivered++;
+            return 'delivered';
+        }
+
+        this.stats.failedAttempts++;
+        if (!subscription || attempts >= this.config.maxAttempts) {
+            await this.store.updateDelivery(delivery.id, {
+                status: 'dead', attempts, nextAttemptAt: delivery.nextAttemptAt, lastError: error
+            });
+            this.stats.deadLettered++;
+            console.warn(`[WebhookDispatcher] Delivery ${delivery.id} dead-lettered after ${attempts} attempt(s): ${error}`);
+            return 'dead';
+        }
+        await this.store.updateDelivery(delivery.id, {
+            status: 'pending', attempts, nextAttemptAt: Date.now() + this.retryDelay(attempts), lastError: error
+        });
+        return 'retrying';
+    }
+
+    /**
+     * POST a delivery to its subscription
+     * @throws {Error} - When the request fails or the receiver answers with a non-2xx status
+     */
+    async post(subscription, delivery) {
+        if (subscription.owner && !this.config.allowPrivateTargets) {
+            await checkWebhookTarget(subscription.url, this.lookup);
+        }
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const response = await this.fetch(subscription.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Id': delivery.id,
+                'X-Webhook-Event': delivery.eventType,
+                [TIMESTAMP_HEADER]: timestamp,
+                [SIGNATURE_HEADER]: signPayload(subscription.secret, timestamp, body)
+            },
+            body,
+            signal: AbortSignal.timeout(this.config.timeout)
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook responded with status ${response.status}`);
+        }
+    }
+
+    /**
+     * Delay before the next attempt after `attempts` failed ones
+     * @param {number} attempts - Failed attempts so far (at least 1)
+     * @returns {number} - Delay in ms
+     */
+    retryDelay(attempts) {
+        return Math.min(this.config.maxDelay, this.config.baseDelay * 2 ** (attempts - 1));
+    }
+
+    /**
+     * List dead-lettered deliveries, oldest first
+     * @param {number} limit - Maximum number of deliveries
+     * @param {string} owner - Only list deliveries of this user's subscriptions (all when omitted)
+     * @returns {Promise<Array<Object>>} - Deliveries
+     */
+    async listDeadLetters(limit = 100, owner) {
+        return this.store.listDeliveries({ status: 'dead', owner, limit });
+    }
+
+    /**
+     * Move a dead-lettered delivery back to the outbox with a fresh set of attempts
+     * @param {string} id - Delivery ID
+     * @param {string} owner - Only replay it if its subscription belongs to this user (any when omitted)
+     * @returns {Promise<Object|null>} - Requeued delivery, or null if no such dead letter
+     */
+    async replay(id, owner) {
+        const delivery = await this.store.getDelivery(id);
+        if (!delivery || delivery.status !== 'dead') {
+            return null;
+        }
+        if (owner) {
+            const subscription = await this.store.getSubscription(delivery.subscriptionId);
+            if (!subscription || subscription.owner !== owner) {
+                return null;
+            }
+        }
+        await this.store.updateDelivery(id, {
+            status: 'pending', attempts: 0, nextAttemptAt: Date.now(), lastError: delivery.lastError
+        });
+        return this.store.getDelivery(id);
+    }
+
+    /**
+     * Deliver due outbox entries every pollInterval until stopped
+     */
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+        this.isRunning = true;
+        this.loop = this.poll();
+    }
+
+    async poll() {
+        while (this.isRunning) {
+            try {
+                await this.dispatchDue();
+            } catch (error) {
+                console.error('[WebhookDispatcher] Dispatch failed:', error.message);
+            }
+            if (this.isRunning) {
+                await new Promise(resolve => {
+                    this.wake = resolve;
+                    this.timer = setTimeout(resolve, this.config.pollInterval);
+                });
+            }
+        }
+    }
+
+    /**
+     * Stop polling and wait for the current pass to finish
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.isRunning = false;
+        clearTimeout(this.timer);
+        if (this.wake) {
+            this.wake();
+        }
+        await this.loop;
+    }
+
+    getStats() {
+        return { ...this.stats, isRunning: this.isRunning };
+    }
+}
+
+/**
+ * Create the dispatcher used by listen_events.js and eventIndexer.js
+ * Subscriptions are normally managed through the backend (POST /webhooks) on
+ * the same database; WEBHOOK_URL (with optional WEBHOOK_SECRET and
+ * WEBHOOK_EVENTS) adds a subscription for that URL on first start
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Promise<Object>} - { dispatcher, store }
+ */
+async function createWebhookDispatcher(env = process.env) {
+    const store = new SQLiteWebhookStore(env.WEBHOOK_DB_PATH || DEFAULT_DB_PATH);
+    const dispatcher = new WebhookDispatcher({ store });
+    if (env.WEBHOOK_URL) {
+        const { subscription, created } = await dispatcher.ensureSubscription({
+            url: env.WEBHOOK_URL,
+            secret: env.WEBHOOK_SECRET || undefined,
+            eventTypes: env.WEBHOOK_EVENTS ? env.WEBHOOK_EVENTS.split(',').map(type => type.trim()) : []
+        });
+        if (created && !env.WEBHOOK_SECRET) {
+            console.log(`[WebhookDispatcher] Subscribed ${subscription.url}; signing secret: ${subscription.secret}`);
+        }
+    }
+    return { dispatcher, store };
+}
+
+module.exports = {
+    WebhookDispatcher,
+    createWebhookDispatcher,
+    checkWebhookTarget,
+    signPayload,
+    verifyWebhookSignature,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER
+};
@@ -0,0 +1,264 @@
+/**
+ * Webhook Store for contract event delivery
+ * SQLite storage used by WebhookDispatcher: webhook subscriptions and the
+ * delivery outbox. A delivery stays in the outbox until the receiver accepts
+ * it or it runs out of attempts and moves to the dead-letter list, so
+ * deliveries survive restarts and may be sent more than once
+ */
+
+const sqlite3 = require('sqlite3');
+
+// Several processes (indexer, listener, backend) may share the database file
+const BUSY_TIMEOUT = 5000;
+
+class SQLiteWebhookStore {
+    /**
+     * @param {string} dbPath - SQLite database file (':memory:' for tests)
+     */
+    constructor(dbPath) {
+        this.dbPath = dbPath;
+        this.db = null;
+        this.ready = null;
+    }
+
+    init() {
+        if (!this.ready) {
+            this.ready = new Promise((resolve, reject) => {
+                this.db = new sqlite3.Database(this.dbPath, err => (err ? reject(err) : resolve()));
+                this.db.serialize();
+                this.db.configure('busyTimeout', BUSY_TIMEOUT);
+            }).then(() => this.run(`CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+                id TEXT PRIMARY KEY,
+                url TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                event_types TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                owner TEXT
+            )`)).then(() => this.all('PRAGMA table_info(webhook_subscriptions)')).then(columns => (
+                // Databases created before subscriptions had owners: existing ones are unowned
+                columns.some(column => column.name === 'owner')
+                    ? null
+                    : this.run('ALTER TABLE webhook_subscriptions ADD COLUMN owner TEXT')
+            )).then(() => this.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id TEXT PRIMARY KEY,
+                subscription_id TEXT NOT NULL,
+                event_key TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at INTEGER NOT NULL,
+                last_error TEXT,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL,
+                delivered_at INTEGER,
+                UNIQUE (subscription_id, event_key)
+            )`)).then(() => this.run(
+                'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)'
+            ));
+        }
+        return this.ready;
+    }
+
+    async addSubscription(subscription) {
+        await this.init();
+        await this.run('INSERT INTO webhook_subscriptions (id, url, secret, event_types, created_at, owner) VALUES (?, ?, ?, ?, ?, ?)', [
+            subscription.id,
+            subscription.url,
+            subscription.secret,
+            JSON.stringify(subscription.eventTypes),
+            subscription.createdAt,
+            subscription.owner || null
+        ]);
+    }
+
+    async getSubscription(id) {
+        await this.init();
+        const rows = await this.all('SELECT * FROM webhook_subscriptions WHERE id = ?', [id]);
+        return rows.length ? this.subscriptionFromRow(rows[0]) : null;
+    }
+
+    /**
+     * List subscriptions, oldest first
+     * @param {Object} filter - { owner } (every subscription when omitted)
+     * @returns {Promise<Array<Object>>} - Subscriptions
+     */
+    async listSubscriptions(filter = {}) {
+        await this.init();
+        const rows = filter.owner
+            ? await this.all('SELECT * FROM webhook_subscriptions WHERE owner = ? ORDER BY created_at, rowid', [filter.owner])
+            : await this.all('SELECT * FROM webhook_subscriptions ORDER BY created_at, rowid');
+        return rows.map(row => this.subscriptionFromRow(row));
+    }
+
+    /**
+     * Remove a subscription and its outbox entries
+     * @param {string} id - Subscription ID
+     * @returns {Promise<boolean>} - Whether the subscription existed
+     */
+    async removeSubscription(id) {
+        await this.init();
+        const removed = await this.run('DELETE FROM webhook_subscriptions WHERE id = ?', [id]);
+        await this.run('DELETE FROM webhook_deliveries WHERE subscription_id = ?', [id]);
+        return removed > 0;
+    }
+
+    /**
+     * Add deliveries to the outbox; an event already queued for a subscription is skipped
+     * @param {Array<Object>} deliveries - Deliveries
+     * @returns {Promise<number>} - Number of deliveries added
+     */
+    async addDeliveries(deliveries) {
+        await this.init();
+        let added = 0;
+        for (const delivery of deliveries) {
+            added += await this.run(`INSERT OR IGNORE INTO webhook_deliveries (id, subscription_id, event_key, event_type,
+                    payload, status, attempts, next_attempt_at, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?, ?)`, [
+                delivery.id,
+                delivery.subscriptionId,
+                delivery.eventKey,
+                delivery.eventType,
+                JSON.stringify(delivery.payload),
+                delivery.status,
+                delivery.nextAttemptAt,
+                delivery.createdAt,
+                delivery.createdAt
+            ]);
+        }
+        return added;
+    }
+
+    /**
+     * Pending deliveries whose next attempt is due, oldest first
+     * @param {number} now - Current time in ms
+     * @param {number} limit - Maximum number of deliveries
+     * @returns {Promise<Array<Object>>} - Deliveries
+     */
+    async dueDeliveries(now, limit) {
+        await this.init();
+        const rows = await this.all(
+            "SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at, rowid LIMIT ?",
+            [now, limit]
+        );
+        return rows.map(row => this.deliveryFromRow(row));
+    }
+
+    async getDelivery(id) {
+        await this.init();
+        const rows = await this.all('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+        return rows.length ? this.deliveryFromRow(rows[0]) : null;
+    }
+
+    /**
+     * List deliveries, oldest first
+     * @param {Object} filter - { status, subscriptionId, owner, limit }
+     * @returns {Promise<Array<Object>>} - Deliveries
+     */
+    async listDeliveries(filter = {}) {
+        await this.init();
+        const conditions = [];
+        const params = [];
+        if (filter.status) {
+            conditions.push('status = ?');
+            params.push(filter.status);
+        }
+        if (filter.subscriptionId) {
+            conditions.push('subscription_id = ?');
+            params.push(filter.subscriptionId);
+        }
+        if (filter.owner) {
+            conditions.push('subscription_id IN (SELECT id FROM webhook_subscriptions WHERE owner = ?)');
+            params.push(filter.owner);
+        }
+        let sql = 'SELECT * FROM webhook_deliveries';
+        if (conditions.length) {
+            sql += ' WHERE ' + conditions.join(' AND ');
+        }
+        sql += ' ORDER BY created_at, rowid';
+        if (filter.limit) {
+            sql += ' LIMIT ?';
+            params.push(filter.limit);
+        }
+        const rows = await this.all(sql, params);
+        return rows.map(row => this.deliveryFromRow(row));
+    }
+
+    /**
+     * Record the outcome of an attempt (or a replay)
+     * @param {string} id - Delivery ID
+     * @param {Object} update - { status, attempts, nextAttemptAt, lastError, deliveredAt }
+     * @returns {Promise<void>}
+     */
+    async updateDelivery(id, update) {
+        await this.init();
+        await this.run(`UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?,
+                delivered_at = ?, updated_at = ? WHERE id = ?`, [
+            update.status,
+            update.attempts,
+            update.nextAttemptAt,
+            update.lastError || null,
+            update.deliveredAt || null,
+            Date.now(),
+            id
+        ]);
+    }
+
+    async close() {
+        if (!this.ready) {
+            return;
+        }
+        await this.ready;
+        await new Promise((resolve, reject) => this.db.close(err => (err ? reject(err) : resolve())));
+        this.ready = null;
+    }
+
+    subscriptionFromRow(row) {
+        return {
+            id: row.id,
+            url: row.url,
+            secret: row.secret,
+            eventTypes: JSON.parse(row.event_types),
+            createdAt: row.created_at,
+            owner: row.owner
+        };
+    }
+
+    deliveryFromRow(row) {
+        return {
+            id: row.id,
+            subscriptionId: row.subscription_id,
+            eventKey: row.event_key,
+            eventType: row.event_type,
+            payload: JSON.parse(row.payload),
+            status: row.status,
+            attempts: row.attempts,
+            nextAttemptAt: row.next_attempt_at,
+            lastError: row.last_error,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            deliveredAt: row.delivered_at
+        };
+    }
+
+    /**
+     * @returns {Promise<number>} - Number of rows changed
+     */
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                return err ? reject(err) : resolve(this.changes);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+    }
+}
+
+module.exports = {
+    SQLiteWebhookStore
+};
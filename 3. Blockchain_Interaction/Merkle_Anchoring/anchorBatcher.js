@@ -0,0 +1,312 @@
+/**
+ * Anchor Batcher for signed messages
+ * Collects signed messages (from POST /sign, batch jobs or POST /anchors/leaves),
+ * seals them into Merkle trees of up to maxBatchSize leaves and anchors each
+ * root with one SignatureVerifier.anchorMerkleRoot transaction, so thousands
+ * of signatures are timestamped for the cost of one transaction. Proofs are
+ * served from the stored batch, and can be checked with verifyInclusion
+ * (merkleTree.js) or on-chain with SignatureVerifier.verifyInclusion.
+ *
+ * A batch that fails to anchor stays sealed and is retried on the next pass;
+ * a root the contract already has (e.g. the receipt was lost) is marked anchored
+ */
+
+const path = require('path');
+const { ethers } = require('ethers');
+const { SQLiteAnchorStore } = require('./anchorStore');
+const { hashLeaf, buildMerkleTree, getProof } = require('./merkleTree');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '../TX_Result_Store/anchors.db');
+
+const DEFAULTS = {
+    maxBatchSize: 10000,
+    interval: 60 * 1000, // Delay between anchoring passes
+    confirmations: 1,
+    treeCacheSize: 10 // Batches whose trees are kept in memory for proofs
+};
+
+// Only what the batcher calls on the contract
+const ANCHOR_ABI = [
+    'function anchorMerkleRoot(bytes32 root, uint256 leafCount)',
+    'function anchoredAt(bytes32 root) view returns (uint256)'
+];
+
+const badRequest = (text) => Object.assign(new Error(text), { status: 400 });
+
+class AnchorBatcher {
+    /**
+     * @param {Object} options - Batcher options
+     * @param {Object} options.store - SQLiteAnchorStore
+     * @param {Object} options.contract - SignatureVerifier connected to a signer (batches are only sealed without one)
+     * @param {number} options.maxBatchSize - Leaves per Merkle tree
+     * @param {number} options.interval - Delay between anchoring passes in ms (start)
+     * @param {number} options.confirmations - Blocks to wait for after anchorMerkleRoot
+     * @param {number} options.treeCacheSize - Trees kept in memory for proofs
+     */
+    constructor(options = {}) {
+        const { store, contract = null, ...config } = options;
+        if (!store) {
+            throw new Error('AnchorBatcher requires a store');
+        }
+        this.store = store;
+        this.contract = contract;
+        this.config = { ...DEFAULTS, ...config };
+        this.trees = new Map();
+        this.isRunning = false;
+        this.anchoring = null;
+        this.loop = null;
+        this.timer = null;
+        this.wake = null;
+        this.stats = { leavesAdded: 0, batchesSealed: 0, batchesAnchored: 0, failedAttempts: 0 };
+    }
+
+    /**
+     * Queue a signed message for the next batch
+     * @param {Object} params - Signed message
+     * @param {string} params.signer - Signer address
+     * @param {string} params.message - Signed message
+     * @param {string} params.signature - personal_sign signature of the message text (as submitSignature
+     *     expects) or of its keccak256 hash (as POST /sign produces)
+     * @returns {Promise<Object>} - { leaf, added } (added is false when the message was already queued)
+     * @throws {Error} - With status 400 when the signature does not match the signer
+     */
+    async add({ signer, message, signature } = {}) {
+        if (!ethers.isAddress(signer)) {
+            throw badRequest('Invalid signer address');
+        }
+        if (!message || typeof message !== 'string') {
+            throw badRequest('Invalid message');
+        }
+        if (!ethers.isHexString(signature, 65)) {
+            throw badRequest('Signature must be 65 bytes of 0x-prefixed hex');
+        }
+        let recovered;
+        try {
+            recovered = [message, ethers.getBytes(ethers.id(message))].map(signed => ethers.verifyMessage(signed, signature));
+        } catch (err) {
+            throw badRequest(`Invalid signature: ${err.shortMessage || err.message}`);
+        }
+        if (!recovered.includes(ethers.getAddress(signer))) {
+            throw badRequest('Signature does not match signer');
+        }
+
+        const entry = { signer: ethers.getAddress(signer), message, signature: signature.toLowerCase() };
+        const leaf = hashLeaf(entry);
+        const added = await this.store.addLeaves([{ ...entry, leaf }]) > 0;
+        if (added) {
+            this.stats.leavesAdded++;
+        }
+        return { leaf, added };
+    }
+
+    /**
+     * Seal pending leaves into one batch
+     * @returns {Promise<Object|null>} - The batch, null when nothing is pending
+     */
+    async seal() {
+        const pending = await this.store.pendingLeaves(this.config.maxBatchSize);
+        if (pending.length === 0) {
+            return null;
+        }
+        const leaves = pending.map(entry => entry.leaf);
+        const tree = buildMerkleTree(leaves);
+        const batch = await this.store.createBatch(tree.root, leaves);
+        this.cacheTree(tree.root, tree);
+        this.stats.batchesSealed++;
+        return batch;
+    }
+
+    /**
+     * Seal everything pending and anchor every sealed batch once
+     * Concurrent calls share one pass, so a root is never sent twice at once
+     * @returns {Promise<Object>} - { sealed, anchored, failed }
+     */
+    anchorPending() {
+        if (!this.anchoring) {
+            const done = () => { this.anchoring = null; };
+            this.anchoring = this.runAnchoring();
+            this.anchoring.then(done, done);
+        }
+        return this.anchoring;
+    }
+
+    async runAnchoring() {
+        const result = { sealed: 0, anchored: 0, failed: 0 };
+        while (await this.seal()) {
+            result.sealed++;
+        }
+        if (!this.contract) {
+            return result;
+        }
+        const sealed = await this.store.listBatches({ status: 'sealed' });
+        for (const batch of sealed.reverse()) {
+            const anchored = await this.anchor(batch);
+            result[anchored ? 'anchored' : 'failed']++;
+        }
+        return result;
+    }
+
+    /**
+     * Anchor one sealed batch and record the outcome
+     * @param {Object} batch - Stored batch
+     * @returns {Promise<boolean>} - Whether the root is anchored
+     */
+    async anchor(batch) {
+        try {
+            let update;
+            const anchoredAt = await this.contract.anchoredAt(batch.root);
+            if (anchoredAt > 0n) {
+                update = { anchoredAt: Number(anchoredAt) * 1000 };
+            } else {
+                const tx = await this.contract.anchorMerkleRoot(batch.root, batch.leafCount);
+                const receipt = await tx.wait(this.config.confirmations);
+                const block = await receipt.getBlock();
+                update = { transactionHash: receipt.hash, blockNumber: receipt.blockNumber, anchoredAt: block.timestamp * 1000 };
+            }
+            await this.store.updateBatch(batch.root, { ...update, status: 'anchored' });
+            this.stats.batchesAnchored++;
+            console.log(`[AnchorBatcher] Anchored ${batch.root} (${batch.leafCount} leaves)`);
+            return true;
+        } catch (error) {
+            const message = error.shortMessage || error.message;
+            await this.store.updateBatch(batch.root, { status: 'sealed', lastError: message });
+            this.stats.failedAttempts++;
+            console.error(`[AnchorBatcher] Anchoring ${batch.root} failed: ${message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Inclusion proof of a queued message
+     * @param {string} leaf - Leaf hash (returned by add)
+     * @returns {Promise<Object|null>} - { leaf, signer, message, signature, status, index, root, proof, batch }, null when unknown
+     */
+    async getProof(leaf) {
+        if (!ethers.isHexString(leaf, 32)) {
+            throw badRequest('Leaf must be a 32-byte hex string');
+        }
+        const entry = await this.store.getLeaf(leaf.toLowerCase());
+        if (!entry) {
+            return null;
+        }
+        const { signer, message, signature } = entry;
+        if (!entry.batchRoot) {
+            return { leaf: entry.leaf, signer, message, signature, status: 'pending', index: null, root: null, proof: null, batch: null };
+        }
+
+        const batch = await this.store.getBatch(entry.batchRoot);
+        let tree = this.trees.get(batch.root);
+        if (!tree) {
+            tree = buildMerkleTree(await this.store.batchLeaves(batch.root));
+            this.cacheTree(batch.root, tree);
+        }
+        return {
+            leaf: entry.leaf,
+            signer,
+            message,
+            signature,
+            status: batch.status,
+            index: entry.index,
+            root: batch.root,
+            proof: getProof(tree, entry.index),
+            batch
+        };
+    }
+
+    async getBatch(root) {
+        return ethers.isHexString(root, 32) ? this.store.getBatch(root.toLowerCase()) : null;
+    }
+
+    async listBatches(filter = {}) {
+        return this.store.listBatches(filter);
+    }
+
+    cacheTree(root, tree) {
+        this.trees.delete(root);
+        this.trees.set(root, tree);
+        if (this.trees.size > this.config.treeCacheSize) {
+            this.trees.delete(this.trees.keys().next().value);
+        }
+    }
+
+    /**
+     * Anchor pending leaves every interval until stopped
+     */
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+        this.isRunning = true;
+        this.loop = this.poll();
+    }
+
+    async poll() {
+        while (this.isRunning) {
+            await new Promise(resolve => {
+                this.wake = resolve;
+                this.timer = setTimeout(resolve, this.config.interval);
+            });
+            if (!this.isRunning) {
+                break;
+            }
+            try {
+                await this.anchorPending();
+            } catch (error) {
+                console.error('[AnchorBatcher] Anchoring pass failed:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Stop polling and wait for the current pass to finish
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.isRunning = false;
+        clearTimeout(this.timer);
+        if (this.wake) {
+            this.wake();
+        }
+        await this.loop;
+    }
+
+    async getStats() {
+        return {
+            ...this.stats,
+            pendingLeaves: await this.store.countPendingLeaves(),
+            canAnchor: Boolean(this.contract),
+            isRunning: this.isRunning
+        };
+    }
+}
+
+/**
+ * Create a batcher from connection options
+ * @param {Object} options - Batcher options
+ * @param {Object} options.store - SQLiteAnchorStore (opened at dbPath when omitted)
+ * @param {string} options.dbPath - SQLite file (default TX_Result_Store/anchors.db)
+ * @param {string} options.contractAddress - SignatureVerifier address
+ * @param {Object} options.runner - Ethers signer sending anchorMerkleRoot (built from privateKey and rpcUrl when omitted)
+ * @param {string} options.rpcUrl - JSON-RPC URL
+ * @param {string} options.privateKey - Key paying for anchoring transactions
+ * @returns {Object} - AnchorBatcher (only sealing batches without a contract address and key)
+ */
+function createAnchorBatcher(options = {}) {
+    const { dbPath = DEFAULT_DB_PATH, contractAddress, rpcUrl, privateKey, store: givenStore, runner: givenRunner, ...config } = options;
+    const store = givenStore || new SQLiteAnchorStore(dbPath);
+    let runner = givenRunner || null;
+    if (!runner && privateKey && rpcUrl) {
+        runner = new ethers.Wallet(privateKey, new ethers.JsonRpcProvider(rpcUrl));
+    }
+    if (contractAddress && !ethers.isAddress(contractAddress)) {
+        throw new Error(`Invalid contract address: ${contractAddress}`);
+    }
+    const contract = contractAddress && runner ? new ethers.Contract(contractAddress, ANCHOR_ABI, runner) : null;
+    return new AnchorBatcher({ ...config, store, contract });
+}
+
+module.exports = {
+    AnchorBatcher,
+    createAnchorBatcher,
+    ANCHOR_ABI
+};
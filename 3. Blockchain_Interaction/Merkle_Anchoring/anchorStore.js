@@ -0,0 +1,249 @@
+/**
+ * Anchor Store for Merkle-batched signatures
+ * SQLite storage used by AnchorBatcher: signed messages waiting for a batch,
+ * and the batches (Merkle roots) they were sealed into. A leaf belongs to at
+ * most one batch, and sealing a batch is written in one transaction, so the
+ * tree of a batch can always be rebuilt from its leaves to serve proofs
+ */
+
+const sqlite3 = require('sqlite3');
+
+// The backend and a standalone anchoring process may share the database file
+const BUSY_TIMEOUT = 5000;
+
+class SQLiteAnchorStore {
+    /**
+     * @param {string} dbPath - SQLite database file (':memory:' for tests)
+     */
+    constructor(dbPath) {
+        this.dbPath = dbPath;
+        this.db = null;
+        this.ready = null;
+        this.writes = Promise.resolve();
+    }
+
+    init() {
+        if (!this.ready) {
+            this.ready = new Promise((resolve, reject) => {
+                this.db = new sqlite3.Database(this.dbPath, err => (err ? reject(err) : resolve()));
+                this.db.serialize();
+                this.db.configure('busyTimeout', BUSY_TIMEOUT);
+            }).then(() => this.run(`CREATE TABLE IF NOT EXISTS anchor_batches (
+                root TEXT PRIMARY KEY,
+                leaf_count INTEGER NOT NULL,
+                status TEXT NOT NULL,
+                transaction_hash TEXT,
+                block_number INTEGER,
+                last_error TEXT,
+                created_at INTEGER NOT NULL,
+                anchored_at INTEGER
+            )`)).then(() => this.run(`CREATE TABLE IF NOT EXISTS anchor_leaves (
+                leaf TEXT PRIMARY KEY,
+                signer TEXT NOT NULL,
+                message TEXT NOT NULL,
+                signature TEXT NOT NULL,
+                batch_root TEXT,
+                leaf_index INTEGER,
+                created_at INTEGER NOT NULL
+            )`)).then(() => this.run(
+                'CREATE INDEX IF NOT EXISTS idx_anchor_leaves_batch ON anchor_leaves (batch_root, leaf_index)'
+            ));
+        }
+        return this.ready;
+    }
+
+    /**
+     * Add signed messages waiting for a batch; a leaf already stored is skipped
+     * @param {Array<Object>} leaves - { leaf, signer, message, signature }
+     * @returns {Promise<number>} - Number of leaves added
+     */
+    async addLeaves(leaves) {
+        await this.init();
+        let added = 0;
+        for (const leaf of leaves) {
+            added += await this.run(
+                'INSERT OR IGNORE INTO anchor_leaves (leaf, signer, message, signature, created_at) VALUES (?, ?, ?, ?, ?)',
+                [leaf.leaf, leaf.signer, leaf.message, leaf.signature, Date.now()]
+            );
+        }
+        return added;
+    }
+
+    /**
+     * Leaves not sealed into a batch yet, oldest first
+     * @param {number} limit - Maximum number of leaves
+     * @returns {Promise<Array<Object>>} - Leaves
+     */
+    async pendingLeaves(limit) {
+        await this.init();
+        const rows = await this.all('SELECT * FROM anchor_leaves WHERE batch_root IS NULL ORDER BY rowid LIMIT ?', [limit]);
+        return rows.map(row => this.leafFromRow(row));
+    }
+
+    async countPendingLeaves() {
+        await this.init();
+        const rows = await this.all('SELECT COUNT(*) AS count FROM anchor_leaves WHERE batch_root IS NULL');
+        return rows[0].count;
+    }
+
+    async getLeaf(leaf) {
+        await this.init();
+        const rows = await this.all('SELECT * FROM anchor_leaves WHERE leaf = ?', [leaf]);
+        return rows.length ? this.leafFromRow(rows[0]) : null;
+    }
+
+    /**
+     * Leaf hashes of a batch in tree order
+     * @param {string} root - Batch root
+     * @returns {Promise<Array<string>>} - Leaf hashes
+     */
+    async batchLeaves(root) {
+        await this.init();
+        const rows = await this.all('SELECT leaf FROM anchor_leaves WHERE batch_root = ? ORDER BY leaf_index', [root]);
+        return rows.map(row => row.leaf);
+    }
+
+    /**
+     * Seal leaves into a batch
+     * @param {string} root - Merkle root of the leaves
+     * @param {Array<string>} leaves - Leaf hashes in tree order
+     * @returns {Promise<Object>} - The batch
+     */
+    async createBatch(root, leaves) {
+        await this.init();
+        await this.transaction([
+            ["INSERT INTO anchor_batches (root, leaf_count, status, created_at) VALUES (?, ?, 'sealed', ?)",
+                [root, leaves.length, Date.now()]],
+            ...leaves.map((leaf, index) => [
+                'UPDATE anchor_leaves SET batch_root = ?, leaf_index = ? WHERE leaf = ? AND batch_root IS NULL',
+                [root, index, leaf]
+            ])
+        ]);
+        return this.getBatch(root);
+    }
+
+    async getBatch(root) {
+        await this.init();
+        const rows = await this.all('SELECT * FROM anchor_batches WHERE root = ?', [root]);
+        return rows.length ? this.batchFromRow(rows[0]) : null;
+    }
+
+    /**
+     * List batches, newest first
+     * @param {Object} filter - { status, limit }
+     * @returns {Promise<Array<Object>>} - Batches
+     */
+    async listBatches(filter = {}) {
+        await this.init();
+        const params = [];
+        let sql = 'SELECT * FROM anchor_batches';
+        if (filter.status) {
+            sql += ' WHERE status = ?';
+            params.push(filter.status);
+        }
+        sql += ' ORDER BY created_at DESC, rowid DESC';
+        if (filter.limit) {
+            sql += ' LIMIT ?';
+            params.push(filter.limit);
+        }
+        const rows = await this.all(sql, params);
+        return rows.map(row => this.batchFromRow(row));
+    }
+
+    /**
+     * Record the outcome of an anchoring attempt
+     * @param {string} root - Batch root
+     * @param {Object} update - { status, transactionHash, blockNumber, anchoredAt, lastError }
+     * @returns {Promise<void>}
+     */
+    async updateBatch(root, update) {
+        await this.init();
+        await this.run(`UPDATE anchor_batches SET status = ?, transaction_hash = ?, block_number = ?, anchored_at = ?,
+                last_error = ? WHERE root = ?`, [
+            update.status,
+            update.transactionHash || null,
+            update.blockNumber === undefined ? null : update.blockNumber,
+            update.anchoredAt || null,
+            update.lastError || null,
+            root
+        ]);
+    }
+
+    async close() {
+        if (!this.ready) {
+            return;
+        }
+        await this.ready;
+        await this.writes;
+        await new Promise((resolve, reject) => this.db.close(err => (err ? reject(err) : resolve())));
+        this.ready = null;
+    }
+
+    leafFromRow(row) {
+        return {
+            leaf: row.leaf,
+            signer: row.signer,
+            message: row.message,
+            signature: row.signature,
+            batchRoot: row.batch_root,
+            index: row.leaf_index,
+            createdAt: row.created_at
+        };
+    }
+
+    batchFromRow(row) {
+        return {
+            root: row.root,
+            leafCount: row.leaf_count,
+            status: row.status,
+            transactionHash: row.transaction_hash,
+            blockNumber: row.block_number,
+            lastError: row.last_error,
+            createdAt: row.created_at,
+            anchoredAt: row.anchored_at
+        };
+    }
+
+    /**
+     * Run statements in one transaction after any queued transaction
+     * @param {Array<Array>} statements - [sql, params] pairs
+     * @returns {Promise<void>}
+     */
+    transaction(statements) {
+        const write = this.writes.then(async () => {
+            await this.run('BEGIN IMMEDIATE');
+            try {
+                for (const [sql, params] of statements) {
+                    await this.run(sql, params);
+                }
+                await this.run('COMMIT');
+            } catch (error) {
+                await this.run('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        });
+        this.writes = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * @returns {Promise<number>} - Number of rows changed
+     */
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                return err ? reject(err) : resolve(this.changes);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+    }
+}
+
+module.exports = {
+    SQLiteAnchorStore
+};
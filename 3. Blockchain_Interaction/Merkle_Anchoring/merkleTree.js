@@ -0,0 +1,104 @@
+/**
+ * Merkle trees of signed messages
+ * Builds the trees whose roots SignatureVerifier.anchorMerkleRoot anchors and
+ * checks inclusion proofs the same way as SignatureVerifier.verifyInclusion
+ * (OpenZeppelin MerkleProof): pairs are hashed in sorted order, so a proof is
+ * just the sibling hashes from the leaf up to the root. A node without a
+ * sibling moves up a level unchanged
+ */
+
+const { ethers } = require('ethers');
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Leaf of a signed message (SignatureVerifier.getAnchorLeaf)
+ * @param {Object} params - Signed message
+ * @param {string} params.signer - Signer address
+ * @param {string} params.message - Signed message
+ * @param {string} params.signature - personal_sign signature
+ * @returns {string} - Leaf hash
+ */
+function hashLeaf({ signer, message, signature }) {
+    const encoded = abiCoder.encode(
+        ['address', 'bytes32', 'bytes32'],
+        [signer, ethers.id(message), ethers.keccak256(signature)]
+    );
+    return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+/**
+ * Hash two nodes in sorted order
+ * @param {string} a - Node hash
+ * @param {string} b - Node hash
+ * @returns {string} - Parent hash
+ */
+function hashPair(a, b) {
+    return BigInt(a) < BigInt(b) ? ethers.keccak256(ethers.concat([a, b])) : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build a tree
+ * @param {Array<string>} leaves - Leaf hashes, in batch order
+ * @returns {Object} - { root, layers } (layers[0] are the leaves, the last layer is [root])
+ */
+function buildMerkleTree(leaves) {
+    if (!Array.isArray(leaves) || leaves.length === 0) {
+        throw new Error('Cannot build a Merkle tree without leaves');
+    }
+    const layers = [leaves.map(leaf => ethers.hexlify(leaf))];
+    while (layers[layers.length - 1].length > 1) {
+        const layer = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        layers.push(next);
+    }
+    return { root: layers[layers.length - 1][0], layers };
+}
+
+/**
+ * Inclusion proof of one leaf
+ * @param {Object} tree - Result of buildMerkleTree
+ * @param {number} index - Leaf index
+ * @returns {Array<string>} - Sibling hashes from the leaf up to the root
+ */
+function getProof(tree, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= tree.layers[0].length) {
+        throw new Error(`Leaf index out of range: ${index}`);
+    }
+    const proof = [];
+    for (const layer of tree.layers.slice(0, -1)) {
+        const sibling = index % 2 === 0 ? index + 1 : index - 1;
+        if (sibling < layer.length) {
+            proof.push(layer[sibling]);
+        }
+        index = Math.floor(index / 2);
+    }
+    return proof;
+}
+
+/**
+ * Check an inclusion proof (SignatureVerifier.verifyInclusion)
+ * @param {string} root - Merkle root
+ * @param {string} leaf - Leaf hash
+ * @param {Array<string>} proof - Sibling hashes from the leaf up to the root
+ * @returns {boolean} - Whether the proof leads from the leaf to the root
+ */
+function verifyInclusion(root, leaf, proof) {
+    if (!ethers.isHexString(root, 32) || !ethers.isHexString(leaf, 32) || !Array.isArray(proof)
+        || !proof.every(node => ethers.isHexString(node, 32))) {
+        return false;
+    }
+    const computed = proof.reduce((node, sibling) => hashPair(node, sibling), leaf);
+    return computed.toLowerCase() === root.toLowerCase();
+}
+
+module.exports = {
+    hashLeaf,
+    hashPair,
+    buildMerkleTree,
+    getProof,
+    verifyInclusion
+};
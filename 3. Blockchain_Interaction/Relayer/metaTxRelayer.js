@@ -0,0 +1,508 @@
+/**
+ * Meta-transaction Relayer for gasless submissions
+ * Users without ETH sign an ERC-2771 ForwardRequest (EIP-712) for a
+ * SignatureVerifier call; the relayer checks it against the RelayPolicy and
+ * the SignatureVerifierForwarder, simulates the call, then pays the gas of
+ * forwarder.execute with its own key (held by a ChainClient, on either chain
+ * library). The contract sees the user, not the relayer, as the caller.
+ *
+ * Every relay is stored (SQLiteRelayStore) before it is broadcast and tracked
+ * to its receipt through ReceiptProcessor; relays still being tracked when the
+ * process stopped are picked up again by recover
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { createChainClient, CODES } = require('../../5. Tools/JS/Chain/chainClient');
+const { RelayPolicy } = require('./relayPolicy');
+const { SQLiteRelayStore } = require('./relayStore');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '../TX_Result_Store/relays.db');
+
+const DEFAULTS = {
+    confirmations: 1,
+    receiptTimeout: 120 * 1000, // Per attempt to get a receipt
+    ttl: 600 // Seconds a built forward request stays valid
+};
+
+// lastError of a relay whose transaction did not succeed, by ReceiptProcessor status
+const FAILURES = {
+    FAILED: 'Transaction reverted',
+    CANCELLED: 'Transaction cancelled',
+    DROPPED: 'Transaction dropped'
+};
+
+// Name the forwarder is loaded under in the chain client
+const FORWARDER_NAME = 'SignatureVerifierForwarder';
+
+// OpenZeppelin ERC2771Forwarder (what the relayer calls and reads)
+const FORWARDER_ABI = [
+    'function execute((address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) payable',
+    'function verify((address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) view returns (bool)',
+    'function nonces(address owner) view returns (uint256)',
+    'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+];
+
+// SignatureVerifier methods a forward request may call (the policy narrows them down)
+const RELAY_ABI = [
+    'function submitSignature(string message, bytes signature, address signer) returns (bool isValid)',
+    'function submitEnvelope(string message, uint256 nonce, uint256 deadline, bytes signature, address signer) returns (bool isValid)',
+    'function anchorMerkleRoot(bytes32 root, uint256 leafCount)'
+];
+
+// EIP-712 type users sign (ERC2771Forwarder's _FORWARD_REQUEST_TYPEHASH)
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'gas', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint48' },
+        { name: 'data', type: 'bytes' }
+    ]
+};
+
+const withStatus = (text, status) => Object.assign(new Error(text), { status });
+const badRequest = (text) => withStatus(text, 400);
+
+function parseUint(value, name) {
+    if (typeof value === 'bigint' ? value < 0n : typeof value === 'number' ? !Number.isSafeInteger(value) || value < 0 : !/^\d+$/.test(String(value))) {
+        throw badRequest(`${name} must be a non-negative integer`);
+    }
+    return BigInt(value);
+}
+
+class MetaTxRelayer {
+    /**
+     * @param {Object} options - Relayer options
+     * @param {Object} options.chain - ChainClient holding the relayer key (initialized on first use when it has no signer)
+     * @param {string} options.network - Network to initialize the client on (default: chain.defaultNetwork)
+     * @param {string} options.privateKey - Relayer key, used to initialize the client
+     * @param {string} options.forwarderAddress - SignatureVerifierForwarder address
+     * @param {Object} options.policy - RelayPolicy
+     * @param {Object} options.store - SQLiteRelayStore
+     * @param {Object} options.receiptProcessor - ReceiptProcessor tracking relayed transactions (default: the one
+     *   the chain client's nonce manager reports replacements to)
+     * @param {number} options.confirmations - Blocks to wait for before a relay is confirmed
+     * @param {number} options.receiptTimeout - Time allowed per attempt to get a receipt, in ms
+     * @param {number} options.ttl - Lifetime of built forward requests in seconds
+     */
+    constructor(options = {}) {
+        const { chain, network, privateKey, forwarderAddress, policy, store, receiptProcessor, ...config } = options;
+        if (!chain || !policy || !store) {
+            throw new Error('MetaTxRelayer requires a chain client, a policy and a store');
+        }
+        if (!ethers.isAddress(forwarderAddress)) {
+            throw new Error(`Invalid forwarder address: ${forwarderAddress}`);
+        }
+        this.chain = chain;
+        this.network = network || chain.defaultNetwork;
+        this.privateKey = privateKey || null;
+        this.forwarderAddress = ethers.getAddress(forwarderAddress);
+        this.policy = policy;
+        this.store = store;
+        this.config = { ...DEFAULTS, ...Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined)) };
+        this.receipts = receiptProcessor || chain.nonces.receipts;
+        this.ready = null;
+        this.tracking = new Map();
+        this.stats = { relayed: 0, confirmed: 0, failed: 0, rejected: 0 };
+    }
+
+    /**
+     * Connect the relayer key and load the forwarder (once)
+     * @returns {Promise<void>}
+     * @throws {Error} - With status 503 when the relayer cannot connect
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = (async () => {
+                if (!this.chain.signer) {
+                    await this.chain.initialize(this.network, this.privateKey);
+                }
+                this.chain.loadContract(FORWARDER_NAME, this.forwarderAddress, FORWARDER_ABI);
+            })().catch(err => {
+                this.ready = null;
+                throw withStatus(`Relayer unavailable: ${err.message}`, 503);
+            });
+        }
+        return this.ready;
+    }
+
+    /**
+     * Build the ForwardRequest typed data a user signs for one SignatureVerifier call
+     * @param {Object} params - Request parameters
+     * @param {string} params.from - User address (the signer of the request)
+     * @param {string} params.method - SignatureVerifier method
+     * @param {Array} params.args - Method arguments
+     * @param {number|string} params.gas - Gas forwarded to the call (estimated when omitted)
+     * @param {number} params.ttl - Lifetime in seconds (default: config.ttl)
+     * @returns {Promise<Object>} - { domain, types, value } for signTypedData
+     * @throws {Error} - With status 400/403 when the call is malformed or not allowed
+     */
+    async buildRequest({ from, method, args, gas, ttl = this.config.ttl } = {}) {
+        if (!ethers.isAddress(from)) {
+            throw badRequest('Invalid from address');
+        }
+        if (!Array.isArray(args)) {
+            throw badRequest('args must be an array');
+        }
+        await this.init();
+        let data;
+        try {
+            data = this.policy.contractInterface.encodeFunctionData(method, args);
+        } catch (err) {
+            throw badRequest(`Invalid call: ${err.shortMessage || err.message}`);
+        }
+        this.policy.methodOf(data);
+
+        const sender = ethers.getAddress(from);
+        const call = { from: sender, to: this.policy.contractAddress, data };
+        const forwardedGas = gas !== undefined
+            ? parseUint(gas, 'gas')
+            : await this.estimateCall(call);
+        const value = {
+            ...call,
+            value: 0n,
+            gas: forwardedGas,
+            nonce: await this.forwarderCall('nonces', [sender]),
+            deadline: BigInt(Math.floor(Date.now() / 1000) + parseInt(ttl, 10)),
+            data
+        };
+        this.policy.check(value);
+        return { domain: await this.getDomain(), types: FORWARD_REQUEST_TYPES, value };
+    }
+
+    /**
+     * Relay a signed forward request
+     * @param {Object} params - Relay parameters
+     * @param {Object} params.request - { from, to, value, gas, deadline, data } (as signed; nonce is read from the forwarder)
+     * @param {string} params.signature - EIP-712 signature of the ForwardRequest by request.from
+     * @param {string} params.user - Address of the logged-in user asking for the relay; request.from must be it,
+     *   and the quota is counted against it
+     * @returns {Promise<Object>} - Stored relay ({ id, status: 'submitted', transactionHash, ... })
+     * @throws {Error} - With status 400 (invalid), 401 (no user), 403 (policy, or another user's request),
+     *   409 (already relayed), 429 (quota or total budget), 502 (broadcast failed)
+     */
+    async relay({ request, signature, user } = {}) {
+        if (!ethers.isAddress(user)) {
+            throw withStatus('Relaying requires a logged-in user', 401);
+        }
+        const requestData = this.parseRequest(request, signature);
+        const sender = ethers.getAddress(user);
+        if (requestData.from !== sender) {
+            throw withStatus(`Forward request is from ${requestData.from}, not the logged-in user ${sender}`, 403);
+        }
+        const { method } = this.policy.check(requestData);
+        await this.init();
+
+        if (!await this.forwarderCall('verify', [requestData])) {
+            throw badRequest('Forward request signature, nonce or target is not accepted by the forwarder');
+        }
+        await this.simulate(requestData);
+
+        const nonce = await this.forwarderCall('nonces', [requestData.from]);
+        const id = crypto.randomUUID();
+        const limit = this.policy.quotaFor(sender);
+        const total = this.policy.totalQuota();
+        const since = this.policy.windowStart();
+        const reserved = await this.store.reserve(
+            { id, sender, method, target: requestData.to, forwardNonce: nonce.toString() },
+            { limit, since, total }
+        );
+        if (!reserved) {
+            const seconds = this.policy.config.window / 1000;
+            if ((await this.store.countSince(sender, since)).used < limit) {
+                throw withStatus(`Relay budget exhausted: ${total} transaction(s) for all users per ${seconds}s`, 429);
+            }
+            throw withStatus(`Relay quota exceeded: ${limit} transaction(s) per ${seconds}s`, 429);
+        }
+
+        let tx;
+        try {
+            tx = await this.send(requestData);
+        } catch (err) {
+            const message = err.message;
+            await this.store.update(id, { status: 'rejected', lastError: message });
+            this.stats.rejected++;
+            console.error(`[MetaTxRelayer] Relay ${id} not sent: ${message}`);
+            throw withStatus(`Relay failed: ${message}`, 502);
+        }
+        await this.store.update(id, { status: 'submitted', transactionHash: tx.hash });
+        this.stats.relayed++;
+        console.log(`[MetaTxRelayer] Relayed ${method} for ${requestData.from}: ${tx.hash}`);
+        this.track(id, tx.hash);
+        return this.store.get(id);
+    }
+
+    /**
+     * Validate a forward request and put it in the forwarder's ForwardRequestData form
+     * @param {Object} request - Signed request
+     * @param {string} signature - EIP-712 signature
+     * @returns {Object} - { from, to, value, gas, deadline, data, signature }
+     */
+    parseRequest(request, signature) {
+        if (!request || typeof request !== 'object') {
+            throw badRequest('request must be a forward request object');
+        }
+        const { from, to, data } = request;
+        if (!ethers.isAddress(from) || !ethers.isAddress(to)) {
+            throw badRequest('request.from and request.to must be addresses');
+        }
+        if (!ethers.isHexString(data)) {
+            throw badRequest('request.data must be 0x-prefixed hex');
+        }
+        if (!ethers.isHexString(signature, 65)) {
+            throw badRequest('Signature must be 65 bytes of 0x-prefixed hex');
+        }
+        return {
+            from: ethers.getAddress(from),
+            to: ethers.getAddress(to),
+            value: parseUint(request.value === undefined ? 0 : request.value, 'request.value'),
+            gas: parseUint(request.gas, 'request.gas'),
+            deadline: parseUint(request.deadline, 'request.deadline'),
+            data,
+            signature
+        };
+    }
+
+    /**
+     * Run the call as the forwarder would (ERC-2771 appends the sender) so a
+     * reverting call is refused before the relayer pays for it
+     * @param {Object} request - { from, to, data }
+     * @throws {Error} - With status 400 carrying the revert reason
+     */
+    async simulate({ from, to, data }) {
+        try {
+            await this.chain.call(this.forwardedCall({ from, to, data }));
+        } catch (err) {
+            throw this.callError(err);
+        }
+    }
+
+    async estimateCall(call) {
+        let estimate;
+        try {
+            estimate = await this.chain.estimateTransactionGas(this.forwardedCall(call));
+        } catch (err) {
+            throw this.callError(err);
+        }
+        return BigInt(Math.ceil(Number(estimate) * this.chain.gasLimitBuffer));
+    }
+
+    // A revert is the request's fault (400), anything else the node's (502)
+    callError(err) {
+        if (err.code === CODES.CALL_REVERTED) {
+            return badRequest(`Relayed call would revert: ${err.reason || err.message}`);
+        }
+        return withStatus(`Contract call failed: ${err.message}`, 502);
+    }
+
+    async forwarderCall(method, args = []) {
+        try {
+            return await this.chain.callMethod(FORWARDER_NAME, method, args);
+        } catch (err) {
+            throw withStatus(`Forwarder call failed: ${err.message}`, 502);
+        }
+    }
+
+    forwardedCall({ from, to, data }) {
+        return { from: this.forwarderAddress, to, data: ethers.concat([data, from]) };
+    }
+
+    /**
+     * Broadcast forwarder.execute; the chain client's nonce manager keeps the relayer key's nonces in order
+     * @returns {Promise<Object>} - Sent transaction ({ hash, nonce, ... })
+     */
+    send(requestData) {
+        return this.chain.submitTransaction(FORWARDER_NAME, 'execute', [requestData]);
+    }
+
+    /**
+     * Follow a relayed transaction to its receipt and record the outcome
+     * A replacement the nonce manager sent becomes the relay's transactionHash; a
+     * cancelled or dropped transaction fails the relay. A receipt that cannot be
+     * fetched leaves the relay submitted (with lastError) for recover
+     * @param {string} id - Relay id
+     * @param {string} txHash - Transaction hash
+     * @returns {Promise<void>}
+     */
+    track(id, txHash) {
+        if (this.tracking.has(id)) {
+            return this.tracking.get(id);
+        }
+        const tracked = this.receipts.processReceipt(txHash, this.chain, {
+            confirmationBlocks: this.config.confirmations,
+            timeout: this.config.receiptTimeout
+        }).then(async receipt => {
+            const confirmed = receipt.status === 'SUCCESS';
+            await this.store.update(id, {
+                status: confirmed ? 'confirmed' : 'failed',
+                transactionHash: receipt.replacedBy,
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed,
+                lastError: confirmed ? null : FAILURES[receipt.status] || FAILURES.FAILED
+            });
+            this.stats[confirmed ? 'confirmed' : 'failed']++;
+        }, async error => {
+            if (error.code === CODES.DROPPED) {
+                await this.store.update(id, { status: 'failed', lastError: error.message });
+                this.stats.failed++;
+                return;
+            }
+            await this.store.update(id, { status: 'submitted', lastError: error.message });
+            console.error(`[MetaTxRelayer] Tracking ${txHash} failed: ${error.message}`);
+        }).catch(error => {
+            console.error(`[MetaTxRelayer] Recording relay ${id} failed: ${error.message}`);
+        }).finally(() => {
+            this.tracking.delete(id);
+        });
+        this.tracking.set(id, tracked);
+        return tracked;
+    }
+
+    /**
+     * Resume tracking relays left by a previous run
+     * Reserved relays that never got a transaction hash are released (rejected)
+     * @returns {Promise<number>} - Relays being tracked again
+     */
+    async recover() {
+        for (const relay of await this.store.listByStatus('pending')) {
+            await this.store.update(relay.id, { status: 'rejected', lastError: 'Interrupted before broadcast' });
+        }
+        const submitted = await this.store.listByStatus('submitted');
+        if (submitted.length > 0) {
+            await this.init();
+            submitted.forEach(relay => this.track(relay.id, relay.transactionHash));
+        }
+        return submitted.length;
+    }
+
+    async getRelay(id) {
+        return typeof id === 'string' && id.length <= 64 ? this.store.get(id) : null;
+    }
+
+    /**
+     * Quota use of an address in the current window
+     * @param {string} address - User address
+     * @returns {Promise<Object>} - { address, limit, used, remaining, window, resetsAt }
+     *   (remaining is also capped by what is left of the total budget)
+     */
+    async getQuota(address) {
+        if (!ethers.isAddress(address)) {
+            throw badRequest('Invalid address');
+        }
+        const sender = ethers.getAddress(address);
+        const limit = this.policy.quotaFor(sender);
+        const since = this.policy.windowStart();
+        const { used, oldest } = await this.store.countSince(sender, since);
+        const total = this.policy.totalQuota();
+        let remaining = Math.max(limit - used, 0);
+        if (total !== null) {
+            remaining = Math.min(remaining, Math.max(total - (await this.store.countSince(null, since)).used, 0));
+        }
+        return {
+            address: sender,
+            limit,
+            used,
+            remaining,
+            window: this.policy.config.window,
+            resetsAt: oldest === null ? null : oldest + this.policy.config.window
+        };
+    }
+
+    async getDomain() {
+        await this.init();
+        const [, name, version, chainId, verifyingContract] = await this.forwarderCall('eip712Domain');
+        return { name, version, chainId, verifyingContract };
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            tracking: this.tracking.size,
+            forwarder: this.forwarderAddress,
+            policy: this.policy.describe()
+        };
+    }
+
+    /**
+     * Wait for tracked relays and close the store
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await Promise.all(this.tracking.values());
+        await this.store.close();
+    }
+}
+
+/**
+ * JSON-safe form of ForwardRequest typed data (integers as decimal strings)
+ * @param {Object} typedData - Typed data returned by buildRequest
+ * @returns {Object} - { domain, types, value }
+ */
+function serializeForwardRequest({ domain, types, value }) {
+    return {
+        domain: { ...domain, chainId: domain.chainId.toString() },
+        types,
+        value: {
+            ...value,
+            value: value.value.toString(),
+            gas: value.gas.toString(),
+            nonce: value.nonce.toString(),
+            deadline: value.deadline.toString()
+        }
+    };
+}
+
+/**
+ * Create a relayer from connection options
+ * @param {Object} options - Relayer options (see MetaTxRelayer and RelayPolicy)
+ * @param {string} options.contractAddress - SignatureVerifier address
+ * @param {string} options.forwarderAddress - SignatureVerifierForwarder address
+ * @param {string} options.rpcUrl - JSON-RPC URL of the network
+ * @param {string} options.network - Network name from hardhat.config.js (default 'sepolia')
+ * @param {string} options.privateKey - Relayer key paying for the transactions
+ * @param {string} options.library - Chain library, 'ethers' or 'web3' (default: CHAIN_LIBRARY, else ethers)
+ * @param {Object} options.chain - ChainClient with the relayer key already connected (overrides rpcUrl, privateKey and library)
+ * @param {Object} options.store - SQLiteRelayStore (opened at dbPath when omitted)
+ * @param {string} options.dbPath - SQLite file (default TX_Result_Store/relays.db)
+ * @returns {Object} - MetaTxRelayer
+ */
+function createRelayer(options = {}) {
+    const {
+        contractAddress, forwarderAddress, rpcUrl, network = 'sepolia', privateKey,
+        dbPath = DEFAULT_DB_PATH, store: givenStore, chain: givenChain, library,
+        allowedMethods, quota, quotas, totalQuota, window, maxGas, ...config
+    } = options;
+    const policy = new RelayPolicy({
+        contractAddress,
+        contractInterface: new ethers.Interface(RELAY_ABI),
+        allowedMethods,
+        quota,
+        quotas,
+        totalQuota,
+        window,
+        maxGas
+    });
+    const chain = givenChain || createChainClient({ library, defaultNetwork: network, rpcUrls: { [network]: rpcUrl } });
+    return new MetaTxRelayer({
+        ...config,
+        chain,
+        network,
+        privateKey,
+        forwarderAddress,
+        policy,
+        store: givenStore || new SQLiteRelayStore(dbPath)
+    });
+}
+
+module.exports = {
+    MetaTxRelayer,
+    createRelayer,
+    serializeForwardRequest,
+    FORWARDER_ABI,
+    RELAY_ABI,
+    FORWARD_REQUEST_TYPES
+};
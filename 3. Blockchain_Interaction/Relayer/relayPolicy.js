@@ -0,0 +1,140 @@
+/**
+ * Relay Policy for gasless submissions
+ * Decides which forward requests the relayer pays for: only calls to the
+ * SignatureVerifier, without value, to an allowed method, within a gas cap and
+ * before their deadline. Each user (the logged-in user, which the request's
+ * `from` must be) may have a limited number of relayed transactions per
+ * window, and all users together at most totalQuota, which bounds the gas paid
+ * however many accounts are registered; the relayer counts them in its store
+ * and asks the policy for the limits
+ */
+
+const { ethers } = require('ethers');
+
+const DEFAULTS = {
+    allowedMethods: ['submitSignature', 'submitEnvelope'],
+    quota: 10, // Relayed transactions per user and window
+    totalQuota: 100, // Relayed transactions of all users per window (null for no limit)
+    window: 24 * 60 * 60 * 1000,
+    maxGas: 500000 // Gas a request may forward to the SignatureVerifier
+};
+
+const badRequest = (text) => Object.assign(new Error(text), { status: 400 });
+const forbidden = (text) => Object.assign(new Error(text), { status: 403 });
+
+class RelayPolicy {
+    /**
+     * @param {Object} options - Policy options
+     * @param {string} options.contractAddress - SignatureVerifier, the only target relayed to
+     * @param {Object} options.contractInterface - Ethers Interface of the SignatureVerifier (decodes the method)
+     * @param {Array<string>} options.allowedMethods - SignatureVerifier methods users may call through the relayer
+     * @param {number} options.quota - Relayed transactions per user and window
+     * @param {Object} options.quotas - Per-address limits overriding quota (0 blocks an address)
+     * @param {number|null} options.totalQuota - Relayed transactions of all users per window (null for no limit)
+     * @param {number} options.window - Quota window in ms
+     * @param {number} options.maxGas - Largest gas a request may forward
+     */
+    constructor(options = {}) {
+        const { contractAddress, contractInterface, quotas = {}, ...config } = options;
+        if (!ethers.isAddress(contractAddress)) {
+            throw new Error(`Invalid contract address: ${contractAddress}`);
+        }
+        if (!contractInterface) {
+            throw new Error('RelayPolicy requires the contract interface');
+        }
+        this.contractAddress = ethers.getAddress(contractAddress);
+        this.contractInterface = contractInterface;
+        this.config = { ...DEFAULTS, ...Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined)) };
+        for (const method of this.config.allowedMethods) {
+            if (!contractInterface.getFunction(method)) {
+                throw new Error(`Unknown contract method: ${method}`);
+            }
+        }
+        this.quotas = new Map(Object.entries(quotas).map(([address, limit]) => [ethers.getAddress(address), limit]));
+    }
+
+    /**
+     * Check a forward request against the policy
+     * @param {Object} request - { from, to, value, gas, deadline, data } (value, gas and deadline as bigints)
+     * @returns {Object} - { method } the request calls
+     * @throws {Error} - With status 400 for malformed or expired requests, 403 for requests the policy refuses
+     */
+    check({ to, value, gas, deadline, data }) {
+        if (ethers.getAddress(to) !== this.contractAddress) {
+            throw forbidden('Only SignatureVerifier calls are relayed');
+        }
+        if (value !== 0n) {
+            throw forbidden('Relayed calls cannot send value');
+        }
+        if (gas > BigInt(this.config.maxGas)) {
+            throw forbidden(`Requested gas exceeds the relay limit of ${this.config.maxGas}`);
+        }
+        if (deadline <= BigInt(Math.floor(Date.now() / 1000))) {
+            throw badRequest('Forward request deadline has passed');
+        }
+        return { method: this.methodOf(data) };
+    }
+
+    /**
+     * Name of the allowed method a call runs
+     * @param {string} data - Calldata
+     * @returns {string} - Method name
+     * @throws {Error} - With status 400 when the calldata cannot be decoded, 403 when the method is not allowed
+     */
+    methodOf(data) {
+        let call;
+        try {
+            call = this.contractInterface.parseTransaction({ data });
+        } catch (err) {
+            call = null;
+        }
+        if (!call) {
+            throw badRequest('Calldata does not match a SignatureVerifier method');
+        }
+        if (!this.config.allowedMethods.includes(call.name)) {
+            throw forbidden(`Method ${call.name} is not relayed (allowed: ${this.config.allowedMethods.join(', ')})`);
+        }
+        return call.name;
+    }
+
+    /**
+     * Relayed transactions an address may have per window
+     * @param {string} address - User address
+     * @returns {number} - Limit
+     */
+    quotaFor(address) {
+        const limit = this.quotas.get(ethers.getAddress(address));
+        return limit === undefined ? this.config.quota : limit;
+    }
+
+    /**
+     * Relayed transactions all users together may have per window
+     * @returns {number|null} - Limit (null when there is none)
+     */
+    totalQuota() {
+        return this.config.totalQuota;
+    }
+
+    /**
+     * Start of the quota window ending now
+     * @returns {number} - Timestamp in ms
+     */
+    windowStart() {
+        return Date.now() - this.config.window;
+    }
+
+    describe() {
+        return {
+            contractAddress: this.contractAddress,
+            allowedMethods: [...this.config.allowedMethods],
+            quota: this.config.quota,
+            totalQuota: this.config.totalQuota,
+            window: this.config.window,
+            maxGas: this.config.maxGas
+        };
+    }
+}
+
+module.exports = {
+    RelayPolicy
+};
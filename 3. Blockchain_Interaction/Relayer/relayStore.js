@@ -0,0 +1,189 @@
+/**
+ * Relay Store for gasless submissions
+ * SQLite storage used by MetaTxRelayer: one row per relayed forward request,
+ * which is also what per-user quotas and the relayer's total budget are
+ * counted from. A row is reserved before broadcasting, in the same statement
+ * that checks both, so concurrent requests cannot overrun them; a forward request (sender and
+ * forwarder nonce) can only be in flight or confirmed once
+ *
+ * Status: pending (reserved) -> submitted (broadcast) -> confirmed | failed;
+ * rejected when it was never broadcast (does not count toward the quota)
+ */
+
+const sqlite3 = require('sqlite3');
+
+// The backend and a standalone relaying process may share the database file
+const BUSY_TIMEOUT = 5000;
+
+// Rows counted toward a quota, and holding their forward request's nonce
+const ACTIVE_STATUSES = "('pending', 'submitted', 'confirmed', 'failed')";
+const LIVE_STATUSES = "('pending', 'submitted', 'confirmed')";
+
+class SQLiteRelayStore {
+    /**
+     * @param {string} dbPath - SQLite database file (':memory:' for tests)
+     */
+    constructor(dbPath) {
+        this.dbPath = dbPath;
+        this.db = null;
+        this.ready = null;
+    }
+
+    init() {
+        if (!this.ready) {
+            this.ready = new Promise((resolve, reject) => {
+                this.db = new sqlite3.Database(this.dbPath, err => (err ? reject(err) : resolve()));
+                this.db.serialize();
+                this.db.configure('busyTimeout', BUSY_TIMEOUT);
+            }).then(() => this.run(`CREATE TABLE IF NOT EXISTS relayed_transactions (
+                id TEXT PRIMARY KEY,
+                sender TEXT NOT NULL,
+                method TEXT NOT NULL,
+                target TEXT NOT NULL,
+                forward_nonce TEXT NOT NULL,
+                status TEXT NOT NULL,
+                transaction_hash TEXT,
+                block_number INTEGER,
+                gas_used TEXT,
+                last_error TEXT,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`)).then(() => this.run(
+                'CREATE INDEX IF NOT EXISTS idx_relayed_sender ON relayed_transactions (sender, created_at)'
+            )).then(() => this.run(
+                `CREATE UNIQUE INDEX IF NOT EXISTS idx_relayed_request ON relayed_transactions (sender, forward_nonce)
+                WHERE status IN ${LIVE_STATUSES}`
+            ));
+        }
+        return this.ready;
+    }
+
+    /**
+     * Reserve a relay if the sender is under its quota and all senders under the total
+     * @param {Object} relay - { id, sender, method, target, forwardNonce }
+     * @param {Object} quota - { limit, since, total } transactions allowed since a timestamp,
+     *   for the sender and (when total is set) for all senders together
+     * @returns {Promise<boolean>} - false when the quota or the total is used up
+     * @throws {Error} - With status 409 when the forward request is already relayed
+     */
+    async reserve(relay, { limit, since, total = null }) {
+        await this.init();
+        const now = Date.now();
+        try {
+            const added = await this.run(`INSERT INTO relayed_transactions
+                (id, sender, method, target, forward_nonce, status, created_at, updated_at)
+                SELECT ?, ?, ?, ?, ?, 'pending', ?, ?
+                WHERE (SELECT COUNT(*) FROM relayed_transactions
+                    WHERE sender = ? AND created_at >= ? AND status IN ${ACTIVE_STATUSES}) < ?
+                AND (? IS NULL OR (SELECT COUNT(*) FROM relayed_transactions
+                    WHERE created_at >= ? AND status IN ${ACTIVE_STATUSES}) < ?)`, [
+                relay.id, relay.sender, relay.method, relay.target, relay.forwardNonce, now, now,
+                relay.sender, since, limit,
+                total, since, total
+            ]);
+            return added > 0;
+        } catch (err) {
+            if (err.code === 'SQLITE_CONSTRAINT') {
+                throw Object.assign(new Error('Forward request already relayed'), { status: 409 });
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Relays counted toward a sender's quota, or toward the total, since a timestamp
+     * @param {string|null} sender - User address (null counts every sender's relays)
+     * @param {number} since - Timestamp in ms
+     * @returns {Promise<Object>} - { used, oldest } (oldest is the first counted relay's timestamp, null when none)
+     */
+    async countSince(sender, since) {
+        await this.init();
+        const rows = await this.all(`SELECT COUNT(*) AS used, MIN(created_at) AS oldest FROM relayed_transactions
+            WHERE (? IS NULL OR sender = ?) AND created_at >= ? AND status IN ${ACTIVE_STATUSES}`, [sender, sender, since]);
+        return { used: rows[0].used, oldest: rows[0].oldest };
+    }
+
+    async get(id) {
+        await this.init();
+        const rows = await this.all('SELECT * FROM relayed_transactions WHERE id = ?', [id]);
+        return rows.length ? this.fromRow(rows[0]) : null;
+    }
+
+    /**
+     * Relays in a status, oldest first
+     * @param {string} status - Relay status
+     * @returns {Promise<Array<Object>>} - Relays
+     */
+    async listByStatus(status) {
+        await this.init();
+        const rows = await this.all('SELECT * FROM relayed_transactions WHERE status = ? ORDER BY created_at, rowid', [status]);
+        return rows.map(row => this.fromRow(row));
+    }
+
+    /**
+     * Record the progress of a relay
+     * @param {string} id - Relay id
+     * @param {Object} update - { status, transactionHash, blockNumber, gasUsed, lastError }
+     * @returns {Promise<void>}
+     */
+    async update(id, update) {
+        await this.init();
+        await this.run(`UPDATE relayed_transactions SET status = ?, transaction_hash = COALESCE(?, transaction_hash),
+                block_number = ?, gas_used = ?, last_error = ?, updated_at = ? WHERE id = ?`, [
+            update.status,
+            update.transactionHash || null,
+            update.blockNumber === undefined ? null : update.blockNumber,
+            update.gasUsed || null,
+            update.lastError || null,
+            Date.now(),
+            id
+        ]);
+    }
+
+    async close() {
+        if (!this.ready) {
+            return;
+        }
+        await this.ready;
+        await new Promise((resolve, reject) => this.db.close(err => (err ? reject(err) : resolve())));
+        this.ready = null;
+    }
+
+    fromRow(row) {
+        return {
+            id: row.id,
+            from: row.sender,
+            method: row.method,
+            to: row.target,
+            nonce: row.forward_nonce,
+            status: row.status,
+            transactionHash: row.transaction_hash,
+            blockNumber: row.block_number,
+            gasUsed: row.gas_used,
+            lastError: row.last_error,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * @returns {Promise<number>} - Number of rows changed
+     */
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                return err ? reject(err) : resolve(this.changes);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+    }
+}
+
+module.exports = {
+    SQLiteRelayStore
+};
@@ -1,147 +1,443 @@
 // scripts/deploy.js
 // Deploys the SignatureVerifier contract using Hardhat
+// Runs against whichever network Hardhat selected (--network), including the
+// in-process hardhat network:
+//   npx hardhat run "3. Blockchain_Interaction/Scripts/deploy.js" --network sepolia
+// Behind an upgradeable (UUPS) proxy, and later upgrades of that proxy:
+//   DEPLOY_PROXY=true npx hardhat run "3. Blockchain_Interaction/Scripts/deploy.js" --network sepolia
+//   UPGRADE_PROXY=0xProxyAddress npx hardhat run "3. Blockchain_Interaction/Scripts/deploy.js" --network sepolia
+// With the ERC-2771 forwarder the backend relayer submits through (gasless submissions):
+//   DEPLOY_FORWARDER=true npx hardhat run "3. Blockchain_Interaction/Scripts/deploy.js" --network sepolia
 
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 
-async function main() {
-    console.log("🚀 Starting SignatureVerifier deployment to Sepolia...");
-    
-    try {
-        // Get the deployer account
-        const [deployer] = await ethers.getSigners();
-        console.log(`📝 Deploying contracts with account: ${deployer.address}`);
-        console.log(`💰 Account balance: ${ethers.utils.formatEther(await deployer.getBalance())} ETH`);
-        
-        // Check if we have enough ETH
-        const balance = await deployer.getBalance();
-        if (balance.lt(ethers.utils.parseEther("0.01"))) {
-            throw new Error("Insufficient ETH for deployment. Please get Sepolia testnet ETH from a faucet.");
+const { ethers } = hre;
+
+const CONTRACT_SOURCE = "3. Blockchain_Interaction/Smart_Contract/SignatureVerifier.sol";
+
+// bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// Networks that mine on demand, where waiting for extra blocks would hang
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+const NETWORK_DETAILS = {
+    sepolia: {
+        rpcUrl: "https://sepolia.infura.io/v3/YOUR-PROJECT-ID",
+        blockExplorer: "https://sepolia.etherscan.io"
+    },
+    mainnet: {
+        rpcUrl: "https://mainnet.infura.io/v3/YOUR-PROJECT-ID",
+        blockExplorer: "https://etherscan.io"
+    }
+};
+
+/**
+ * Deploy SignatureVerifier
+ * @param {Object} options - Deployment options
+ * @param {Object} options.deployer - Signer to deploy with (default: first Hardhat signer)
+ * @param {number} options.confirmations - Blocks to wait for (default: 1 on local networks, 3 otherwise)
+ * @param {bigint} options.minBalance - Minimum deployer balance in wei (default: 0.01 ETH)
+ * @param {string|null} options.deploymentDir - Where to save deployment files, null to skip saving
+ * @param {boolean} options.proxy - Deploy behind an ERC1967 (UUPS) proxy so the contract can be upgraded
+ * @param {boolean} options.forwarder - Also deploy SignatureVerifierForwarder and make it the trusted forwarder
+ * @returns {Promise<Object>} - { contract, contractAddress, deployer, deploymentTx, blockNumber, gasUsed, network, chainId, proxy, forwarder, storageLayout, files }
+ */
+async function deploySignatureVerifier(options = {}) {
+    const network = hre.network.name;
+    const isLocal = LOCAL_NETWORKS.includes(network);
+    const {
+        confirmations = isLocal ? 1 : 3,
+        minBalance = ethers.parseEther("0.01"),
+        deploymentDir = path.join(__dirname, "../deployments"),
+        proxy = false,
+        forwarder = false
+    } = options;
+
+    console.log(`🚀 Starting SignatureVerifier deployment to ${network}${proxy ? " behind a UUPS proxy" : ""}...`);
+
+    // Get the deployer account
+    const deployer = options.deployer || (await ethers.getSigners())[0];
+    const balance = await ethers.provider.getBalance(deployer.address);
+    console.log(`📝 Deploying contracts with account: ${deployer.address}`);
+    console.log(`💰 Account balance: ${ethers.formatEther(balance)} ETH`);
+
+    // Check if we have enough ETH
+    if (balance < minBalance) {
+        throw new Error(`Insufficient ETH for deployment on ${network}. ${isLocal ? "Fund the deployer account." : "Please get testnet ETH from a faucet."}`);
+    }
+
+    // Deploy the SignatureVerifier contract
+    console.log("📦 Deploying SignatureVerifier...");
+    const SignatureVerifier = await ethers.getContractFactory("SignatureVerifier", deployer);
+
+    // Estimate gas
+    const estimatedGas = await deployer.estimateGas(await SignatureVerifier.getDeployTransaction());
+    console.log(`⛽ Estimated gas: ${estimatedGas.toString()}`);
+
+    // Deploy with gas limit
+    const signatureVerifier = await SignatureVerifier.deploy({
+        gasLimit: estimatedGas * 120n / 100n // Add 20% buffer
+    });
+
+    console.log("⏳ Waiting for deployment confirmation...");
+    await signatureVerifier.waitForDeployment();
+    let contractAddress = await signatureVerifier.getAddress();
+    let contract = signatureVerifier;
+    let deploymentTx = signatureVerifier.deploymentTransaction();
+    let proxyInfo = null;
+
+    console.log("✅ SignatureVerifier deployed successfully!");
+    console.log(`📍 Contract address: ${contractAddress}`);
+
+    if (proxy) {
+        // The implementation never initializes itself; the proxy runs initialize(deployer)
+        // in its constructor, so signature history lives in the proxy's storage
+        await deploymentTx.wait(confirmations);
+        const implementation = contractAddress;
+        console.log("📦 Deploying SignatureVerifierProxy...");
+        const Proxy = await ethers.getContractFactory("SignatureVerifierProxy", deployer);
+        const initData = SignatureVerifier.interface.encodeFunctionData("initialize", [deployer.address]);
+        const proxyContract = await Proxy.deploy(implementation, initData);
+        await proxyContract.waitForDeployment();
+
+        contractAddress = await proxyContract.getAddress();
+        contract = SignatureVerifier.attach(contractAddress);
+        deploymentTx = proxyContract.deploymentTransaction();
+        proxyInfo = { kind: "uups", implementation };
+        console.log(`📍 Proxy address: ${contractAddress} (implementation ${implementation})`);
+    }
+
+    // Wait for a few block confirmations
+    console.log(`⏳ Waiting for ${confirmations} block confirmation(s)...`);
+    const receipt = await deploymentTx.wait(confirmations);
+
+    let forwarderAddress = null;
+    if (forwarder) {
+        console.log("📦 Deploying SignatureVerifierForwarder...");
+        const forwarderContract = await ethers.deployContract("SignatureVerifierForwarder", deployer);
+        await forwarderContract.waitForDeployment();
+        await forwarderContract.deploymentTransaction().wait(confirmations);
+        forwarderAddress = await forwarderContract.getAddress();
+        const trustTx = await contract.connect(deployer).setTrustedForwarder(forwarderAddress);
+        await trustTx.wait(confirmations);
+        console.log(`📍 Trusted forwarder: ${forwarderAddress}`);
+    }
+
+    // Verify deployment
+    console.log("🔍 Verifying deployment...");
+    const code = await ethers.provider.getCode(contractAddress);
+    if (code === "0x") {
+        throw new Error("Contract deployment verification failed - no code at address");
+    }
+    if (proxyInfo && await getImplementation(contractAddress) !== proxyInfo.implementation) {
+        throw new Error("Proxy deployment verification failed - implementation slot mismatch");
+    }
+    console.log("✅ Contract verification successful!");
+
+    // Get contract info
+    const owner = await contract.owner();
+    const paused = await contract.paused();
+    const totalSignatures = await contract.totalSignatures();
+    const totalVerifications = await contract.totalVerifications();
+
+    console.log("\n📊 Contract Information:");
+    console.log(`👑 Owner: ${owner}`);
+    console.log(`⏸️  Paused: ${paused}`);
+    console.log(`📝 Total Signatures: ${totalSignatures.toString()}`);
+    console.log(`✅ Total Verifications: ${totalVerifications.toString()}`);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const deployment = {
+        contract,
+        contractAddress,
+        deployer: deployer.address,
+        deploymentTx: deploymentTx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        owner,
+        network,
+        chainId: Number(chainId),
+        proxy: proxyInfo,
+        forwarder: forwarderAddress,
+        storageLayout: await getStorageLayout(),
+        files: null
+    };
+
+    if (deploymentDir) {
+        deployment.files = saveDeployment(deployment, SignatureVerifier.interface, deploymentDir);
+    }
+
+    console.log("\n🎉 Deployment completed successfully!");
+    return deployment;
+}
+
+/**
+ * Save deployment info, the ABI and a frontend config
+ * @param {Object} deployment - Result of deploySignatureVerifier
+ * @param {Object} contractInterface - Ethers Interface of the contract
+ * @param {string} deploymentDir - Directory to write to
+ * @returns {Object} - { deploymentFile, abiFile, configFile }
+ */
+function saveDeployment(deployment, contractInterface, deploymentDir) {
+    const { network } = deployment;
+
+    // Create deployment directory if it doesn't exist
+    if (!fs.existsSync(deploymentDir)) {
+        fs.mkdirSync(deploymentDir, { recursive: true });
+    }
+
+    // Save deployment info to file
+    const deploymentInfo = {
+        network,
+        contractName: "SignatureVerifier",
+        contractAddress: deployment.contractAddress,
+        deployer: deployment.deployer,
+        deploymentTx: deployment.deploymentTx,
+        blockNumber: deployment.blockNumber,
+        timestamp: new Date().toISOString(),
+        gasUsed: deployment.gasUsed,
+        owner: deployment.owner,
+        proxy: deployment.proxy || null,
+        forwarder: deployment.forwarder || null,
+        storageLayout: deployment.storageLayout || null,
+        abi: contractInterface.format()
+    };
+    const deploymentFile = path.join(deploymentDir, `${network}-deployment.json`);
+    fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
+    console.log(`💾 Deployment info saved to: ${deploymentFile}`);
+
+    // Create ABI file for frontend
+    const abiFile = path.join(deploymentDir, "SignatureVerifier.json");
+    const abiData = {
+        contractName: "SignatureVerifier",
+        abi: contractInterface.format(),
+        address: deployment.contractAddress,
+        network
+    };
+    fs.writeFileSync(abiFile, JSON.stringify(abiData, null, 2));
+    console.log(`📄 ABI saved to: ${abiFile}`);
+
+    // Create frontend config
+    const details = NETWORK_DETAILS[network] || {};
+    const frontendConfig = {
+        contractAddress: deployment.contractAddress,
+        forwarderAddress: deployment.forwarder || null,
+        network,
+        chainId: deployment.chainId,
+        rpcUrl: details.rpcUrl || hre.network.config.url || null,
+        blockExplorer: details.blockExplorer || null
+    };
+    const configFile = path.join(deploymentDir, "frontend-config.json");
+    fs.writeFileSync(configFile, JSON.stringify(frontendConfig, null, 2));
+    console.log(`⚙️  Frontend config saved to: ${configFile}`);
+
+    return { deploymentFile, abiFile, configFile };
+}
+
+/**
+ * Current implementation behind an ERC1967 proxy
+ * @param {string} proxyAddress - Proxy address
+ * @returns {Promise<string>} - Implementation address
+ */
+async function getImplementation(proxyAddress) {
+    const slot = await ethers.provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT);
+    return ethers.getAddress(ethers.dataSlice(slot, 12));
+}
+
+/**
+ * Storage layout of the compiled SignatureVerifier, from the build info
+ * Types are reduced to their labels, since solc's type IDs embed AST ids that change between builds
+ * @returns {Promise<Array<Object>>} - [{ label, slot, offset, type, numberOfBytes }] in slot order
+ */
+async function getStorageLayout() {
+    const name = `${CONTRACT_SOURCE}:SignatureVerifier`;
+    const buildInfo = await hre.artifacts.getBuildInfo(name);
+    const output = buildInfo && buildInfo.output.contracts[CONTRACT_SOURCE].SignatureVerifier;
+    if (!output || !output.storageLayout) {
+        throw new Error(`No storage layout for ${name}: add storageLayout to the solc outputSelection and recompile`);
+    }
+    const { storage, types } = output.storageLayout;
+    return storage.map(variable => ({
+        label: variable.label,
+        slot: variable.slot,
+        offset: variable.offset,
+        type: types[variable.type].label,
+        numberOfBytes: types[variable.type].numberOfBytes
+    }));
+}
+
+/**
+ * Compare a new storage layout against the deployed one
+ * Every existing variable must keep its name, position and type; new variables may only be appended
+ * @param {Array<Object>} previous - Layout of the deployed implementation
+ * @param {Array<Object>} next - Layout of the new implementation
+ * @returns {Array<string>} - Problems found, empty when the upgrade is safe
+ */
+function checkStorageLayout(previous, next) {
+    const problems = [];
+    previous.forEach((variable, index) => {
+        const candidate = next[index];
+        if (!candidate) {
+            problems.push(`${variable.label} (slot ${variable.slot}) was removed`);
+            return;
         }
-        
-        // Deploy the SignatureVerifier contract
-        console.log("📦 Deploying SignatureVerifier...");
-        const SignatureVerifier = await ethers.getContractFactory("SignatureVerifier");
-        
-        // Estimate gas
-        const estimatedGas = await SignatureVerifier.signer.estimateGas(
-            SignatureVerifier.getDeployTransaction()
-        );
-        console.log(`⛽ Estimated gas: ${estimatedGas.toString()}`);
-        
-        // Deploy with gas limit
-        const signatureVerifier = await SignatureVerifier.deploy({
-            gasLimit: estimatedGas.mul(120).div(100) // Add 20% buffer
-        });
-        
-        console.log("⏳ Waiting for deployment confirmation...");
-        await signatureVerifier.deployed();
-        
-        console.log("✅ SignatureVerifier deployed successfully!");
-        console.log(`📍 Contract address: ${signatureVerifier.address}`);
-        
-        // Wait for a few block confirmations
-        console.log("⏳ Waiting for block confirmations...");
-        await signatureVerifier.deployTransaction.wait(3);
-        
-        // Verify deployment
-        console.log("🔍 Verifying deployment...");
-        const code = await ethers.provider.getCode(signatureVerifier.address);
-        if (code === "0x") {
-            throw new Error("Contract deployment verification failed - no code at address");
+        const changes = ["label", "slot", "offset", "type", "numberOfBytes"]
+            .filter(key => String(candidate[key]) !== String(variable[key]))
+            .map(key => `${key} ${variable[key]} -> ${candidate[key]}`);
+        if (changes.length > 0) {
+            problems.push(`${variable.label} (slot ${variable.slot}) changed: ${changes.join(", ")}`);
         }
-        console.log("✅ Contract verification successful!");
-        
-        // Get contract info
-        const owner = await signatureVerifier.owner();
-        const paused = await signatureVerifier.paused();
-        const totalSignatures = await signatureVerifier.totalSignatures();
-        const totalVerifications = await signatureVerifier.totalVerifications();
-        
-        console.log("\n📊 Contract Information:");
-        console.log(`👑 Owner: ${owner}`);
-        console.log(`⏸️  Paused: ${paused}`);
-        console.log(`📝 Total Signatures: ${totalSignatures.toString()}`);
-        console.log(`✅ Total Verifications: ${totalVerifications.toString()}`);
-        
-        // Save deployment info
-        const deploymentInfo = {
-            network: "sepolia",
-            contractName: "SignatureVerifier",
-            contractAddress: signatureVerifier.address,
-            deployer: deployer.address,
-            deploymentTx: signatureVerifier.deployTransaction.hash,
-            blockNumber: signatureVerifier.deployTransaction.blockNumber,
-            timestamp: new Date().toISOString(),
-            gasUsed: signatureVerifier.deployTransaction.gasLimit.toString(),
-            owner: owner,
-            abi: SignatureVerifier.interface.format()
-        };
-        
-        // Create deployment directory if it doesn't exist
-        const deploymentDir = path.join(__dirname, "../deployments");
-        if (!fs.existsSync(deploymentDir)) {
-            fs.mkdirSync(deploymentDir, { recursive: true });
+    });
+
+    // Appended variables must start after the last existing one
+    const last = previous[previous.length - 1];
+    const end = last ? BigInt(last.slot) * 32n + BigInt(last.offset) + BigInt(last.numberOfBytes) : 0n;
+    next.slice(previous.length).forEach(variable => {
+        if (BigInt(variable.slot) * 32n + BigInt(variable.offset) < end) {
+            problems.push(`${variable.label} (slot ${variable.slot}) overlaps existing storage`);
         }
-        
-        // Save deployment info to file
-        const deploymentFile = path.join(deploymentDir, "sepolia-deployment.json");
+    });
+    return problems;
+}
+
+/**
+ * Upgrade a SignatureVerifier proxy to the compiled implementation
+ * Refuses to upgrade when the storage layout is incompatible with the one recorded at deployment
+ * @param {Object} options - Upgrade options
+ * @param {string} options.proxyAddress - Proxy address (default: the one in the deployment file)
+ * @param {Object} options.deployer - Signer holding DEFAULT_ADMIN_ROLE (default: first Hardhat signer)
+ * @param {number} options.confirmations - Blocks to wait for (default: 1 on local networks, 3 otherwise)
+ * @param {string} options.deploymentDir - Directory holding the deployment file, which is updated
+ * @param {Array<Object>} options.previousLayout - Deployed storage layout (default: the one in the deployment file)
+ * @returns {Promise<Object>} - { contract, contractAddress, previousImplementation, implementation, upgradeTx, blockNumber, storageLayout }
+ */
+async function upgradeSignatureVerifier(options = {}) {
+    const network = hre.network.name;
+    const {
+        confirmations = LOCAL_NETWORKS.includes(network) ? 1 : 3,
+        deploymentDir = path.join(__dirname, "../deployments")
+    } = options;
+
+    const deploymentFile = deploymentDir && path.join(deploymentDir, `${network}-deployment.json`);
+    const deploymentInfo = deploymentFile && fs.existsSync(deploymentFile)
+        ? JSON.parse(fs.readFileSync(deploymentFile, "utf8"))
+        : null;
+    const proxyAddress = options.proxyAddress || (deploymentInfo && deploymentInfo.contractAddress);
+    if (!proxyAddress || !ethers.isAddress(proxyAddress)) {
+        throw new Error(`Invalid proxy address: ${proxyAddress}`);
+    }
+    const previousLayout = options.previousLayout
+        || (deploymentInfo && deploymentInfo.contractAddress === proxyAddress && deploymentInfo.storageLayout);
+    if (!previousLayout) {
+        throw new Error(`No storage layout recorded for ${proxyAddress}: pass previousLayout or keep the deployment file`);
+    }
+
+    console.log(`🔄 Upgrading SignatureVerifier proxy ${proxyAddress} on ${network}...`);
+    const previousImplementation = await getImplementation(proxyAddress);
+    console.log(`📍 Current implementation: ${previousImplementation}`);
+
+    // Check the storage layout before touching the chain
+    const storageLayout = await getStorageLayout();
+    const problems = checkStorageLayout(previousLayout, storageLayout);
+    if (problems.length > 0) {
+        throw new Error(`Storage layout incompatible with the deployed implementation:\n - ${problems.join("\n - ")}`);
+    }
+    console.log("✅ Storage layout is compatible");
+
+    const deployer = options.deployer || (await ethers.getSigners())[0];
+    const SignatureVerifier = await ethers.getContractFactory("SignatureVerifier", deployer);
+    const contract = SignatureVerifier.attach(proxyAddress);
+
+    console.log("📦 Deploying the new implementation...");
+    const newImplementation = await SignatureVerifier.deploy();
+    await newImplementation.waitForDeployment();
+    await newImplementation.deploymentTransaction().wait(confirmations);
+    const implementation = await newImplementation.getAddress();
+
+    console.log(`⏳ Upgrading to ${implementation}...`);
+    const upgradeTx = await contract.upgradeToAndCall(implementation, "0x");
+    const receipt = await upgradeTx.wait(confirmations);
+    if (await getImplementation(proxyAddress) !== implementation) {
+        throw new Error("Upgrade verification failed - implementation slot mismatch");
+    }
+    console.log("✅ Upgrade successful!");
+
+    if (deploymentInfo && deploymentInfo.contractAddress === proxyAddress) {
+        deploymentInfo.proxy = { ...deploymentInfo.proxy, kind: "uups", implementation };
+        deploymentInfo.storageLayout = storageLayout;
+        deploymentInfo.abi = SignatureVerifier.interface.format();
+        deploymentInfo.upgrades = [...(deploymentInfo.upgrades || []), {
+            previousImplementation,
+            implementation,
+            upgradeTx: upgradeTx.hash,
+            blockNumber: receipt.blockNumber,
+            timestamp: new Date().toISOString()
+        }];
         fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
-        console.log(`💾 Deployment info saved to: ${deploymentFile}`);
-        
-        // Create ABI file for frontend
-        const abiFile = path.join(deploymentDir, "SignatureVerifier.json");
-        const abiData = {
-            contractName: "SignatureVerifier",
-            abi: SignatureVerifier.interface.format(),
-            address: signatureVerifier.address,
-            network: "sepolia"
-        };
-        fs.writeFileSync(abiFile, JSON.stringify(abiData, null, 2));
-        console.log(`📄 ABI saved to: ${abiFile}`);
-        
-        // Create frontend config
-        const frontendConfig = {
-            contractAddress: signatureVerifier.address,
-            network: "sepolia",
-            chainId: 11155111,
-            rpcUrl: "https://sepolia.infura.io/v3/YOUR-PROJECT-ID",
-            blockExplorer: "https://sepolia.etherscan.io"
-        };
-        
-        const configFile = path.join(deploymentDir, "frontend-config.json");
-        fs.writeFileSync(configFile, JSON.stringify(frontendConfig, null, 2));
-        console.log(`⚙️  Frontend config saved to: ${configFile}`);
-        
-        console.log("\n🎉 Deployment completed successfully!");
+        console.log(`💾 Deployment info updated: ${deploymentFile}`);
+    }
+
+    return {
+        contract,
+        contractAddress: proxyAddress,
+        previousImplementation,
+        implementation,
+        upgradeTx: upgradeTx.hash,
+        blockNumber: receipt.blockNumber,
+        storageLayout
+    };
+}
+
+async function main() {
+    try {
+        if (process.env.UPGRADE_PROXY) {
+            const upgrade = await upgradeSignatureVerifier({ proxyAddress: process.env.UPGRADE_PROXY });
+            return {
+                contractAddress: upgrade.contractAddress,
+                implementation: upgrade.implementation,
+                upgradeTx: upgrade.upgradeTx
+            };
+        }
+
+        const deployment = await deploySignatureVerifier({
+            proxy: process.env.DEPLOY_PROXY === "true",
+            forwarder: process.env.DEPLOY_FORWARDER === "true"
+        });
+
         console.log("\n📋 Next Steps:");
         console.log("1. Update your frontend with the contract address");
         console.log("2. Test the contract with a sample signature");
-        console.log("3. Monitor the contract on Sepolia Etherscan");
+        console.log("3. Monitor the contract on the block explorer");
         console.log("4. Set up event listeners for real-time updates");
-        
+
         return {
-            contractAddress: signatureVerifier.address,
-            deployer: deployer.address,
-            deploymentTx: signatureVerifier.deployTransaction.hash
+            contractAddress: deployment.contractAddress,
+            deployer: deployment.deployer,
+            deploymentTx: deployment.deploymentTx
         };
-        
     } catch (error) {
         console.error("❌ Deployment failed:", error.message);
         console.error("Stack trace:", error.stack);
-        process.exit(1);
+        throw error;
     }
 }
 
 // Handle script execution
 if (require.main === module) {
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-            console.error("❌ Script execution failed:", error);
-    process.exit(1);
-  });
+    main()
+        .then(() => process.exit(0))
+        .catch(() => process.exit(1));
 }
 
-module.exports = { main };
+module.exports = {
+    main,
+    deploySignatureVerifier,
+    upgradeSignatureVerifier,
+    checkStorageLayout,
+    getStorageLayout,
+    getImplementation,
+    saveDeployment
+};
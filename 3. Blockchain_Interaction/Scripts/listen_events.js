@@ -1,6 +1,15 @@
+/**
+ * SignatureVerifier event listener
+ * Polls the contract for events, logs them to TX_Result_Store and queues them
+ * for webhook delivery (Contract_Events/webhookDispatcher.js). Reads the
+ * network Hardhat selected when run with `npx hardhat run` (including the
+ * in-process hardhat network), otherwise SEPOLIA_RPC_URL.
+ */
+
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { createWebhookDispatcher } = require('../Contract_Events/webhookDispatcher');
 
 // Configuration
 const CONFIG = {
@@ -13,6 +22,7 @@ const CONFIG = {
     contractAddress: process.env.CONTRACT_ADDRESS || '0xYOUR_CONTRACT_ADDRESS',
     
     // Event listener configuration
+    fromBlock: null, // First block to process when there is no event log yet (default: current block)
     pollInterval: 15000, // 15 seconds
     maxRetries: 5,
     retryDelay: 5000, // 5 seconds
@@ -21,9 +31,6 @@ const CONFIG = {
     logFile: path.join(__dirname, '../TX_Result_Store/verified_tx_log.json'),
     eventLogFile: path.join(__dirname, '../TX_Result_Store/event_log.json'),
     
-    // Webhook configuration
-    webhookUrl: process.env.WEBHOOK_URL || null,
-    
     // Notification configuration
     enableNotifications: true,
     notificationTypes: ['SignatureSubmitted', 'SignatureVerified']
@@ -31,23 +38,45 @@ const CONFIG = {
 
 // Contract ABI (minimal for events)
 const CONTRACT_ABI = [
-    "event SignatureSubmitted(address indexed signer, string indexed messageHash, bytes signature, uint256 timestamp, uint256 blockNumber)",
-    "event SignatureVerified(address indexed signer, string indexed messageHash, bool isValid, uint256 timestamp, uint256 blockNumber)",
+    "event SignatureSubmitted(address indexed signer, bytes32 indexed messageHash, bytes signature, uint256 timestamp, uint256 blockNumber)",
+    "event SignatureVerified(address indexed signer, bytes32 indexed messageHash, bool isValid, uint256 timestamp, uint256 blockNumber)",
     "event ContractPaused(address indexed by, uint256 timestamp)",
-    "event ContractUnpaused(address indexed by, uint256 timestamp)"
+    "event ContractUnpaused(address indexed by, uint256 timestamp)",
+    "event MerkleRootAnchored(bytes32 indexed root, uint256 leafCount, address indexed by, uint256 timestamp, uint256 blockNumber)"
 ];
 
+/**
+ * Create a provider for the configured network
+ * Under `npx hardhat run` this is the network Hardhat selected (--network),
+ * so the listener also works against the in-process hardhat network
+ * @param {Object} config - Listener configuration
+ * @returns {Object} - Ethers provider
+ */
+function createProvider(config) {
+    if (process.env.HARDHAT_NETWORK) {
+        const hre = require('hardhat');
+        return new ethers.BrowserProvider(hre.network.provider, undefined, { cacheTimeout: -1 });
+    }
+    return new ethers.JsonRpcProvider(config.rpcUrl);
+}
+
 class EventListener {
-    constructor() {
-        this.provider = null;
+    /**
+     * @param {Object} options - Overrides for CONFIG, plus an optional ethers `provider`
+     *   and a WebhookDispatcher `webhooks` that receives every event
+     */
+    constructor(options = {}) {
+        const { provider = null, webhooks = null, ...config } = options;
+        this.config = { ...CONFIG, ...config };
+        this.provider = provider;
+        this.webhooks = webhooks;
         this.contract = null;
+        this.initialized = false;
         this.isRunning = false;
         this.retryCount = 0;
         this.lastProcessedBlock = 0;
         this.eventCount = 0;
         this.errorCount = 0;
-        
-        this.init();
     }
     
     async init() {
@@ -55,22 +84,22 @@ class EventListener {
             console.log('🚀 Initializing Event Listener...');
             
             // Initialize provider
-            this.provider = new ethers.providers.JsonRpcProvider(CONFIG.rpcUrl);
+            this.provider = this.provider || createProvider(this.config);
             
             // Check connection
             const network = await this.provider.getNetwork();
             console.log(`🌐 Connected to network: ${network.name} (Chain ID: ${network.chainId})`);
             
             // Initialize contract
-            this.contract = new ethers.Contract(CONFIG.contractAddress, CONTRACT_ABI, this.provider);
+            this.contract = new ethers.Contract(this.config.contractAddress, CONTRACT_ABI, this.provider);
             
             // Verify contract exists
-            const code = await this.provider.getCode(CONFIG.contractAddress);
+            const code = await this.provider.getCode(this.config.contractAddress);
             if (code === '0x') {
-                throw new Error(`No contract found at address: ${CONFIG.contractAddress}`);
+                throw new Error(`No contract found at address: ${this.config.contractAddress}`);
             }
             
-            console.log(`📋 Contract verified at: ${CONFIG.contractAddress}`);
+            console.log(`📋 Contract verified at: ${this.config.contractAddress}`);
             
             // Initialize log files
             this.initializeLogFiles();
@@ -78,6 +107,7 @@ class EventListener {
             // Get last processed block
             await this.loadLastProcessedBlock();
             
+            this.initialized = true;
             console.log('✅ Event Listener initialized successfully');
             
         } catch (error) {
@@ -88,27 +118,31 @@ class EventListener {
     
     initializeLogFiles() {
         // Ensure log directory exists
-        const logDir = path.dirname(CONFIG.logFile);
+        const logDir = path.dirname(this.config.logFile);
         if (!fs.existsSync(logDir)) {
             fs.mkdirSync(logDir, { recursive: true });
         }
         
         // Initialize log files if they don't exist
-        if (!fs.existsSync(CONFIG.logFile)) {
-            fs.writeFileSync(CONFIG.logFile, JSON.stringify([], null, 2));
+        if (!fs.existsSync(this.config.logFile)) {
+            fs.writeFileSync(this.config.logFile, JSON.stringify([], null, 2));
         }
         
-        if (!fs.existsSync(CONFIG.eventLogFile)) {
-            fs.writeFileSync(CONFIG.eventLogFile, JSON.stringify([], null, 2));
+        if (!fs.existsSync(this.config.eventLogFile)) {
+            fs.writeFileSync(this.config.eventLogFile, JSON.stringify([], null, 2));
         }
     }
     
     async loadLastProcessedBlock() {
         try {
-            const eventLog = JSON.parse(fs.readFileSync(CONFIG.eventLogFile, 'utf-8'));
+            const eventLog = JSON.parse(fs.readFileSync(this.config.eventLogFile, 'utf-8'));
             if (eventLog.length > 0) {
-                this.lastProcessedBlock = eventLog[eventLog.length - 1].blockNumber;
+                const lastEvent = eventLog[eventLog.length - 1];
+                this.lastProcessedBlock = lastEvent.lastProcessedBlock || lastEvent.blockNumber;
                 console.log(`📦 Last processed block: ${this.lastProcessedBlock}`);
+            } else if (this.config.fromBlock !== null) {
+                this.lastProcessedBlock = this.config.fromBlock - 1;
+                console.log(`📦 Starting from block: ${this.config.fromBlock}`);
             } else {
                 // Start from current block if no previous events
                 this.lastProcessedBlock = await this.provider.getBlockNumber();
@@ -126,6 +160,10 @@ class EventListener {
             return;
         }
         
+        if (!this.initialized) {
+            await this.init();
+        }
+        
         console.log('🎯 Starting event listener...');
         this.isRunning = true;
         this.retryCount = 0;
@@ -150,7 +188,7 @@ class EventListener {
         this.isRunning = false;
         
         if (this.provider) {
-            this.provider.removeAllListeners();
+            await this.provider.removeAllListeners();
         }
     }
     
@@ -161,61 +199,81 @@ class EventListener {
                 this.retryCount = 0; // Reset retry count on success
                 
                 // Wait before next poll
-                await this.sleep(CONFIG.pollInterval);
+                await this.sleep(this.config.pollInterval);
                 
             } catch (error) {
                 console.error('❌ Error polling events:', error.message);
+                // handleError restarts polling after a delay
                 this.handleError(error);
+                return;
             }
         }
     }
     
+    /**
+     * Process every contract event since the last processed block
+     * @returns {Promise<number>} - Number of events found
+     */
     async processEvents() {
         try {
             const currentBlock = await this.provider.getBlockNumber();
             
             if (this.lastProcessedBlock >= currentBlock) {
-                return; // No new blocks to process
+                return 0; // No new blocks to process
             }
             
             console.log(`🔍 Processing events from block ${this.lastProcessedBlock + 1} to ${currentBlock}`);
             
-            // Get events from the contract
-            const events = await this.contract.queryFilter({}, this.lastProcessedBlock + 1, currentBlock);
+            // Get events from the contract (role and ownership logs are outside CONTRACT_ABI and skipped)
+            const logs = await this.contract.queryFilter('*', this.lastProcessedBlock + 1, currentBlock);
+            const events = logs.filter(log => log.fragment);
             
             if (events.length > 0) {
                 console.log(`📝 Found ${events.length} events to process`);
                 
+                const processed = [];
                 for (const event of events) {
-                    await this.processEvent(event);
+                    processed.push(await this.processEvent(event));
+                }
+                
+                // Queue webhooks before moving past the blocks; a failure retries the range
+                if (this.webhooks) {
+                    await this.webhooks.enqueue(processed);
                 }
             }
             
             this.lastProcessedBlock = currentBlock;
             await this.saveLastProcessedBlock();
             
+            return events.length;
+            
         } catch (error) {
             console.error('❌ Error processing events:', error.message);
             throw error;
         }
     }
     
+    /**
+     * Log one event
+     * @param {Object} event - Ethers EventLog
+     * @returns {Promise<Object>} - Event data as logged and sent to webhooks
+     */
     async processEvent(event) {
+        const eventData = {
+            eventName: event.eventName,
+            blockNumber: event.blockNumber,
+            blockHash: event.blockHash,
+            transactionHash: event.transactionHash,
+            logIndex: event.index,
+            timestamp: new Date().toISOString(),
+            args: this.formatArgs(event)
+        };
+        
         try {
-            console.log(`📋 Processing event: ${event.event} (Block: ${event.blockNumber})`);
-            
-            const eventData = {
-                eventName: event.event,
-                blockNumber: event.blockNumber,
-                blockHash: event.blockHash,
-                transactionHash: event.transactionHash,
-                logIndex: event.logIndex,
-                timestamp: new Date().toISOString(),
-                args: event.args
-            };
+            console.log(`📋 Processing event: ${event.eventName} (Block: ${event.blockNumber})`);
             
             // Parse event-specific data
-            switch (event.event) {
+            switch (event.eventName) {
                 case 'SignatureSubmitted':
                     await this.handleSignatureSubmitted(eventData);
                     break;
@@ -232,24 +290,40 @@ class EventListener {
                     await this.handleContractUnpaused(eventData);
                     break;
                     
+                case 'MerkleRootAnchored':
+                    await this.handleMerkleRootAnchored(eventData);
+                    break;
+                    
                 default:
-                    console.log(`⚠️ Unknown event: ${event.event}`);
+                    console.log(`⚠️ Unknown event: ${event.eventName}`);
             }
             
             // Save event to log
             await this.saveEvent(eventData);
             
-            // Send webhook notification
-            if (CONFIG.webhookUrl) {
-                await this.sendWebhook(eventData);
-            }
-            
             this.eventCount++;
             
         } catch (error) {
             console.error('❌ Error processing event:', error.message);
             this.errorCount++;
         }
+        
+        return eventData;
+    }
+    
+    /**
+     * Convert decoded event arguments to a JSON-safe object keyed by name
+     * @param {Object} event - Ethers EventLog
+     * @returns {Object} - Arguments with uint256 values as decimal strings
+     */
+    formatArgs(event) {
+        if (!event.fragment) {
+            return {};
+        }
+        return Object.fromEntries(event.fragment.inputs.map((input, index) => {
+            const value = event.args[index];
+            return [input.name, typeof value === 'bigint' ? value.toString() : value];
+        }));
     }
     
     async handleSignatureSubmitted(eventData) {
@@ -333,11 +407,31 @@ class EventListener {
         await this.saveLogEntry(logEntry);
     }
     
+    async handleMerkleRootAnchored(eventData) {
+        const { root, leafCount, by, timestamp } = eventData.args;
+        
+        console.log(`🌳 Merkle root anchored by ${by}`);
+        console.log(`   Root: ${root} (${leafCount} signatures)`);
+        
+        // Log to database
+        const logEntry = {
+            type: 'merkle_root_anchored',
+            root,
+            leafCount: leafCount.toString(),
+            anchoredBy: by,
+            timestamp: new Date(parseInt(timestamp) * 1000).toISOString(),
+            blockNumber: eventData.blockNumber.toString(),
+            txHash: eventData.transactionHash
+        };
+        
+        await this.saveLogEntry(logEntry);
+    }
+    
     async saveEvent(eventData) {
         try {
-            const events = JSON.parse(fs.readFileSync(CONFIG.eventLogFile, 'utf-8'));
+            const events = JSON.parse(fs.readFileSync(this.config.eventLogFile, 'utf-8'));
             events.push(eventData);
-            fs.writeFileSync(CONFIG.eventLogFile, JSON.stringify(events, null, 2));
+            fs.writeFileSync(this.config.eventLogFile, JSON.stringify(events, null, 2));
         } catch (error) {
             console.error('❌ Error saving event:', error.message);
         }
@@ -345,9 +439,9 @@ class EventListener {
     
     async saveLogEntry(logEntry) {
         try {
-            const logs = JSON.parse(fs.readFileSync(CONFIG.logFile, 'utf-8'));
+            const logs = JSON.parse(fs.readFileSync(this.config.logFile, 'utf-8'));
             logs.push(logEntry);
-            fs.writeFileSync(CONFIG.logFile, JSON.stringify(logs, null, 2));
+            fs.writeFileSync(this.config.logFile, JSON.stringify(logs, null, 2));
         } catch (error) {
             console.error('❌ Error saving log entry:', error.message);
         }
@@ -355,50 +449,29 @@ class EventListener {
     
     async saveLastProcessedBlock() {
         try {
-            const eventLog = JSON.parse(fs.readFileSync(CONFIG.eventLogFile, 'utf-8'));
+            const eventLog = JSON.parse(fs.readFileSync(this.config.eventLogFile, 'utf-8'));
             if (eventLog.length > 0) {
                 eventLog[eventLog.length - 1].lastProcessedBlock = this.lastProcessedBlock;
             }
-            fs.writeFileSync(CONFIG.eventLogFile, JSON.stringify(eventLog, null, 2));
+            fs.writeFileSync(this.config.eventLogFile, JSON.stringify(eventLog, null, 2));
         } catch (error) {
             console.error('❌ Error saving last processed block:', error.message);
         }
     }
     
-    async sendWebhook(eventData) {
-        try {
-            const response = await fetch(CONFIG.webhookUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(eventData)
-            });
-            
-            if (!response.ok) {
-                throw new Error(`Webhook failed with status: ${response.status}`);
-            }
-            
-            console.log('📡 Webhook sent successfully');
-            
-        } catch (error) {
-            console.error('❌ Error sending webhook:', error.message);
-        }
-    }
-    
     handleError(error) {
         this.errorCount++;
         console.error(`❌ Error #${this.errorCount}:`, error.message);
         
-        if (this.retryCount < CONFIG.maxRetries) {
+        if (this.retryCount < this.config.maxRetries) {
             this.retryCount++;
-            console.log(`🔄 Retrying in ${CONFIG.retryDelay}ms (Attempt ${this.retryCount}/${CONFIG.maxRetries})`);
+            console.log(`🔄 Retrying in ${this.config.retryDelay}ms (Attempt ${this.retryCount}/${this.config.maxRetries})`);
             
             setTimeout(() => {
                 if (this.isRunning) {
                     this.pollEvents();
                 }
-            }, CONFIG.retryDelay);
+            }, this.config.retryDelay);
         } else {
             console.error('❌ Max retries reached, stopping event listener');
             this.stop();
@@ -422,23 +495,24 @@ class EventListener {
 
 // Main execution
 async function main() {
-    const listener = new EventListener();
+    const webhooks = await createWebhookDispatcher();
+    const listener = new EventListener({ webhooks: webhooks.dispatcher });
     
-    // Handle graceful shutdown
-    process.on('SIGINT', async () => {
-        console.log('\n🛑 Received SIGINT, shutting down gracefully...');
+    const shutdown = async (signal) => {
+        console.log(`\n🛑 Received ${signal}, shutting down gracefully...`);
         await listener.stop();
+        await webhooks.dispatcher.stop();
+        await webhooks.store.close();
         process.exit(0);
-    });
+    };
     
-    process.on('SIGTERM', async () => {
-        console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
-        await listener.stop();
-        process.exit(0);
-    });
+    // Handle graceful shutdown
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
     
-    // Start the listener
+    // Start the listener and webhook delivery
     await listener.start();
+    webhooks.dispatcher.start();
     
     // Log stats periodically
     setInterval(() => {
@@ -447,8 +521,20 @@ async function main() {
     }, 60000); // Every minute
 }
 
+/**
+ * Process all events since the last run (or options.fromBlock) once, without polling
+ * @param {Object} options - EventListener options
+ * @returns {Promise<Object>} - { eventsFound, stats }
+ */
+async function syncEvents(options = {}) {
+    const listener = new EventListener(options);
+    await listener.init();
+    const eventsFound = await listener.processEvents();
+    return { eventsFound, stats: listener.getStats() };
+}
+
 // Export for module usage
-module.exports = { EventListener, CONFIG };
+module.exports = { EventListener, CONFIG, CONTRACT_ABI, createProvider, syncEvents };
 
 // Run if called directly
 if (require.main === module) {
@@ -1,5 +1,7 @@
 // scripts/verify_tx.js
 // Verifies a signature using the deployed SignatureVerifier contract
+// Runs against whichever network Hardhat selected (--network):
+//   npx hardhat run "3. Blockchain_Interaction/Scripts/verify_tx.js" --network sepolia
 
 const hre = require("hardhat");
 const readline = require("readline");
@@ -9,6 +11,36 @@ async function prompt(query) {
   return new Promise(resolve => rl.question(query, ans => { rl.close(); resolve(ans); }));
 }
 
+/**
+ * Check a personal_sign signature against SignatureVerifier without submitting it
+ * @param {Object} params - Verification parameters
+ * @param {string} params.contractAddress - SignatureVerifier address
+ * @param {string} params.signer - Expected signer address
+ * @param {string} params.message - Original message
+ * @param {string} params.signature - 65-byte signature (0x...)
+ * @returns {Promise<Object>} - { isValid, alreadyUsed }
+ */
+async function verifySignature({ contractAddress, signer, message, signature }) {
+  if (!hre.ethers.isAddress(contractAddress) || !hre.ethers.isAddress(signer)) {
+    throw new Error("Contract and signer must be valid addresses");
+  }
+  if (!hre.ethers.isHexString(signature, 65)) {
+    throw new Error("Signature must be 65 bytes of 0x-prefixed hex");
+  }
+
+  const code = await hre.ethers.provider.getCode(contractAddress);
+  if (code === "0x") {
+    throw new Error(`No contract found at address: ${contractAddress}`);
+  }
+
+  // Get contract instance
+  const contract = await hre.ethers.getContractAt("SignatureVerifier", contractAddress);
+
+  const isValid = await contract.verifySignatureOnly(message, signature, signer);
+  const alreadyUsed = await contract.isSignatureUsed(message, signature, signer);
+  return { isValid, alreadyUsed };
+}
+
 async function main() {
   // Get contract address from user
   const contractAddress = await prompt("Enter SignatureVerifier contract address: ");
@@ -16,21 +48,25 @@ async function main() {
   const message = await prompt("Enter original message: ");
   const signature = await prompt("Enter signature (0x...): ");
 
-  // Get contract instance
-  const contract = await hre.ethers.getContractAt("SignatureVerifier", contractAddress);
-
-  // Call verifySignature
   try {
-    const result = await contract.verifySignature(signer, message, signature);
-    console.log("Verification result:", result ? "VALID" : "INVALID");
+    const { isValid, alreadyUsed } = await verifySignature({ contractAddress, signer, message, signature });
+    console.log("Verification result:", isValid ? "VALID" : "INVALID");
+    if (alreadyUsed) {
+      console.log("This signature has already been submitted on-chain");
+    }
   } catch (err) {
     console.error("Verification failed:", err.message);
+    process.exitCode = 1;
   }
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  main()
+    .then(() => process.exit())
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, verifySignature };
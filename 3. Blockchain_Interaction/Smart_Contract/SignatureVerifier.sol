@@ -1,17 +1,44 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 
 /**
  * @title SignatureVerifier
  * @dev A production-ready smart contract for verifying ECDSA signatures on-chain
  * @dev Supports signature submission, verification, and event logging
  * @dev Includes access control, gas optimization, and comprehensive error handling
+ * @dev Envelope mode (submitEnvelope) binds the chain, this contract, a per-signer
+ *      nonce and a deadline into an EIP-712 signed hash so a signature cannot be
+ *      replayed elsewhere, out of order or after it expires
+ * @dev Roles: the owner alone holds DEFAULT_ADMIN_ROLE (grants roles, upgrades, restricts
+ *      submissions), PAUSER_ROLE pauses, VERIFIER_ROLE submits while submissions
+ *      are restricted. Submissions are open until the admin restricts them, so
+ *      VERIFIER_ROLE has no effect by default. Ownership moves in two steps
+ *      (transferOwnership, acceptOwnership) and carries the admin role with it
+ * @dev Deployable directly or behind an ERC1967Proxy (UUPS): the constructor sets up
+ *      a direct deployment, initialize sets up a proxy. New state variables must be
+ *      appended after the existing ones (deploy.js checks the storage layout)
+ * @dev Signers with code (smart-contract wallets) are verified through ERC-1271
+ *      isValidSignature with signatures of any length; EOAs through ecrecover
+ * @dev Anchoring (anchorMerkleRoot) timestamps a whole batch of signed messages with
+ *      one Merkle root; verifyInclusion checks a message's proof against that root
+ * @dev Meta-transactions (ERC-2771): calls relayed by the admin-set trusted forwarder
+ *      act for the account that signed the forward request, so a relayer can pay
+ *      the gas of submissions without becoming their submitter
  */
-contract SignatureVerifier {
+contract SignatureVerifier is Initializable, UUPSUpgradeable, AccessControl, Ownable2Step, ERC2771Context {
     // Events
     event SignatureSubmitted(
         address indexed signer,
-        string indexed messageHash,
+        bytes32 indexed messageHash,
         bytes signature,
         uint256 timestamp,
         uint256 blockNumber
@@ -19,7 +46,7 @@ contract SignatureVerifier {
     
     event SignatureVerified(
         address indexed signer,
-        string indexed messageHash,
+        bytes32 indexed messageHash,
         bool isValid,
         uint256 timestamp,
         uint256 blockNumber
@@ -27,25 +54,50 @@ contract SignatureVerifier {
     
     event ContractPaused(address indexed by, uint256 timestamp);
     event ContractUnpaused(address indexed by, uint256 timestamp);
+    event SubmissionsRestricted(bool restricted, address indexed by);
+    event TrustedForwarderSet(address indexed forwarder, address indexed by);
+    event MerkleRootAnchored(
+        bytes32 indexed root,
+        uint256 leafCount,
+        address indexed by,
+        uint256 timestamp,
+        uint256 blockNumber
+    );
+    
+    // Roles (DEFAULT_ADMIN_ROLE administers both)
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    
+    // EIP-712 envelope
+    bytes32 public constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant ENVELOPE_TYPEHASH =
+        keccak256("Envelope(address signer,string message,uint256 nonce,uint256 deadline)");
+    string public constant DOMAIN_NAME = "SignatureVerifier";
+    string public constant DOMAIN_VERSION = "1";
+    
+    // Largest canonical 's' (secp256k1 order / 2); (r, n - s, v ^ 1) is the malleated copy
+    uint256 private constant MAX_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
     
     // State variables
     mapping(bytes32 => bool) public signatureUsed;
+    mapping(address => uint256) public nonces;
     mapping(address => uint256) public signatureCount;
-    mapping(address => bool) public authorizedVerifiers;
     
-    address public owner;
     bool public paused;
+    bool public submissionsRestricted;
     uint256 public totalSignatures;
     uint256 public totalVerifications;
+    mapping(bytes32 => uint256) public anchoredAt; // Merkle root => block timestamp
+    address private _forwarder; // ERC-2771 trusted forwarder (none when zero)
     
     // Modifiers
-    modifier onlyOwner() {
-        require(msg.sender == owner, "SignatureVerifier: caller is not the owner");
-        _;
-    }
-    
-    modifier onlyAuthorized() {
-        require(authorizedVerifiers[msg.sender] || msg.sender == owner, "SignatureVerifier: not authorized");
+    // VERIFIER_ROLE is only checked once setSubmissionsRestricted(true) is called: until then anyone submits
+    modifier onlySubmitter() {
+        require(
+            !submissionsRestricted || hasRole(VERIFIER_ROLE, _msgSender()),
+            "SignatureVerifier: caller is not a verifier"
+        );
         _;
     }
     
@@ -59,17 +111,29 @@ contract SignatureVerifier {
         _;
     }
     
-    // Constructor
-    constructor() {
-        owner = msg.sender;
-        authorizedVerifiers[msg.sender] = true;
-        paused = false;
+    // Constructor (direct deployment; the implementation behind a proxy is never initialized)
+    // The forwarder is kept in storage (setTrustedForwarder) rather than ERC2771Context's immutable
+    constructor() Ownable(msg.sender) ERC2771Context(address(0)) {
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(VERIFIER_ROLE, msg.sender);
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up a proxy deployment
+     * @param admin The owner, granted every role
+     */
+    function initialize(address admin) public initializer {
+        require(admin != address(0), "SignatureVerifier: invalid admin address");
+        _transferOwnership(admin);
+        _grantRole(PAUSER_ROLE, admin);
+        _grantRole(VERIFIER_ROLE, admin);
     }
     
     /**
      * @dev Submit a signature for verification
      * @param message The original message that was signed
-     * @param signature The ECDSA signature
+     * @param signature The ECDSA signature (or the signer's ERC-1271 signature)
      * @param signer The address that signed the message
      * @return isValid Whether the signature is valid
      */
@@ -77,13 +141,13 @@ contract SignatureVerifier {
         string memory message,
         bytes memory signature,
         address signer
-    ) public whenNotPaused returns (bool isValid) {
+    ) public whenNotPaused onlySubmitter returns (bool isValid) {
         require(bytes(message).length > 0, "SignatureVerifier: message cannot be empty");
-        require(signature.length == 65, "SignatureVerifier: invalid signature length");
         require(signer != address(0), "SignatureVerifier: invalid signer address");
+        require(hasValidLength(signature, signer), "SignatureVerifier: invalid signature length");
         
         // Create unique identifier for this signature
-        bytes32 signatureId = keccak256(abi.encodePacked(message, signature, signer));
+        bytes32 signatureId = signatureIdOf(message, signature, signer);
         require(!signatureUsed[signatureId], "SignatureVerifier: signature already used");
         
         // Mark signature as used
@@ -115,10 +179,101 @@ contract SignatureVerifier {
         );
     }
     
+    /**
+     * @dev Submit a message signed as an EIP-712 Envelope
+     * @dev A valid envelope consumes the signer's nonce; an invalid one is recorded
+     *      like submitSignature records it, without consuming the nonce
+     * @param message The original message that was signed
+     * @param nonce The signer's current nonce (see nonces)
+     * @param deadline Unix time after which the envelope is rejected
+     * @param signature The signature over getEnvelopeHash (ECDSA or ERC-1271)
+     * @param signer The address that signed the envelope
+     * @return isValid Whether the signature is valid
+     */
+    function submitEnvelope(
+        string memory message,
+        uint256 nonce,
+        uint256 deadline,
+        bytes memory signature,
+        address signer
+    ) public whenNotPaused onlySubmitter returns (bool isValid) {
+        require(bytes(message).length > 0, "SignatureVerifier: message cannot be empty");
+        require(signer != address(0), "SignatureVerifier: invalid signer address");
+        require(hasValidLength(signature, signer), "SignatureVerifier: invalid signature length");
+        require(block.timestamp <= deadline, "SignatureVerifier: envelope expired");
+        require(nonce == nonces[signer], "SignatureVerifier: invalid nonce");
+        
+        isValid = isValidSignatureNow(signer, getEnvelopeHash(signer, message, nonce, deadline), signature);
+        
+        if (isValid) {
+            nonces[signer]++;
+        }
+        
+        // Update counters
+        signatureCount[signer]++;
+        totalSignatures++;
+        totalVerifications++;
+        
+        // Emit events
+        emit SignatureSubmitted(
+            signer,
+            keccak256(abi.encodePacked(message)),
+            signature,
+            block.timestamp,
+            block.number
+        );
+        
+        emit SignatureVerified(
+            signer,
+            keccak256(abi.encodePacked(message)),
+            isValid,
+            block.timestamp,
+            block.number
+        );
+    }
+    
+    /**
+     * @dev EIP-712 domain separator of envelopes for this contract on this chain
+     * @return The domain separator
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes(DOMAIN_NAME)),
+            keccak256(bytes(DOMAIN_VERSION)),
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    /**
+     * @dev EIP-712 digest a signer signs for submitEnvelope
+     * @param signer The signer address
+     * @param message The message
+     * @param nonce The signer's nonce
+     * @param deadline Unix time after which the envelope is rejected
+     * @return The digest
+     */
+    function getEnvelopeHash(
+        address signer,
+        string memory message,
+        uint256 nonce,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            ENVELOPE_TYPEHASH,
+            signer,
+            keccak256(bytes(message)),
+            nonce,
+            deadline
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+    }
+    
     /**
      * @dev Verify a signature without submitting it
      * @param message The original message
-     * @param signature The ECDSA signature
+     * @param signature The ECDSA signature (or the signer's ERC-1271 signature)
      * @param signer The expected signer address
      * @return isValid Whether the signature is valid
      */
@@ -128,14 +283,14 @@ contract SignatureVerifier {
         address signer
     ) public view returns (bool isValid) {
         require(bytes(message).length > 0, "SignatureVerifier: message cannot be empty");
-        require(signature.length == 65, "SignatureVerifier: invalid signature length");
         require(signer != address(0), "SignatureVerifier: invalid signer address");
+        require(hasValidLength(signature, signer), "SignatureVerifier: invalid signature length");
         
         isValid = verifySignature(message, signature, signer);
     }
     
     /**
-     * @dev Internal function to verify ECDSA signatures
+     * @dev Internal function to verify personal_sign signatures
      * @param message The message to verify
      * @param signature The signature to verify
      * @param expectedSigner The expected signer address
@@ -145,10 +300,102 @@ contract SignatureVerifier {
         string memory message,
         bytes memory signature,
         address expectedSigner
-    ) internal pure returns (bool isValid) {
+    ) internal view returns (bool isValid) {
         // Create the message hash (same as Ethereum's personal_sign)
-        bytes32 messageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n", uint256(bytes(message).length), message));
+        bytes32 messageHash = MessageHashUtils.toEthSignedMessageHash(bytes(message));
+        
+        isValid = isValidSignatureNow(expectedSigner, messageHash, signature);
+    }
+    
+    /**
+     * @dev Internal function to check a signature of a hash by an EOA or a contract wallet
+     * @dev Contract wallets answer through ERC-1271 and may revoke a signature later,
+     *      so their results can change from block to block
+     * @param signer The expected signer address
+     * @param digest The signed hash
+     * @param signature The signature to check
+     * @return isValid Whether the signature is valid
+     */
+    function isValidSignatureNow(
+        address signer,
+        bytes32 digest,
+        bytes memory signature
+    ) internal view returns (bool isValid) {
+        if (signer.code.length > 0) {
+            return SignatureChecker.isValidERC1271SignatureNow(signer, digest, signature);
+        }
+        address recoveredSigner = recoverSigner(digest, signature);
+        isValid = (recoveredSigner != address(0) && recoveredSigner == signer);
+    }
+    
+    /**
+     * @dev Internal function to check a signature's length: 65 bytes for EOAs,
+     *      any non-empty length for contract wallets (e.g. multisig signatures)
+     * @param signature The signature
+     * @param signer The expected signer address
+     * @return Whether the length is acceptable
+     */
+    function hasValidLength(bytes memory signature, address signer) internal view returns (bool) {
+        return signer.code.length > 0 ? signature.length > 0 : signature.length == 65;
+    }
+    
+    /**
+     * @dev Verify an EIP-712 typed data signature
+     * @param domainSeparator The EIP-712 domain separator of the signing domain
+     * @param structHash The EIP-712 hash of the signed struct
+     * @param signature The ECDSA signature (or the signer's ERC-1271 signature)
+     * @param signer The expected signer address
+     * @return isValid Whether the signature is valid
+     */
+    function verifyTypedSignature(
+        bytes32 domainSeparator,
+        bytes32 structHash,
+        bytes memory signature,
+        address signer
+    ) public view returns (bool isValid) {
+        require(signer != address(0), "SignatureVerifier: invalid signer address");
+        require(hasValidLength(signature, signer), "SignatureVerifier: invalid signature length");
+        
+        // EIP-712 digest: keccak256("\x19\x01" || domainSeparator || structHash)
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator, structHash));
         
+        isValid = isValidSignatureNow(signer, digest, signature);
+    }
+    
+    /**
+     * @dev Internal function to identify a submitted signature
+     * @dev A 65-byte signature is hashed with v as 27/28, the form recoverSigner
+     *      reads it in, so resending it with a 0/1 recovery id is still a replay
+     * @param message The message
+     * @param signature The signature
+     * @param signer The signer address
+     * @return The signature id
+     */
+    function signatureIdOf(
+        string memory message,
+        bytes memory signature,
+        address signer
+    ) internal pure returns (bytes32) {
+        if (signature.length == 65 && uint8(signature[64]) < 27) {
+            bytes memory canonical = bytes.concat(signature);
+            canonical[64] = bytes1(uint8(signature[64]) + 27);
+            return keccak256(abi.encodePacked(message, canonical, signer));
+        }
+        return keccak256(abi.encodePacked(message, signature, signer));
+    }
+    
+    /**
+     * @dev Internal function to recover the signer of a 65-byte signature
+     * @dev Returns zero instead of reverting for a malformed signature, so one bad
+     *      entry only fails its own check (see batchVerifySignatures)
+     * @param digest The signed hash
+     * @param signature The signature to recover from
+     * @return signer The recovered address (zero if recovery fails)
+     */
+    function recoverSigner(
+        bytes32 digest,
+        bytes memory signature
+    ) internal pure returns (address signer) {
         // Extract r, s, v from signature
         bytes32 r;
         bytes32 s;
@@ -160,15 +407,14 @@ contract SignatureVerifier {
             v := byte(0, mload(add(signature, 96)))
         }
         
-        // Handle signature malleability
+        // Accept 0/1 as well as 27/28 recovery ids (signatureIdOf treats both alike)
         if (v < 27) v += 27;
-        require(v == 27 || v == 28, "SignatureVerifier: invalid signature 'v' value");
-        
-        // Recover the signer address
-        address recoveredSigner = ecrecover(messageHash, v, r, s);
+        // Only low-s signatures: the high-s copy (r, n - s, v ^ 1) recovers no one
+        if ((v != 27 && v != 28) || uint256(s) > MAX_S) {
+            return address(0);
+        }
         
-        // Check if the recovered signer matches the expected signer
-        isValid = (recoveredSigner != address(0) && recoveredSigner == expectedSigner);
+        signer = ecrecover(digest, v, r, s);
     }
     
     /**
@@ -197,34 +443,150 @@ contract SignatureVerifier {
         }
     }
     
+    // Anchoring Functions
+    
+    /**
+     * @dev Anchor the Merkle root of a batch of signed messages
+     * @param root Root of a tree built from getAnchorLeaf leaves (sorted-pair hashing)
+     * @param leafCount Number of leaves in the tree
+     */
+    function anchorMerkleRoot(bytes32 root, uint256 leafCount) public whenNotPaused onlySubmitter {
+        require(root != bytes32(0), "SignatureVerifier: invalid root");
+        require(leafCount > 0, "SignatureVerifier: empty batch");
+        require(anchoredAt[root] == 0, "SignatureVerifier: root already anchored");
+        
+        anchoredAt[root] = block.timestamp;
+        emit MerkleRootAnchored(root, leafCount, _msgSender(), block.timestamp, block.number);
+    }
+    
+    /**
+     * @dev Check a Merkle inclusion proof (does not check that the root is anchored; see anchoredAt)
+     * @param root The Merkle root
+     * @param leaf The leaf (see getAnchorLeaf)
+     * @param proof Sibling hashes from the leaf up to the root
+     * @return included Whether the proof leads from the leaf to the root
+     */
+    function verifyInclusion(
+        bytes32 root,
+        bytes32 leaf,
+        bytes32[] calldata proof
+    ) public pure returns (bool included) {
+        return MerkleProof.verifyCalldata(proof, root, leaf);
+    }
+    
+    /**
+     * @dev Leaf of a signed message in an anchored batch
+     * @dev Double hashed so a leaf can never be mistaken for an inner node
+     * @param signer The signer address
+     * @param message The signed message
+     * @param signature The personal_sign signature
+     * @return leaf The leaf hash
+     */
+    function getAnchorLeaf(
+        address signer,
+        string memory message,
+        bytes memory signature
+    ) public pure returns (bytes32 leaf) {
+        return keccak256(bytes.concat(keccak256(abi.encode(signer, keccak256(bytes(message)), keccak256(signature)))));
+    }
+    
     // Access Control Functions
     
     /**
-     * @dev Add an authorized verifier
-     * @param verifier The address to authorize
+     * @dev Only let VERIFIER_ROLE holders submit signatures and envelopes
+     * @param restricted Whether submissions are restricted
      */
-    function addAuthorizedVerifier(address verifier) public onlyOwner {
-        require(verifier != address(0), "SignatureVerifier: invalid verifier address");
-        authorizedVerifiers[verifier] = true;
+    function setSubmissionsRestricted(bool restricted) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        submissionsRestricted = restricted;
+        emit SubmissionsRestricted(restricted, _msgSender());
     }
     
     /**
-     * @dev Remove an authorized verifier
-     * @param verifier The address to remove authorization from
+     * @dev Trust a forwarder to relay calls on behalf of the accounts that signed them
+     * @param forwarder The ERC-2771 forwarder (zero to stop accepting relayed calls)
      */
-    function removeAuthorizedVerifier(address verifier) public onlyOwner {
-        require(verifier != owner, "SignatureVerifier: cannot remove owner");
-        authorizedVerifiers[verifier] = false;
+    function setTrustedForwarder(address forwarder) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        _forwarder = forwarder;
+        emit TrustedForwarderSet(forwarder, _msgSender());
     }
     
     /**
-     * @dev Transfer ownership
+     * @dev The trusted ERC-2771 forwarder
+     * @return The forwarder address (zero when none is set)
+     */
+    function trustedForwarder() public view override returns (address) {
+        return _forwarder;
+    }
+    
+    /**
+     * @dev Ownership cannot be renounced: the owner's admin role authorizes upgrades
+     */
+    function renounceOwnership() public pure override {
+        revert("SignatureVerifier: ownership cannot be renounced");
+    }
+    
+    /**
+     * @dev The owner holds DEFAULT_ADMIN_ROLE; accepting ownership moves it from the previous owner
      * @param newOwner The new owner address
      */
-    function transferOwnership(address newOwner) public onlyOwner {
-        require(newOwner != address(0), "SignatureVerifier: new owner cannot be zero address");
-        owner = newOwner;
-        authorizedVerifiers[newOwner] = true;
+    function _transferOwnership(address newOwner) internal override {
+        address previousOwner = owner();
+        super._transferOwnership(newOwner);
+        if (previousOwner != address(0)) {
+            _revokeRole(DEFAULT_ADMIN_ROLE, previousOwner);
+        }
+        _grantRole(DEFAULT_ADMIN_ROLE, newOwner);
+    }
+    
+    /**
+     * @dev DEFAULT_ADMIN_ROLE only follows ownership: granting it would let another
+     *      account upgrade the proxy and keep the role after ownership moves
+     * @param role The role to grant
+     * @param account The account to grant it to
+     */
+    function grantRole(bytes32 role, address account) public override {
+        require(role != DEFAULT_ADMIN_ROLE, "SignatureVerifier: admin role follows ownership");
+        super.grantRole(role, account);
+    }
+    
+    /**
+     * @dev The owner's admin role cannot be revoked (it moves with acceptOwnership)
+     * @param role The role to revoke
+     * @param account The account to revoke it from
+     */
+    function revokeRole(bytes32 role, address account) public override {
+        require(role != DEFAULT_ADMIN_ROLE, "SignatureVerifier: admin role follows ownership");
+        super.revokeRole(role, account);
+    }
+    
+    /**
+     * @dev The owner's admin role cannot be renounced, like ownership itself
+     * @param role The role to renounce
+     * @param callerConfirmation The caller's address
+     */
+    function renounceRole(bytes32 role, address callerConfirmation) public override {
+        require(role != DEFAULT_ADMIN_ROLE, "SignatureVerifier: admin role follows ownership");
+        super.renounceRole(role, callerConfirmation);
+    }
+    
+    /**
+     * @dev Only admins can upgrade a proxy deployment
+     * @param newImplementation The new implementation address
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+    
+    // ERC-2771: the sender of a call relayed by the trusted forwarder is the account that signed it
+    
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+    
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+    
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
     }
     
     // Pause/Unpause Functions
@@ -232,17 +594,17 @@ contract SignatureVerifier {
     /**
      * @dev Pause the contract
      */
-    function pause() public onlyOwner whenNotPaused {
+    function pause() public onlyRole(PAUSER_ROLE) whenNotPaused {
         paused = true;
-        emit ContractPaused(msg.sender, block.timestamp);
+        emit ContractPaused(_msgSender(), block.timestamp);
     }
     
     /**
      * @dev Unpause the contract
      */
-    function unpause() public onlyOwner whenPaused {
+    function unpause() public onlyRole(PAUSER_ROLE) whenPaused {
         paused = false;
-        emit ContractUnpaused(msg.sender, block.timestamp);
+        emit ContractUnpaused(_msgSender(), block.timestamp);
     }
     
     // View Functions
@@ -268,7 +630,7 @@ contract SignatureVerifier {
         bytes memory signature,
         address signer
     ) public view returns (bool used) {
-        bytes32 signatureId = keccak256(abi.encodePacked(message, signature, signer));
+        bytes32 signatureId = signatureIdOf(message, signature, signer);
         return signatureUsed[signatureId];
     }
     
@@ -292,7 +654,7 @@ contract SignatureVerifier {
      * @dev Emergency function to recover stuck ETH
      * @param recipient The address to send ETH to
      */
-    function emergencyWithdraw(address payable recipient) public onlyOwner {
+    function emergencyWithdraw(address payable recipient) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(recipient != address(0), "SignatureVerifier: invalid recipient");
         uint256 balance = address(this).balance;
         require(balance > 0, "SignatureVerifier: no ETH to withdraw");
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title SignatureVerifierForwarder
+ * @dev ERC-2771 forwarder for gasless submissions: users sign a ForwardRequest
+ *      (EIP-712, domain "SignatureVerifierForwarder" version "1") and the backend
+ *      relayer pays the gas of execute. Trusted by SignatureVerifier through
+ *      setTrustedForwarder. Deployed by Scripts/deploy.js (DEPLOY_FORWARDER)
+ */
+contract SignatureVerifierForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("SignatureVerifierForwarder") {}
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title SignatureVerifierProxy
+ * @dev ERC1967 proxy in front of a SignatureVerifier implementation (UUPS).
+ *      Signature history lives in the proxy's storage, so upgrading the
+ *      implementation keeps it. Deployed and upgraded by Scripts/deploy.js
+ */
+contract SignatureVerifierProxy is ERC1967Proxy {
+    constructor(address implementation, bytes memory data) payable ERC1967Proxy(implementation, data) {}
+}
@@ -0,0 +1,800 @@
+/**
+ * Chain client for the Virtual Chip Signature System
+ * One interface for contract calls, gas and fee estimation, transactions with
+ * retries, receipts and network information, whichever library talks to the
+ * node: an adapter (ethersAdapter.js or web3Adapter.js) does the
+ * library-specific work. Networks come from hardhat.config.js and env
+ * variables (networks.js); on a network with RPC URLs, requests go through a
+ * pool of one adapter per URL that fails over between them (providerPool.js).
+ * Transactions are simulated (eth_call, then eth_estimateGas) before they are
+ * broadcast, and get their nonces from a NonceManager (nonceManager.js), which
+ * replaces them when they get stuck. For air-gapped signing, the client also
+ * prepares unsigned EIP-1559 transactions and broadcasts the raw transactions
+ * signed offline (rawTransaction.js). Values come back as bigints, numbers and plain
+ * objects, and every failure is a ChainError (errors.js)
+ *
+ * Adapters implement: connect, useKey, useAccount, request, getAddress,
+ * getChainId, getBlockNumber, getFeeData, getBalance, getTransactionCount,
+ * getTransaction, getTransactionReceipt, createContract, contractAddress,
+ * contractAbi, encodeCall, decodeResult, call, estimateGas, sendTransaction, toChainError
+ * and close, and expose `library`, `provider` and `signer`
+ */
+
+const { ethers } = require('ethers');
+const { ChainError, CODES, decodeRevert, formatRevert } = require('./errors');
+const { loadNetworks, resolveNetwork, inProcessProvider } = require('./networks');
+const { ProviderPool } = require('./providerPool');
+const { NonceManager } = require('./nonceManager');
+const { createUnsignedTransaction, parseSignedTransaction } = require('./rawTransaction');
+
+const DEFAULTS = {
+    defaultNetwork: 'sepolia',
+    gasLimitBuffer: 1.2, // 20% buffer
+    maxRetries: 3,
+    retryDelay: 1000,
+    pollInterval: 1000, // Between receipt lookups
+    receiptTimeout: 5 * 60 * 1000
+};
+
+// Options passed on to the ProviderPool (see its DEFAULTS)
+const POOL_OPTIONS = ['requestTimeout', 'failureThreshold', 'cooldown', 'healthWindow', 'quorum'];
+
+/**
+ * Adapter for a library name
+ * @param {string} library - 'ethers' or 'web3'
+ * @returns {Object} - Adapter
+ */
+function createAdapter(library) {
+    switch (library) {
+        case 'ethers':
+            return new (require('./ethersAdapter'))();
+        case 'web3':
+            return new (require('./web3Adapter'))();
+        default:
+            throw new ChainError(CODES.INVALID_ARGUMENT, `Unsupported chain library: ${library} (use ethers or web3)`);
+    }
+}
+
+class ChainClient {
+    /**
+     * @param {Object} options - Client options
+     * @param {string} options.library - 'ethers' (default) or 'web3'
+     * @param {Object} options.adapter - Adapter instance (overrides library, and is used without a pool)
+     * @param {Object} options.networks - Network table (default: loadNetworks() on first initialize)
+     * @param {Object} options.rpcUrls - RPC URL (or URLs, preferred first) per network name, overriding hardhat.config.js and env
+     * @param {string} options.defaultNetwork - Network used by initialize (default 'sepolia')
+     * @param {number} options.gasLimitBuffer - Multiplier applied to gas estimates
+     * @param {number} options.maxRetries - Attempts per transaction
+     * @param {number} options.retryDelay - Base delay between attempts in ms
+     * @param {number} options.pollInterval - Delay between receipt lookups in ms
+     * @param {number} options.receiptTimeout - Time allowed for a receipt in ms
+     * @param {number} options.requestTimeout - Time an RPC endpoint has to answer before failing over, in ms
+     * @param {number} options.failureThreshold - Consecutive failures that mark an RPC endpoint down
+     * @param {number} options.cooldown - Time a down RPC endpoint is skipped, in ms
+     * @param {number} options.quorum - RPC endpoints that must agree on quorum reads (default: a majority)
+     * @param {Object} options.nonceManager - NonceManager settings (stuckBlocks, stuckAction, feeBump, ...) and receiptProcessor
+     */
+    constructor(options = {}) {
+        const { library = 'ethers', adapter, networks = null, rpcUrls = {}, nonceManager = {}, ...config } = options;
+        this.libraryName = library;
+        this.customAdapter = Boolean(adapter);
+        this.adapter = adapter || createAdapter(library);
+        this.networks = networks;
+        this.rpcUrls = rpcUrls;
+        this.network = null;
+        this.contracts = new Map();
+        this.config = { ...DEFAULTS, ...Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined)) };
+        this.defaultNetwork = this.config.defaultNetwork;
+        this.gasLimitBuffer = this.config.gasLimitBuffer;
+        this.maxRetries = this.config.maxRetries;
+        this.retryDelay = this.config.retryDelay;
+        this.nonces = new NonceManager(this, nonceManager);
+    }
+
+    get library() {
+        return this.adapter.library;
+    }
+
+    // The library's own provider and signer, for code that needs them directly
+    get provider() {
+        return this.adapter.provider;
+    }
+
+    set provider(provider) {
+        this.adapter.provider = provider;
+    }
+
+    get signer() {
+        return this.adapter.signer;
+    }
+
+    set signer(signer) {
+        this.adapter.signer = signer;
+    }
+
+    getNetworks() {
+        if (!this.networks) {
+            this.networks = loadNetworks({ rpcUrls: this.rpcUrls });
+        }
+        return this.networks;
+    }
+
+    /**
+     * Connect to a network with a signer
+     * The signer is the private key given, else the network's first account in
+     * hardhat.config.js, else the first account the node (or browser wallet) unlocks
+     * @param {string} network - Network name from hardhat.config.js ('hardhat', 'localhost', 'sepolia', 'mainnet')
+     * @param {string} privateKey - Private key for the signer (optional)
+     * @returns {Promise<Object>} - { provider, signer, address }
+     * @throws {ChainError} - UNSUPPORTED_NETWORK, NO_SIGNER or NETWORK_ERROR
+     */
+    async initialize(network = this.defaultNetwork, privateKey = null) {
+        try {
+            const config = resolveNetwork(this.getNetworks(), network);
+            const key = privateKey || config.accounts[0] || null;
+            const browserWallet = typeof window !== 'undefined' && window.ethereum ? window.ethereum : null;
+            const eip1193 = config.inProcess ? inProcessProvider() : (!key && browserWallet) || null;
+
+            await this.connect(config, eip1193);
+            if (key) {
+                this.adapter.useKey(key);
+            } else {
+                const accounts = await this.adapter.request(eip1193 && eip1193 === browserWallet ? 'eth_requestAccounts' : 'eth_accounts');
+                if (!accounts || accounts.length === 0) {
+                    throw new ChainError(CODES.NO_SIGNER, 'No signer available. Please provide a private key or unlock an account on the node.');
+                }
+                await this.adapter.useAccount(accounts[0]);
+            }
+
+            // Verify network connection
+            const chainId = await this.adapter.getChainId();
+            if (config.chainId !== null && chainId !== BigInt(config.chainId)) {
+                console.warn(`[ChainClient] Network mismatch. Expected ${config.chainId}, got ${chainId}`);
+            }
+            this.network = config;
+            const address = await this.adapter.getAddress();
+            console.log(`[ChainClient] Connected to ${config.name} through ${this.library} as ${address}`);
+            return { provider: this.provider, signer: this.signer, address };
+
+        } catch (error) {
+            const chainError = this.toChainError(error);
+            console.error(`[ChainClient] Initialization failed: ${chainError.message}`);
+            throw chainError;
+        }
+    }
+
+    /**
+     * Connect the adapter: a pool over the network's RPC URLs, else one adapter
+     * for the EIP-1193 provider (or the adapter given to the constructor)
+     * @param {Object} config - Network from the network table
+     * @param {Object} eip1193 - EIP-1193 provider, or null
+     */
+    async connect(config, eip1193) {
+        if (!this.customAdapter) {
+            this.adapter.close();
+            const options = Object.fromEntries(POOL_OPTIONS.map(name => [name, this.config[name]]));
+            this.adapter = eip1193
+                ? createAdapter(this.libraryName)
+                : new ProviderPool(config.rpcs.map(url => ({ url, adapter: createAdapter(this.libraryName) })), options);
+        }
+        await this.adapter.connect({ rpc: config.rpc, eip1193, chainId: config.chainId });
+        if (this.adapter instanceof ProviderPool && config.chainId !== null) {
+            await this.adapter.checkChainId(BigInt(config.chainId));
+        }
+    }
+
+    /**
+     * Load a smart contract
+     * @param {string} contractName - Name to look the contract up by
+     * @param {string} contractAddress - Contract address
+     * @param {Array|Object} abi - JSON ABI, human-readable ABI or ethers Interface
+     * @returns {Object} - Contract instance of the underlying library
+     */
+    loadContract(contractName, contractAddress, abi) {
+        this.requireSigner();
+        const contract = this.createContract(contractAddress, abi);
+        this.contracts.set(contractName, contract);
+        console.log(`[ChainClient] Loaded contract ${contractName} at ${contractAddress}`);
+        return contract;
+    }
+
+    /**
+     * Contract instance for one-off use, without loading it by name
+     * @param {string} contractAddress - Contract address
+     * @param {Array|Object} abi - JSON ABI, human-readable ABI or ethers Interface
+     * @returns {Object} - Contract instance of the underlying library
+     */
+    createContract(contractAddress, abi) {
+        this.requireProvider();
+        if (!ethers.isAddress(contractAddress)) {
+            throw new ChainError(CODES.INVALID_ARGUMENT, `Invalid contract address: ${contractAddress}`);
+        }
+        try {
+            return this.adapter.createContract(contractAddress, abi);
+        } catch (error) {
+            throw this.toChainError(error);
+        }
+    }
+
+    /**
+     * Get contract instance
+     * @param {string} contractName - Contract name
+     * @returns {Object} - Contract instance
+     */
+    getContract(contractName) {
+        const contract = this.contracts.get(contractName);
+        if (!contract) {
+            throw new ChainError(CODES.CONTRACT_NOT_LOADED, `Contract ${contractName} not loaded`);
+        }
+        return contract;
+    }
+
+    /**
+     * Call a contract method (read-only)
+     * @param {Object|string} contract - Contract instance or loaded contract name
+     * @param {string} method - Method name
+     * @param {Array} args - Method arguments
+     * @returns {Promise<any>} - Method result (an array with named entries for several outputs)
+     * @throws {ChainError} - CALL_REVERTED with the revert decoded against the contract's ABI
+     */
+    async callMethod(contract, method, args = []) {
+        const instance = this.resolveContract(contract);
+        const tx = await this.buildCall(instance, method, args);
+        let data;
+        try {
+            data = await this.call(tx);
+        } catch (error) {
+            throw this.revertError(instance, method, 'eth_call', error);
+        }
+        try {
+            return this.adapter.decodeResult(instance, method, data);
+        } catch (error) {
+            throw this.toChainError(error);
+        }
+    }
+
+    /**
+     * Estimate gas for a contract method
+     * @param {Object|string} contract - Contract instance or loaded contract name
+     * @param {string} method - Method name
+     * @param {Array} args - Method arguments
+     * @param {Object} options - { value }
+     * @returns {Promise<number>} - Estimated gas limit, with the buffer
+     * @throws {ChainError} - CALL_REVERTED with the revert decoded against the contract's ABI
+     */
+    async estimateGas(contract, method, args = [], options = {}) {
+        const instance = this.resolveContract(contract);
+        let gasEstimate;
+        try {
+            gasEstimate = await this.estimateTransactionGas(await this.buildCall(instance, method, args, options));
+        } catch (error) {
+            throw this.revertError(instance, method, 'eth_estimateGas', error);
+        }
+        const gasLimit = Math.ceil(Number(gasEstimate) * this.gasLimitBuffer);
+
+        console.log(`[ChainClient] Gas estimate for ${method}: ${gasEstimate.toString()}, with buffer: ${gasLimit}`);
+        return gasLimit;
+    }
+
+    /**
+     * Simulate a contract transaction without sending it
+     * Runs it as a call from the signer (eth_call), then estimates its gas
+     * (eth_estimateGas); submitTransaction does this before every broadcast
+     * @param {Object|string} contract - Contract instance or loaded contract name
+     * @param {string} method - Method name
+     * @param {Array} args - Method arguments
+     * @param {Object} options - { value }
+     * @returns {Promise<Object>} - { result, gasEstimate, gasLimit } (result as callMethod returns it, gasLimit with the buffer)
+     * @throws {ChainError} - CALL_REVERTED with `revert` ({ method, stage, name, signature, args }) decoded against the contract's ABI
+     */
+    async simulateTransaction(contract, method, args = [], options = {}) {
+        const instance = this.resolveContract(contract);
+        return this.simulate(instance, method, await this.buildCall(instance, method, args, options));
+    }
+
+    async simulate(contract, method, tx) {
+        let stage = 'eth_call';
+        try {
+            const data = await this.call(tx);
+            stage = 'eth_estimateGas';
+            const gasEstimate = await this.estimateTransactionGas(tx);
+            const gasLimit = Math.ceil(Number(gasEstimate) * this.gasLimitBuffer);
+            console.log(`[ChainClient] Simulated ${method}: gas estimate ${gasEstimate.toString()}, with buffer: ${gasLimit}`);
+            return { result: this.adapter.decodeResult(contract, method, data), gasEstimate, gasLimit };
+        } catch (error) {
+            throw this.revertError(contract, method, stage, this.toChainError(error));
+        }
+    }
+
+    /**
+     * Run a call without sending it (eth_call)
+     * @param {Object} tx - { from, to, data, value }
+     * @returns {Promise<string>} - Returned data
+     * @throws {ChainError} - CALL_REVERTED with the revert data and reason
+     */
+    async call(tx) {
+        this.requireProvider();
+        try {
+            return await this.adapter.call(tx);
+        } catch (error) {
+            throw this.toChainError(error);
+        }
+    }
+
+    /**
+     * Estimate the gas of a transaction (eth_estimateGas), without the buffer
+     * @param {Object} tx - { from, to, data, value }
+     * @returns {Promise<bigint>} - Gas
+     */
+    async estimateTransactionGas(tx) {
+        this.requireProvider();
+        try {
+            return BigInt(await this.adapter.estimateGas(tx));
+        } catch (error) {
+            throw this.toChainError(error);
+        }
+    }
+
+    /**
+     * Get optimal gas price
+     * @returns {Promise<Object>} - { maxFeePerGas, maxPriorityFeePerGas, type: 2 } or { gasPrice, type: 0 }
+     */
+    async getOptimalGasPrice() {
+        this.requireProvider();
+        try {
+            const feeData = await this.adapter.getFeeData();
+
+            // Use EIP-1559 gas pricing if available
+            if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
+                return {
+                    maxFeePerGas: feeData.maxFeePerGas,
+                    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+                    type: 2 // EIP-1559 transaction
+                };
+            }
+            return {
+                gasPrice: feeData.gasPrice,
+                type: 0 // Legacy transaction
+            };
+
+        } catch (error) {
+            throw this.toChainError(error);
+        }
+    }
+
+    /**
+     * Broadcast a contract transaction without waiting for it
+     * Only a transaction whose simulation succeeds is broadcast. A given gas
+     * limit below the simulated one (estimate plus buffer) is raised to it, so
+     * a call that passes simulation does not run out of gas on-chain. The nonce
+     * manager assigns the nonce (unless one is given) and tracks the transaction
+     * @param {Object|string} contract - Contract instance or loaded contract name
+     * @param {string} method - Method name
+     * @param {Array} args - Method arguments
+     * @param {Object} options - { gasLimit, nonce, value, gasPrice | maxFeePerGas + maxPriorityFeePerGas }
+     * @returns {Promise<Object>} - { hash, from, to, data, nonce, gasLimit, fees... }
+     * @throws {ChainError} - CALL_REVERTED with the decoded `revert` when the simulation fails (nothing is sent)
+     */
+    async submitTransaction(contract, method, args = [], options = {}) {
+        this.requireSigner();
+        const instance = this.resolveContract(contract);
+        const call = await this.buildCall(instance, method, args, options);
+        const simulation = await this.simulate(instance, method, call);
+        const gasLimit = options.gasLimit && BigInt(options.gasLimit) > BigInt(simulation.gasLimit)
+            ? options.gasLimit
+            : simulation.gasLimit;
+        const fees = options.maxFeePerGas
+            ? { maxFeePerGas: options.maxFeePerGas, maxPriorityFeePerGas: options.maxPriorityFeePerGas, type: 2 }
+            : options.gasPrice ? { gasPrice: options.gasPrice, type: 0 } : await this.getOptimalGasPrice();
+        const tx = { to: call.to, data: call.data, value: options.value, nonce: options.nonce, gasLimit, ...fees };
+        try {
+            const { hash, nonce } = await this.nonces.send(tx);
+            console.log(`[ChainClient] Transaction sent: ${hash} (nonce ${nonce})`);
+            return { hash, from: call.from, ...tx, nonce };
+        } catch (error) {
+            throw this.toChainError(error);
+        }
+    }
+
+    /**
+     * Send transaction with retry logic and gas optimization
+     * Only failures before the broadcast are retried. Once a transaction is out,
+     * sending it again would spend a second nonce on the same call, so the
+     * client waits for it and leaves a stuck one to the nonce manager, which
+     * speeds it up or cancels it
+     * @param {Object|string} contract - Contract instance or loaded contract name
+     * @param {string} method - Method name
+     * @param {Array} args - Method arguments
+     * @param {Object} options - Transaction options (see submitTransaction)
+     * @returns {Promise<Object>} - { transactionHash, blockNumber, gasUsed, effectiveGasPrice, status, logs }
+     *   (transactionHash is the replacement's when the nonce manager sped the transaction up)
+     * @throws {ChainError} - TRANSACTION_FAILED once every attempt to broadcast failed (the last error is its cause),
+     *   CALL_REVERTED with the decoded `revert` when the call reverts (not retried: it would revert again),
+     *   CANCELLED when the nonce manager cancelled it, DROPPED when another transaction took its nonce,
+     *   TIMEOUT when it is not mined within receiptTimeout (it stays tracked by the nonce manager)
+     */
+    async sendTransaction(contract, method, args = [], options = {}) {
+        const { hash } = await this.submitWithRetries(contract, method, args, options);
+
+        // Wait for confirmation
+        const receipt = await this.waitForTransaction(hash, 1);
+        if (this.nonces.actionOf(receipt.transactionHash) === 'cancel') {
+            throw new ChainError(CODES.CANCELLED, `Transaction ${hash} was cancelled by ${receipt.transactionHash}`, { receipt });
+        }
+        if (receipt.status !== 1) {
+            throw new ChainError(CODES.CALL_REVERTED, `Transaction ${hash} reverted`, { receipt });
+        }
+        console.log(`[ChainClient] Transaction confirmed: ${hash}`);
+
+        return {
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            effectiveGasPrice: receipt.effectiveGasPrice.toString(),
+            status: receipt.status,
+            logs: receipt.logs
+        };
+    }
+
+    // submitTransaction, retried with exponential backoff until it is broadcast
+    async submitWithRetries(contract, method, args, options) {
+        let lastError;
+
+        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            try {
+                console.log(`[ChainClient] Sending transaction ${method} (attempt ${attempt})`);
+                return await this.submitTransaction(contract, method, args, options);
+
+            } catch (error) {
+                lastError = this.toChainError(error);
+                console.error(`[ChainClient] Transaction attempt ${attempt} failed: ${lastError.message}`);
+                if (lastError.code === CODES.CALL_REVERTED) {
+                    throw lastError;
+                }
+
+                if (attempt < this.maxRetries) {
+                    // Wait before retry with exponential backoff
+                    const delay = this.retryDelay * Math.pow(2, attempt - 1);
+                    console.log(`[ChainClient] Retrying in ${delay}ms...`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        }
+
+        throw new ChainError(CODES.TRANSACTION_FAILED, `Transaction failed after ${this.maxRetries} attempts: ${lastError.message}`, {
+            cause: lastError,
+            reason: lastError.reason,
+            data: lastError.data
+        });
+    }
+
+    /**
+     * Prepare an unsigned EIP-1559 transaction for an account that signs offline
+     * The call is simulated first; the chain id, the account's pending nonce,
+     * the gas limit (with the buffer) and the fees come from the network unless given
+     * @param {Object} tx - { to, data, value, gasLimit, nonce, maxFeePerGas, maxPriorityFeePerGas }
+     * @param {string} from - Address of the offline signer
+     * @returns {Promise<Object>} - Unsigned document (rawTransaction.js) to export as JSON or QR
+     * @throws {ChainError} - CALL_REVERTED when the simulation fails, INVALID_ARGUMENT
+     *   for an invalid field or a network without EIP-1559 fees
+     */
+    async prepareUnsignedTransaction(tx, from) {
+        this.requireProvider();
+        if (!ethers.isAddress(from)) {
+            throw new ChainError(CODES.INVALID_ARGUMENT, `from must be the offline signer's address, got ${from}`);
+        }
+        const call = { from, to: tx.to, data: tx.data, value: tx.value };
+        let chainId;
+        let nonce;
+        try {
+            await this.call(call);
+            chainId = await this.adapter.getChainId();
+            nonce = tx.nonce !== undefined ? tx.nonce : await this.adapter.getTransactionCount(from, 'pending');
+        } catch (error) {
+            throw this.toChainError(error);
+        }
+        const gasLimit = tx.gasLimit || Math.ceil(Number(await this.estimateTransactionGas(call)) * this.gasLimitBuffer);
+        const fees = tx.maxFeePerGas ? tx : await this.getOptimalGasPrice();
+        if (!fees.maxFeePerGas) {
+            throw new ChainError(CODES.INVALID_ARGUMENT, 'The network has no EIP-1559 fees; offline signing needs maxFeePerGas and maxPriorityFeePerGas');
+        }
+
+        const unsigned = createUnsignedTransaction({
+            ...call,
+            chainId,
+            nonce,
+            gasLimit,
+            maxFeePerGas: fees.maxFeePerGas,
+            maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+        }, { chainId });
+        console.log(`[ChainClient] Prepared unsigned transaction for ${unsigned.from} (nonce ${unsigned.nonce}, chain ${unsigned.chainId})`);
+        return unsigned;
+    }
+
+    /**
+     * Broadcast a transaction signed offline, without waiting for it
+     * It must be for this chain, use the sender's next nonce (or one already
+     * queued behind pending transactions), pay at least the latest base fee and
+     * pass simulation. It is tracked as pending like the client's own transactions
+     * @param {Object|string} signed - Signed document (rawTransaction.js) or the raw transaction hex
+     * @param {Object} options - { maxFeePerGas } cap in wei
+     * @returns {Promise<Object>} - { hash, from, to, nonce }
+     * @throws {ChainError} - INVALID_ARGUMENT for another chain, a nonce gap, fees that are
+     *   invalid, above the cap or below the base fee; NONCE_ERROR when the nonce is already used;
+     *   CALL_REVERTED when the simulation fails (nothing is sent)
+     */
+    async broadcastRawTransaction(signed, options = {}) {
+        this.requireProvider();
+        let tx;
+        let block;
+        try {
+            tx = parseSignedTransaction(signed, { chainId: await this.adapter.getChainId(), maxFeePerGas: options.maxFeePerGas });
+            const [latest, pending] = await Promise.all([
+                this.adapter.getTransactionCount(tx.from, 'latest'),
+                this.adapter.getTransactionCount(tx.from, 'pending')
+            ]);
+            if (tx.nonce < latest) {
+                throw new ChainError(CODES.NONCE_ERROR, `Nonce ${tx.nonce} of ${tx.from} is already used (next nonce ${latest})`);
+            }
+            if (tx.nonce > pending) {
+                throw new ChainError(CODES.INVALID_ARGUMENT, `Nonce ${tx.nonce} of ${tx.from} leaves a gap (next nonce ${pending})`);
+            }
+            block = await this.adapter.request('eth_getBlockByNumber', ['latest', false]);
+        } catch (error) {
+            throw this.toChainError(error);
+        }
+        if (block && block.baseFeePerGas && BigInt(tx.maxFeePerGas) < BigInt(block.baseFeePerGas)) {
+            throw new ChainError(CODES.INVALID_ARGUMENT, `maxFeePerGas ${tx.maxFeePerGas} is below the base fee of ${BigInt(block.baseFeePerGas)} wei`);
+        }
+        await this.call({ from: tx.from, to: tx.to, data: tx.data, value: tx.value });
+
+        let hash;
+        try {
+            hash = await this.adapter.request('eth_sendRawTransaction', [tx.rawTransaction]);
+        } catch (error) {
+            throw this.toChainError(error);
+        }
+        if (String(hash).toLowerCase() !== tx.hash.toLowerCase()) {
+            throw new ChainError(CODES.TRANSACTION_FAILED, `Node returned hash ${hash} for transaction ${tx.hash}`);
+        }
+        this.nonces.receipts.trackPending(tx.hash, { nonce: tx.nonce, from: tx.from });
+        console.log(`[ChainClient] Raw transaction broadcast: ${tx.hash} (nonce ${tx.nonce})`);
+        return { hash: tx.hash, from: tx.from, to: tx.to, nonce: tx.nonce };
+    }
+
+    /**
+     * Get account balance
+     * @param {string} address - Account address
+     * @returns {Promise<string>} - Balance in ETH
+     */
+    async getBalance(address) {
+        this.requireProvider();
+        try {
+            return ethers.formatEther(await this.adapter.getBalance(address));
+        } catch (error) {
+            throw this.toChainError(error);
+        }
+    }
+
+    /**
+     * Get transaction status
+     * With several RPC endpoints, the transaction and its receipt are read from
+     * all of them and must agree (see ProviderPool.quorum)
+     * @param {string} txHash - Transaction hash
+     * @param {Object} options - { quorum } endpoints that must agree (default: the client's quorum)
+     * @returns {Promise<Object|null>} - Transaction status, null when the node does not know the transaction
+     * @throws {ChainError} - QUORUM_NOT_REACHED when too few endpoints agree
+     */
+    async getTransactionStatus(txHash, options = {}) {
+        this.requireProvider();
+        try {
+            const read = async (adapter) => {
+                const found = await adapter.getTransaction(txHash);
+                return { tx: found, receipt: found ? await adapter.getTransactionReceipt(txHash) : null };
+            };
+            const { tx, receipt } = this.adapter instanceof ProviderPool
+                ? await this.adapter.quorum(read, options)
+                : await read(this.adapter);
+            if (!tx) {
+                return null;
+            }
+            const gasPrice = receipt && receipt.effectiveGasPrice !== null ? receipt.effectiveGasPrice : tx.gasPrice || tx.maxFeePerGas;
+
+            return {
+                hash: txHash,
+                from: tx.from,
+                to: tx.to,
+                value: ethers.formatEther(tx.value),
+                gasPrice: gasPrice.toString(),
+                gasLimit: tx.gasLimit.toString(),
+                nonce: tx.nonce,
+                blockNumber: receipt ? receipt.blockNumber : null,
+                status: receipt ? receipt.status : null,
+                gasUsed: receipt ? receipt.gasUsed.toString() : null,
+                confirmations: receipt ? await this.confirmationsOf(receipt) : 0
+            };
+
+        } catch (error) {
+            throw this.toChainError(error);
+        }
+    }
+
+    /**
+     * Wait for transaction confirmation
+     * Also serves as the provider ReceiptProcessor.processReceipt waits on. For a
+     * transaction the nonce manager tracks, each poll runs its check (replacing the
+     * transaction when it is stuck) and the receipt is the one of whichever hash of
+     * its nonce was mined
+     * @param {string} txHash - Transaction hash
+     * @param {number} confirmations - Number of confirmations to wait for
+     * @param {number} timeout - Time allowed in ms (default: receiptTimeout)
+     * @returns {Promise<Object>} - Receipt ({ transactionHash, blockNumber, status, gasUsed, effectiveGasPrice, logs, confirmations, ... })
+     * @throws {ChainError} - TIMEOUT when the receipt or the confirmations do not come in time,
+     *   DROPPED when another transaction used the nonce
+     */
+    async waitForTransaction(txHash, confirmations = 1, timeout = this.config.receiptTimeout) {
+        this.requireProvider();
+        const deadline = Date.now() + timeout;
+        try {
+            for (;;) {
+                if (this.nonces.isPending(txHash)) {
+                    await this.nonces.check();
+                }
+                const result = this.nonces.resultOf(txHash);
+                if (result && result.status === 'dropped') {
+                    throw new ChainError(CODES.DROPPED, `Transaction ${txHash} was dropped: its nonce was used by another transaction`);
+                }
+                const receipt = await this.findReceipt(result ? [result.hash] : this.nonces.hashesOf(txHash));
+                if (receipt) {
+                    const confirmed = await this.confirmationsOf(receipt);
+                    if (confirmed >= confirmations) {
+                        return { ...receipt, confirmations: confirmed };
+                    }
+                }
+                const remaining = deadline - Date.now();
+                if (remaining <= 0) {
+                    throw new ChainError(CODES.TIMEOUT, `Timed out waiting for ${confirmations} confirmation(s) of ${txHash}`);
+                }
+                await new Promise(resolve => setTimeout(resolve, Math.min(this.config.pollInterval, remaining)));
+            }
+        } catch (error) {
+            throw this.toChainError(error);
+        }
+    }
+
+    /**
+     * Get network information
+     * @returns {Promise<Object>} - { chainId, name, blockNumber, gasPrice }
+     */
+    async getNetworkInfo() {
+        this.requireProvider();
+        try {
+            const chainId = await this.adapter.getChainId();
+            const blockNumber = await this.adapter.getBlockNumber();
+            const { gasPrice, maxFeePerGas } = await this.adapter.getFeeData();
+
+            return {
+                chainId,
+                name: this.network ? this.network.key : null,
+                blockNumber,
+                gasPrice: (gasPrice || maxFeePerGas).toString()
+            };
+
+        } catch (error) {
+            throw this.toChainError(error);
+        }
+    }
+
+    /**
+     * RPC health of the connected network, for status pages
+     * @returns {Object|null} - { network, library, endpoints, failovers, quorumReads, quorumFailures },
+     * null when the client is not connected through RPC URLs
+     */
+    getMetrics() {
+        if (!this.network || !(this.adapter instanceof ProviderPool)) {
+            return null;
+        }
+        return { network: this.network.key, library: this.library, ...this.adapter.getMetrics() };
+    }
+
+    /**
+     * Address of the signer
+     * @returns {Promise<string>} - Checksummed address
+     */
+    async getAddress() {
+        this.requireSigner();
+        return ethers.getAddress(await this.adapter.getAddress());
+    }
+
+    // Receipt of the first of the hashes mined, latest first
+    async findReceipt(hashes) {
+        for (const hash of [...hashes].reverse()) {
+            const receipt = await this.adapter.getTransactionReceipt(hash);
+            if (receipt) {
+                return receipt;
+            }
+        }
+        return null;
+    }
+
+    async confirmationsOf(receipt) {
+        return (await this.adapter.getBlockNumber()) - receipt.blockNumber + 1;
+    }
+
+    async buildCall(contract, method, args, options = {}) {
+        let data;
+        try {
+            data = this.adapter.encodeCall(contract, method, args);
+        } catch (error) {
+            throw this.toChainError(error);
+        }
+        return {
+            from: this.signer ? await this.adapter.getAddress() : undefined,
+            to: this.adapter.contractAddress(contract),
+            data,
+            value: options.value
+        };
+    }
+
+    // Decode a revert against the ABI of the contract called; other errors pass through
+    revertError(contract, method, stage, error) {
+        if (error.code !== CODES.CALL_REVERTED) {
+            return error;
+        }
+        const decoded = decodeRevert(error.data, this.adapter.contractAbi(contract));
+        return new ChainError(CODES.CALL_REVERTED, decoded ? `Call reverted: ${formatRevert(decoded)}` : error.message, {
+            cause: error.cause || error,
+            reason: error.reason,
+            data: error.data,
+            revert: { method, stage, ...(decoded || { name: null, signature: null, args: [] }) }
+        });
+    }
+
+    resolveContract(contract) {
+        return typeof contract === 'string' ? this.getContract(contract) : contract;
+    }
+
+    requireProvider() {
+        if (!this.provider) {
+            throw new ChainError(CODES.NOT_INITIALIZED, 'Provider must be initialized first');
+        }
+    }
+
+    requireSigner() {
+        if (!this.provider || !this.signer) {
+            throw new ChainError(CODES.NOT_INITIALIZED, 'Provider and signer must be initialized first');
+        }
+    }
+
+    /**
+     * Normalize an error of the underlying library
+     * @param {Error} error - Any error
+     * @returns {ChainError} - Normalized error
+     */
+    toChainError(error) {
+        return this.adapter.toChainError(error);
+    }
+
+    close() {
+        this.nonces.stop();
+        this.adapter.close();
+    }
+}
+
+/**
+ * Create a chain client
+ * @param {Object} options - Client options (see ChainClient)
+ * @param {string} options.library - 'ethers' or 'web3' (default: CHAIN_LIBRARY env variable, else ethers)
+ * @returns {ChainClient} - Client
+ */
+function createChainClient(options = {}) {
+    return new ChainClient({ ...options, library: options.library || process.env.CHAIN_LIBRARY || 'ethers' });
+}
+
+module.exports = {
+    ChainClient,
+    ChainError,
+    CODES,
+    createChainClient,
+    createAdapter
+};
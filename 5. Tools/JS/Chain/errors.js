@@ -0,0 +1,188 @@
+/**
+ * Chain client errors
+ * Every failure the ChainClient reports is a ChainError with one of the codes
+ * below, whichever library (ethers or web3) raised it. The library's error is
+ * kept as `cause`; reverts also carry the raw revert `data` and, for
+ * require/revert strings and panics, the decoded `reason`. Reverts of calls to
+ * a loaded contract are also decoded against its ABI (custom errors included)
+ * as `revert`: { method, stage, name, signature, args }
+ */
+
+const { ethers } = require('ethers');
+
+const CODES = {
+    UNSUPPORTED_NETWORK: 'UNSUPPORTED_NETWORK', // Network is not configured
+    NOT_INITIALIZED: 'NOT_INITIALIZED', // initialize() has not connected a provider and signer
+    NO_SIGNER: 'NO_SIGNER', // No private key and no account unlocked on the node
+    CONTRACT_NOT_LOADED: 'CONTRACT_NOT_LOADED', // getContract() for a name never loaded
+    INVALID_ARGUMENT: 'INVALID_ARGUMENT', // Bad address, ABI, method or argument
+    CALL_REVERTED: 'CALL_REVERTED', // Call, estimate or mined transaction reverted
+    INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS', // Signer cannot pay for the transaction
+    NONCE_ERROR: 'NONCE_ERROR', // Nonce already used, or a replacement priced too low
+    NETWORK_ERROR: 'NETWORK_ERROR', // Node unreachable or answering with server errors
+    TIMEOUT: 'TIMEOUT', // Waited too long for a receipt or an RPC answer
+    QUORUM_NOT_REACHED: 'QUORUM_NOT_REACHED', // Too few RPC endpoints agreed on a quorum read
+    TRANSACTION_FAILED: 'TRANSACTION_FAILED', // Gave up after every retry
+    CANCELLED: 'CANCELLED', // The nonce manager cancelled the transaction (see nonceManager.js)
+    DROPPED: 'DROPPED', // Another transaction used the nonce
+    UNKNOWN: 'UNKNOWN'
+};
+
+class ChainError extends Error {
+    /**
+     * @param {string} code - One of CODES
+     * @param {string} message - Error message
+     * @param {Object} details - { cause, reason, data, revert, receipt }
+     */
+    constructor(code, message, details = {}) {
+        super(message, details.cause ? { cause: details.cause } : undefined);
+        this.name = 'ChainError';
+        this.code = code;
+        this.reason = details.reason || null;
+        this.data = details.data || null;
+        this.revert = details.revert || null;
+        if (details.receipt) {
+            this.receipt = details.receipt;
+        }
+    }
+}
+
+const ERROR_STRING = '0x08c379a0'; // Error(string)
+const PANIC = '0x4e487b71'; // Panic(uint256)
+
+/**
+ * Reason of a require/revert string or a panic, from revert data
+ * @param {string} data - Revert data
+ * @returns {string|null} - Reason, null for custom errors and empty reverts
+ */
+function decodeRevertReason(data) {
+    if (!ethers.isHexString(data) || data.length < 10) {
+        return null;
+    }
+    try {
+        const selector = data.slice(0, 10).toLowerCase();
+        if (selector === ERROR_STRING) {
+            return ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4))[0];
+        }
+        if (selector === PANIC) {
+            const [code] = ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], ethers.dataSlice(data, 4));
+            return `Panic(0x${code.toString(16)})`;
+        }
+    } catch (error) {
+        return null;
+    }
+    return null;
+}
+
+/**
+ * Decode revert data against a contract ABI
+ * Require/revert strings decode as Error(string) and panics as Panic(uint256)
+ * whatever the ABI; custom errors only when the ABI declares them
+ * @param {string} data - Revert data
+ * @param {Array|Object} abi - JSON ABI, human-readable ABI or ethers Interface
+ * @returns {Object|null} - { name, signature, args } (args as strings), null when nothing matches
+ */
+function decodeRevert(data, abi = []) {
+    if (!ethers.isHexString(data) || data.length < 10) {
+        return null;
+    }
+    const selector = data.slice(0, 10).toLowerCase();
+    if (selector === ERROR_STRING || selector === PANIC) {
+        const reason = decodeRevertReason(data);
+        if (reason === null) {
+            return null;
+        }
+        return selector === ERROR_STRING
+            ? { name: 'Error', signature: 'Error(string)', args: [reason] }
+            : { name: 'Panic', signature: 'Panic(uint256)', args: [reason.slice(6, -1)] };
+    }
+    try {
+        const iface = abi instanceof ethers.Interface ? abi : new ethers.Interface(abi);
+        const parsed = iface.parseError(data);
+        return parsed ? { name: parsed.name, signature: parsed.signature, args: parsed.args.toArray().map(String) } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Readable form of a decoded revert
+ * @param {Object} revert - { name, args } (decodeRevert)
+ * @returns {string} - The reason of a require string or panic, else Name(arg, ...)
+ */
+function formatRevert(revert) {
+    if (revert.name === 'Error') {
+        return revert.args[0];
+    }
+    if (revert.name === 'Panic') {
+        return `Panic(${revert.args[0]})`;
+    }
+    return `${revert.name}(${revert.args.join(', ')})`;
+}
+
+// Node error messages, for libraries that only pass them through
+const MESSAGE_CODES = [
+    [/insufficient funds|doesn't have enough funds/i, CODES.INSUFFICIENT_FUNDS],
+    [/nonce too low|nonce has already been used|replacement (transaction )?underpriced|already known/i, CODES.NONCE_ERROR],
+    [/execution reverted|reverted with|VM Exception|revert/i, CODES.CALL_REVERTED]
+];
+
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'EHOSTUNREACH', 'NETWORK_ERROR', 'SERVER_ERROR'];
+
+/**
+ * Classify a library error
+ * @param {Object} details - { code, name, message, data, reason } as the adapter found them
+ * @returns {string} - One of CODES
+ */
+function classify({ code, name, message = '' }) {
+    if (NETWORK_CODES.includes(code) || ['FetchError', 'ConnectionError', 'ConnectionRefusedError', 'ConnectionTimeoutError'].includes(name)) {
+        return CODES.NETWORK_ERROR;
+    }
+    if (code === 'TIMEOUT') {
+        return CODES.TIMEOUT;
+    }
+    if (code === 'CALL_EXCEPTION' || name === 'ContractExecutionError' || name === 'TransactionRevertedWithoutReasonError' ||
+        name === 'TransactionRevertInstructionError') {
+        return CODES.CALL_REVERTED;
+    }
+    if (code === 'INSUFFICIENT_FUNDS') {
+        return CODES.INSUFFICIENT_FUNDS;
+    }
+    if (code === 'NONCE_EXPIRED' || code === 'REPLACEMENT_UNDERPRICED') {
+        return CODES.NONCE_ERROR;
+    }
+    if (code === 'INVALID_ARGUMENT' || name === 'InvalidAddressError' || name === 'AbiError') {
+        return CODES.INVALID_ARGUMENT;
+    }
+    const match = MESSAGE_CODES.find(([pattern]) => pattern.test(message));
+    return match ? match[1] : CODES.UNKNOWN;
+}
+
+/**
+ * Build a ChainError from what an adapter extracted from a library error
+ * @param {Error} error - Library error
+ * @param {Object} details - { code, name, message, data, reason }
+ * @returns {ChainError} - Normalized error (error itself when it already is one)
+ */
+function normalizeError(error, details) {
+    if (error instanceof ChainError) {
+        return error;
+    }
+    // Match node messages against both the short message and the library's full one
+    const code = classify({ ...details, message: `${details.message || ''} ${error.message || ''}` });
+    const data = ethers.isHexString(details.data) ? details.data : null;
+    const reason = code === CODES.CALL_REVERTED ? (decodeRevertReason(data) || details.reason || null) : null;
+    const message = code === CODES.CALL_REVERTED && reason
+        ? `Call reverted: ${reason}`
+        : details.message || error.message || String(error);
+    return new ChainError(code, message, { cause: error, reason, data });
+}
+
+module.exports = {
+    ChainError,
+    CODES,
+    decodeRevert,
+    decodeRevertReason,
+    formatRevert,
+    normalizeError
+};
@@ -0,0 +1,159 @@
+/**
+ * Ethers.js adapter for the chain client
+ * Wraps an ethers v6 provider and signer behind the adapter interface
+ * ChainClient calls (see chainClient.js); values come back as bigints and
+ * plain objects, errors as ChainErrors
+ */
+
+const { ethers } = require('ethers');
+const { normalizeError } = require('./errors');
+
+class EthersAdapter {
+    constructor() {
+        this.library = 'ethers';
+        this.provider = null;
+        this.signer = null;
+    }
+
+    /**
+     * Connect to a node
+     * @param {Object} target - { rpc, eip1193, chainId } (eip1193 wins over rpc)
+     */
+    async connect({ rpc, eip1193, chainId }) {
+        this.provider = eip1193
+            ? new ethers.BrowserProvider(eip1193, undefined, { cacheTimeout: -1 })
+            // A static network stops ethers retrying network detection forever on a dead URL;
+            // no request cache, so an answer is always the node's (and counts in its health)
+            : new ethers.JsonRpcProvider(rpc, chainId || undefined, { staticNetwork: Boolean(chainId), cacheTimeout: -1 });
+    }
+
+    useKey(privateKey) {
+        this.signer = new ethers.Wallet(privateKey, this.provider);
+    }
+
+    async useAccount(address) {
+        // The caller found the account on the node; getSigner would ask the node again
+        this.signer = new ethers.JsonRpcSigner(this.provider, ethers.getAddress(address));
+    }
+
+    request(method, params = []) {
+        return this.provider.send(method, params);
+    }
+
+    getAddress() {
+        return this.signer.getAddress();
+    }
+
+    async getChainId() {
+        return BigInt(await this.request('eth_chainId'));
+    }
+
+    getBlockNumber() {
+        return this.provider.getBlockNumber();
+    }
+
+    async getFeeData() {
+        const { gasPrice, maxFeePerGas, maxPriorityFeePerGas } = await this.provider.getFeeData();
+        return { gasPrice, maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    getBalance(address) {
+        return this.provider.getBalance(address);
+    }
+
+    getTransactionCount(address, blockTag = 'latest') {
+        return this.provider.getTransactionCount(address, blockTag);
+    }
+
+    async getTransaction(hash) {
+        const tx = await this.provider.getTransaction(hash);
+        return tx && {
+            hash: tx.hash,
+            from: tx.from,
+            to: tx.to,
+            nonce: tx.nonce,
+            value: tx.value,
+            gasLimit: tx.gasLimit,
+            gasPrice: tx.gasPrice,
+            maxFeePerGas: tx.maxFeePerGas,
+            maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+            type: tx.type,
+            data: tx.data,
+            blockNumber: tx.blockNumber
+        };
+    }
+
+    async getTransactionReceipt(hash) {
+        const receipt = await this.provider.getTransactionReceipt(hash);
+        return receipt && {
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            blockHash: receipt.blockHash,
+            from: receipt.from,
+            to: receipt.to,
+            contractAddress: receipt.contractAddress,
+            status: receipt.status,
+            gasUsed: receipt.gasUsed,
+            cumulativeGasUsed: receipt.cumulativeGasUsed,
+            effectiveGasPrice: receipt.gasPrice,
+            logs: receipt.logs.map(log => ({ address: log.address, topics: [...log.topics], data: log.data, logIndex: log.index }))
+        };
+    }
+
+    createContract(address, abi) {
+        return new ethers.Contract(address, abi instanceof ethers.Interface ? abi : new ethers.Interface(abi), this.signer || this.provider);
+    }
+
+    contractAddress(contract) {
+        return contract.target;
+    }
+
+    contractAbi(contract) {
+        return contract.interface;
+    }
+
+    encodeCall(contract, method, args) {
+        return contract.interface.encodeFunctionData(method, args);
+    }
+
+    decodeResult(contract, method, data) {
+        const result = contract.interface.decodeFunctionResult(method, data);
+        return result.length === 1 ? result[0] : result;
+    }
+
+    call(tx) {
+        return this.provider.call(tx);
+    }
+
+    estimateGas(tx) {
+        return this.provider.estimateGas(tx);
+    }
+
+    /**
+     * Sign (or have the node sign) and broadcast a transaction
+     * @param {Object} tx - { to, data, value, gasLimit, nonce, gasPrice | maxFeePerGas + maxPriorityFeePerGas, type }
+     * @returns {Promise<string>} - Transaction hash
+     */
+    async sendTransaction(tx) {
+        const response = await this.signer.sendTransaction(tx);
+        return response.hash;
+    }
+
+    toChainError(error) {
+        return normalizeError(error, {
+            code: error.code,
+            name: error.name,
+            message: error.shortMessage || error.message,
+            data: error.data || (error.info && error.info.error && error.info.error.data),
+            reason: error.reason
+        });
+    }
+
+    close() {
+        if (this.provider && typeof this.provider.destroy === 'function') {
+            this.provider.destroy();
+        }
+    }
+}
+
+module.exports = EthersAdapter;
@@ -0,0 +1,120 @@
+/**
+ * Network table for the chain client
+ * Networks come from hardhat.config.js (resolved by Hardhat, so its env
+ * variables such as SEPOLIA_URL and PRIVATE_KEY apply), then `<NAME>_RPC_URL`
+ * overrides the RPC URL of a network (SEPOLIA_RPC_URL, MAINNET_RPC_URL,
+ * LOCALHOST_RPC_URL) and `<NAME>_RPC_URLS` (comma-separated) adds fallback
+ * URLs the client fails over to. The in-process `hardhat` network is reached through
+ * Hardhat's EIP-1193 provider instead of a URL. Without Hardhat installed (or
+ * outside the project), the networks hardhat.config.js defines are used
+ * without URLs
+ */
+
+const { ChainError, CODES } = require('./errors');
+
+// Same networks and chain ids as hardhat.config.js
+const FALLBACK_NETWORKS = {
+    hardhat: { chainId: 1337 },
+    localhost: { url: 'http://127.0.0.1:8545', chainId: 1337 },
+    sepolia: { url: '', chainId: 11155111, accounts: [] },
+    mainnet: { url: '', chainId: 1, accounts: [] }
+};
+
+const DISPLAY_NAMES = {
+    hardhat: 'Hardhat Network',
+    localhost: 'Local Network',
+    sepolia: 'Sepolia Testnet',
+    mainnet: 'Ethereum Mainnet'
+};
+
+// Names EthersUtils and Web3Utils used before networks came from hardhat.config.js
+const ALIASES = {
+    local: 'localhost'
+};
+
+// URL list from a string (comma-separated), an array or nothing
+const toList = (urls) => (Array.isArray(urls) ? urls : String(urls || '').split(','))
+    .map(url => url.trim())
+    .filter(Boolean);
+
+/**
+ * Networks as Hardhat resolved them from hardhat.config.js
+ * @returns {Object} - Network configs by name
+ */
+function readHardhatNetworks() {
+    try {
+        return require('hardhat').config.networks;
+    } catch (error) {
+        console.warn(`[ChainClient] hardhat.config.js not loaded (${error.message}), using the default networks`);
+        return FALLBACK_NETWORKS;
+    }
+}
+
+/**
+ * Build the network table
+ * @param {Object} options - Sources
+ * @param {Object} options.hardhatNetworks - Network configs (default: hardhat.config.js)
+ * @param {Object} options.env - Environment (default: process.env)
+ * @param {Object} options.rpcUrls - RPC URL (or URLs, preferred first) per network name, overriding both
+ * @returns {Object} - { [name]: { key, name, chainId, rpc, rpcs, accounts, inProcess } }
+ */
+function loadNetworks(options = {}) {
+    const { hardhatNetworks = readHardhatNetworks(), env = process.env, rpcUrls = {} } = options;
+    const overrides = Object.fromEntries(Object.entries(rpcUrls).map(([name, rpc]) => [ALIASES[name] || name, rpc]));
+    const networks = {};
+    for (const [key, config] of Object.entries(hardhatNetworks)) {
+        const prefix = key.toUpperCase();
+        const primary = toList(overrides[key]).length ? toList(overrides[key]) : toList(env[`${prefix}_RPC_URL`] || config.url);
+        const rpcs = [...new Set([...primary, ...toList(env[`${prefix}_RPC_URLS`])])];
+        networks[key] = {
+            key,
+            name: DISPLAY_NAMES[key] || key,
+            chainId: config.chainId === undefined ? null : Number(config.chainId),
+            rpc: rpcs[0] || null,
+            rpcs,
+            // Only explicit private keys; HD and 'remote' accounts are unlocked on the node
+            accounts: Array.isArray(config.accounts) ? config.accounts.filter(Boolean) : [],
+            inProcess: key === 'hardhat'
+        };
+    }
+    return networks;
+}
+
+/**
+ * Look up a network by name or alias
+ * @param {Object} networks - Network table from loadNetworks
+ * @param {string} name - Network name
+ * @returns {Object} - Network
+ * @throws {ChainError} - UNSUPPORTED_NETWORK when it is unknown or has no RPC URL
+ */
+function resolveNetwork(networks, name) {
+    const network = networks[ALIASES[name] || name];
+    if (!network) {
+        throw new ChainError(CODES.UNSUPPORTED_NETWORK, `Unsupported network: ${name}`);
+    }
+    if (!network.rpc && !network.inProcess) {
+        throw new ChainError(CODES.UNSUPPORTED_NETWORK,
+            `No RPC URL for network ${name} (set ${network.key.toUpperCase()}_RPC_URL)`);
+    }
+    return network;
+}
+
+/**
+ * EIP-1193 provider of the in-process Hardhat network
+ * @returns {Object} - Hardhat's network provider
+ * @throws {ChainError} - UNSUPPORTED_NETWORK when Hardhat runs another network
+ */
+function inProcessProvider() {
+    const hre = require('hardhat');
+    if (hre.network.name !== 'hardhat') {
+        throw new ChainError(CODES.UNSUPPORTED_NETWORK, `The hardhat network is not running in-process (running ${hre.network.name})`);
+    }
+    return hre.network.provider;
+}
+
+module.exports = {
+    loadNetworks,
+    resolveNetwork,
+    inProcessProvider,
+    FALLBACK_NETWORKS
+};
@@ -0,0 +1,357 @@
+/**
+ * Nonce manager for the chain client
+ * Assigns the nonces of an account one at a time, so concurrent sends never get
+ * the same one, and tracks every transaction until a block includes it. A
+ * transaction pending for stuckBlocks blocks while it holds back the account's
+ * next nonce is replaced by one with the same nonce and fees raised by feeBump
+ * percent: the same call (speed up) or an empty transfer to the account itself
+ * (cancel). A nonce a block includes through a transaction the manager did not
+ * send is reported as dropped
+ *
+ * check() does this work; it runs on each poll while ChainClient waits for a
+ * tracked transaction, and every checkInterval ms once start() is called. The
+ * outcome of every transaction (pending, stuck, replaced, mined, cancelled,
+ * dropped) is reported to a ReceiptProcessor
+ */
+
+const { ChainError, CODES } = require('./errors');
+const ReceiptProcessor = require('../../../ui_feedback_module/Receipt_Processor');
+
+const DEFAULTS = {
+    stuckBlocks: 3, // Blocks a transaction may stay pending before it is replaced
+    stuckAction: 'speedUp', // 'speedUp', 'cancel' or 'none' (only report it)
+    feeBump: 20, // Percent added to the fees of a replacement (nodes require at least 10)
+    maxReplacements: 3, // Replacements per nonce
+    maxFeePerGas: null, // Highest fee a replacement may offer, in wei (bigint), null for no cap
+    checkInterval: 15000, // Between checks once started, in ms
+    settledHistory: 1000 // Settled transactions remembered, so late waiters still find their replacement
+};
+
+const ACTIONS = ['speedUp', 'cancel', 'none'];
+const CANCEL_GAS = 21000n;
+
+// Raise a fee by `percent`, rounding up
+const bump = (fee, percent) => (BigInt(fee) * BigInt(100 + percent) + 99n) / 100n;
+const max = (a, b) => (a > b ? a : b);
+
+class NonceManager {
+    /**
+     * @param {Object} chain - ChainClient whose signer's transactions are managed
+     * @param {Object} options - Settings (see DEFAULTS), plus receiptProcessor
+     */
+    constructor(chain, options = {}) {
+        const { receiptProcessor, ...config } = options;
+        this.chain = chain;
+        this.config = { ...DEFAULTS, ...Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined)) };
+        if (!ACTIONS.includes(this.config.stuckAction)) {
+            throw new ChainError(CODES.INVALID_ARGUMENT, `Unknown stuck transaction action: ${this.config.stuckAction} (use ${ACTIONS.join(', ')})`);
+        }
+        this.receipts = receiptProcessor || new ReceiptProcessor();
+        this.accounts = new Map(); // address => { address, next, lock, pending: Map(nonce => entry) }
+        this.transactions = new Map(); // hash => entry, for every hash sent for a nonce
+        this.checking = null;
+        this.timer = null;
+    }
+
+    get adapter() {
+        return this.chain.adapter;
+    }
+
+    account(address) {
+        if (!this.accounts.has(address)) {
+            this.accounts.set(address, { address, next: null, lock: Promise.resolve(), pending: new Map() });
+        }
+        return this.accounts.get(address);
+    }
+
+    /**
+     * Broadcast a transaction with the signer's next nonce (or the one given) and track it
+     * @param {Object} tx - { to, data, value, gasLimit, nonce?, maxFeePerGas + maxPriorityFeePerGas | gasPrice, type }
+     * @returns {Promise<Object>} - { hash, nonce }
+     * @throws {ChainError} - The node's error; nothing is tracked and the nonce is reused
+     */
+    async send(tx) {
+        const state = this.account(await this.chain.getAddress());
+        const sending = state.lock.then(() => this.sendLocked(state, tx));
+        state.lock = sending.catch(() => {});
+        return sending;
+    }
+
+    async sendLocked(state, tx) {
+        const assigned = tx.nonce === undefined || tx.nonce === null;
+        let nonce = assigned ? await this.nextNonce(state) : Number(tx.nonce);
+        let hash;
+        try {
+            hash = await this.broadcast({ ...tx, nonce });
+        } catch (error) {
+            if (!assigned || error.code !== CODES.NONCE_ERROR) {
+                throw error;
+            }
+            // Another sender used the nonce: start again from the node's count
+            console.warn(`[NonceManager] Nonce ${nonce} of ${state.address} already used, resynchronizing`);
+            state.next = null;
+            nonce = await this.nextNonce(state);
+            hash = await this.broadcast({ ...tx, nonce });
+        }
+        state.next = Math.max(state.next === null ? 0 : state.next, nonce + 1);
+
+        const entry = {
+            address: state.address,
+            nonce,
+            tx: { ...tx, nonce },
+            hashes: [hash],
+            actions: { [hash]: 'original' },
+            sentAt: await this.adapter.getBlockNumber(),
+            replacements: 0,
+            stuck: false,
+            result: null
+        };
+        state.pending.set(nonce, entry);
+        this.transactions.set(hash, entry);
+        this.receipts.trackPending(hash, { nonce, from: state.address });
+        return { hash, nonce };
+    }
+
+    async nextNonce(state) {
+        if (state.next === null) {
+            state.next = await this.adapter.getTransactionCount(state.address, 'pending');
+        }
+        return state.next;
+    }
+
+    async broadcast(tx) {
+        try {
+            return await this.adapter.sendTransaction(tx);
+        } catch (error) {
+            throw this.chain.toChainError(error);
+        }
+    }
+
+    /**
+     * Whether a hash belongs to a transaction still being tracked
+     * @param {string} txHash - Hash of the transaction or of one of its replacements
+     * @returns {boolean}
+     */
+    isPending(txHash) {
+        const entry = this.transactions.get(txHash);
+        return Boolean(entry && !entry.result);
+    }
+
+    /**
+     * Every hash sent for the nonce of a transaction, the latest last
+     * @param {string} txHash - Transaction hash
+     * @returns {Array<string>} - Hashes ([txHash] for transactions the manager did not send)
+     */
+    hashesOf(txHash) {
+        const entry = this.transactions.get(txHash);
+        return entry ? [...entry.hashes] : [txHash];
+    }
+
+    /**
+     * What a hash was sent as
+     * @param {string} txHash - Transaction hash
+     * @returns {string|null} - 'original', 'speedUp', 'cancel', or null when unknown
+     */
+    actionOf(txHash) {
+        const entry = this.transactions.get(txHash);
+        return entry ? entry.actions[txHash] : null;
+    }
+
+    /**
+     * How the nonce of a transaction was settled
+     * @param {string} txHash - Transaction hash
+     * @returns {Object|null} - { status: 'mined' | 'dropped', hash, action }, null while pending or unknown
+     */
+    resultOf(txHash) {
+        const entry = this.transactions.get(txHash);
+        return entry ? entry.result : null;
+    }
+
+    /**
+     * Pending transactions of every account
+     * @returns {Array<Object>} - { address, nonce, hash, hashes, sentAt, replacements, stuck }
+     */
+    getPending() {
+        return [...this.accounts.values()].flatMap(state => [...state.pending.values()].map(entry => ({
+            address: entry.address,
+            nonce: entry.nonce,
+            hash: entry.hashes[entry.hashes.length - 1],
+            hashes: [...entry.hashes],
+            sentAt: entry.sentAt,
+            replacements: entry.replacements,
+            stuck: entry.stuck
+        })));
+    }
+
+    /**
+     * Settle mined and dropped transactions, and replace stuck ones
+     * Concurrent calls share one pass
+     * @returns {Promise<void>}
+     */
+    check() {
+        if (!this.checking) {
+            this.checking = this.runCheck().finally(() => {
+                this.checking = null;
+            });
+        }
+        return this.checking;
+    }
+
+    async runCheck() {
+        const accounts = [...this.accounts.values()].filter(state => state.pending.size > 0);
+        if (accounts.length === 0) {
+            return;
+        }
+        const blockNumber = await this.adapter.getBlockNumber();
+        for (const state of accounts) {
+            // Counted before the receipts are read, so a nonce it covers without one of our receipts was dropped
+            const mined = await this.adapter.getTransactionCount(state.address, 'latest');
+            for (const entry of [...state.pending.values()].sort((a, b) => a.nonce - b.nonce)) {
+                const receipt = await this.chain.findReceipt(entry.hashes);
+                if (receipt) {
+                    this.settle(state, entry, { status: 'mined', hash: receipt.transactionHash, action: entry.actions[receipt.transactionHash] });
+                } else if (mined > entry.nonce) {
+                    this.settle(state, entry, { status: 'dropped', hash: null, action: null });
+                } else if (entry.nonce === mined && blockNumber - entry.sentAt >= this.config.stuckBlocks) {
+                    // Only the lowest pending nonce holds the account back
+                    await this.unstick(entry, blockNumber);
+                }
+            }
+        }
+    }
+
+    settle(state, entry, result) {
+        entry.result = result;
+        state.pending.delete(entry.nonce);
+        const original = entry.hashes[0];
+        if (result.status === 'dropped') {
+            console.warn(`[NonceManager] Nonce ${entry.nonce} of ${entry.address} was used by another transaction; ${original} dropped`);
+            this.receipts.recordDropped(original, { nonce: entry.nonce, hashes: entry.hashes });
+        } else {
+            // The processor waits through the chain client, which finds the mined hash of the nonce
+            this.receipts.processReceipt(original, this.chain).catch(error => {
+                console.error(`[NonceManager] Reporting ${original} failed: ${error.message}`);
+            });
+        }
+
+        // Forget the oldest settled transactions
+        const settled = [...new Set(this.transactions.values())].filter(item => item.result);
+        settled.slice(0, Math.max(0, settled.length - this.config.settledHistory)).forEach(item => {
+            item.hashes.forEach(hash => this.transactions.delete(hash));
+        });
+    }
+
+    async unstick(entry, blockNumber) {
+        const hash = entry.hashes[entry.hashes.length - 1];
+        const blocks = blockNumber - entry.sentAt;
+        if (!entry.stuck) {
+            console.warn(`[NonceManager] ${hash} (nonce ${entry.nonce}) pending for ${blocks} blocks`);
+        }
+        entry.stuck = true;
+        this.receipts.markStuck(hash, { nonce: entry.nonce, blocks });
+
+        // Once cancelled, a nonce is only cancelled again with higher fees
+        const action = entry.actions[hash] === 'cancel' ? 'cancel' : this.config.stuckAction;
+        if (action === 'none' || entry.replacements >= this.config.maxReplacements) {
+            return;
+        }
+        try {
+            await this.replace(entry, action);
+        } catch (error) {
+            console.error(`[NonceManager] Replacing ${hash} failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace a pending transaction now, whether or not it is stuck
+     * @param {string} txHash - Hash of the transaction (or of a replacement)
+     * @param {string} action - 'speedUp' (same call) or 'cancel' (empty transfer to the sender)
+     * @returns {Promise<Object>} - { hash, nonce, action } of the replacement
+     * @throws {ChainError} - INVALID_ARGUMENT when the transaction is not pending, or the node's error
+     */
+    async replaceTransaction(txHash, action = 'speedUp') {
+        const entry = this.transactions.get(txHash);
+        if (!entry || entry.result) {
+            throw new ChainError(CODES.INVALID_ARGUMENT, `Transaction ${txHash} is not pending`);
+        }
+        if (!['speedUp', 'cancel'].includes(action)) {
+            throw new ChainError(CODES.INVALID_ARGUMENT, `Unknown replacement: ${action} (use speedUp or cancel)`);
+        }
+        return this.replace(entry, action);
+    }
+
+    async replace(entry, action) {
+        const previous = entry.hashes[entry.hashes.length - 1];
+        const fees = await this.bumpedFees(entry.tx);
+        const tx = action === 'cancel'
+            ? { to: entry.address, data: '0x', value: 0n, gasLimit: CANCEL_GAS, nonce: entry.nonce, ...fees }
+            : { ...entry.tx, ...fees };
+
+        const hash = await this.broadcast(tx);
+        entry.tx = tx;
+        entry.hashes.push(hash);
+        entry.actions[hash] = action;
+        entry.replacements++;
+        entry.sentAt = await this.adapter.getBlockNumber();
+        this.transactions.set(hash, entry);
+
+        console.log(`[NonceManager] ${action === 'cancel' ? 'Cancelled' : 'Sped up'} ${previous} (nonce ${entry.nonce}) with ${hash}`);
+        this.receipts.recordReplacement(previous, hash, {
+            action: action === 'cancel' ? 'CANCEL' : 'SPEED_UP',
+            nonce: entry.nonce,
+            ...Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, value.toString()]))
+        });
+        return { hash, nonce: entry.nonce, action };
+    }
+
+    /**
+     * Fees of a replacement: the previous ones raised by feeBump percent, or the
+     * network's current ones when higher
+     * @param {Object} tx - Transaction being replaced
+     * @returns {Promise<Object>} - { maxFeePerGas, maxPriorityFeePerGas, type: 2 } or { gasPrice, type: 0 }
+     * @throws {ChainError} - INVALID_ARGUMENT when the fees would pass maxFeePerGas
+     */
+    async bumpedFees(tx) {
+        const current = await this.chain.getOptimalGasPrice();
+        const percent = this.config.feeBump;
+        let fees;
+        if (tx.maxFeePerGas !== undefined && tx.maxFeePerGas !== null) {
+            const maxPriorityFeePerGas = max(bump(tx.maxPriorityFeePerGas || 0n, percent), current.maxPriorityFeePerGas || 0n);
+            const maxFeePerGas = max(max(bump(tx.maxFeePerGas, percent), current.maxFeePerGas || current.gasPrice || 0n), maxPriorityFeePerGas);
+            fees = { maxFeePerGas, maxPriorityFeePerGas, type: 2 };
+        } else {
+            fees = { gasPrice: max(bump(tx.gasPrice || 0n, percent), current.gasPrice || current.maxFeePerGas || 0n), type: 0 };
+        }
+
+        const cap = this.config.maxFeePerGas;
+        const offered = fees.maxFeePerGas || fees.gasPrice;
+        if (cap !== null && offered > BigInt(cap)) {
+            throw new ChainError(CODES.INVALID_ARGUMENT, `Replacement fee ${offered} would pass the cap of ${cap} wei`);
+        }
+        return fees;
+    }
+
+    /**
+     * Check every checkInterval ms
+     */
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => {
+                this.check().catch(error => console.error(`[NonceManager] Check failed: ${error.message}`));
+            }, this.config.checkInterval);
+            if (typeof this.timer.unref === 'function') {
+                this.timer.unref();
+            }
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = {
+    NonceManager,
+    DEFAULTS
+};
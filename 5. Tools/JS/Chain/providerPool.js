@@ -0,0 +1,402 @@
+/**
+ * RPC provider pool for the chain client
+ * Holds one adapter per RPC URL of a network and is itself an adapter, so
+ * ChainClient uses it like a single one. Every request goes to the healthiest
+ * endpoint; when it is unreachable or does not answer within requestTimeout,
+ * the request fails over to the next one. Endpoints failing failureThreshold
+ * times in a row are marked down for `cooldown` ms; the next request then
+ * tries them first, and an answer gives them a clean record again. Reads
+ * that must not trust one node (see quorum) are sent to every endpoint and
+ * answered only when enough of them agree
+ *
+ * Health is the success rate of the last healthWindow requests, halved for
+ * every LATENCY_SCALE ms of average latency
+ */
+
+const { ChainError, CODES } = require('./errors');
+
+const DEFAULTS = {
+    requestTimeout: 10000, // Per request and endpoint
+    failureThreshold: 3, // Consecutive failures before an endpoint is marked down
+    cooldown: 30000, // Time a down endpoint is skipped
+    healthWindow: 20, // Requests the error rate is computed over
+    quorum: null // Endpoints that must agree on a quorum read (default: a majority of them)
+};
+
+const LATENCY_SCALE = 500; // ms of average latency that halve an endpoint's health
+const LATENCY_WEIGHT = 0.2; // Weight of the newest request in the average latency
+
+// Errors another endpoint may not have; anything else is the node's answer
+const FAILOVER_CODES = [CODES.NETWORK_ERROR, CODES.TIMEOUT];
+
+/**
+ * RPC URL without credentials, paths or query strings (API keys live there)
+ * @param {string} url - RPC URL
+ * @returns {string} - Protocol and host
+ */
+function redactUrl(url) {
+    try {
+        const { protocol, host, pathname, search } = new URL(url);
+        return `${protocol}//${host}${pathname !== '/' || search ? '/…' : ''}`;
+    } catch (error) {
+        return 'invalid URL';
+    }
+}
+
+// Key two answers compare equal by (bigints are not JSON)
+function canonical(value) {
+    return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? `${item}n` : item));
+}
+
+class ProviderPool {
+    /**
+     * @param {Array<Object>} endpoints - [{ url, adapter }], in order of preference
+     * @param {Object} options - requestTimeout, failureThreshold, cooldown, healthWindow, quorum (see DEFAULTS)
+     */
+    constructor(endpoints, options = {}) {
+        if (!endpoints.length) {
+            throw new ChainError(CODES.INVALID_ARGUMENT, 'A provider pool needs at least one RPC URL');
+        }
+        this.config = { ...DEFAULTS, ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)) };
+        this.endpoints = endpoints.map(({ url, adapter }, index) => ({
+            url,
+            index,
+            adapter,
+            outcomes: [], // Last healthWindow results, true for success
+            latency: null,
+            requests: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            downUntil: 0,
+            excluded: null, // Reason the endpoint is never used (wrong chain)
+            lastError: null
+        }));
+        this.library = endpoints[0].adapter.library;
+        this.failovers = 0;
+        this.quorumReads = 0;
+        this.quorumFailures = 0;
+    }
+
+    get primary() {
+        return this.ranked()[0] || this.endpoints[0];
+    }
+
+    // The library objects of the endpoint currently preferred
+    get provider() {
+        return this.primary.adapter.provider;
+    }
+
+    set provider(provider) {
+        this.primary.adapter.provider = provider;
+    }
+
+    get signer() {
+        return this.endpoints[0].adapter.signer;
+    }
+
+    set signer(signer) {
+        this.endpoints.forEach(endpoint => {
+            endpoint.adapter.signer = signer;
+        });
+    }
+
+    /**
+     * Connect every endpoint
+     * @param {Object} target - { chainId }
+     */
+    async connect({ chainId }) {
+        await Promise.all(this.endpoints.map(endpoint => endpoint.adapter.connect({ rpc: endpoint.url, chainId })));
+    }
+
+    /**
+     * Exclude endpoints serving another chain
+     * Unreachable endpoints stay in the pool, to be checked when they are used
+     * @param {bigint} chainId - Chain the network is configured for
+     */
+    async checkChainId(chainId) {
+        await Promise.all(this.endpoints.map(async (endpoint) => {
+            try {
+                const actual = await this.attempt(endpoint, adapter => adapter.getChainId());
+                if (actual !== chainId) {
+                    endpoint.excluded = `serves chain ${actual}`;
+                    console.warn(`[ProviderPool] Excluding ${redactUrl(endpoint.url)}: expected chain ${chainId}, got ${actual}`);
+                }
+            } catch (error) {
+                // Counted in its health by attempt
+            }
+        }));
+    }
+
+    useKey(privateKey) {
+        this.endpoints.forEach(endpoint => endpoint.adapter.useKey(privateKey));
+    }
+
+    async useAccount(address) {
+        await Promise.all(this.endpoints.map(endpoint => endpoint.adapter.useAccount(address)));
+    }
+
+    request(method, params) {
+        return this.run(adapter => adapter.request(method, params));
+    }
+
+    getAddress() {
+        return this.endpoints[0].adapter.getAddress();
+    }
+
+    getChainId() {
+        return this.run(adapter => adapter.getChainId());
+    }
+
+    getBlockNumber() {
+        return this.run(adapter => adapter.getBlockNumber());
+    }
+
+    getFeeData() {
+        return this.run(adapter => adapter.getFeeData());
+    }
+
+    getBalance(address) {
+        return this.run(adapter => adapter.getBalance(address));
+    }
+
+    getTransactionCount(address, blockTag) {
+        return this.run(adapter => adapter.getTransactionCount(address, blockTag));
+    }
+
+    getTransaction(hash) {
+        return this.run(adapter => adapter.getTransaction(hash));
+    }
+
+    getTransactionReceipt(hash) {
+        return this.run(adapter => adapter.getTransactionReceipt(hash));
+    }
+
+    // Contracts are only used to encode and decode, which needs no connection
+    createContract(address, abi) {
+        return this.endpoints[0].adapter.createContract(address, abi);
+    }
+
+    contractAddress(contract) {
+        return this.endpoints[0].adapter.contractAddress(contract);
+    }
+
+    contractAbi(contract) {
+        return this.endpoints[0].adapter.contractAbi(contract);
+    }
+
+    encodeCall(contract, method, args) {
+        return this.endpoints[0].adapter.encodeCall(contract, method, args);
+    }
+
+    decodeResult(contract, method, data) {
+        return this.endpoints[0].adapter.decodeResult(contract, method, data);
+    }
+
+    call(tx) {
+        return this.run(adapter => adapter.call(tx));
+    }
+
+    estimateGas(tx) {
+        return this.run(adapter => adapter.estimateGas(tx));
+    }
+
+    /**
+     * Broadcast a transaction
+     * The nonce is fixed before the first endpoint is tried, so an endpoint failing
+     * over after the transaction went out makes the next one broadcast the same
+     * transaction, never a second one
+     * @param {Object} tx - Transaction (see the adapters)
+     * @returns {Promise<string>} - Transaction hash
+     */
+    async sendTransaction(tx) {
+        const nonce = tx.nonce !== undefined ? tx.nonce : await this.getTransactionCount(await this.getAddress(), 'pending');
+        return this.run(adapter => adapter.sendTransaction({ ...tx, nonce }));
+    }
+
+    toChainError(error) {
+        return this.endpoints[0].adapter.toChainError(error);
+    }
+
+    close() {
+        this.endpoints.forEach(endpoint => endpoint.adapter.close());
+    }
+
+    /**
+     * Run a request on the healthiest endpoint, failing over on network errors and timeouts
+     * @param {Function} operation - (adapter) => Promise
+     * @returns {Promise<any>} - Result of the first endpoint that answered
+     * @throws {ChainError} - The node's error, or NETWORK_ERROR when no endpoint answered
+     */
+    async run(operation) {
+        const candidates = this.ranked(true);
+        const errors = [];
+        for (const endpoint of candidates) {
+            try {
+                const result = await this.attempt(endpoint, operation);
+                if (errors.length) {
+                    this.failovers++;
+                    console.warn(`[ProviderPool] Failed over to ${redactUrl(endpoint.url)} after ${errors.length} endpoint(s) failed`);
+                }
+                return result;
+            } catch (error) {
+                if (!FAILOVER_CODES.includes(error.code)) {
+                    throw error;
+                }
+                errors.push(`${redactUrl(endpoint.url)}: ${error.message}`);
+            }
+        }
+        throw new ChainError(CODES.NETWORK_ERROR, `All RPC endpoints failed (${errors.join('; ')})`, {
+            cause: candidates.length ? candidates[candidates.length - 1].lastError : null
+        });
+    }
+
+    /**
+     * Run a read on every available endpoint and answer what enough of them agree on
+     * @param {Function} operation - (adapter) => Promise of a JSON-like value
+     * @param {Object} options - { quorum } endpoints that must agree (default: config.quorum, else a majority)
+     * @returns {Promise<any>} - The agreed answer
+     * @throws {ChainError} - QUORUM_NOT_REACHED when too few endpoints agree
+     */
+    async quorum(operation, options = {}) {
+        const usable = this.endpoints.filter(endpoint => !endpoint.excluded);
+        const needed = Math.min(options.quorum || this.config.quorum || Math.floor(usable.length / 2) + 1, usable.length);
+        const settled = await Promise.allSettled(this.ranked(false).map(endpoint => this.attempt(endpoint, operation)));
+        this.quorumReads++;
+
+        const answers = new Map();
+        settled.filter(outcome => outcome.status === 'fulfilled').forEach(({ value }) => {
+            const key = canonical(value);
+            answers.set(key, { value, count: (answers.get(key) || { count: 0 }).count + 1 });
+        });
+        const best = [...answers.values()].sort((a, b) => b.count - a.count)[0];
+        if (best && best.count >= needed) {
+            return best.value;
+        }
+
+        this.quorumFailures++;
+        // Every endpoint answered with the same node error (a revert, say): that is the answer
+        const rejected = settled.filter(outcome => outcome.status === 'rejected').map(outcome => outcome.reason);
+        const nodeError = rejected.find(error => !FAILOVER_CODES.includes(error.code));
+        if (!best && nodeError) {
+            throw nodeError;
+        }
+        throw new ChainError(CODES.QUORUM_NOT_REACHED,
+            `Quorum not reached: ${best ? best.count : 0} of ${usable.length} RPC endpoints agreed, ${needed} needed` +
+            ` (${answers.size} different answers, ${rejected.length} failed)`);
+    }
+
+    /**
+     * One request on one endpoint, recorded in its health
+     * @param {Object} endpoint - Pool endpoint
+     * @param {Function} operation - (adapter) => Promise
+     * @returns {Promise<any>} - Result
+     * @throws {ChainError} - The endpoint's error, TIMEOUT after requestTimeout
+     */
+    async attempt(endpoint, operation) {
+        const started = Date.now();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new ChainError(CODES.TIMEOUT,
+                `No answer from ${redactUrl(endpoint.url)} within ${this.config.requestTimeout}ms`)), this.config.requestTimeout);
+        });
+        try {
+            const result = await Promise.race([operation(endpoint.adapter), timeout]);
+            this.record(endpoint, Date.now() - started, null);
+            return result;
+        } catch (error) {
+            const chainError = endpoint.adapter.toChainError(error);
+            // A revert or a rejected transaction is an answer: the endpoint is healthy
+            this.record(endpoint, Date.now() - started, FAILOVER_CODES.includes(chainError.code) ? chainError : null);
+            throw chainError;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    record(endpoint, latency, error) {
+        endpoint.requests++;
+        endpoint.latency = endpoint.latency === null ? latency : endpoint.latency + LATENCY_WEIGHT * (latency - endpoint.latency);
+        endpoint.outcomes.push(!error);
+        if (endpoint.outcomes.length > this.config.healthWindow) {
+            endpoint.outcomes.shift();
+        }
+        if (!error) {
+            if (endpoint.downUntil) {
+                // Back after its cooldown: earlier failures no longer count
+                endpoint.outcomes = [true];
+                endpoint.downUntil = 0;
+                console.log(`[ProviderPool] ${redactUrl(endpoint.url)} is back up`);
+            }
+            endpoint.consecutiveFailures = 0;
+            return;
+        }
+        endpoint.failures++;
+        endpoint.consecutiveFailures++;
+        endpoint.lastError = error;
+        if (endpoint.consecutiveFailures >= this.config.failureThreshold && !this.isDown(endpoint)) {
+            endpoint.downUntil = Date.now() + this.config.cooldown;
+            console.warn(`[ProviderPool] ${redactUrl(endpoint.url)} is down after ${endpoint.consecutiveFailures} failures: ${error.message}`);
+        }
+    }
+
+    health(endpoint) {
+        const { outcomes, latency } = endpoint;
+        const successRate = outcomes.length ? outcomes.filter(Boolean).length / outcomes.length : 1;
+        return successRate * Math.pow(0.5, (latency || 0) / LATENCY_SCALE);
+    }
+
+    isDown(endpoint) {
+        return endpoint.downUntil > Date.now();
+    }
+
+    // Cooldown over, not tried since
+    isRecovering(endpoint) {
+        return endpoint.downUntil !== 0 && !this.isDown(endpoint);
+    }
+
+    /**
+     * Usable endpoints: recovering ones first (to probe them), then healthiest first
+     * Healths within 5% of each other keep the configured order, so load does not
+     * flap between equally good endpoints
+     * @param {boolean} withDown - Append down endpoints as a last resort
+     * @returns {Array<Object>} - Endpoints
+     */
+    ranked(withDown = true) {
+        const usable = this.endpoints.filter(endpoint => !endpoint.excluded);
+        const byHealth = (a, b) => Number(this.isRecovering(b)) - Number(this.isRecovering(a)) ||
+            Math.round(this.health(b) * 20) - Math.round(this.health(a) * 20) || a.index - b.index;
+        const up = usable.filter(endpoint => !this.isDown(endpoint)).sort(byHealth);
+        const down = usable.filter(endpoint => this.isDown(endpoint)).sort((a, b) => a.downUntil - b.downUntil);
+        return withDown || !up.length ? [...up, ...down] : up;
+    }
+
+    /**
+     * Health of every endpoint, safe to serve (URLs are redacted)
+     * @returns {Object} - { endpoints, failovers, quorumReads, quorumFailures }
+     */
+    getMetrics() {
+        return {
+            endpoints: this.endpoints.map(endpoint => ({
+                url: redactUrl(endpoint.url),
+                status: endpoint.excluded ? 'excluded' : this.isDown(endpoint) ? 'down' : 'up',
+                health: Number(this.health(endpoint).toFixed(3)),
+                latencyMs: endpoint.latency === null ? null : Math.round(endpoint.latency),
+                requests: endpoint.requests,
+                failures: endpoint.failures,
+                errorRate: endpoint.outcomes.length
+                    ? Number((endpoint.outcomes.filter(ok => !ok).length / endpoint.outcomes.length).toFixed(3))
+                    : 0,
+                consecutiveFailures: endpoint.consecutiveFailures,
+                lastError: endpoint.excluded || (endpoint.lastError ? endpoint.lastError.message.split(endpoint.url).join(redactUrl(endpoint.url)) : null)
+            })),
+            failovers: this.failovers,
+            quorumReads: this.quorumReads,
+            quorumFailures: this.quorumFailures
+        };
+    }
+}
+
+module.exports = {
+    ProviderPool,
+    redactUrl
+};
@@ -0,0 +1,291 @@
+/**
+ * Unsigned and signed EIP-1559 transactions for offline signing
+ * An online machine exports an unsigned transaction (JSON, or the same document
+ * as QR code text); an air-gapped machine signs its signingHash with the
+ * virtual chip or the software signer and exports the serialized raw
+ * transaction; the online machine imports it and broadcasts it
+ * (ChainClient.broadcastRawTransaction). Chain id, nonce and fees are checked
+ * whenever a document is created, signed or imported
+ *
+ * Amounts are decimal strings in the documents, so they survive JSON
+ */
+
+const { ethers } = require('ethers');
+const { ChainError, CODES } = require('./errors');
+
+const UNSIGNED_FORMAT = 'unsigned-eip1559-transaction';
+const SIGNED_FORMAT = 'signed-eip1559-transaction';
+const VERSION = 1;
+
+// QR code text: the prefix, then the document as base64url JSON
+const QR_PREFIX = 'vcss-tx:';
+const QR_MAX_BYTES = 2953; // Byte mode capacity of a version 40 QR code at error correction L
+const MIN_GAS = 21000n;
+
+const invalid = message => new ChainError(CODES.INVALID_ARGUMENT, message);
+
+function toBigInt(value, name) {
+    try {
+        const number = BigInt(value);
+        if (number >= 0n) {
+            return number;
+        }
+    } catch (error) {
+        // Reported below
+    }
+    throw invalid(`${name} must be a non-negative integer, got ${value}`);
+}
+
+function toInteger(value, name) {
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isSafeInteger(number) || number < 0) {
+        throw invalid(`${name} must be a non-negative integer, got ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Check the chain id, nonce and fees of a transaction against what is expected
+ * @param {Object} tx - { chainId, nonce, maxFeePerGas, maxPriorityFeePerGas, gasLimit }
+ * @param {Object} expected - { chainId, nonce, from, maxFeePerGas } to match (maxFeePerGas is a cap); each optional
+ * @throws {ChainError} - INVALID_ARGUMENT naming the field
+ */
+function checkFields(tx, expected = {}) {
+    if (tx.chainId <= 0n) {
+        throw invalid('chainId is missing');
+    }
+    if (expected.chainId !== undefined && expected.chainId !== null && BigInt(tx.chainId) !== BigInt(expected.chainId)) {
+        throw invalid(`Transaction is for chain ${tx.chainId}, expected chain ${expected.chainId}`);
+    }
+    if (expected.nonce !== undefined && expected.nonce !== null && Number(tx.nonce) !== Number(expected.nonce)) {
+        throw invalid(`Transaction has nonce ${tx.nonce}, expected ${expected.nonce}`);
+    }
+    if (tx.maxFeePerGas === null || tx.maxPriorityFeePerGas === null || tx.maxFeePerGas === 0n) {
+        throw invalid('maxFeePerGas and maxPriorityFeePerGas are required');
+    }
+    if (tx.maxPriorityFeePerGas > tx.maxFeePerGas) {
+        throw invalid(`maxPriorityFeePerGas ${tx.maxPriorityFeePerGas} is above maxFeePerGas ${tx.maxFeePerGas}`);
+    }
+    if (expected.maxFeePerGas !== undefined && expected.maxFeePerGas !== null && tx.maxFeePerGas > BigInt(expected.maxFeePerGas)) {
+        throw invalid(`maxFeePerGas ${tx.maxFeePerGas} is above the cap of ${expected.maxFeePerGas} wei`);
+    }
+    if (tx.gasLimit < MIN_GAS) {
+        throw invalid(`gasLimit ${tx.gasLimit} is below ${MIN_GAS}`);
+    }
+}
+
+// ethers transaction of an unsigned document's fields
+function toTransaction(doc) {
+    if (!doc || typeof doc !== 'object') {
+        throw invalid('Transaction document must be an object');
+    }
+    if (!ethers.isAddress(doc.to)) {
+        throw invalid(`to must be an address, got ${doc.to}`);
+    }
+    if (!ethers.isHexString(doc.data || '0x')) {
+        throw invalid('data must be 0x-prefixed hex');
+    }
+    const fields = {
+        type: 2,
+        chainId: toBigInt(doc.chainId, 'chainId'),
+        nonce: toInteger(doc.nonce, 'nonce'),
+        to: ethers.getAddress(doc.to),
+        data: doc.data || '0x',
+        value: toBigInt(doc.value || 0, 'value'),
+        gasLimit: toBigInt(doc.gasLimit, 'gasLimit'),
+        maxFeePerGas: toBigInt(doc.maxFeePerGas, 'maxFeePerGas'),
+        maxPriorityFeePerGas: toBigInt(doc.maxPriorityFeePerGas, 'maxPriorityFeePerGas')
+    };
+    try {
+        return ethers.Transaction.from(fields);
+    } catch (error) {
+        throw invalid(`Invalid transaction: ${error.shortMessage || error.message}`);
+    }
+}
+
+/**
+ * Build the unsigned transaction document to sign offline
+ * @param {Object} fields - { chainId, nonce, from, to, data, value, gasLimit, maxFeePerGas, maxPriorityFeePerGas }
+ * @param {Object} expected - Constraints for checkFields
+ * @returns {Object} - Unsigned document, with the signingHash the signer signs
+ * @throws {ChainError} - INVALID_ARGUMENT for a missing or inconsistent field
+ */
+function createUnsignedTransaction(fields, expected = {}) {
+    if (!ethers.isAddress(fields.from)) {
+        throw invalid(`from must be the signer's address, got ${fields.from}`);
+    }
+    const tx = toTransaction(fields);
+    checkFields(tx, expected);
+    return {
+        format: UNSIGNED_FORMAT,
+        version: VERSION,
+        chainId: Number(tx.chainId),
+        nonce: tx.nonce,
+        from: ethers.getAddress(fields.from),
+        to: tx.to,
+        data: tx.data,
+        value: tx.value.toString(),
+        gasLimit: tx.gasLimit.toString(),
+        maxFeePerGas: tx.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString(),
+        signingHash: tx.unsignedHash
+    };
+}
+
+/**
+ * Check an imported unsigned document
+ * @param {Object} doc - Unsigned document
+ * @param {Object} expected - Constraints for checkFields
+ * @returns {Object} - ethers Transaction of its fields
+ * @throws {ChainError} - INVALID_ARGUMENT, also when the fields no longer match the signingHash
+ */
+function validateUnsignedTransaction(doc, expected = {}) {
+    if (!doc || doc.format !== UNSIGNED_FORMAT || doc.version !== VERSION) {
+        throw invalid(`Not an unsigned transaction document (format ${UNSIGNED_FORMAT}, version ${VERSION})`);
+    }
+    if (!ethers.isAddress(doc.from)) {
+        throw invalid(`from must be the signer's address, got ${doc.from}`);
+    }
+    if (expected.from && ethers.getAddress(expected.from) !== ethers.getAddress(doc.from)) {
+        throw invalid(`Transaction is from ${doc.from}, expected ${expected.from}`);
+    }
+    const tx = toTransaction(doc);
+    checkFields(tx, expected);
+    if (tx.unsignedHash !== doc.signingHash) {
+        throw invalid('signingHash does not match the transaction fields: the document was altered');
+    }
+    return tx;
+}
+
+/**
+ * Sign an unsigned document offline
+ * The signer signs the 32-byte signingHash (signHash), so the key never leaves
+ * the chip or the signing machine
+ * @param {Object} doc - Unsigned document
+ * @param {Object} signer - Signer with signHash(hash) and address (backend/signers.js)
+ * @param {Object} expected - Constraints for checkFields
+ * @returns {Promise<Object>} - Signed document ({ rawTransaction, hash, from, chainId, nonce, ... })
+ * @throws {ChainError} - INVALID_ARGUMENT when the document is invalid or the signature is not the sender's
+ */
+async function signUnsignedTransaction(doc, signer, expected = {}) {
+    const tx = validateUnsignedTransaction(doc, expected);
+    if (typeof signer.signHash !== 'function') {
+        throw invalid(`Signer ${signer.name || 'provider'} cannot sign transactions`);
+    }
+    if (signer.address && ethers.getAddress(signer.address) !== ethers.getAddress(doc.from)) {
+        throw invalid(`Transaction is from ${doc.from}, but the signer is ${signer.address}`);
+    }
+
+    const { r, s, v } = await signer.signHash(tx.unsignedHash);
+    try {
+        tx.signature = ethers.Signature.from({ r, s, v });
+    } catch (error) {
+        throw invalid(`Signer returned an invalid signature: ${error.shortMessage || error.message}`);
+    }
+    if (tx.from !== ethers.getAddress(doc.from)) {
+        throw invalid(`Signature recovers ${tx.from}, not ${doc.from}`);
+    }
+    return toSignedDocument(tx);
+}
+
+function toSignedDocument(tx) {
+    return {
+        format: SIGNED_FORMAT,
+        version: VERSION,
+        chainId: Number(tx.chainId),
+        nonce: tx.nonce,
+        from: tx.from,
+        to: tx.to,
+        data: tx.data,
+        value: tx.value.toString(),
+        gasLimit: tx.gasLimit.toString(),
+        maxFeePerGas: tx.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString(),
+        hash: tx.hash,
+        rawTransaction: tx.serialized
+    };
+}
+
+/**
+ * Parse and check a signed transaction before it is broadcast
+ * @param {Object|string} input - Signed document, or the raw transaction hex
+ * @param {Object} expected - Constraints for checkFields
+ * @returns {Object} - Signed document of the raw transaction
+ * @throws {ChainError} - INVALID_ARGUMENT when it does not parse, is not a signed EIP-1559
+ *   transaction, breaks a constraint or disagrees with its document
+ */
+function parseSignedTransaction(input, expected = {}) {
+    const doc = typeof input === 'string' ? { format: SIGNED_FORMAT, version: VERSION, rawTransaction: input } : input;
+    if (!doc || doc.format !== SIGNED_FORMAT || doc.version !== VERSION) {
+        throw invalid(`Not a signed transaction document (format ${SIGNED_FORMAT}, version ${VERSION})`);
+    }
+    let tx;
+    try {
+        tx = ethers.Transaction.from(doc.rawTransaction);
+    } catch (error) {
+        throw invalid(`rawTransaction does not parse: ${error.shortMessage || error.message}`);
+    }
+    if (tx.type !== 2) {
+        throw invalid(`rawTransaction is a type ${tx.type} transaction, expected EIP-1559 (type 2)`);
+    }
+    if (!tx.signature) {
+        throw invalid('rawTransaction is not signed');
+    }
+    checkFields(tx, expected);
+
+    const parsed = toSignedDocument(tx);
+    // Whatever the document says next to the raw transaction must agree with it
+    ['chainId', 'nonce', 'from', 'to', 'data', 'value', 'gasLimit', 'maxFeePerGas', 'maxPriorityFeePerGas', 'hash'].forEach(field => {
+        if (doc[field] !== undefined && String(doc[field]).toLowerCase() !== String(parsed[field]).toLowerCase()) {
+            throw invalid(`${field} of the document (${doc[field]}) does not match the raw transaction (${parsed[field]})`);
+        }
+    });
+    if (expected.from && ethers.getAddress(expected.from) !== parsed.from) {
+        throw invalid(`Transaction is from ${parsed.from}, expected ${expected.from}`);
+    }
+    return parsed;
+}
+
+/**
+ * QR code text of a document (unsigned or signed)
+ * @param {Object} doc - Transaction document
+ * @returns {string} - Text for any QR encoder (byte mode)
+ * @throws {ChainError} - INVALID_ARGUMENT when it does not fit in one QR code
+ */
+function toQrPayload(doc) {
+    const payload = QR_PREFIX + Buffer.from(JSON.stringify(doc)).toString('base64url');
+    if (payload.length > QR_MAX_BYTES) {
+        throw invalid(`Transaction is too large for one QR code (${payload.length} of ${QR_MAX_BYTES} bytes); export it as JSON`);
+    }
+    return payload;
+}
+
+/**
+ * Document of a scanned QR code
+ * @param {string} text - Scanned text
+ * @returns {Object} - Transaction document (validate it before use)
+ * @throws {ChainError} - INVALID_ARGUMENT when it is not a transaction QR code
+ */
+function fromQrPayload(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed.startsWith(QR_PREFIX)) {
+        throw invalid(`Not a transaction QR code (expected the ${QR_PREFIX} prefix)`);
+    }
+    try {
+        return JSON.parse(Buffer.from(trimmed.slice(QR_PREFIX.length), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw invalid('Transaction QR code does not decode');
+    }
+}
+
+module.exports = {
+    UNSIGNED_FORMAT,
+    SIGNED_FORMAT,
+    checkFields,
+    createUnsignedTransaction,
+    validateUnsignedTransaction,
+    signUnsignedTransaction,
+    parseSignedTransaction,
+    toQrPayload,
+    fromQrPayload
+};
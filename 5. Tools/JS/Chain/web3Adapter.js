@@ -0,0 +1,229 @@
+/**
+ * Web3.js adapter for the chain client
+ * Wraps a web3 v4 instance behind the adapter interface ChainClient calls
+ * (see chainClient.js). Transactions from a private key are signed locally and
+ * sent raw; without a key the node signs for its unlocked account. Values come
+ * back as bigints and plain objects, errors as ChainErrors
+ */
+
+const { Web3 } = require('web3');
+const { ethers } = require('ethers');
+const { normalizeError } = require('./errors');
+
+// Human-readable ABIs and ethers Interfaces become JSON ABIs (web3 only reads JSON)
+function toJsonAbi(abi) {
+    if (abi instanceof ethers.Interface) {
+        return JSON.parse(abi.formatJson());
+    }
+    if (Array.isArray(abi) && abi.some(item => typeof item === 'string')) {
+        return JSON.parse(new ethers.Interface(abi).formatJson());
+    }
+    return abi;
+}
+
+// ABIs contracts were created with: web3 leaves custom errors out of jsonInterface
+const ABIS = new WeakMap();
+
+const optionalNumber = (value) => (value === undefined || value === null ? null : Number(value));
+const optionalBigInt = (value) => (value === undefined || value === null ? null : BigInt(value));
+
+class Web3Adapter {
+    constructor() {
+        this.library = 'web3';
+        this.provider = null; // Web3 instance
+        this.signer = null; // { address, privateKey }
+    }
+
+    /**
+     * Connect to a node
+     * @param {Object} target - { rpc, eip1193 } (eip1193 wins over rpc)
+     */
+    async connect({ rpc, eip1193 }) {
+        // Only `request` is passed on: the adapter uses no subscriptions, and web3 would
+        // otherwise add a message listener to a shared provider for every client
+        this.provider = new Web3(eip1193 ? { request: args => eip1193.request(args) } : rpc);
+    }
+
+    useKey(privateKey) {
+        const account = this.provider.eth.accounts.privateKeyToAccount(privateKey);
+        this.signer = { address: account.address, privateKey: account.privateKey };
+    }
+
+    async useAccount(address) {
+        this.signer = { address: ethers.getAddress(address), privateKey: null };
+    }
+
+    request(method, params = []) {
+        return this.provider.requestManager.send({ method, params });
+    }
+
+    async getAddress() {
+        return this.signer.address;
+    }
+
+    getChainId() {
+        return this.provider.eth.getChainId();
+    }
+
+    async getBlockNumber() {
+        return Number(await this.provider.eth.getBlockNumber());
+    }
+
+    async getFeeData() {
+        const { gasPrice, maxFeePerGas, maxPriorityFeePerGas } = await this.provider.eth.calculateFeeData();
+        return {
+            gasPrice: optionalBigInt(gasPrice),
+            maxFeePerGas: optionalBigInt(maxFeePerGas),
+            maxPriorityFeePerGas: optionalBigInt(maxPriorityFeePerGas)
+        };
+    }
+
+    getBalance(address) {
+        return this.provider.eth.getBalance(address);
+    }
+
+    async getTransactionCount(address, blockTag = 'latest') {
+        return Number(await this.provider.eth.getTransactionCount(address, blockTag));
+    }
+
+    async getTransaction(hash) {
+        const tx = await this.orNull(this.provider.eth.getTransaction(hash));
+        return tx && {
+            hash: tx.hash,
+            from: ethers.getAddress(tx.from),
+            to: tx.to ? ethers.getAddress(tx.to) : null,
+            nonce: Number(tx.nonce),
+            value: BigInt(tx.value),
+            gasLimit: BigInt(tx.gas),
+            gasPrice: optionalBigInt(tx.gasPrice),
+            maxFeePerGas: optionalBigInt(tx.maxFeePerGas),
+            maxPriorityFeePerGas: optionalBigInt(tx.maxPriorityFeePerGas),
+            type: optionalNumber(tx.type),
+            data: tx.input || tx.data,
+            blockNumber: optionalNumber(tx.blockNumber)
+        };
+    }
+
+    async getTransactionReceipt(hash) {
+        const receipt = await this.orNull(this.provider.eth.getTransactionReceipt(hash));
+        return receipt && {
+            transactionHash: receipt.transactionHash,
+            blockNumber: Number(receipt.blockNumber),
+            blockHash: receipt.blockHash,
+            from: ethers.getAddress(receipt.from),
+            to: receipt.to ? ethers.getAddress(receipt.to) : null,
+            contractAddress: receipt.contractAddress ? ethers.getAddress(receipt.contractAddress) : null,
+            status: Number(receipt.status),
+            gasUsed: BigInt(receipt.gasUsed),
+            cumulativeGasUsed: BigInt(receipt.cumulativeGasUsed),
+            effectiveGasPrice: optionalBigInt(receipt.effectiveGasPrice),
+            logs: (receipt.logs || []).map(log => ({
+                address: ethers.getAddress(log.address),
+                topics: [...log.topics],
+                data: log.data,
+                logIndex: Number(log.logIndex)
+            }))
+        };
+    }
+
+    // web3 throws TransactionNotFound where ethers answers null
+    async orNull(lookup) {
+        try {
+            return (await lookup) || null;
+        } catch (error) {
+            if (error.name === 'TransactionNotFound') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    createContract(address, abi) {
+        const jsonAbi = toJsonAbi(abi);
+        const contract = new this.provider.eth.Contract(jsonAbi, address);
+        ABIS.set(contract, jsonAbi);
+        return contract;
+    }
+
+    contractAddress(contract) {
+        return ethers.getAddress(contract.options.address);
+    }
+
+    contractAbi(contract) {
+        return ABIS.get(contract) || contract.options.jsonInterface;
+    }
+
+    encodeCall(contract, method, args) {
+        if (!contract.methods[method]) {
+            throw Object.assign(new Error(`Unknown contract method: ${method}`), { code: 'INVALID_ARGUMENT' });
+        }
+        return contract.methods[method](...args).encodeABI();
+    }
+
+    decodeResult(contract, method, data) {
+        const { outputs = [] } = contract.options.jsonInterface.find(item => item.type === 'function' && item.name === method);
+        const decoded = this.provider.eth.abi.decodeParameters(outputs, data);
+        if (outputs.length === 1) {
+            return decoded[0];
+        }
+        // Array like ethers' Result, with named outputs as properties
+        const result = outputs.map((output, i) => decoded[i]);
+        outputs.forEach((output, i) => {
+            if (output.name) {
+                result[output.name] = decoded[i];
+            }
+        });
+        return result;
+    }
+
+    call(tx) {
+        return this.provider.eth.call(tx);
+    }
+
+    estimateGas(tx) {
+        return this.provider.eth.estimateGas(tx);
+    }
+
+    /**
+     * Sign (or have the node sign) and broadcast a transaction
+     * @param {Object} tx - { to, data, value, gasLimit, nonce, gasPrice | maxFeePerGas + maxPriorityFeePerGas, type }
+     * @returns {Promise<string>} - Transaction hash
+     */
+    async sendTransaction({ gasLimit, type, ...tx }) {
+        const fields = { ...tx, from: this.signer.address, gas: gasLimit, value: tx.value || 0n };
+        Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+
+        if (this.signer.privateKey) {
+            if (fields.nonce === undefined) {
+                fields.nonce = await this.getTransactionCount(this.signer.address, 'pending');
+            }
+            const signed = await this.provider.eth.accounts.signTransaction({
+                ...fields,
+                chainId: await this.getChainId(),
+                type: fields.maxFeePerGas !== undefined ? 2 : 0
+            }, this.signer.privateKey);
+            return this.request('eth_sendRawTransaction', [signed.rawTransaction]);
+        }
+        const params = Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+            key,
+            typeof value === 'bigint' || typeof value === 'number' ? ethers.toQuantity(value) : value
+        ]));
+        return this.request('eth_sendTransaction', [params]);
+    }
+
+    toChainError(error) {
+        const inner = error.cause || error.innerError || {};
+        return normalizeError(error, {
+            code: error.code,
+            name: error.name,
+            message: inner.message || error.message,
+            data: typeof inner.data === 'string' ? inner.data : error.data,
+            reason: error.reason
+        });
+    }
+
+    // HTTP and EIP-1193 providers hold no connection to release
+    close() {}
+}
+
+module.exports = Web3Adapter;
@@ -1,361 +1,31 @@
 /**
  * Web3.js Utilities for Virtual Chip Signature System
- * Provides comprehensive blockchain interaction capabilities
- * Includes contract interactions, transaction handling, gas optimization, and error handling
+ * The chain client (Chain/chainClient.js) on its web3 adapter, plus
+ * web3-based helpers for addresses, amounts, hashing and ABI encoding
  */
 
-const Web3 = require('web3');
-
-class Web3Utils {
-    constructor(options = {}) {
-        this.web3 = null;
-        this.contracts = new Map();
-        this.accounts = [];
-        this.defaultAccount = null;
-        this.networkConfig = {
-            sepolia: {
-                rpc: 'https://sepolia.infura.io/v3/YOUR_PROJECT_ID',
-                chainId: 11155111,
-                name: 'Sepolia Testnet'
-            },
-            mainnet: {
-                rpc: 'https://mainnet.infura.io/v3/YOUR_PROJECT_ID',
-                chainId: 1,
-                name: 'Ethereum Mainnet'
-            },
-            local: {
-                rpc: 'http://localhost:8545',
-                chainId: 1337,
-                name: 'Local Network'
-            }
-        };
-        
-        this.defaultNetwork = options.defaultNetwork || 'sepolia';
-        this.gasLimitBuffer = options.gasLimitBuffer || 1.2; // 20% buffer
-        this.maxRetries = options.maxRetries || 3;
-        this.retryDelay = options.retryDelay || 1000;
-    }
-
-    /**
-     * Initialize Web3 instance
-     * @param {string} network - Network name ('sepolia', 'mainnet', 'local')
-     * @param {string} privateKey - Private key for account (optional)
-     * @returns {Promise<Object>} - Web3 instance and accounts
-     */
-    async initialize(network = this.defaultNetwork, privateKey = null) {
-        try {
-            const config = this.networkConfig[network];
-            if (!config) {
-                throw new Error(`Unsupported network: ${network}`);
-            }
-
-            // Initialize Web3
-            if (typeof window !== 'undefined' && window.ethereum) {
-                // MetaMask integration
-                this.web3 = new Web3(window.ethereum);
-                await window.ethereum.request({ method: 'eth_requestAccounts' });
-            } else if (privateKey) {
-                // Private key provider
-                this.web3 = new Web3(new Web3.providers.HttpProvider(config.rpc));
-                const account = this.web3.eth.accounts.privateKeyToAccount(privateKey);
-                this.web3.eth.accounts.wallet.add(account);
-            } else {
-                // HTTP provider
-                this.web3 = new Web3(new Web3.providers.HttpProvider(config.rpc));
-            }
-
-            // Get accounts
-            this.accounts = await this.web3.eth.getAccounts();
-            this.defaultAccount = this.accounts[0];
-
-            if (!this.defaultAccount) {
-                throw new Error('No accounts available');
-            }
-
-            // Verify network connection
-            const chainId = await this.web3.eth.getChainId();
-            if (chainId !== config.chainId) {
-                console.warn(`Network mismatch. Expected ${config.chainId}, got ${chainId}`);
-            }
-
-            console.log(`[Web3Utils] Connected to ${config.name} with account ${this.defaultAccount}`);
-            return { web3: this.web3, accounts: this.accounts, defaultAccount: this.defaultAccount };
-
-        } catch (error) {
-            console.error('[Web3Utils] Initialization failed:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * Load a smart contract
-     * @param {string} contractName - Contract name
-     * @param {string} contractAddress - Contract address
-     * @param {string} abi - Contract ABI
-     * @returns {Object} - Contract instance
-     */
-    loadContract(contractName, contractAddress, abi) {
-        if (!this.web3) {
-            throw new Error('Web3 must be initialized first');
-        }
-
-        try {
-            const contract = new this.web3.eth.Contract(abi, contractAddress);
-            this.contracts.set(contractName, contract);
-            
-            console.log(`[Web3Utils] Loaded contract ${contractName} at ${contractAddress}`);
-            return contract;
-
-        } catch (error) {
-            console.error(`[Web3Utils] Failed to load contract ${contractName}:`, error);
-            throw error;
-        }
-    }
-
-    /**
-     * Get contract instance
-     * @param {string} contractName - Contract name
-     * @returns {Object} - Contract instance
-     */
-    getContract(contractName) {
-        const contract = this.contracts.get(contractName);
-        if (!contract) {
-            throw new Error(`Contract ${contractName} not loaded`);
-        }
-        return contract;
-    }
-
-    /**
-     * Estimate gas for a transaction
-     * @param {Object} contract - Contract instance
-     * @param {string} method - Method name
-     * @param {Array} args - Method arguments
-     * @param {Object} options - Transaction options
-     * @returns {Promise<number>} - Estimated gas limit
-     */
-    async estimateGas(contract, method, args = [], options = {}) {
-        try {
-            const gasEstimate = await contract.methods[method](...args).estimateGas({
-                from: this.defaultAccount,
-                ...options
-            });
-            
-            const gasLimit = Math.ceil(gasEstimate * this.gasLimitBuffer);
-            
-            console.log(`[Web3Utils] Gas estimate for ${method}: ${gasEstimate}, with buffer: ${gasLimit}`);
-            return gasLimit;
-
-        } catch (error) {
-            console.error(`[Web3Utils] Gas estimation failed for ${method}:`, error);
-            throw error;
-        }
-    }
-
-    /**
-     * Get optimal gas price
-     * @returns {Promise<string>} - Gas price in wei
-     */
-    async getOptimalGasPrice() {
-        try {
-            const gasPrice = await this.web3.eth.getGasPrice();
-            console.log(`[Web3Utils] Current gas price: ${gasPrice} wei`);
-            return gasPrice;
-
-        } catch (error) {
-            console.error('[Web3Utils] Failed to get gas price:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * Send transaction with retry logic and gas optimization
-     * @param {Object} contract - Contract instance
-     * @param {string} method - Method name
-     * @param {Array} args - Method arguments
-     * @param {Object} options - Transaction options
-     * @returns {Promise<Object>} - Transaction receipt
-     */
-    async sendTransaction(contract, method, args = [], options = {}) {
-        let lastError;
-        
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-            try {
-                console.log(`[Web3Utils] Sending transaction ${method} (attempt ${attempt})`);
-
-                // Get gas price
-                const gasPrice = await this.getOptimalGasPrice();
-                
-                // Estimate gas if not provided
-                let gasLimit = options.gasLimit;
-                if (!gasLimit) {
-                    gasLimit = await this.estimateGas(contract, method, args, options);
-                }
-
-                // Prepare transaction
-                const txOptions = {
-                    from: this.defaultAccount,
-                    gasPrice: gasPrice,
-                    gas: gasLimit,
-                    ...options
-                };
-
-                // Send transaction
-                const tx = await contract.methods[method](...args).send(txOptions);
-                console.log(`[Web3Utils] Transaction confirmed: ${tx.transactionHash}`);
-
-                return {
-                    transactionHash: tx.transactionHash,
-                    blockNumber: tx.blockNumber,
-                    gasUsed: tx.gasUsed,
-                    effectiveGasPrice: tx.effectiveGasPrice,
-                    status: tx.status,
-                    logs: tx.events
-                };
-
-            } catch (error) {
-                lastError = error;
-                console.error(`[Web3Utils] Transaction attempt ${attempt} failed:`, error);
-
-                if (attempt < this.maxRetries) {
-                    // Wait before retry with exponential backoff
-                    const delay = this.retryDelay * Math.pow(2, attempt - 1);
-                    console.log(`[Web3Utils] Retrying in ${delay}ms...`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                }
-            }
-        }
-
-        throw new Error(`Transaction failed after ${this.maxRetries} attempts: ${lastError.message}`);
-    }
-
-    /**
-     * Call contract method (read-only)
-     * @param {Object} contract - Contract instance
-     * @param {string} method - Method name
-     * @param {Array} args - Method arguments
-     * @param {Object} options - Call options
-     * @returns {Promise<any>} - Method result
-     */
-    async callMethod(contract, method, args = [], options = {}) {
-        try {
-            console.log(`[Web3Utils] Calling ${method} with args:`, args);
-            
-            const callOptions = {
-                from: this.defaultAccount,
-                ...options
-            };
-
-            const result = await contract.methods[method](...args).call(callOptions);
-            console.log(`[Web3Utils] ${method} result:`, result);
-            return result;
-
-        } catch (error) {
-            console.error(`[Web3Utils] Call to ${method} failed:`, error);
-            throw error;
-        }
-    }
+const { Web3 } = require('web3');
+const { ChainClient } = require('./Chain/chainClient');
 
+class Web3Utils extends ChainClient {
     /**
-     * Get account balance
-     * @param {string} address - Account address
-     * @returns {Promise<string>} - Balance in ETH
+     * @param {Object} options - Client options (see ChainClient; the library is always web3)
      */
-    async getBalance(address) {
-        try {
-            const balance = await this.web3.eth.getBalance(address);
-            return this.web3.utils.fromWei(balance, 'ether');
-
-        } catch (error) {
-            console.error('[Web3Utils] Failed to get balance:', error);
-            throw error;
-        }
+    constructor(options = {}) {
+        super({ ...options, library: 'web3', adapter: undefined });
     }
 
-    /**
-     * Get transaction status
-     * @param {string} txHash - Transaction hash
-     * @returns {Promise<Object>} - Transaction status
-     */
-    async getTransactionStatus(txHash) {
-        try {
-            const tx = await this.web3.eth.getTransaction(txHash);
-            const receipt = await this.web3.eth.getTransactionReceipt(txHash);
-
-            return {
-                hash: txHash,
-                from: tx.from,
-                to: tx.to,
-                value: this.web3.utils.fromWei(tx.value, 'ether'),
-                gasPrice: tx.gasPrice,
-                gas: tx.gas,
-                nonce: tx.nonce,
-                blockNumber: receipt ? receipt.blockNumber : null,
-                status: receipt ? receipt.status : null,
-                gasUsed: receipt ? receipt.gasUsed : null,
-                confirmations: receipt ? receipt.confirmations : 0
-            };
-
-        } catch (error) {
-            console.error('[Web3Utils] Failed to get transaction status:', error);
-            throw error;
-        }
+    // The Web3 instance and the account transactions are sent from
+    get web3() {
+        return this.provider;
     }
 
-    /**
-     * Wait for transaction confirmation
-     * @param {string} txHash - Transaction hash
-     * @param {number} confirmations - Number of confirmations to wait for
-     * @returns {Promise<Object>} - Transaction receipt
-     */
-    async waitForTransaction(txHash, confirmations = 1) {
-        try {
-            console.log(`[Web3Utils] Waiting for ${confirmations} confirmation(s) for ${txHash}`);
-            
-            return new Promise((resolve, reject) => {
-                const checkConfirmation = async () => {
-                    try {
-                        const receipt = await this.web3.eth.getTransactionReceipt(txHash);
-                        
-                        if (receipt && receipt.confirmations >= confirmations) {
-                            console.log(`[Web3Utils] Transaction confirmed with ${receipt.confirmations} confirmation(s)`);
-                            resolve(receipt);
-                        } else {
-                            setTimeout(checkConfirmation, 1000);
-                        }
-                    } catch (error) {
-                        reject(error);
-                    }
-                };
-                
-                checkConfirmation();
-            });
-
-        } catch (error) {
-            console.error('[Web3Utils] Failed to wait for transaction:', error);
-            throw error;
-        }
+    set web3(web3) {
+        this.provider = web3;
     }
 
-    /**
-     * Get network information
-     * @returns {Promise<Object>} - Network information
-     */
-    async getNetworkInfo() {
-        try {
-            const chainId = await this.web3.eth.getChainId();
-            const blockNumber = await this.web3.eth.getBlockNumber();
-            const gasPrice = await this.web3.eth.getGasPrice();
-
-            return {
-                chainId: chainId,
-                blockNumber: blockNumber,
-                gasPrice: gasPrice
-            };
-
-        } catch (error) {
-            console.error('[Web3Utils] Failed to get network info:', error);
-            throw error;
-        }
+    get defaultAccount() {
+        return this.signer ? this.signer.address : null;
     }
 
     /**
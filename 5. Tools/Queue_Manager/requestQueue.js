@@ -2,9 +2,23 @@
  * Request Queue Manager for Virtual Chip Signature System
  * Handles multiple signature requests with priority, rate limiting, and error handling
  * Supports concurrent processing, retry logic, and request prioritization
+ * With a task store, requests are persisted and can be recovered after a restart
  */
 
+const { TaskPersistence } = require('./taskStore');
+
 class RequestQueue {
+    /**
+     * @param {Object} options - Queue options
+     * @param {number} options.maxConcurrent - Requests processed at once
+     * @param {number} options.retryAttempts - Attempts per request
+     * @param {number} options.retryDelay - Base retry delay in ms (doubled per attempt)
+     * @param {number} options.rateLimit - Requests per minute
+     * @param {Object} options.store - TaskStore adapter used to persist requests
+     * @param {string} options.name - Name the requests are stored under
+     * @param {Object} options.handlers - Handlers by request type, needed to resume persisted requests
+     * @param {boolean} options.resumeInterrupted - Re-run requests that were processing at shutdown (default true)
+     */
     constructor(options = {}) {
         this.maxConcurrent = options.maxConcurrent || 5;
         this.retryAttempts = options.retryAttempts || 3;
@@ -14,6 +28,11 @@ class RequestQueue {
         this.processing = new Set();
         this.requestCount = 0;
         this.lastRequestTime = 0;
+        this.startTime = Date.now();
+        this.name = options.name || 'request-queue';
+        this.handlers = { ...options.handlers };
+        this.resumeInterrupted = options.resumeInterrupted !== false;
+        this.persistence = options.store ? new TaskPersistence(options.store, this.name) : null;
         this.stats = {
             totalRequests: 0,
             successfulRequests: 0,
@@ -23,49 +42,145 @@ class RequestQueue {
         };
     }
 
+    /**
+     * Register the handler for a request type
+     * @param {string} type - Request type
+     * @param {Function} handler - Handler (data, metadata) => result
+     */
+    registerHandler(type, handler) {
+        this.handlers[type] = handler;
+    }
+
     /**
      * Add a request to the queue
      * @param {Object} request - Request object
      * @param {string} request.id - Unique request ID
      * @param {number} request.priority - Priority (1=highest, 5=lowest)
      * @param {Function} request.handler - Request handler function
+     * @param {string} request.type - Registered handler type (persisted requests need one to be resumed)
      * @param {Object} request.data - Request data
      * @param {Object} request.metadata - Additional metadata
+     * @param {string} request.idempotencyKey - With a store, a completed request with the same key is not run again
      * @returns {Promise} - Promise that resolves when request is processed
      */
     async addRequest(request) {
-        const requestId = request.id || `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        if (request.idempotencyKey && this.persistence) {
+            return this.persistence.deduplicate(request.idempotencyKey, stored => this.enqueue(request, stored));
+        }
+        return this.enqueue(request);
+    }
+
+    /**
+     * Queue a request item
+     * @param {Object} request - Request object (see addRequest)
+     * @param {Object|null} stored - Persisted task the request continues
+     * @returns {Promise} - Promise that resolves when request is processed
+     */
+    enqueue(request, stored = null) {
+        const requestId = (stored && stored.id) || request.id || `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         
         const queueItem = {
             id: requestId,
             priority: request.priority || 3,
             handler: request.handler,
+            type: request.type || null,
             data: request.data,
             metadata: request.metadata || {},
-            timestamp: Date.now(),
-            attempts: 0,
+            idempotencyKey: request.idempotencyKey || null,
+            timestamp: stored ? stored.createdAt : Date.now(),
+            // Failed requests submitted again get a fresh set of attempts
+            attempts: stored && stored.status !== 'failed' ? stored.attempts : 0,
             status: 'pending',
             result: null,
             error: null
         };
 
+        // Return promise that resolves when request is processed
+        const promise = new Promise((resolve, reject) => {
+            queueItem.resolve = resolve;
+            queueItem.reject = reject;
+        });
+
+        if (!queueItem.handler && !this.handlers[queueItem.type]) {
+            queueItem.reject(new Error(`No handler for request ${requestId} (type ${queueItem.type})`));
+            return promise;
+        }
+
         // Add to queue and sort by priority
         this.queue.push(queueItem);
         this.queue.sort((a, b) => a.priority - b.priority);
         
         this.stats.totalRequests++;
         this.stats.queueLength = this.queue.length;
+        this.persist(queueItem);
 
         console.log(`[RequestQueue] Added request ${requestId} with priority ${queueItem.priority}`);
 
         // Process queue if not at capacity
         this.processQueue();
 
-        // Return promise that resolves when request is processed
-        return new Promise((resolve, reject) => {
-            queueItem.resolve = resolve;
-            queueItem.reject = reject;
+        return promise;
+    }
+
+    /**
+     * Write a request's current state to the store
+     * @param {Object} item - Queue item
+     */
+    persist(item) {
+        if (this.persistence) {
+            this.persistence.save(item);
+        }
+    }
+
+    /**
+     * Wait until every request state change has reached the store
+     * @param {Array<string>|null} ids - Only fail for writes of these requests (default: any request)
+     * @returns {Promise<void>}
+     * @throws {Error} - When a write queued since the previous flush failed
+     */
+    flush(ids = null) {
+        return this.persistence ? this.persistence.flush(ids) : Promise.resolve();
+    }
+
+    /**
+     * Delete finished requests from the store once their queued writes are done
+     * @param {Array<string>} ids - Request IDs
+     * @returns {Promise<void>}
+     */
+    forget(ids) {
+        return this.persistence ? this.persistence.remove(ids) : Promise.resolve();
+    }
+
+    /**
+     * Resume the requests a previous process left pending or processing
+     * Requests without a registered handler type, or out of attempts, are marked failed
+     * @returns {Promise<Object>} - { resumed: [{ id, promise }], failed: [{ id, error }] }
+     */
+    async recover() {
+        if (!this.persistence) {
+            return { resumed: [], failed: [] };
+        }
+
+        const { resume, failed } = await this.persistence.loadUnfinished(this.handlers, {
+            resumeInterrupted: this.resumeInterrupted,
+            maxAttempts: this.retryAttempts
         });
+        const live = new Set([...this.queue.map(item => item.id), ...this.processing]);
+
+        const resumed = resume
+            .filter(task => !live.has(task.id))
+            .map(task => {
+                const promise = this.enqueue(task, task);
+                // Nobody awaits a resumed request; the outcome is persisted
+                promise.catch(() => {});
+                if (task.idempotencyKey) {
+                    this.persistence.track(task.idempotencyKey, promise);
+                }
+                return { id: task.id, promise };
+            });
+
+        console.log(`[RequestQueue] Recovered ${resumed.length} requests, marked ${failed.length} failed`);
+        return { resumed, failed: failed.map(task => ({ id: task.id, error: task.error })) };
     }
 
     /**
@@ -99,6 +214,8 @@ class RequestQueue {
 
         this.processing.add(item.id);
         this.lastRequestTime = now;
+        item.status = RequestQueue.STATUS.PROCESSING;
+        this.persist(item);
 
         console.log(`[RequestQueue] Processing request ${item.id}`);
 
@@ -115,7 +232,9 @@ class RequestQueue {
 
             item.status = 'completed';
             item.result = result;
+            item.error = null;
             item.processingTime = processingTime;
+            this.persist(item);
 
             console.log(`[RequestQueue] Request ${item.id} completed in ${processingTime}ms`);
 
@@ -133,6 +252,8 @@ class RequestQueue {
                 // Retry with exponential backoff
                 const delay = this.retryDelay * Math.pow(2, item.attempts - 1);
                 console.log(`[RequestQueue] Retrying request ${item.id} in ${delay}ms (attempt ${item.attempts})`);
+                item.status = RequestQueue.STATUS.PENDING;
+                this.persist(item);
                 
                 setTimeout(() => {
                     this.queue.unshift(item);
@@ -145,6 +266,7 @@ class RequestQueue {
                 // Max retries reached
                 this.stats.failedRequests++;
                 item.status = 'failed';
+                this.persist(item);
 
                 if (item.reject) {
                     item.reject(error);
@@ -163,11 +285,9 @@ class RequestQueue {
      */
     async executeRequest(item) {
         try {
-            // Simulate some processing time
-            await new Promise(resolve => setTimeout(resolve, Math.random() * 100 + 50));
-            
             // Execute the handler
-            const result = await item.handler(item.data, item.metadata);
+            const handler = item.handler || this.handlers[item.type];
+            const result = await handler(item.data, item.metadata);
             return result;
         } catch (error) {
             throw error;
@@ -192,6 +312,8 @@ class RequestQueue {
      */
     clear() {
         this.queue.forEach(item => {
+            item.status = RequestQueue.STATUS.CANCELLED;
+            this.persist(item);
             if (item.reject) {
                 item.reject(new Error('Queue cleared'));
             }
@@ -210,6 +332,8 @@ class RequestQueue {
         const index = this.queue.findIndex(item => item.id === requestId);
         if (index !== -1) {
             const item = this.queue.splice(index, 1)[0];
+            item.status = RequestQueue.STATUS.CANCELLED;
+            this.persist(item);
             if (item.reject) {
                 item.reject(new Error('Request removed from queue'));
             }
@@ -2,9 +2,30 @@
  * Task Scheduler for Virtual Chip Signature System
  * Manages signature operations, batch processing, and resource allocation
  * Supports multiple scheduling algorithms, load balancing, and resource optimization
+ * With a task store, tasks are persisted and can be recovered after a restart
  */
 
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { TaskPersistence } = require('./taskStore');
+const { loadHandler } = require('./taskWorker');
+
+const WORKER_SCRIPT = path.join(__dirname, 'taskWorker.js');
+
 class TaskScheduler {
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {number} options.maxWorkers - Number of workers
+     * @param {number} options.batchSize - Batch size
+     * @param {string} options.schedulingAlgorithm - 'round-robin', 'least-loaded' or 'priority-based'
+     * @param {Object} options.store - TaskStore adapter used to persist tasks
+     * @param {string} options.name - Name the tasks are stored under
+     * @param {Object} options.handlers - Handlers by task type, needed to resume persisted tasks
+     * @param {boolean} options.resumeInterrupted - Re-run tasks that were processing at shutdown (default true)
+     * @param {number} options.maxAttempts - Runs (including interrupted ones) before a task is marked failed
+     * @param {boolean} options.workerThreads - Run module handlers in a worker_threads pool (one thread per worker)
+     * @param {number} options.taskTimeout - Milliseconds a thread task may run before its thread is replaced (default: no limit)
+     */
     constructor(options = {}) {
         this.maxWorkers = options.maxWorkers || 4;
         this.batchSize = options.batchSize || 10;
@@ -17,9 +38,18 @@ class TaskScheduler {
             completedTasks: 0,
             failedTasks: 0,
             averageProcessingTime: 0,
-            workerUtilization: 0
+            workerUtilization: 0,
+            workerRestarts: 0
         };
         this.startTime = Date.now();
+        this.name = options.name || 'task-scheduler';
+        this.handlers = { ...options.handlers };
+        this.resumeInterrupted = options.resumeInterrupted !== false;
+        this.maxAttempts = options.maxAttempts || 3;
+        this.persistence = options.store ? new TaskPersistence(options.store, this.name) : null;
+        this.workerThreads = Boolean(options.workerThreads);
+        this.taskTimeout = options.taskTimeout || null;
+        this.nextWorkerId = 0;
         
         // Initialize workers
         this.initializeWorkers();
@@ -30,38 +60,187 @@ class TaskScheduler {
      */
     initializeWorkers() {
         for (let i = 0; i < this.maxWorkers; i++) {
-            this.workers.set(i, {
-                id: i,
-                status: 'idle',
-                currentTask: null,
-                tasksCompleted: 0,
-                totalProcessingTime: 0,
-                lastActivity: Date.now()
-            });
+            this.createWorker();
+        }
+        console.log(`[TaskScheduler] Initialized ${this.maxWorkers} ${this.workerThreads ? 'thread ' : ''}workers`);
+    }
+
+    /**
+     * Create a worker record (and its thread in worker_threads mode)
+     * @returns {Object} - Worker
+     */
+    createWorker() {
+        const worker = {
+            id: this.nextWorkerId++,
+            status: 'idle',
+            currentTask: null,
+            tasksCompleted: 0,
+            totalProcessingTime: 0,
+            lastActivity: Date.now(),
+            restarts: 0,
+            thread: null,
+            inFlight: null
+        };
+        if (this.workerThreads) {
+            this.spawnThread(worker);
+        }
+        this.workers.set(worker.id, worker);
+        return worker;
+    }
+
+    /**
+     * Start the thread backing a worker
+     * @param {Object} worker - Worker
+     */
+    spawnThread(worker) {
+        const thread = new Worker(WORKER_SCRIPT);
+        worker.thread = thread;
+        worker.terminating = false;
+
+        thread.on('message', ({ taskId, result, error }) => {
+            const inFlight = worker.inFlight;
+            if (!inFlight || inFlight.taskId !== taskId) {
+                return;
+            }
+            worker.inFlight = null;
+            clearTimeout(inFlight.timer);
+            if (error) {
+                inFlight.reject(Object.assign(new Error(error.message), { stack: error.stack }));
+            } else {
+                inFlight.resolve(result);
+            }
+        });
+        thread.on('error', error => {
+            worker.lastError = error;
+        });
+        thread.on('exit', code => {
+            if (worker.thread !== thread) {
+                return;
+            }
+            worker.thread = null;
+            if (worker.terminating) {
+                return;
+            }
+            this.recoverWorker(worker, worker.lastError || new Error(`Worker thread exited with code ${code}`));
+        });
+    }
+
+    /**
+     * Replace a crashed worker thread and hand its task back to the scheduler
+     * @param {Object} worker - Worker whose thread died
+     * @param {Error} reason - Crash reason
+     */
+    recoverWorker(worker, reason) {
+        console.warn(`[TaskScheduler] Worker ${worker.id} crashed: ${reason.message}. Restarting`);
+        worker.restarts++;
+        worker.lastError = null;
+        this.stats.workerRestarts++;
+
+        const inFlight = worker.inFlight;
+        worker.inFlight = null;
+        this.spawnThread(worker);
+
+        if (inFlight) {
+            clearTimeout(inFlight.timer);
+            inFlight.reject(Object.assign(new Error(`Worker ${worker.id} crashed: ${reason.message}`), { workerCrashed: true }));
+        }
+    }
+
+    /**
+     * Replace the thread of a worker whose task ran past taskTimeout and fail the task
+     * A hung handler cannot be interrupted, so the thread is terminated and a fresh one takes its place
+     * @param {Object} worker - Worker running the task
+     * @param {string} taskId - Task that timed out
+     */
+    timeoutWorker(worker, taskId) {
+        const inFlight = worker.inFlight;
+        if (!inFlight || inFlight.taskId !== taskId) {
+            return;
         }
-        console.log(`[TaskScheduler] Initialized ${this.maxWorkers} workers`);
+        console.warn(`[TaskScheduler] Task ${taskId} timed out after ${this.taskTimeout}ms on worker ${worker.id}. Restarting`);
+        worker.inFlight = null;
+        worker.restarts++;
+        this.stats.workerRestarts++;
+
+        // Spawn the replacement first so the old thread's exit is not taken for a crash
+        const hung = worker.thread;
+        this.spawnThread(worker);
+        hung.terminate().catch(() => {});
+
+        inFlight.reject(Object.assign(new Error(`Task ${taskId} timed out after ${this.taskTimeout}ms`), { timedOut: true }));
+    }
+
+    /**
+     * Run a task's handler: module handlers run in the worker's thread when
+     * worker_threads are enabled, function handlers always run on the main thread
+     * @param {Object} task - Task
+     * @param {Object} worker - Assigned worker
+     * @returns {Promise} - Handler result
+     */
+    runHandler(task, worker) {
+        const handler = task.handler || this.handlers[task.type];
+        if (typeof handler !== 'string') {
+            return handler(task.data, task.metadata);
+        }
+        if (!worker.thread) {
+            return loadHandler(handler)(task.data, task.metadata);
+        }
+        return new Promise((resolve, reject) => {
+            worker.inFlight = { taskId: task.id, resolve, reject, timer: null };
+            if (this.taskTimeout) {
+                worker.inFlight.timer = setTimeout(() => this.timeoutWorker(worker, task.id), this.taskTimeout);
+            }
+            worker.thread.postMessage({ taskId: task.id, modulePath: handler, data: task.data, metadata: task.metadata });
+        });
+    }
+
+    /**
+     * Register the handler for a task type
+     * @param {string} type - Task type
+     * @param {Function|string} handler - Handler (data, metadata) => result, or the path of a module exporting one
+     */
+    registerHandler(type, handler) {
+        this.handlers[type] = handler;
     }
 
     /**
      * Add a task to the scheduler
      * @param {Object} task - Task object
      * @param {string} task.id - Unique task ID
-     * @param {Function} task.handler - Task handler function
+     * @param {Function|string} task.handler - Task handler function, or the path of a module exporting one
+     * @param {string} task.type - Registered handler type (persisted tasks need one to be resumed)
      * @param {Object} task.data - Task data
      * @param {number} task.priority - Task priority (1=highest, 5=lowest)
      * @param {Object} task.metadata - Additional metadata
+     * @param {string} task.idempotencyKey - With a store, a completed task with the same key is not run again
      * @returns {Promise} - Promise that resolves when task is completed
      */
     async addTask(task) {
-        const taskId = task.id || `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        if (task.idempotencyKey && this.persistence) {
+            return this.persistence.deduplicate(task.idempotencyKey, stored => this.enqueue(task, stored));
+        }
+        return this.enqueue(task);
+    }
+
+    /**
+     * Queue a task item
+     * @param {Object} task - Task object (see addTask)
+     * @param {Object|null} stored - Persisted task this one continues
+     * @returns {Promise} - Promise that resolves when task is completed
+     */
+    enqueue(task, stored = null) {
+        const taskId = (stored && stored.id) || task.id || `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         
         const taskItem = {
             id: taskId,
             handler: task.handler,
+            type: task.type || null,
             data: task.data,
             priority: task.priority || 3,
             metadata: task.metadata || {},
-            timestamp: Date.now(),
+            idempotencyKey: task.idempotencyKey || null,
+            timestamp: stored ? stored.createdAt : Date.now(),
+            attempts: stored && stored.status !== 'failed' ? stored.attempts : 0,
             status: 'pending',
             assignedWorker: null,
             result: null,
@@ -69,8 +248,20 @@ class TaskScheduler {
             processingTime: 0
         };
 
+        // Return promise that resolves when task is completed
+        const promise = new Promise((resolve, reject) => {
+            taskItem.resolve = resolve;
+            taskItem.reject = reject;
+        });
+
+        if (!taskItem.handler && !this.handlers[taskItem.type]) {
+            taskItem.reject(new Error(`No handler for task ${taskId} (type ${taskItem.type})`));
+            return promise;
+        }
+
         this.tasks.push(taskItem);
         this.stats.totalTasks++;
+        this.persist(taskItem);
 
         console.log(`[TaskScheduler] Added task ${taskId} with priority ${taskItem.priority}`);
 
@@ -79,11 +270,59 @@ class TaskScheduler {
             this.start();
         }
 
-        // Return promise that resolves when task is completed
-        return new Promise((resolve, reject) => {
-            taskItem.resolve = resolve;
-            taskItem.reject = reject;
+        return promise;
+    }
+
+    /**
+     * Write a task's current state to the store
+     * @param {Object} task - Task item
+     */
+    persist(task) {
+        if (this.persistence) {
+            this.persistence.save(task);
+        }
+    }
+
+    /**
+     * Wait until every task state change has reached the store
+     * @param {Array<string>|null} ids - Only fail for writes of these tasks (default: any task)
+     * @returns {Promise<void>}
+     * @throws {Error} - When a write queued since the previous flush failed
+     */
+    flush(ids = null) {
+        return this.persistence ? this.persistence.flush(ids) : Promise.resolve();
+    }
+
+    /**
+     * Resume the tasks a previous process left pending or processing
+     * Tasks without a registered handler type, or out of attempts, are marked failed
+     * @returns {Promise<Object>} - { resumed: [{ id, promise }], failed: [{ id, error }] }
+     */
+    async recover() {
+        if (!this.persistence) {
+            return { resumed: [], failed: [] };
+        }
+
+        const { resume, failed } = await this.persistence.loadUnfinished(this.handlers, {
+            resumeInterrupted: this.resumeInterrupted,
+            maxAttempts: this.maxAttempts
         });
+        const live = new Set(this.tasks.map(task => task.id));
+
+        const resumed = resume
+            .filter(task => !live.has(task.id))
+            .map(task => {
+                const promise = this.enqueue(task, task);
+                // Nobody awaits a resumed task; the outcome is persisted
+                promise.catch(() => {});
+                if (task.idempotencyKey) {
+                    this.persistence.track(task.idempotencyKey, promise);
+                }
+                return { id: task.id, promise };
+            });
+
+        console.log(`[TaskScheduler] Recovered ${resumed.length} tasks, marked ${failed.length} failed`);
+        return { resumed, failed: failed.map(task => ({ id: task.id, error: task.error })) };
     }
 
     /**
@@ -107,6 +346,31 @@ class TaskScheduler {
         console.log('[TaskScheduler] Stopped');
     }
 
+    /**
+     * Stop the scheduler and terminate every worker thread
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        this.stop();
+        await Promise.all(Array.from(this.workers.values()).map(worker => this.terminateThread(worker)));
+    }
+
+    /**
+     * Terminate a worker's thread, if it has one
+     * @param {Object} worker - Worker
+     * @returns {Promise<void>}
+     */
+    async terminateThread(worker) {
+        if (!worker.thread) {
+            return;
+        }
+        worker.terminating = true;
+        if (worker.inFlight) {
+            clearTimeout(worker.inFlight.timer);
+        }
+        await worker.thread.terminate();
+    }
+
     /**
      * Main scheduling loop
      */
@@ -228,6 +492,7 @@ class TaskScheduler {
         worker.status = 'busy';
         worker.currentTask = task.id;
         worker.lastActivity = Date.now();
+        this.persist(task);
 
         console.log(`[TaskScheduler] Assigned task ${task.id} to worker ${worker.id}`);
 
@@ -245,7 +510,7 @@ class TaskScheduler {
             console.log(`[TaskScheduler] Executing task ${task.id} on worker ${worker.id}`);
             
             // Execute the task handler
-            const result = await task.handler(task.data, task.metadata);
+            const result = await this.runHandler(task, worker);
             
             const processingTime = Date.now() - startTime;
             
@@ -253,6 +518,7 @@ class TaskScheduler {
             task.status = 'completed';
             task.result = result;
             task.processingTime = processingTime;
+            this.persist(task);
 
             // Update worker
             worker.status = 'idle';
@@ -275,12 +541,27 @@ class TaskScheduler {
             }
 
         } catch (error) {
+            if (error.workerCrashed && task.attempts + 1 < this.maxAttempts) {
+                // The crash was not the task's answer: schedule it again on a healthy worker
+                console.warn(`[TaskScheduler] Requeueing task ${task.id} after worker ${worker.id} crashed`);
+                task.attempts++;
+                task.status = 'pending';
+                task.assignedWorker = null;
+                this.persist(task);
+
+                worker.status = 'idle';
+                worker.currentTask = null;
+                worker.lastActivity = Date.now();
+                return;
+            }
+
             console.error(`[TaskScheduler] Task ${task.id} failed:`, error);
 
             // Update task
             task.status = 'failed';
             task.error = error;
             task.processingTime = Date.now() - startTime;
+            this.persist(task);
 
             // Update worker
             worker.status = 'idle';
@@ -307,7 +588,7 @@ class TaskScheduler {
         const busyWorkers = Array.from(this.workers.values())
             .filter(worker => worker.status === 'busy').length;
         
-        this.stats.workerUtilization = (busyWorkers / this.maxWorkers) * 100;
+        this.stats.workerUtilization = this.maxWorkers ? (busyWorkers / this.maxWorkers) * 100 : 0;
     }
 
     /**
@@ -329,7 +610,10 @@ class TaskScheduler {
      * @returns {Array} - Array of worker status objects
      */
     getWorkerStatus() {
-        return Array.from(this.workers.values());
+        return Array.from(this.workers.values()).map(({ thread, inFlight, lastError, terminating, ...worker }) => ({
+            ...worker,
+            threadId: thread ? thread.threadId : null
+        }));
     }
 
     /**
@@ -337,6 +621,8 @@ class TaskScheduler {
      */
     clear() {
         this.tasks.forEach(task => {
+            task.status = TaskScheduler.STATUS.CANCELLED;
+            this.persist(task);
             if (task.reject) {
                 task.reject(new Error('Scheduler cleared'));
             }
@@ -355,37 +641,35 @@ class TaskScheduler {
     }
 
     /**
-     * Add a new worker
+     * Add a new worker (spawning its thread in worker_threads mode)
+     * @returns {number} - New worker ID
      */
     addWorker() {
-        const workerId = this.maxWorkers;
+        const worker = this.createWorker();
         this.maxWorkers++;
-        
-        this.workers.set(workerId, {
-            id: workerId,
-            status: 'idle',
-            currentTask: null,
-            tasksCompleted: 0,
-            totalProcessingTime: 0,
-            lastActivity: Date.now()
-        });
 
-        console.log(`[TaskScheduler] Added worker ${workerId}`);
+        console.log(`[TaskScheduler] Added worker ${worker.id}`);
+        return worker.id;
     }
 
     /**
-     * Remove a worker
+     * Remove a worker (terminating its thread in worker_threads mode)
      * @param {number} workerId - Worker ID to remove
+     * @returns {boolean} - True if the worker was removed
      */
     removeWorker(workerId) {
         const worker = this.workers.get(workerId);
-        if (worker && worker.status === 'busy') {
+        if (!worker) {
+            return false;
+        }
+        if (worker.status === 'busy') {
             console.warn(`[TaskScheduler] Cannot remove busy worker ${workerId}`);
             return false;
         }
 
         this.workers.delete(workerId);
         this.maxWorkers--;
+        this.terminateThread(worker);
         console.log(`[TaskScheduler] Removed worker ${workerId}`);
         return true;
     }
@@ -0,0 +1,83 @@
+/**
+ * Signing Handler for Virtual Chip Signature System
+ * TaskScheduler thread handler for the CPU-bound part of batch signing:
+ * keccak256 hashing and secp256k1 signing. Results have the same shape as
+ * the backend's SoftwareSigner, which signs through this module
+ * when it is given a thread pool
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * Hash a message the way the signing providers do
+ * @param {string} message - Message to hash
+ * @returns {string} - keccak256(utf8(message))
+ */
+function hashMessage(message) {
+    return ethers.keccak256(ethers.toUtf8Bytes(message));
+}
+
+/**
+ * Sign keccak256(utf8(message)) as an EIP-191 personal message
+ * @param {Object} wallet - Ethers wallet holding the key
+ * @param {string} message - Message to sign
+ * @returns {Promise<Object>} - Signature, hash, signer address and r/s/v
+ */
+async function signMessage(wallet, message) {
+    const hash = hashMessage(message);
+    const signature = await wallet.signMessage(ethers.getBytes(hash));
+    const { r, s, v } = ethers.Signature.from(signature);
+    return {
+        signature,
+        hash,
+        publicKey: wallet.address,
+        r: r.toString(),
+        s: s.toString(),
+        v: v
+    };
+}
+
+/**
+ * Sign a 32-byte digest without any prefix
+ * @param {Object} wallet - Ethers wallet holding the key
+ * @param {string} hash - 32-byte hex digest
+ * @returns {Object} - Signature, hash, signer address and r/s/v
+ */
+function signDigest(wallet, hash) {
+    const { r, s, v, serialized } = wallet.signingKey.sign(hash);
+    return {
+        signature: serialized,
+        hash,
+        publicKey: wallet.address,
+        r,
+        s,
+        v
+    };
+}
+
+/**
+ * Thread entry point
+ * @param {Object} data - { operation: 'hash' | 'sign' | 'signHash', privateKey, message, hash }
+ * @returns {Promise<Object>} - { hash } for 'hash', the signature otherwise
+ */
+async function handler(data) {
+    const { operation, privateKey, message, hash } = data || {};
+    switch (operation) {
+        case 'hash':
+            return { hash: hashMessage(message) };
+        case 'sign':
+            return signMessage(new ethers.Wallet(privateKey), message);
+        case 'signHash':
+            return signDigest(new ethers.Wallet(privateKey), hash);
+        default:
+            throw new Error(`Unknown signing operation: ${operation}`);
+    }
+}
+
+module.exports = {
+    handler,
+    hashMessage,
+    signMessage,
+    signDigest,
+    HANDLER_PATH: __filename
+};
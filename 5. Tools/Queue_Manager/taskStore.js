@@ -0,0 +1,466 @@
+/**
+ * Task Store for Virtual Chip Signature System
+ * Storage adapters that let RequestQueue and TaskScheduler persist pending,
+ * in-flight and completed tasks so a restart does not drop queued work
+ * Includes an in-memory adapter and an SQLite adapter
+ */
+
+const sqlite3 = require('sqlite3');
+
+/**
+ * Storage adapter interface
+ * A stored task is a plain object:
+ * { id, queue, type, data, metadata, priority, status, attempts,
+ *   idempotencyKey, result, error, createdAt, updatedAt }
+ */
+class TaskStore {
+    /**
+     * Prepare the storage (create tables, open files)
+     * @returns {Promise<void>}
+     */
+    async init() {}
+
+    /**
+     * Insert or replace a task
+     * @param {Object} task - Stored task
+     * @returns {Promise<void>}
+     */
+    async save(task) {
+        throw new Error(`${this.constructor.name}.save() is not implemented`);
+    }
+
+    /**
+     * Get a task by ID
+     * @param {string} id - Task ID
+     * @returns {Promise<Object|null>} - Stored task
+     */
+    async get(id) {
+        throw new Error(`${this.constructor.name}.get() is not implemented`);
+    }
+
+    /**
+     * Find the task registered under an idempotency key
+     * @param {string} queue - Queue name
+     * @param {string} key - Idempotency key
+     * @returns {Promise<Object|null>} - Stored task
+     */
+    async findByIdempotencyKey(queue, key) {
+        throw new Error(`${this.constructor.name}.findByIdempotencyKey() is not implemented`);
+    }
+
+    /**
+     * List the tasks of a queue, oldest first
+     * @param {string} queue - Queue name
+     * @param {Array<string>} statuses - Only return tasks in these statuses (all if omitted)
+     * @param {Object} options - { updatedSince } only return tasks updated at or after this time
+     * @returns {Promise<Array<Object>>} - Stored tasks
+     */
+    async list(queue, statuses = null, options = {}) {
+        throw new Error(`${this.constructor.name}.list() is not implemented`);
+    }
+
+    /**
+     * Delete tasks by ID
+     * @param {Array<string>} ids - Task IDs
+     * @returns {Promise<number>} - Tasks deleted
+     */
+    async remove(ids) {
+        throw new Error(`${this.constructor.name}.remove() is not implemented`);
+    }
+
+    /**
+     * Delete the tasks of a queue in some statuses that were last updated before a time
+     * @param {string} queue - Queue name
+     * @param {Array<string>} statuses - Statuses to delete
+     * @param {number} before - Timestamp in ms
+     * @returns {Promise<number>} - Tasks deleted
+     */
+    async prune(queue, statuses, before) {
+        throw new Error(`${this.constructor.name}.prune() is not implemented`);
+    }
+
+    /**
+     * Release resources
+     * @returns {Promise<void>}
+     */
+    async close() {}
+}
+
+/**
+ * In-memory adapter (tasks survive queue instances, not process restarts)
+ */
+class MemoryTaskStore extends TaskStore {
+    constructor() {
+        super();
+        this.tasks = new Map();
+    }
+
+    async save(task) {
+        this.tasks.set(task.id, JSON.parse(JSON.stringify(task)));
+    }
+
+    async get(id) {
+        return this.tasks.has(id) ? JSON.parse(JSON.stringify(this.tasks.get(id))) : null;
+    }
+
+    async findByIdempotencyKey(queue, key) {
+        const task = Array.from(this.tasks.values())
+            .find(t => t.queue === queue && t.idempotencyKey === key);
+        return task ? this.get(task.id) : null;
+    }
+
+    async list(queue, statuses = null, options = {}) {
+        const { updatedSince = null } = options;
+        return Array.from(this.tasks.values())
+            .filter(t => t.queue === queue && (!statuses || statuses.includes(t.status)))
+            .filter(t => updatedSince === null || t.updatedAt >= updatedSince)
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(t => JSON.parse(JSON.stringify(t)));
+    }
+
+    async remove(ids) {
+        return ids.filter(id => this.tasks.delete(id)).length;
+    }
+
+    async prune(queue, statuses, before) {
+        const stale = Array.from(this.tasks.values())
+            .filter(t => t.queue === queue && statuses.includes(t.status) && t.updatedAt < before);
+        return this.remove(stale.map(t => t.id));
+    }
+}
+
+/**
+ * SQLite adapter
+ */
+class SQLiteTaskStore extends TaskStore {
+    /**
+     * @param {string} dbPath - SQLite database file (':memory:' for tests)
+     */
+    constructor(dbPath) {
+        super();
+        this.dbPath = dbPath;
+        this.db = null;
+        this.ready = null;
+    }
+
+    init() {
+        if (!this.ready) {
+            this.ready = new Promise((resolve, reject) => {
+                this.db = new sqlite3.Database(this.dbPath, err => (err ? reject(err) : resolve()));
+                // Statements run in call order, so status updates are never reordered
+                this.db.serialize();
+            }).then(() => this.run(`CREATE TABLE IF NOT EXISTS tasks (
+                id TEXT PRIMARY KEY,
+                queue TEXT NOT NULL,
+                type TEXT,
+                data TEXT,
+                metadata TEXT,
+                priority INTEGER NOT NULL DEFAULT 3,
+                status TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                idempotency_key TEXT,
+                result TEXT,
+                error TEXT,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`)).then(() => this.run(
+                'CREATE INDEX IF NOT EXISTS idx_tasks_queue_status ON tasks (queue, status)'
+            )).then(() => this.run(
+                'CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_idempotency ON tasks (queue, idempotency_key) WHERE idempotency_key IS NOT NULL'
+            ));
+        }
+        return this.ready;
+    }
+
+    async save(task) {
+        await this.init();
+        await this.run(`INSERT INTO tasks (id, queue, type, data, metadata, priority, status, attempts,
+                idempotency_key, result, error, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                type = excluded.type, data = excluded.data, metadata = excluded.metadata,
+                priority = excluded.priority, status = excluded.status, attempts = excluded.attempts,
+                idempotency_key = excluded.idempotency_key, result = excluded.result,
+                error = excluded.error, updated_at = excluded.updated_at`, [
+            task.id,
+            task.queue,
+            task.type || null,
+            JSON.stringify(task.data === undefined ? null : task.data),
+            JSON.stringify(task.metadata || {}),
+            task.priority,
+            task.status,
+            task.attempts || 0,
+            task.idempotencyKey || null,
+            JSON.stringify(task.result === undefined ? null : task.result),
+            task.error || null,
+            task.createdAt,
+            task.updatedAt
+        ]);
+    }
+
+    async get(id) {
+        await this.init();
+        const rows = await this.all('SELECT * FROM tasks WHERE id = ?', [id]);
+        return rows.length ? this.fromRow(rows[0]) : null;
+    }
+
+    async findByIdempotencyKey(queue, key) {
+        await this.init();
+        const rows = await this.all('SELECT * FROM tasks WHERE queue = ? AND idempotency_key = ?', [queue, key]);
+        return rows.length ? this.fromRow(rows[0]) : null;
+    }
+
+    async list(queue, statuses = null, options = {}) {
+        await this.init();
+        let sql = 'SELECT * FROM tasks WHERE queue = ?';
+        const params = [queue];
+        if (statuses) {
+            sql += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+            params.push(...statuses);
+        }
+        if (options.updatedSince !== undefined && options.updatedSince !== null) {
+            sql += ' AND updated_at >= ?';
+            params.push(options.updatedSince);
+        }
+        const rows = await this.all(sql + ' ORDER BY created_at, rowid', params);
+        return rows.map(row => this.fromRow(row));
+    }
+
+    async remove(ids) {
+        await this.init();
+        let removed = 0;
+        // Bounded batches stay under SQLite's limit on statement parameters
+        for (let start = 0; start < ids.length; start += 500) {
+            const batch = ids.slice(start, start + 500);
+            removed += await this.run(`DELETE FROM tasks WHERE id IN (${batch.map(() => '?').join(', ')})`, batch);
+        }
+        return removed;
+    }
+
+    async prune(queue, statuses, before) {
+        await this.init();
+        return this.run(
+            `DELETE FROM tasks WHERE queue = ? AND status IN (${statuses.map(() => '?').join(', ')}) AND updated_at < ?`,
+            [queue, ...statuses, before]
+        );
+    }
+
+    async close() {
+        if (!this.ready) {
+            return;
+        }
+        await this.ready;
+        await new Promise((resolve, reject) => this.db.close(err => (err ? reject(err) : resolve())));
+        this.ready = null;
+    }
+
+    fromRow(row) {
+        return {
+            id: row.id,
+            queue: row.queue,
+            type: row.type,
+            data: JSON.parse(row.data),
+            metadata: JSON.parse(row.metadata),
+            priority: row.priority,
+            status: row.status,
+            attempts: row.attempts,
+            idempotencyKey: row.idempotency_key,
+            result: JSON.parse(row.result),
+            error: row.error,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * @returns {Promise<number>} - Number of rows changed
+     */
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                return err ? reject(err) : resolve(this.changes);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+    }
+}
+
+/**
+ * Persistence helper shared by RequestQueue and TaskScheduler
+ * Serializes writes so a task's status changes reach the store in order and
+ * resolves persisted tasks back into resumable or failed items on startup
+ */
+class TaskPersistence {
+    /**
+     * @param {Object} store - TaskStore implementation
+     * @param {string} queue - Queue name the tasks are stored under
+     */
+    constructor(store, queue) {
+        this.store = store;
+        this.queue = queue;
+        this.writes = Promise.resolve();
+        // Writes are numbered so a flush reports only the failures of writes queued since the previous flush
+        this.sequence = 0;
+        this.flushed = 0;
+        this.failures = [];
+        // Unsettled promises by idempotency key
+        this.live = new Map();
+    }
+
+    /**
+     * Run a task at most once per idempotency key while it is queued, and never
+     * again once it has completed (the stored result is returned instead)
+     * @param {string} key - Idempotency key
+     * @param {Function} enqueue - (storedTask|null) => Promise, queues the task
+     * @returns {Promise} - Task result
+     */
+    deduplicate(key, enqueue) {
+        if (this.live.has(key)) {
+            return this.live.get(key);
+        }
+        const promise = this.findByIdempotencyKey(key).then(stored => {
+            if (stored && stored.status === 'completed') {
+                return stored.result;
+            }
+            // Pending, interrupted or failed tasks run again under their stored ID
+            return enqueue(stored);
+        });
+        this.track(key, promise);
+        return promise;
+    }
+
+    /**
+     * Remember an unsettled task promise under its idempotency key
+     * @param {string} key - Idempotency key
+     * @param {Promise} promise - Task promise
+     */
+    track(key, promise) {
+        this.live.set(key, promise);
+        const forget = () => this.live.delete(key);
+        promise.then(forget, forget);
+    }
+
+    /**
+     * Queue a write of the item's current state
+     * A failed write is logged and reported by the next flush, later writes still go ahead
+     * @param {Object} item - Queue or scheduler item
+     * @returns {Promise<void>} - Resolves once the write has settled
+     */
+    save(item) {
+        const snapshot = {
+            id: item.id,
+            queue: this.queue,
+            type: item.type || null,
+            data: item.data,
+            metadata: item.metadata,
+            priority: item.priority,
+            status: item.status,
+            attempts: item.attempts || 0,
+            idempotencyKey: item.idempotencyKey || null,
+            result: item.status === 'completed' ? item.result : null,
+            error: item.error ? (item.error.message || String(item.error)) : null,
+            createdAt: item.timestamp,
+            updatedAt: Date.now()
+        };
+        const sequence = ++this.sequence;
+        this.writes = this.writes
+            .then(() => this.store.save(snapshot))
+            .catch(error => {
+                console.error(`[TaskStore] Failed to persist task ${item.id}:`, error);
+                this.failures.push({ sequence, id: item.id, error });
+            });
+        return this.writes;
+    }
+
+    /**
+     * Wait until every queued write has reached the store
+     * @param {Array<string>|null} ids - Only fail for writes of these tasks (default: any task)
+     * @returns {Promise<void>}
+     * @throws {Error} - When a write queued since the previous flush failed
+     */
+    async flush(ids = null) {
+        const from = this.flushed;
+        const to = this.sequence;
+        this.flushed = to;
+        await this.writes;
+
+        const settled = this.failures.filter(failure => failure.sequence > from && failure.sequence <= to);
+        this.failures = this.failures.filter(failure => !settled.includes(failure));
+        const failed = ids ? settled.filter(failure => ids.includes(failure.id)) : settled;
+        if (failed.length > 0) {
+            const failedIds = [...new Set(failed.map(failure => failure.id))];
+            throw new Error(`Failed to persist tasks ${failedIds.join(', ')}: ${failed[0].error.message}`);
+        }
+    }
+
+    /**
+     * Queue the deletion of tasks behind the writes already queued for them
+     * A failed deletion is logged; the tasks are pruned again on a later recovery
+     * @param {Array<string>} ids - Task IDs
+     * @returns {Promise<void>} - Resolves once the deletion has settled
+     */
+    remove(ids) {
+        this.writes = this.writes
+            .then(() => this.store.remove(ids))
+            .catch(error => {
+                console.error(`[TaskStore] Failed to delete ${ids.length} tasks:`, error);
+            });
+        return this.writes;
+    }
+
+    /**
+     * Find a persisted task by idempotency key
+     * @param {string} key - Idempotency key
+     * @returns {Promise<Object|null>} - Stored task
+     */
+    async findByIdempotencyKey(key) {
+        await this.writes;
+        return this.store.findByIdempotencyKey(this.queue, key);
+    }
+
+    /**
+     * Load the tasks a previous process left unfinished
+     * Pending tasks and interrupted (processing) tasks are resumed when their
+     * handler type is registered; the rest are marked failed
+     * @param {Object} handlers - Handlers by task type
+     * @param {Object} options - { resumeInterrupted, maxAttempts }
+     * @returns {Promise<Object>} - { resume: [stored tasks], failed: [stored tasks] }
+     */
+    async loadUnfinished(handlers, options = {}) {
+        const { resumeInterrupted = true, maxAttempts = Infinity } = options;
+        const tasks = await this.store.list(this.queue, ['pending', 'processing']);
+        const resume = [];
+        const failed = [];
+
+        for (const task of tasks) {
+            const interrupted = task.status === 'processing';
+            // An interrupted run counts as an attempt
+            const attempts = task.attempts + (interrupted ? 1 : 0);
+            let error = null;
+            if (!handlers[task.type]) {
+                error = `No handler registered for task type ${task.type}`;
+            } else if (interrupted && !resumeInterrupted) {
+                error = 'Interrupted by restart';
+            } else if (attempts >= maxAttempts) {
+                error = 'Interrupted by restart after the final attempt';
+            }
+
+            const updated = { ...task, attempts, status: error ? 'failed' : 'pending', error, updatedAt: Date.now() };
+            await this.store.save(updated);
+            (error ? failed : resume).push(updated);
+        }
+        return { resume, failed };
+    }
+}
+
+module.exports = {
+    TaskStore,
+    MemoryTaskStore,
+    SQLiteTaskStore,
+    TaskPersistence
+};
@@ -0,0 +1,42 @@
+/**
+ * Task Worker for Virtual Chip Signature System
+ * Entry point of the worker_threads used by TaskScheduler. Handlers cannot be
+ * sent to a thread, so thread tasks name a module instead: the module exports
+ * the handler function itself or as `handler`
+ */
+
+const { isMainThread, parentPort } = require('worker_threads');
+
+const handlerCache = new Map();
+
+/**
+ * Load a handler module
+ * @param {string} modulePath - Absolute path of the handler module
+ * @returns {Function} - Handler (data, metadata) => result
+ */
+function loadHandler(modulePath) {
+    if (!handlerCache.has(modulePath)) {
+        const exported = require(modulePath);
+        const handler = typeof exported === 'function' ? exported : exported.handler;
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler module ${modulePath} does not export a function`);
+        }
+        handlerCache.set(modulePath, handler);
+    }
+    return handlerCache.get(modulePath);
+}
+
+if (!isMainThread && parentPort) {
+    parentPort.on('message', async ({ taskId, modulePath, data, metadata }) => {
+        try {
+            const result = await loadHandler(modulePath)(data, metadata);
+            parentPort.postMessage({ taskId, result });
+        } catch (error) {
+            parentPort.postMessage({ taskId, error: { message: error.message, stack: error.stack } });
+        }
+    });
+}
+
+module.exports = {
+    loadHandler
+};
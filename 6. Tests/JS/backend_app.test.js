@@ -0,0 +1,149 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp, optionsFromEnv } = require('../../backend/app');
+
+describe('Backend app factory', function() {
+    it('should sign with the software provider in production mode', async function() {
+        const app = createApp('production', { auth: false, chip: { isAvailable: async () => true } });
+
+        const res = await request(app).post('/sign').send({ message: 'hello chip' });
+        expect(res.status).to.equal(200);
+        expect(res.body.success).to.equal(true);
+        expect(res.body.provider).to.equal('software');
+
+        const status = await request(app).get('/api/status');
+        expect(status.body).to.include({ backend: true, chip: true, mode: 'production', signer: 'software', rpc: null });
+    });
+
+    it('should sign EIP-712 typed data payloads', async function() {
+        const app = createApp('demo');
+        const domain = { name: 'Token', version: '1', chainId: 1 };
+        const types = { Mail: [{ name: 'contents', type: 'string' }] };
+
+        const res = await request(app).post('/sign').send({ domain, types, value: { contents: 'hello chip' } });
+        expect(res.status).to.equal(200);
+        expect(res.body.structHash).to.equal(ethers.TypedDataEncoder.from(types).hash({ contents: 'hello chip' }));
+        expect(ethers.verifyTypedData(domain, types, { contents: 'hello chip' }, res.body.signature))
+            .to.equal(app.locals.signer.address);
+
+        const invalid = await request(app).post('/sign').send({ domain, types });
+        expect(invalid.status).to.equal(400);
+    });
+
+    it('should serve random signatures in mock mode', async function() {
+        const app = createApp('mock');
+
+        const res = await request(app).post('/sign').send({ message: 'hello chip' });
+        expect(res.body.provider).to.equal('mock');
+
+        const status = await request(app).get('/api/status');
+        expect(status.body).to.include({ chip: false, mode: 'mock' });
+    });
+
+    it('should reject invalid messages and malformed bodies as JSON', async function() {
+        const app = createApp('demo');
+
+        const invalid = await request(app).post('/sign').send({ message: 42 });
+        expect(invalid.status).to.equal(400);
+        expect(invalid.body.error).to.equal('Invalid message');
+
+        const malformed = await request(app)
+            .post('/sign')
+            .set('Content-Type', 'application/json')
+            .send('{"message":');
+        expect(malformed.status).to.equal(400);
+        expect(malformed.body.success).to.equal(false);
+    });
+
+    it('should only allow configured CORS origins', async function() {
+        const app = createApp('mock', { corsOrigins: ['http://localhost:8000'] });
+
+        const allowed = await request(app).get('/').set('Origin', 'http://localhost:8000');
+        expect(allowed.headers['access-control-allow-origin']).to.equal('http://localhost:8000');
+
+        const denied = await request(app).get('/').set('Origin', 'http://evil.example');
+        expect(denied.headers['access-control-allow-origin']).to.equal(undefined);
+    });
+
+    it('should read options from the environment and reject unknown modes', function() {
+        const options = optionsFromEnv({ PORT: '5000', SIGNER: 'mock', CORS_ORIGINS: 'http://a, http://b' });
+        expect(options).to.deep.include({ port: 5000, signer: 'mock', corsOrigins: ['http://a', 'http://b'] });
+        expect(() => createApp('staging')).to.throw('Unknown server mode');
+    });
+
+    it('should verify personal signatures over the message or its hash', async function() {
+        const app = createApp('demo');
+        const wallet = ethers.Wallet.createRandom();
+        const signature = await wallet.signMessage('hello chip');
+
+        const valid = await request(app)
+            .post('/verify')
+            .send({ message: 'hello chip', signature, expectedAddress: wallet.address.toLowerCase() });
+        expect(valid.body).to.include({ success: true, valid: true, signer: wallet.address, encoding: 'message' });
+        expect(valid.body.v).to.be.oneOf([27, 28]);
+
+        const wrongSigner = await request(app)
+            .post('/verify')
+            .send({ message: 'hello chip', signature, expectedAddress: ethers.ZeroAddress });
+        expect(wrongSigner.body).to.include({ success: true, valid: false, signer: wallet.address });
+
+        const signed = await request(app).post('/sign').send({ message: 'hello chip' });
+        const hashed = await request(app)
+            .post('/verify')
+            .send({ message: 'hello chip', signature: signed.body.signature, encoding: 'hash' });
+        expect(hashed.body.signer).to.equal(app.locals.signer.address);
+        expect(hashed.body).to.include({ hash: signed.body.hash, r: signed.body.r, s: signed.body.s });
+
+        const malformed = await request(app).post('/verify').send({ message: 'hello chip', signature: '0x1234' });
+        expect(malformed.status).to.equal(400);
+    });
+
+    it('should report an unreachable node while looking up the signer', async function() {
+        const provider = { getCode: async () => { throw new Error('connection refused'); } };
+        const app = createApp('demo', { provider });
+        const wallet = ethers.Wallet.createRandom();
+        const signature = await wallet.signMessage('hello chip');
+
+        const res = await request(app).post('/verify').send({ message: 'hello chip', signature, expectedAddress: wallet.address });
+        expect(res.status).to.equal(502);
+        expect(res.body.error).to.equal('Contract call failed: connection refused');
+
+        // Without an expected address there is nothing to look up
+        const recovered = await request(app).post('/verify').send({ message: 'hello chip', signature });
+        expect(recovered.body).to.include({ valid: true, signer: wallet.address, signerType: 'eoa' });
+    });
+
+    it('should persist verification outcomes through the signature logger', async function() {
+        const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-log-'));
+        try {
+            const app = createApp('mock', { logDir });
+
+            const res = await request(app).post('/log').send({ type: 'local', result: 'invalid', sessionId: 'session-1' });
+            expect(res.body).to.include({ success: true, sessionId: 'session-1', isValid: false });
+            const [entry] = fs.readFileSync(path.join(logDir, 'signature_validation.log'), 'utf8').trim().split('\n');
+            expect(JSON.parse(entry).data).to.include({ sessionId: 'session-1', isValid: false });
+
+            const invalid = await request(app).post('/log').send({ type: 'local' });
+            expect(invalid.status).to.equal(400);
+
+            const rejected = await Promise.all([
+                { result: 'valid', sessionId: 'x\nPASSED for session admin' },
+                { result: 'valid', sessionId: 'a'.repeat(129) },
+                { result: 'valid', sessionId: 42 },
+                { result: 'valid', type: 'local\r\n' },
+                { result: 'invalid', errors: ['bad\nline'] },
+                { result: 'invalid', errors: 'bad' },
+                { result: 'invalid', errors: new Array(21).fill('bad') },
+                { result: 'invalid', errors: ['x'.repeat(501)] }
+            ].map(body => request(app).post('/log').send(body)));
+            rejected.forEach(res => expect(res.status).to.equal(400));
+            expect(fs.readFileSync(path.join(logDir, 'signature_validation.log'), 'utf8').trim().split('\n')).to.have.length(1);
+        } finally {
+            fs.rmSync(logDir, { recursive: true, force: true });
+        }
+    });
+});
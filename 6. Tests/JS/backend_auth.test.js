@@ -0,0 +1,128 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+process.env.USER_DB_PATH = path.join(tempDir, 'users.db');
+process.env.ENCRYPTION_SECRET = 'test-secret-for-user-key-store-0';
+process.env.BCRYPT_ROUNDS = '4';
+
+const { createApp } = require('../../backend/app');
+const { VirtualChipSigner } = require('../../backend/signers');
+
+describe('Backend authentication', function() {
+    const wallet = ethers.Wallet.createRandom();
+    let app;
+
+    beforeAll(() => {
+        app = createApp('production', { jwtSecret: 'test-jwt-secret', chip: { isAvailable: async () => false } });
+    });
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should reject unauthenticated signing requests', async function() {
+        const res = await request(app).post('/sign').send({ message: 'hello chip' });
+        expect(res.status).to.equal(401);
+    });
+
+    it('should register, log in, sign as the user and log out', async function() {
+        const registered = await request(app)
+            .post('/auth/register')
+            .send({ username: 'alice', password: 'correct horse', privateKey: wallet.privateKey });
+        expect(registered.status).to.equal(201);
+        expect(registered.body.address).to.equal(wallet.address);
+
+        const duplicate = await request(app)
+            .post('/auth/register')
+            .send({ username: 'alice', password: 'other' });
+        expect(duplicate.status).to.equal(409);
+
+        const badLogin = await request(app).post('/auth/login').send({ username: 'alice', password: 'wrong' });
+        expect(badLogin.status).to.equal(401);
+
+        const login = await request(app).post('/auth/login').send({ username: 'alice', password: 'correct horse' });
+        expect(login.status).to.equal(200);
+        const auth = `Bearer ${login.body.token}`;
+
+        const signed = await request(app).post('/sign').set('Authorization', auth).send({ message: 'hello chip' });
+        expect(signed.status).to.equal(200);
+        expect(signed.body.address).to.equal(wallet.address);
+        expect(ethers.verifyMessage(ethers.getBytes(signed.body.hash), signed.body.signature)).to.equal(wallet.address);
+
+        const logout = await request(app).post('/auth/logout').set('Authorization', auth);
+        expect(logout.status).to.equal(200);
+
+        const afterLogout = await request(app).post('/sign').set('Authorization', auth).send({ message: 'hello chip' });
+        expect(afterLogout.status).to.equal(401);
+    });
+
+    it('should only log verification outcomes with a session, under the user\'s name', async function() {
+        const logDir = path.join(tempDir, 'logs');
+        const logApp = createApp('production', { jwtSecret: 'test-jwt-secret', logDir, chip: { isAvailable: async () => false } });
+
+        const anonymous = await request(logApp).post('/log').send({ result: 'valid', sessionId: 'forged' });
+        expect(anonymous.status).to.equal(401);
+
+        await request(logApp).post('/auth/register').send({ username: 'dave', password: 'correct horse' });
+        const login = await request(logApp).post('/auth/login').send({ username: 'dave', password: 'correct horse' });
+        const logged = await request(logApp)
+            .post('/log')
+            .set('Authorization', `Bearer ${login.body.token}`)
+            .send({ result: 'valid', sessionId: 'session-1' });
+        expect(logged.body).to.include({ success: true, sessionId: 'dave:session-1', isValid: true });
+
+        const entries = fs.readFileSync(path.join(logDir, 'signature_validation.log'), 'utf8').trim().split('\n');
+        expect(entries).to.have.length(1);
+        expect(JSON.parse(entries[0]).data).to.include({ sessionId: 'dave:session-1', isValid: true });
+    });
+
+    it('should sign for concurrent users on one chip queue with the configured chip options', async function() {
+        const users = ['bob', 'carol'].map(username => ({ username, wallet: ethers.Wallet.createRandom() }));
+        let input = null;
+        let running = 0;
+        let overlapped = false;
+        const chip = new VirtualChipSigner({
+            inputFile: path.join(tempDir, 'ecdsa_input.mem'),
+            generateInput: async () => (hash, key) => {
+                input = { hash, key };
+                return `${hash}\n`;
+            },
+            runSimulation: async () => {
+                overlapped = overlapped || running > 0;
+                running++;
+                await new Promise(resolve => setTimeout(resolve, 20));
+                running--;
+                const { r, s, v } = new ethers.SigningKey('0x' + input.key).sign('0x' + input.hash);
+                return `r: ${r.slice(2)}\ns: ${s.slice(2)}\nv: ${v.toString(16)}`;
+            }
+        });
+        const chipApp = createApp('production', { jwtSecret: 'test-jwt-secret', signer: chip });
+
+        const sessions = await Promise.all(users.map(async ({ username, wallet }) => {
+            await request(chipApp).post('/auth/register').send({ username, password: 'pw', privateKey: wallet.privateKey });
+            const login = await request(chipApp).post('/auth/login').send({ username, password: 'pw' });
+            return `Bearer ${login.body.token}`;
+        }));
+        const signed = await Promise.all(sessions.map(session =>
+            request(chipApp).post('/sign').set('Authorization', session).send({ message: 'hello chip' })));
+
+        expect(overlapped).to.equal(false);
+        signed.forEach((res, index) => {
+            expect(res.body).to.include({ success: true, provider: 'virtual-chip', address: users[index].wallet.address });
+            expect(ethers.verifyMessage(ethers.getBytes(res.body.hash), res.body.signature)).to.equal(users[index].wallet.address);
+        });
+        expect(fs.existsSync(path.join(tempDir, 'ecdsa_input.mem'))).to.equal(false);
+    });
+
+    it('should reject tokens signed with another secret', async function() {
+        const other = createApp('production', { jwtSecret: 'another-secret', chip: { isAvailable: async () => false } });
+        const login = await request(other).post('/auth/login').send({ username: 'alice', password: 'correct horse' });
+
+        const res = await request(app).post('/sign').set('Authorization', `Bearer ${login.body.token}`).send({ message: 'x' });
+        expect(res.status).to.equal(401);
+    });
+});
@@ -0,0 +1,215 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const { createApp } = require('../../backend/app');
+const BatchJobs = require('../../backend/batch_jobs');
+const { MemoryTaskStore } = require('../../5. Tools/Queue_Manager/taskStore');
+
+const FAST_QUEUE = { maxConcurrent: 2, rateLimit: 600000, retryAttempts: 1 };
+
+async function waitForJob(app, jobId, done, attempts = 100) {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const res = await request(app).get(`/jobs/${jobId}`);
+        if (done(res.body)) {
+            return res.body;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Job ${jobId} did not settle`);
+}
+
+describe('Batch signing jobs', function() {
+    it('should sign a batch in the background and report per-item results', async function() {
+        const app = createApp('demo', { batchQueue: FAST_QUEUE });
+
+        const queued = await request(app).post('/sign/batch').send({ messages: ['one', 'two', 'three'] });
+        expect(queued.status).to.equal(202);
+        expect(queued.body).to.include({ success: true, total: 3 });
+
+        const job = await waitForJob(app, queued.body.jobId, body => body.status === 'completed');
+        expect(job.counts.completed).to.equal(3);
+        job.items.forEach((item, index) => {
+            const hash = ethers.keccak256(ethers.toUtf8Bytes(['one', 'two', 'three'][index]));
+            expect(item.result.hash).to.equal(hash);
+            expect(ethers.verifyMessage(ethers.getBytes(hash), item.result.signature)).to.equal(app.locals.signer.address);
+        });
+    });
+
+    it('should sign on worker threads when signingThreads is set', async function() {
+        const app = createApp('demo', { batchQueue: FAST_QUEUE, signingThreads: 1 });
+        try {
+            const queued = await request(app).post('/sign/batch').send({ messages: ['one', 'two'] });
+            const job = await waitForJob(app, queued.body.jobId, body => body.status === 'completed', 300);
+            expect(job.counts.completed).to.equal(2);
+            job.items.forEach((item, index) => {
+                const hash = ethers.keccak256(ethers.toUtf8Bytes(['one', 'two'][index]));
+                expect(item.result.hash).to.equal(hash);
+                expect(ethers.verifyMessage(ethers.getBytes(hash), item.result.signature)).to.equal(app.locals.signer.address);
+            });
+            expect(app.locals.signingThreads.getStats().completedTasks).to.equal(2);
+        } finally {
+            await app.locals.signingThreads.shutdown();
+        }
+    });
+
+    it('should record failures per item', async function() {
+        const signer = {
+            name: 'flaky',
+            sign: async (message) => {
+                if (message === 'bad') {
+                    throw new Error('chip rejected input');
+                }
+                return { signature: '0x01', hash: '0x02' };
+            }
+        };
+        const app = createApp('demo', { signer, batchQueue: FAST_QUEUE });
+
+        const queued = await request(app).post('/sign/batch').send({ messages: ['good', 'bad'] });
+        const job = await waitForJob(app, queued.body.jobId, body => body.status === 'completed');
+        expect(job.items[0]).to.include({ status: 'completed' });
+        expect(job.items[1]).to.include({ status: 'failed', error: 'chip rejected input' });
+    });
+
+    it('should cancel pending items with DELETE /jobs/:id', async function() {
+        let release;
+        const blocked = new Promise(resolve => (release = resolve));
+        const signer = { name: 'slow', sign: async () => { await blocked; return { signature: '0x01' }; } };
+        const app = createApp('demo', { signer, batchQueue: { ...FAST_QUEUE, maxConcurrent: 1 } });
+
+        const queued = await request(app).post('/sign/batch').send({ messages: ['a', 'b', 'c'] });
+        const cancelled = await request(app).delete(`/jobs/${queued.body.jobId}`);
+        expect(cancelled.body.cancelled).to.equal(2);
+
+        release();
+        const job = await waitForJob(app, queued.body.jobId, body => body.counts.processing === 0);
+        expect(job.status).to.equal('cancelled');
+        expect(job.items.map(item => item.status)).to.deep.equal(['completed', 'cancelled', 'cancelled']);
+
+        const missing = await request(app).delete('/jobs/unknown');
+        expect(missing.status).to.equal(404);
+    });
+
+    it('should validate batch requests', async function() {
+        const app = createApp('demo', { maxBatchSize: 2 });
+
+        const tooLarge = await request(app).post('/sign/batch').send({ messages: ['a', 'b', 'c'] });
+        expect(tooLarge.status).to.equal(400);
+
+        const invalid = await request(app).post('/sign/batch').send({ messages: ['a', 42] });
+        expect(invalid.status).to.equal(400);
+        expect(invalid.body.index).to.equal(1);
+    });
+
+    it('should resume persisted jobs after a restart and honour idempotency keys', async function() {
+        const jobStore = new MemoryTaskStore();
+        const stuck = { name: 'stuck', sign: () => new Promise(() => {}) };
+        const before = createApp('demo', { signer: stuck, jobStore, batchQueue: { ...FAST_QUEUE, maxConcurrent: 1 } });
+
+        const queued = await request(before)
+            .post('/sign/batch')
+            .set('Idempotency-Key', 'nightly-42')
+            .send({ messages: ['one', 'two'] });
+        expect(queued.status).to.equal(202);
+
+        // The interrupted item used one of its three attempts
+        const after = createApp('demo', { jobStore, batchQueue: { ...FAST_QUEUE, retryAttempts: 3 } });
+        const job = await waitForJob(after, queued.body.jobId, body => body.status === 'completed');
+        expect(job.items.map(item => item.result.hash)).to.deep.equal(
+            ['one', 'two'].map(message => ethers.keccak256(ethers.toUtf8Bytes(message)))
+        );
+
+        const replay = await request(after)
+            .post('/sign/batch')
+            .set('Idempotency-Key', 'nightly-42')
+            .send({ messages: ['one', 'two'] });
+        expect(replay.status).to.equal(200);
+        expect(replay.body).to.include({ jobId: queued.body.jobId, duplicate: true });
+    });
+
+    it('should answer 500 and release the idempotency key when the job cannot be stored', async function() {
+        const jobStore = new MemoryTaskStore();
+        const save = jobStore.save.bind(jobStore);
+        jobStore.save = async () => { throw new Error('disk full'); };
+        const app = createApp('demo', { jobStore, batchQueue: FAST_QUEUE });
+
+        const failed = await request(app)
+            .post('/sign/batch')
+            .set('Idempotency-Key', 'nightly-43')
+            .send({ messages: ['one', 'two', 'three'] });
+        expect(failed.status).to.equal(500);
+        expect(failed.body.error).to.include('Batch job not queued').and.include('disk full');
+
+        jobStore.save = save;
+        const retried = await request(app)
+            .post('/sign/batch')
+            .set('Idempotency-Key', 'nightly-43')
+            .send({ messages: ['one', 'two', 'three'] });
+        expect(retried.status).to.equal(202);
+        await waitForJob(app, retried.body.jobId, body => body.status === 'completed');
+    });
+
+    it('should evict finished jobs and their stored tasks after the retention period', async function() {
+        const jobStore = new MemoryTaskStore();
+        const app = createApp('demo', { jobStore, jobRetention: 0, batchQueue: FAST_QUEUE });
+
+        const first = await request(app).post('/sign/batch').send({ messages: ['one'] });
+        await waitForJob(app, first.body.jobId, body => body.status === 'completed');
+
+        const second = await request(app).post('/sign/batch').send({ messages: ['two'] });
+        expect(second.status).to.equal(202);
+        expect((await request(app).get(`/jobs/${first.body.jobId}`)).status).to.equal(404);
+        expect(await jobStore.get(`${first.body.jobId}:0`)).to.equal(null);
+        expect(await jobStore.get(`${second.body.jobId}:0`)).to.not.equal(null);
+    });
+
+    it('should only load unfinished and retained jobs on startup and prune the rest', async function() {
+        const store = new MemoryTaskStore();
+        const now = Date.now();
+        const hour = 60 * 60 * 1000;
+        const seed = (jobId, index, status, updatedAt) => store.save({
+            id: `${jobId}:${index}`, queue: 'sign-batch', type: 'sign', data: { payload: `${jobId}-${index}`, owner: null },
+            metadata: { jobId, index, total: 2, createdAt: new Date(now - 50 * hour).toISOString(), idempotencyKey: null },
+            priority: 3, status, attempts: 0, idempotencyKey: null,
+            result: status === 'completed' ? { signed: `${jobId}-${index}` } : null, error: null,
+            createdAt: now - 50 * hour, updatedAt
+        });
+        // Finished two days ago; finished an hour ago, one item long before; still pending
+        await seed('expired', 0, 'completed', now - 48 * hour);
+        await seed('expired', 1, 'failed', now - 48 * hour);
+        await seed('retained', 0, 'completed', now - 48 * hour);
+        await seed('retained', 1, 'completed', now - hour);
+        await seed('open', 0, 'completed', now - 48 * hour);
+        await seed('open', 1, 'pending', now - 48 * hour);
+
+        const listed = [];
+        const list = store.list.bind(store);
+        store.list = async (...args) => {
+            const tasks = await list(...args);
+            listed.push(...tasks.map(task => task.id));
+            return tasks;
+        };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const jobs = new BatchJobs({ handler: async payload => ({ signed: payload }), store, queueOptions: FAST_QUEUE });
+        try {
+            expect(await jobs.recover()).to.include({ jobs: 2, resumed: 1 });
+        } finally {
+            console.log.mockRestore();
+        }
+
+        expect(listed.some(id => id.startsWith('expired:'))).to.equal(false);
+        expect(jobs.getJob('expired')).to.equal(null);
+        expect(await store.get('expired:0')).to.equal(null);
+
+        // The retained job is kept whole, its older item now dated with the job
+        expect(jobs.getJob('retained').items.map(item => item.result)).to.deep.equal([{ signed: 'retained-0' }, { signed: 'retained-1' }]);
+        expect((await store.get('retained:0')).updatedAt).to.equal(now - hour);
+
+        for (let attempt = 0; attempt < 100 && jobs.getJob('open').status !== 'completed'; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        const open = jobs.getJob('open');
+        expect(open.status).to.equal('completed');
+        expect(open.items.map(item => item.result)).to.deep.equal([{ signed: 'open-0' }, { signed: 'open-1' }]);
+        expect(await store.get('open:0')).to.not.equal(null);
+    });
+});
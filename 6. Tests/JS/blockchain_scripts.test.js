@@ -0,0 +1,245 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { ethers } = require('ethers');
+const {
+    deploySignatureVerifier,
+    upgradeSignatureVerifier,
+    checkStorageLayout,
+    getImplementation
+} = require('../../3. Blockchain_Interaction/Scripts/deploy');
+const { verifySignature } = require('../../3. Blockchain_Interaction/Scripts/verify_tx');
+const { EventListener, syncEvents } = require('../../3. Blockchain_Interaction/Scripts/listen_events');
+const { compileContracts } = require('./fixtures/hardhat');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// deploy.js, verify_tx.js and listen_events.js on the in-process Hardhat network
+describe('Blockchain scripts', function() {
+    let tempDir;
+    let deployment;
+    let user;
+    let provider;
+
+    beforeAll(async () => {
+        await compileContracts();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+    beforeEach(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blockchain-scripts-'));
+        deployment = await deploySignatureVerifier({ deploymentDir: tempDir });
+        [, user] = await hre.ethers.getSigners();
+        provider = new ethers.BrowserProvider(hre.network.provider, undefined, { cacheTimeout: -1 });
+    });
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    async function submit(message) {
+        const signature = await user.signMessage(message);
+        const tx = await deployment.contract.connect(user).submitSignature(message, signature, user.address);
+        await tx.wait();
+        return signature;
+    }
+
+    describe('deploy.js', function() {
+        it('should deploy SignatureVerifier and save the deployment files', async function() {
+            const [owner] = await hre.ethers.getSigners();
+            expect(deployment).to.include({ network: 'hardhat', chainId: 1337, deployer: owner.address, owner: owner.address });
+            expect(await hre.ethers.provider.getCode(deployment.contractAddress)).to.not.equal('0x');
+            expect(BigInt(deployment.gasUsed)).to.be.greaterThan(0n);
+
+            const info = readJson(path.join(tempDir, 'hardhat-deployment.json'));
+            expect(info).to.include({ network: 'hardhat', contractAddress: deployment.contractAddress, blockNumber: deployment.blockNumber });
+            expect(readJson(deployment.files.abiFile).abi).to.deep.equal(info.abi);
+            expect(readJson(deployment.files.configFile)).to.deep.equal({
+                contractAddress: deployment.contractAddress,
+                forwarderAddress: null,
+                network: 'hardhat',
+                chainId: 1337,
+                rpcUrl: null,
+                blockExplorer: null
+            });
+        });
+
+        it('should deploy a trusted forwarder for gasless submissions', async function() {
+            const withForwarder = await deploySignatureVerifier({ forwarder: true, deploymentDir: tempDir });
+            expect(await withForwarder.contract.trustedForwarder()).to.equal(withForwarder.forwarder);
+            expect(await hre.ethers.provider.getCode(withForwarder.forwarder)).to.not.equal('0x');
+            expect(readJson(path.join(tempDir, 'hardhat-deployment.json')).forwarder).to.equal(withForwarder.forwarder);
+            expect(readJson(withForwarder.files.configFile).forwarderAddress).to.equal(withForwarder.forwarder);
+            expect(deployment.forwarder).to.equal(null);
+        });
+
+        it('should refuse to deploy from an underfunded account', async function() {
+            const minBalance = ethers.parseEther('1000000');
+            try {
+                await deploySignatureVerifier({ minBalance, deploymentDir: null });
+                expect.fail('expected the deployment to fail');
+            } catch (error) {
+                expect(error.message).to.match(/^Insufficient ETH for deployment on hardhat/);
+            }
+        });
+
+        it('should upgrade a proxy deployment without losing signature history', async function() {
+            const proxied = await deploySignatureVerifier({ proxy: true, deploymentDir: tempDir });
+            const [owner] = await hre.ethers.getSigners();
+            const { implementation } = proxied.proxy;
+            expect(proxied.owner).to.equal(owner.address);
+            expect(await getImplementation(proxied.contractAddress)).to.equal(implementation);
+            expect(readJson(path.join(tempDir, 'hardhat-deployment.json'))).to.deep.include({
+                contractAddress: proxied.contractAddress,
+                proxy: { kind: 'uups', implementation },
+                storageLayout: proxied.storageLayout
+            });
+
+            const message = 'before the upgrade';
+            const signature = await user.signMessage(message);
+            await (await proxied.contract.connect(user).submitSignature(message, signature, user.address)).wait();
+
+            // Only admins upgrade
+            await expect(proxied.contract.connect(user).upgradeToAndCall(implementation, '0x'))
+                .to.be.revertedWithCustomError(proxied.contract, 'AccessControlUnauthorizedAccount');
+
+            const upgrade = await upgradeSignatureVerifier({ deploymentDir: tempDir });
+            expect(upgrade).to.include({ contractAddress: proxied.contractAddress, previousImplementation: implementation });
+            expect(upgrade.implementation).to.not.equal(implementation);
+            expect(await getImplementation(proxied.contractAddress)).to.equal(upgrade.implementation);
+
+            const info = readJson(path.join(tempDir, 'hardhat-deployment.json'));
+            expect(info.proxy.implementation).to.equal(upgrade.implementation);
+            expect(info.upgrades).to.have.length(1);
+            expect(info.upgrades[0]).to.include({ previousImplementation: implementation, upgradeTx: upgrade.upgradeTx });
+
+            const upgraded = upgrade.contract;
+            expect(await upgraded.owner()).to.equal(owner.address);
+            expect(await upgraded.totalSignatures()).to.equal(1n);
+            expect(await upgraded.signatureCount(user.address)).to.equal(1n);
+            expect(await upgraded.isSignatureUsed(message, signature, user.address)).to.equal(true);
+        });
+
+        it('should refuse upgrades that break the storage layout', async function() {
+            const proxied = await deploySignatureVerifier({ proxy: true, deploymentDir: null });
+            const layout = proxied.storageLayout;
+            const swapped = layout.map(variable => variable.label === 'paused' ? { ...variable, type: 'uint8' } : variable);
+
+            try {
+                await upgradeSignatureVerifier({ proxyAddress: proxied.contractAddress, deploymentDir: null, previousLayout: swapped });
+                expect.fail('expected the upgrade to fail');
+            } catch (error) {
+                expect(error.message).to.equal(
+                    'Storage layout incompatible with the deployed implementation:\n - paused (slot 6) changed: type uint8 -> bool'
+                );
+            }
+            expect(await getImplementation(proxied.contractAddress)).to.equal(proxied.proxy.implementation);
+
+            const lastSlot = Number(layout[layout.length - 1].slot);
+            const appended = { label: 'added', slot: String(lastSlot + 1), offset: 0, type: 'uint256', numberOfBytes: '32' };
+            expect(checkStorageLayout(layout, [...layout, appended])).to.deep.equal([]);
+            expect(checkStorageLayout(layout, layout.slice(1))[0]).to.match(/^_roles \(slot 0\) changed: label _roles -> _owner/);
+            expect(checkStorageLayout([...layout, appended], layout)).to.deep.equal([`added (slot ${lastSlot + 1}) was removed`]);
+            expect(checkStorageLayout(layout, [...layout, { ...appended, slot: String(lastSlot) }]))
+                .to.deep.equal([`added (slot ${lastSlot}) overlaps existing storage`]);
+        });
+    });
+
+    describe('verify_tx.js', function() {
+        it('should check signatures against the contract', async function() {
+            const { contractAddress } = deployment;
+            const message = 'verify me';
+            const signature = await user.signMessage(message);
+
+            expect(await verifySignature({ contractAddress, signer: user.address, message, signature }))
+                .to.deep.equal({ isValid: true, alreadyUsed: false });
+            expect(await verifySignature({ contractAddress, signer: user.address, message: 'tampered', signature }))
+                .to.deep.equal({ isValid: false, alreadyUsed: false });
+
+            await submit(message);
+            expect(await verifySignature({ contractAddress, signer: user.address, message, signature }))
+                .to.deep.equal({ isValid: true, alreadyUsed: true });
+        });
+
+        it('should reject bad input and missing contracts', async function() {
+            const signature = await user.signMessage('hello');
+            const params = { contractAddress: deployment.contractAddress, signer: user.address, message: 'hello', signature };
+
+            const failures = [
+                [{ ...params, signer: 'not an address' }, 'Contract and signer must be valid addresses'],
+                [{ ...params, signature: '0x1234' }, 'Signature must be 65 bytes of 0x-prefixed hex'],
+                [{ ...params, contractAddress: user.address }, `No contract found at address: ${user.address}`]
+            ];
+            for (const [input, message] of failures) {
+                try {
+                    await verifySignature(input);
+                    expect.fail(`expected "${message}"`);
+                } catch (error) {
+                    expect(error.message).to.equal(message);
+                }
+            }
+        });
+    });
+
+    describe('listen_events.js', function() {
+        const listenerOptions = () => ({
+            provider,
+            contractAddress: deployment.contractAddress,
+            fromBlock: deployment.blockNumber,
+            logFile: path.join(tempDir, 'verified_tx_log.json'),
+            eventLogFile: path.join(tempDir, 'event_log.json')
+        });
+
+        it('should log every contract event since the deployment', async function() {
+            await submit('first');
+            await submit('second');
+            await (await deployment.contract.pause()).wait();
+
+            const { eventsFound, stats } = await syncEvents(listenerOptions());
+            expect(eventsFound).to.equal(5);
+            expect(stats).to.include({ eventCount: 5, errorCount: 0, lastProcessedBlock: await provider.getBlockNumber() });
+
+            const logs = readJson(listenerOptions().logFile);
+            expect(logs.map(entry => entry.type)).to.deep.equal([
+                'signature_submitted', 'signature_verified',
+                'signature_submitted', 'signature_verified',
+                'contract_paused'
+            ]);
+            expect(logs[1]).to.include({
+                signer: user.address,
+                messageHash: ethers.keccak256(ethers.toUtf8Bytes('first')),
+                isValid: true
+            });
+
+            const events = readJson(listenerOptions().eventLogFile);
+            expect(events[0].args.timestamp).to.be.a('string');
+            expect(events[events.length - 1].lastProcessedBlock).to.equal(stats.lastProcessedBlock);
+        });
+
+        it('should resume after the last processed block', async function() {
+            await submit('first');
+            await syncEvents(listenerOptions());
+
+            await submit('second');
+            const { eventsFound } = await syncEvents(listenerOptions());
+            expect(eventsFound).to.equal(2);
+            expect(readJson(listenerOptions().logFile)).to.have.lengthOf(4);
+        });
+
+        it('should poll for new events until stopped', async function() {
+            const listener = new EventListener({ ...listenerOptions(), pollInterval: 10 });
+            await listener.start();
+            await submit('polled');
+
+            const deadline = Date.now() + 5000;
+            while (listener.getStats().eventCount < 2 && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            await listener.stop();
+            expect(listener.getStats()).to.include({ isRunning: false, eventCount: 2 });
+        });
+    });
+});
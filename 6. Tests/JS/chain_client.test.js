@@ -0,0 +1,285 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { ChainClient, ChainError, CODES, createChainClient } = require('../../5. Tools/JS/Chain/chainClient');
+const { loadNetworks } = require('../../5. Tools/JS/Chain/networks');
+const { decodeRevert, decodeRevertReason } = require('../../5. Tools/JS/Chain/errors');
+const ReceiptProcessor = require('../../ui_feedback_module/Receipt_Processor');
+const { deployVerifier } = require('./fixtures/hardhat');
+const { expectChainError } = require('./fixtures/chain');
+
+const ABI = [
+    'function submitSignature(string message, bytes signature, address signer) returns (bool)',
+    'function getContractStats() view returns (uint256 _totalSignatures, uint256 _totalVerifications, bool _paused)',
+    'function getSignerStats(address signer) view returns (uint256)',
+    'function pause()'
+];
+
+// The same behaviour whichever library talks to the node
+describe.each(['ethers', 'web3'])('ChainClient (%s)', function(library) {
+    let fixture;
+    let client;
+    let address;
+
+    beforeEach(async () => {
+        fixture = await loadFixture(deployVerifier);
+        client = new ChainClient({ library, pollInterval: 10, retryDelay: 10, maxRetries: 2 });
+        await client.initialize('hardhat');
+        address = await fixture.verifier.getAddress();
+        client.loadContract('SignatureVerifier', address, ABI);
+    });
+    afterEach(() => {
+        client.close();
+    });
+
+    async function submission(message, wallet = fixture.owner) {
+        return [message, await wallet.signMessage(message), wallet.address];
+    }
+
+    it('should connect to the in-process network with the node account', async function() {
+        expect(client.library).to.equal(library);
+        expect(await client.getAddress()).to.equal(fixture.owner.address);
+
+        const info = await client.getNetworkInfo();
+        expect(info.chainId).to.equal(1337n);
+        expect(info.name).to.equal('hardhat');
+        expect(info.blockNumber).to.be.a('number');
+        expect(BigInt(info.gasPrice) > 0n).to.equal(true);
+        expect(Number(await client.getBalance(fixture.owner.address))).to.be.greaterThan(0);
+    });
+
+    it('should read single and multiple outputs with any ABI format', async function() {
+        const json = JSON.parse(new ethers.Interface(ABI).formatJson());
+        client.loadContract('Json', address, json);
+        client.loadContract('Interface', address, new ethers.Interface(ABI));
+
+        for (const name of ['SignatureVerifier', 'Json', 'Interface']) {
+            const stats = await client.callMethod(name, 'getContractStats');
+            expect(stats[0]).to.equal(0n);
+            expect(stats._paused).to.equal(false);
+            expect(await client.callMethod(name, 'getSignerStats', [fixture.owner.address])).to.equal(0n);
+        }
+    });
+
+    it('should send a transaction and follow it to its receipt', async function() {
+        const gasLimit = await client.estimateGas('SignatureVerifier', 'submitSignature', await submission('chain client'));
+        expect(gasLimit).to.be.a('number');
+
+        const result = await client.sendTransaction('SignatureVerifier', 'submitSignature', await submission('chain client'));
+        expect(result.status).to.equal(1);
+        expect(result.logs).to.have.length(2);
+        expect((await client.callMethod('SignatureVerifier', 'getContractStats'))._totalSignatures).to.equal(1n);
+
+        const status = await client.getTransactionStatus(result.transactionHash);
+        expect(status.from).to.equal(fixture.owner.address);
+        expect(status.to).to.equal(address);
+        expect(status.blockNumber).to.equal(result.blockNumber);
+        expect(status.confirmations).to.equal(1);
+        expect(await client.getTransactionStatus(ethers.ZeroHash)).to.equal(null);
+
+        // The client is the provider ReceiptProcessor waits on
+        const processed = await new ReceiptProcessor().processReceipt(result.transactionHash, client);
+        expect(processed.status).to.equal('SUCCESS');
+        expect(processed.blockNumber).to.equal(result.blockNumber);
+    });
+
+    it('should sign locally with a private key', async function() {
+        const wallet = ethers.Wallet.createRandom();
+        await (await fixture.owner.sendTransaction({ to: wallet.address, value: ethers.parseEther('1') })).wait();
+        const keyed = new ChainClient({ library, pollInterval: 10 });
+        await keyed.initialize('hardhat', wallet.privateKey);
+        keyed.loadContract('SignatureVerifier', address, ABI);
+
+        const sent = await keyed.submitTransaction('SignatureVerifier', 'submitSignature', await submission('keyed', wallet), { nonce: 0 });
+        expect(sent.from).to.equal(wallet.address);
+        expect(sent.nonce).to.equal(0);
+        const receipt = await keyed.waitForTransaction(sent.hash);
+        expect(receipt.status).to.equal(1);
+        expect(receipt.from).to.equal(wallet.address);
+        keyed.close();
+    });
+
+    it('should report reverts with their reason or data', async function() {
+        const args = await submission('twice');
+        await client.sendTransaction('SignatureVerifier', 'submitSignature', args);
+
+        const reverted = await expectChainError(client.estimateGas('SignatureVerifier', 'submitSignature', args), CODES.CALL_REVERTED);
+        expect(reverted.reason).to.equal('SignatureVerifier: signature already used');
+        expect(reverted.message).to.equal('Call reverted: SignatureVerifier: signature already used');
+
+        // Custom errors keep their data for the caller's ABI to decode
+        const stranger = new ChainClient({ library });
+        await stranger.initialize('hardhat', ethers.Wallet.createRandom().privateKey);
+        stranger.loadContract('SignatureVerifier', address, ABI);
+        const denied = await expectChainError(stranger.callMethod('SignatureVerifier', 'pause'), CODES.CALL_REVERTED);
+        expect(denied.reason).to.equal(null);
+        expect(fixture.verifier.interface.parseError(denied.data).name).to.equal('AccessControlUnauthorizedAccount');
+
+        // A call that would revert is not retried, and keeps its decoded revert
+        const nonce = await client.adapter.getTransactionCount(await client.getAddress(), 'pending');
+        const failed = await expectChainError(client.sendTransaction('SignatureVerifier', 'submitSignature', args), CODES.CALL_REVERTED);
+        expect(failed.message).to.equal('Call reverted: SignatureVerifier: signature already used');
+        expect(failed.reason).to.equal('SignatureVerifier: signature already used');
+        expect(failed.revert).to.deep.include({ method: 'submitSignature', stage: 'eth_call', name: 'Error' });
+        expect(await client.adapter.getTransactionCount(await client.getAddress(), 'pending')).to.equal(nonce);
+    });
+
+    it('should simulate transactions and broadcast only those that succeed', async function() {
+        const args = await submission('simulated');
+        const simulation = await client.simulateTransaction('SignatureVerifier', 'submitSignature', args);
+        expect(simulation.result).to.equal(true);
+        expect(simulation.gasEstimate).to.be.a('bigint');
+        expect(simulation.gasLimit).to.equal(Math.ceil(Number(simulation.gasEstimate) * client.gasLimitBuffer));
+        expect((await client.callMethod('SignatureVerifier', 'getContractStats'))._totalSignatures).to.equal(0n);
+
+        await (await fixture.verifier.pause()).wait();
+        const nonce = await client.adapter.getTransactionCount(fixture.owner.address, 'latest');
+        const paused = await expectChainError(client.submitTransaction('SignatureVerifier', 'submitSignature', args), CODES.CALL_REVERTED);
+        expect(paused.message).to.equal('Call reverted: SignatureVerifier: contract is paused');
+        expect(paused.reason).to.equal('SignatureVerifier: contract is paused');
+        expect(paused.revert).to.deep.equal({
+            method: 'submitSignature',
+            stage: 'eth_call',
+            name: 'Error',
+            signature: 'Error(string)',
+            args: ['SignatureVerifier: contract is paused']
+        });
+        // Nothing was broadcast
+        expect(client.nonces.getPending()).to.deep.equal([]);
+        expect(await client.adapter.getTransactionCount(fixture.owner.address, 'pending')).to.equal(nonce);
+    });
+
+    it('should decode custom errors against the contract ABI', async function() {
+        const wallet = ethers.Wallet.createRandom();
+        const stranger = new ChainClient({ library });
+        await stranger.initialize('hardhat', wallet.privateKey);
+        stranger.loadContract('SignatureVerifier', address, fixture.verifier.interface);
+
+        const role = await fixture.verifier.PAUSER_ROLE();
+        const denied = await expectChainError(stranger.simulateTransaction('SignatureVerifier', 'pause'), CODES.CALL_REVERTED);
+        expect(denied.message).to.equal(`Call reverted: AccessControlUnauthorizedAccount(${wallet.address}, ${role})`);
+        expect(denied.reason).to.equal(null);
+        expect(denied.revert).to.deep.equal({
+            method: 'pause',
+            stage: 'eth_call',
+            name: 'AccessControlUnauthorizedAccount',
+            signature: 'AccessControlUnauthorizedAccount(address,bytes32)',
+            args: [wallet.address, role]
+        });
+        const viewed = await expectChainError(stranger.callMethod('SignatureVerifier', 'pause'), CODES.CALL_REVERTED);
+        expect(viewed.revert.name).to.equal('AccessControlUnauthorizedAccount');
+        stranger.close();
+    });
+
+    it('should report a signer without funds', async function() {
+        const broke = new ChainClient({ library, maxRetries: 1 });
+        await broke.initialize('hardhat', ethers.Wallet.createRandom().privateKey);
+        broke.loadContract('SignatureVerifier', address, ABI);
+        await expectChainError(
+            broke.submitTransaction('SignatureVerifier', 'submitSignature', await submission('broke'), { gasLimit: 200000 }),
+            CODES.INSUFFICIENT_FUNDS
+        );
+    });
+
+    it('should time out waiting for confirmations', async function() {
+        const { transactionHash } = await client.sendTransaction('SignatureVerifier', 'submitSignature', await submission('wait'));
+        await expectChainError(client.waitForTransaction(transactionHash, 5, 50), CODES.TIMEOUT);
+    });
+
+    it('should refuse use before initialization and unknown contracts', async function() {
+        const idle = new ChainClient({ library });
+        expect(() => idle.loadContract('SignatureVerifier', address, ABI)).to.throw(ChainError).with.property('code', CODES.NOT_INITIALIZED);
+        await expectChainError(idle.getNetworkInfo(), CODES.NOT_INITIALIZED);
+        expect(() => client.getContract('Missing')).to.throw(ChainError).with.property('code', CODES.CONTRACT_NOT_LOADED);
+        expect(() => client.loadContract('Bad', '0x1234', ABI)).to.throw(ChainError).with.property('code', CODES.INVALID_ARGUMENT);
+        await expectChainError(client.callMethod('SignatureVerifier', 'missing'), CODES.INVALID_ARGUMENT);
+    });
+
+    it('should report unknown networks and unreachable nodes', async function() {
+        await expectChainError(new ChainClient({ library }).initialize('goerli'), CODES.UNSUPPORTED_NETWORK);
+
+        const networks = loadNetworks({ hardhatNetworks: { localhost: { url: 'http://127.0.0.1:1', chainId: 1337 } }, env: {} });
+        const offline = new ChainClient({ library, networks });
+        await expectChainError(offline.initialize('local', ethers.Wallet.createRandom().privateKey), CODES.NETWORK_ERROR);
+        offline.close();
+    });
+});
+
+describe('Chain networks and client selection', function() {
+    const hardhatNetworks = {
+        hardhat: { chainId: 1337, accounts: { mnemonic: 'test test' } },
+        localhost: { url: 'http://127.0.0.1:8545', chainId: 1337 },
+        sepolia: { url: '', chainId: 11155111, accounts: [''] }
+    };
+
+    it('should read networks from the hardhat config', function() {
+        const networks = loadNetworks();
+        expect(networks.hardhat).to.include({ chainId: 1337, inProcess: true });
+        expect(networks.sepolia.chainId).to.equal(11155111);
+    });
+
+    it('should take RPC URLs from options, then env, then the config', function() {
+        const key = ethers.Wallet.createRandom().privateKey;
+        const networks = loadNetworks({
+            hardhatNetworks: { ...hardhatNetworks, mainnet: { url: '', chainId: 1, accounts: [key] } },
+            env: {
+                SEPOLIA_RPC_URL: 'https://sepolia.example',
+                SEPOLIA_RPC_URLS: 'https://fallback.example, https://sepolia.example',
+                LOCALHOST_RPC_URL: 'http://env:8545'
+            },
+            rpcUrls: { local: 'http://option:8545' }
+        });
+
+        expect(networks.localhost.rpc).to.equal('http://option:8545');
+        expect(networks.sepolia).to.include({ rpc: 'https://sepolia.example', name: 'Sepolia Testnet' });
+        expect(networks.sepolia.rpcs).to.deep.equal(['https://sepolia.example', 'https://fallback.example']);
+        expect(networks.sepolia.accounts).to.deep.equal([]);
+        expect(networks.mainnet.rpc).to.equal(null);
+        expect(networks.mainnet.accounts).to.deep.equal([key]);
+        expect(networks.hardhat.accounts).to.deep.equal([]);
+    });
+
+    it('should refuse a network without an RPC URL', async function() {
+        const client = new ChainClient({ networks: loadNetworks({ hardhatNetworks, env: {} }) });
+        const error = await expectChainError(client.initialize('sepolia'), CODES.UNSUPPORTED_NETWORK);
+        expect(error.message).to.contain('SEPOLIA_RPC_URL');
+    });
+
+    it('should pick the library from CHAIN_LIBRARY', function() {
+        const previous = process.env.CHAIN_LIBRARY;
+        try {
+            process.env.CHAIN_LIBRARY = 'web3';
+            expect(createChainClient().library).to.equal('web3');
+            expect(createChainClient({ library: 'ethers' }).library).to.equal('ethers');
+            delete process.env.CHAIN_LIBRARY;
+            expect(createChainClient().library).to.equal('ethers');
+        } finally {
+            if (previous === undefined) {
+                delete process.env.CHAIN_LIBRARY;
+            } else {
+                process.env.CHAIN_LIBRARY = previous;
+            }
+        }
+        expect(() => createChainClient({ library: 'viem' })).to.throw(ChainError).with.property('code', CODES.INVALID_ARGUMENT);
+    });
+
+    it('should decode revert strings and panics', function() {
+        const coder = ethers.AbiCoder.defaultAbiCoder();
+        expect(decodeRevertReason(ethers.concat(['0x08c379a0', coder.encode(['string'], ['nope'])]))).to.equal('nope');
+        expect(decodeRevertReason(ethers.concat(['0x4e487b71', coder.encode(['uint256'], [0x11])]))).to.equal('Panic(0x11)');
+        expect(decodeRevertReason('0xe2517d3f')).to.equal(null);
+        expect(decodeRevertReason('0x')).to.equal(null);
+
+        const abi = ['error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)'];
+        const denied = new ethers.Interface(abi).encodeErrorResult('AccessControlUnauthorizedAccount', [ethers.ZeroAddress, ethers.ZeroHash]);
+        expect(decodeRevert(denied, abi)).to.deep.equal({
+            name: 'AccessControlUnauthorizedAccount',
+            signature: 'AccessControlUnauthorizedAccount(address,bytes32)',
+            args: [ethers.ZeroAddress, ethers.ZeroHash]
+        });
+        expect(decodeRevert(denied)).to.equal(null);
+        expect(decodeRevert(ethers.concat(['0x4e487b71', coder.encode(['uint256'], [0x11])]))).to.deep.equal({
+            name: 'Panic', signature: 'Panic(uint256)', args: ['0x11']
+        });
+    });
+});
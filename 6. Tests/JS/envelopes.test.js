@@ -0,0 +1,104 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { createApp } = require('../../backend/app');
+const { createEnvelopeBuilder, ENVELOPE_TYPES } = require('../../backend/envelope');
+const { deployVerifier } = require('./fixtures/hardhat');
+
+// POST /sign { envelope } signatures submitted to SignatureVerifier.submitEnvelope on Hardhat
+describe('Signature envelopes', function() {
+    let verifier;
+    let contractAddress;
+    let app;
+
+    beforeEach(async () => {
+        ({ verifier } = await loadFixture(deployVerifier));
+        contractAddress = await verifier.getAddress();
+        app = createApp('production', {
+            auth: false,
+            chip: { isAvailable: async () => false },
+            contractAddress,
+            signatureVerifier: verifier
+        });
+    });
+
+    const submit = ({ envelope, signature }) => verifier.submitEnvelope(
+        envelope.value.message, envelope.value.nonce, envelope.value.deadline, signature, envelope.value.signer
+    );
+
+    it('should sign envelopes the contract accepts in nonce order', async function() {
+        const signer = app.locals.signer.address;
+        const first = await request(app).post('/sign').send({ message: 'hello chip', envelope: true });
+        expect(first.status).to.equal(200);
+        expect(first.body.envelope.domain).to.deep.equal({
+            name: 'SignatureVerifier', version: '1', chainId: '1337', verifyingContract: contractAddress
+        });
+        expect(first.body.envelope.value).to.include({ signer, message: 'hello chip', nonce: '0' });
+        expect(Number(first.body.envelope.value.deadline)).to.be.closeTo(Math.floor(Date.now() / 1000) + 3600, 60);
+        expect(first.body.hash).to.equal(await verifier.getEnvelopeHash(signer, 'hello chip', 0, first.body.envelope.value.deadline));
+
+        await expect(submit(first.body)).to.emit(verifier, 'SignatureVerified');
+        expect(await verifier.nonces(signer)).to.equal(1n);
+        await expect(submit(first.body)).to.be.revertedWith('SignatureVerifier: invalid nonce');
+
+        // The next envelope picks up the new nonce from the contract
+        const second = await request(app).post('/sign').send({ message: 'again', envelope: {} });
+        expect(second.body.envelope.value.nonce).to.equal('1');
+        await submit(second.body);
+        expect(await verifier.nonces(signer)).to.equal(2n);
+    });
+
+    it('should use an explicit nonce and deadline', async function() {
+        const deadline = Math.floor(Date.now() / 1000) + 600;
+        const res = await request(app).post('/sign').send({ message: 'hello chip', envelope: { nonce: '5', deadline } });
+        expect(res.body.envelope.value).to.include({ nonce: '5', deadline: String(deadline) });
+        const { domain, value } = res.body.envelope;
+        expect(ethers.verifyTypedData(domain, ENVELOPE_TYPES, value, res.body.signature)).to.equal(app.locals.signer.address);
+    });
+
+    it('should reject invalid envelope requests', async function() {
+        const cases = [
+            [{ message: 'x', envelope: { deadline: 1 } }, 'Envelope deadline has passed'],
+            [{ message: 'x', envelope: { nonce: -1 } }, 'nonce must be a non-negative integer'],
+            [{ message: 'x', envelope: { deadline: 'tomorrow' } }, 'deadline must be a non-negative integer'],
+            [{ message: 'x', envelope: 'yes' }, 'envelope must be true or { nonce, deadline }'],
+            [{ domain: {}, types: {}, value: {}, envelope: true }, 'envelope cannot be combined with typed data']
+        ];
+        for (const [body, error] of cases) {
+            const res = await request(app).post('/sign').send(body);
+            expect(res.status).to.equal(400);
+            expect(res.body).to.deep.equal({ success: false, error });
+        }
+    });
+
+    it('should report a failing nonce read and a missing contract', async function() {
+        app = createApp('production', {
+            auth: false,
+            contractAddress,
+            chainId: 1337,
+            signatureVerifier: { nonces: async () => { throw new Error('connection refused'); } }
+        });
+        const failed = await request(app).post('/sign').send({ message: 'x', envelope: true });
+        expect(failed.status).to.equal(502);
+        expect(failed.body).to.deep.equal({ success: false, error: 'Contract call failed: connection refused' });
+
+        app = createApp('production', { auth: false });
+        const unconfigured = await request(app).post('/sign').send({ message: 'x', envelope: true });
+        expect(unconfigured.status).to.equal(503);
+        expect(unconfigured.body).to.deep.equal({ success: false, error: 'Envelope signing not configured' });
+    });
+
+    it('should build envelopes without a contract when the nonce is given', async function() {
+        const builder = createEnvelopeBuilder({ contractAddress, chainId: 11155111 });
+        const signer = ethers.Wallet.createRandom().address;
+        const envelope = await builder.build({ message: 'offline', signer, nonce: 3, deadline: '99999999999' });
+        expect(envelope.domain).to.include({ chainId: 11155111n, verifyingContract: contractAddress });
+        expect(envelope.value).to.deep.equal({ signer, message: 'offline', nonce: 3n, deadline: 99999999999n });
+
+        let error;
+        await builder.build({ message: 'offline', signer }).catch(err => { error = err; });
+        expect(error).to.include({ status: 400, message: 'nonce is required when the contract cannot be read' });
+        expect(() => createEnvelopeBuilder({ contractAddress: '0x1234' })).to.throw('Invalid contract address: 0x1234');
+    });
+});
@@ -1,10 +1,12 @@
 const { expect } = require('chai');
-const EthersUtils = require('../../6. Tools/JS/Ethers');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const EthersUtils = require('../../5. Tools/JS/Ethers');
+const { deployVerifier } = require('./fixtures/hardhat');
 
 describe('EthersUtils', function() {
     let ethersUtils;
     beforeEach(() => {
-        ethersUtils = new EthersUtils({ defaultNetwork: 'local' });
+        ethersUtils = new EthersUtils({ defaultNetwork: 'local', maxRetries: 2, retryDelay: 1 });
     });
 
     it('should initialize provider and signer (mocked)', async function() {
@@ -19,5 +21,117 @@ describe('EthersUtils', function() {
         expect(() => ethersUtils.loadContract('Test', '0x0', [])).to.throw();
     });
 
-    // Add more tests for estimateGas, sendTransaction, etc. with mocks
-}); 
\ No newline at end of file
+    it('should reject unsupported networks', async function() {
+        try {
+            await ethersUtils.initialize('moon');
+            expect.fail('expected initialization to fail');
+        } catch (error) {
+            expect(error.message).to.equal('Unsupported network: moon');
+        }
+    });
+
+    describe('on the Hardhat network', function() {
+        let verifier;
+        let owner;
+        let accounts;
+        beforeEach(async () => {
+            const fixture = await loadFixture(deployVerifier);
+            ({ owner, accounts } = fixture);
+            ethersUtils.provider = fixture.provider;
+            ethersUtils.signer = await fixture.provider.getSigner(owner.address);
+            verifier = ethersUtils.loadContract('SignatureVerifier', await fixture.verifier.getAddress(), fixture.verifier.interface);
+        });
+
+        it('should load contracts by name', async function() {
+            expect(ethersUtils.getContract('SignatureVerifier')).to.equal(verifier);
+            expect(() => ethersUtils.getContract('Missing')).to.throw('Contract Missing not loaded');
+        });
+
+        it('should call view methods', async function() {
+            const signature = await owner.signMessage('hello chip');
+            expect(await ethersUtils.callMethod(verifier, 'verifySignatureOnly', ['hello chip', signature, owner.address]))
+                .to.equal(true);
+        });
+
+        it('should estimate gas with the configured buffer', async function() {
+            const signature = await owner.signMessage('hello chip');
+            const args = ['hello chip', signature, owner.address];
+            const estimate = await verifier.submitSignature.estimateGas(...args);
+
+            const gasLimit = await ethersUtils.estimateGas(verifier, 'submitSignature', args);
+            expect(gasLimit).to.equal(Math.ceil(Number(estimate) * 1.2));
+        });
+
+        it('should send transactions and report their status', async function() {
+            const signature = await owner.signMessage('hello chip');
+            const receipt = await ethersUtils.sendTransaction(verifier, 'submitSignature', ['hello chip', signature, owner.address]);
+            expect(receipt.status).to.equal(1);
+            expect(receipt.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+            expect(BigInt(receipt.effectiveGasPrice)).to.be.above(0n);
+
+            const status = await ethersUtils.getTransactionStatus(receipt.transactionHash);
+            expect(status).to.include({ hash: receipt.transactionHash, from: owner.address, status: 1, confirmations: 1 });
+            expect(status.to).to.equal(await verifier.getAddress());
+
+            const confirmed = await ethersUtils.waitForTransaction(receipt.transactionHash);
+            expect(confirmed.blockNumber).to.equal(receipt.blockNumber);
+        });
+
+        it('should give up after the configured retries', async function() {
+            const signature = await owner.signMessage('hello chip');
+            let attempts = 0;
+            ethersUtils.nonces.send = async () => {
+                attempts++;
+                throw new Error('socket hang up');
+            };
+            try {
+                await ethersUtils.sendTransaction(verifier, 'submitSignature', ['hello chip', signature, owner.address]);
+                expect.fail('expected the broadcast to fail');
+            } catch (error) {
+                expect(error.message).to.match(/^Transaction failed after 2 attempts: .*socket hang up/);
+            }
+            expect(attempts).to.equal(2);
+        });
+
+        it('should not retry a call that would revert', async function() {
+            const signature = await owner.signMessage('hello chip');
+            await ethersUtils.sendTransaction(verifier, 'submitSignature', ['hello chip', signature, owner.address]);
+            try {
+                await ethersUtils.sendTransaction(verifier, 'submitSignature', ['hello chip', signature, owner.address]);
+                expect.fail('expected the replayed submission to fail');
+            } catch (error) {
+                expect(error.code).to.equal('CALL_REVERTED');
+                expect(error.message).to.equal('Call reverted: SignatureVerifier: signature already used');
+                expect(error.revert).to.include({ method: 'submitSignature', stage: 'eth_call' });
+            }
+        });
+
+        it('should read balances, fees and network info', async function() {
+            expect(Number(await ethersUtils.getBalance(accounts[0].address))).to.be.above(0);
+
+            const fees = await ethersUtils.getOptimalGasPrice();
+            expect(fees.type).to.equal(2);
+
+            const info = await ethersUtils.getNetworkInfo();
+            expect(info.chainId).to.equal(1337n);
+            expect(info.blockNumber).to.be.at.least(1);
+        });
+    });
+
+    describe('static helpers', function() {
+        it('should sign and verify messages', async function() {
+            const wallet = EthersUtils.generateWallet();
+            const signature = await EthersUtils.signMessage('hello chip', wallet.privateKey);
+            expect(EthersUtils.verifyMessage('hello chip', signature)).to.equal(wallet.address);
+        });
+
+        it('should validate and format addresses and amounts', function() {
+            const address = EthersUtils.generateWallet().address;
+            expect(EthersUtils.isValidAddress(address.toLowerCase())).to.equal(true);
+            expect(EthersUtils.isValidAddress('0x1234')).to.equal(false);
+            expect(EthersUtils.toChecksumAddress(address.toLowerCase())).to.equal(address);
+            expect(EthersUtils.parseEther('1.5')).to.equal(1500000000000000000n);
+            expect(EthersUtils.formatEther(1500000000000000000n, 2)).to.equal('1.50');
+        });
+    });
+});
@@ -0,0 +1,174 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { loadFixture, mine, takeSnapshot } = require('@nomicfoundation/hardhat-network-helpers');
+const { EventIndexer } = require('../../3. Blockchain_Interaction/Contract_Events/eventIndexer');
+const { SQLiteEventStore } = require('../../3. Blockchain_Interaction/Contract_Events/eventStore');
+const { deployVerifier } = require('./fixtures/hardhat');
+
+const messageHash = (message) => ethers.keccak256(ethers.toUtf8Bytes(message));
+
+describe('EventIndexer', function() {
+    let provider;
+    let verifier;
+    let owner;
+    let user;
+    let store;
+    let startBlock;
+
+    beforeEach(async () => {
+        let accounts;
+        ({ provider, verifier, owner, accounts } = await loadFixture(deployVerifier));
+        user = accounts[0];
+        startBlock = await provider.getBlockNumber();
+        store = new SQLiteEventStore(':memory:');
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await store.close();
+    });
+
+    const createIndexer = async (options = {}) => new EventIndexer({
+        provider,
+        store,
+        contractAddress: await verifier.getAddress(),
+        confirmations: 0,
+        startBlock,
+        ...options
+    });
+
+    async function submit(message, signer = user) {
+        const signature = await signer.signMessage(message);
+        await (await verifier.connect(user).submitSignature(message, signature, user.address)).wait();
+    }
+
+    it('should index events with signer, message hash and validity', async function() {
+        await submit('first');
+        await submit('forged', owner);
+        await (await verifier.pause()).wait();
+
+        const indexer = await createIndexer();
+        const result = await indexer.sync();
+        expect(result).to.include({ fromBlock: startBlock, toBlock: await provider.getBlockNumber(), eventsIndexed: 5, reorg: null });
+
+        const events = await store.queryEvents();
+        expect(events.map(event => event.eventName)).to.deep.equal([
+            'SignatureSubmitted', 'SignatureVerified', 'SignatureSubmitted', 'SignatureVerified', 'ContractPaused'
+        ]);
+        expect(events[1]).to.include({
+            signer: user.address.toLowerCase(),
+            messageHash: messageHash('first'),
+            isValid: true
+        });
+        expect(events[3].isValid).to.equal(false);
+        expect(events[4]).to.include({ signer: null, isValid: null });
+        expect(events[4].args.by).to.equal(owner.address);
+
+        expect(await store.queryEvents({ messageHash: messageHash('forged') })).to.have.lengthOf(2);
+        expect(await store.queryEvents({ signer: user.address, eventName: 'SignatureVerified' })).to.have.lengthOf(2);
+        expect(await store.queryEvents({ signer: owner.address })).to.deep.equal([]);
+    });
+
+    it('should only index blocks with enough confirmations', async function() {
+        await submit('first');
+        const indexer = await createIndexer({ confirmations: 2 });
+
+        expect((await indexer.sync()).eventsIndexed).to.equal(0);
+        await mine(2);
+        expect((await indexer.sync()).eventsIndexed).to.equal(2);
+        expect((await store.getCheckpoint(await verifier.getAddress())).blockNumber).to.equal(await provider.getBlockNumber() - 2);
+    });
+
+    it('should resume from the checkpoint', async function() {
+        await submit('first');
+        await (await createIndexer()).sync();
+
+        await submit('second');
+        const result = await (await createIndexer()).sync();
+        expect(result.eventsIndexed).to.equal(2);
+        expect(await store.queryEvents()).to.have.lengthOf(4);
+    });
+
+    it('should page through getLogs and shrink rejected ranges', async function() {
+        for (const message of ['one', 'two', 'three']) {
+            await submit(message);
+        }
+        const ranges = [];
+        const getLogs = provider.getLogs.bind(provider);
+        provider.getLogs = async (filter) => {
+            ranges.push([filter.fromBlock, filter.toBlock]);
+            if (filter.toBlock - filter.fromBlock > 1) {
+                throw new Error('query returned more than 10000 results');
+            }
+            return getLogs(filter);
+        };
+
+        const indexer = await createIndexer({ pageSize: 10 });
+        const result = await indexer.sync();
+        expect(result.eventsIndexed).to.equal(6);
+        expect(indexer.pageSize).to.equal(2);
+        // The rejected range is halved, and the next page starts at the accepted size
+        expect(ranges).to.deep.equal([
+            [startBlock, startBlock + 3], [startBlock, startBlock + 1], [startBlock + 2, startBlock + 3]
+        ]);
+    });
+
+    it('should roll back and re-index a reorganised range', async function() {
+        await submit('kept');
+        const fork = await takeSnapshot();
+        await submit('orphaned');
+        await mine(1);
+
+        const indexer = await createIndexer();
+        await indexer.sync();
+        expect(await store.queryEvents({ messageHash: messageHash('orphaned') })).to.have.lengthOf(2);
+
+        // Replace the last blocks with a different history at the same heights
+        await fork.restore();
+        await submit('replacement');
+        await mine(2);
+
+        const result = await indexer.sync();
+        expect(result.reorg).to.include({ eventsRemoved: 2 });
+        expect(result.eventsIndexed).to.equal(2);
+        expect(indexer.getStats()).to.include({ reorgs: 1, eventsRolledBack: 2 });
+
+        const hashes = (await store.queryEvents({ eventName: 'SignatureVerified' })).map(event => event.messageHash);
+        expect(hashes).to.deep.equal([messageHash('kept'), messageHash('replacement')]);
+        for (const event of await store.queryEvents()) {
+            expect((await provider.getBlock(event.blockNumber)).hash).to.equal(event.blockHash);
+        }
+    });
+
+    it('should re-index from the start block when no stored block survives', async function() {
+        const fork = await takeSnapshot();
+        await submit('orphaned');
+
+        const indexer = await createIndexer();
+        await indexer.sync();
+
+        await fork.restore();
+        await mine(3);
+        const result = await indexer.sync();
+        expect(result.reorg).to.deep.equal({ fromBlock: startBlock, toBlock: startBlock + 1, eventsRemoved: 2 });
+        expect(await store.queryEvents()).to.deep.equal([]);
+    });
+
+    it('should poll until stopped', async function() {
+        const indexer = await createIndexer({ pollInterval: 10 });
+        indexer.start();
+        await submit('polled');
+
+        const deadline = Date.now() + 5000;
+        while (indexer.getStats().eventsIndexed < 2 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        await indexer.stop();
+        expect(indexer.getStats()).to.include({ isRunning: false, eventsIndexed: 2, errors: 0 });
+    });
+
+    it('should reject invalid configuration', async function() {
+        expect(() => new EventIndexer({ provider, store, contractAddress: 'nope' })).to.throw('Invalid contract address: nope');
+        expect(() => new EventIndexer({ store, contractAddress: ethers.ZeroAddress })).to.throw('EventIndexer requires a provider and a store');
+    });
+});
@@ -0,0 +1,178 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { createApp } = require('../../backend/app');
+const { EventIndexer } = require('../../3. Blockchain_Interaction/Contract_Events/eventIndexer');
+const { SQLiteEventStore } = require('../../3. Blockchain_Interaction/Contract_Events/eventStore');
+const { deployVerifier } = require('./fixtures/hardhat');
+
+const messageHash = (message) => ethers.keccak256(ethers.toUtf8Bytes(message));
+
+// GET /events and GET /signers/:address/stats over an index filled on Hardhat
+describe('Event query API', function() {
+    let provider;
+    let verifier;
+    let owner;
+    let alice;
+    let bob;
+    let store;
+    let indexer;
+    let app;
+    let firstBlock;
+
+    beforeEach(async () => {
+        let accounts;
+        ({ provider, verifier, owner, accounts } = await loadFixture(deployVerifier));
+        [alice, bob] = accounts;
+        firstBlock = await provider.getBlockNumber() + 1;
+        store = new SQLiteEventStore(':memory:');
+        const contractAddress = await verifier.getAddress();
+        indexer = new EventIndexer({ provider, store, contractAddress, confirmations: 0, startBlock: firstBlock });
+        app = createApp('production', {
+            auth: false,
+            chip: { isAvailable: async () => false },
+            eventStore: store,
+            contractAddress,
+            signatureVerifier: verifier
+        });
+    });
+    afterEach(async () => {
+        await store.close();
+    });
+
+    async function submit(account, message, signedBy = account) {
+        const signature = await signedBy.signMessage(message);
+        await (await verifier.connect(account).submitSignature(message, signature, account.address)).wait();
+    }
+
+    async function seed() {
+        await submit(alice, 'alice 1');
+        await submit(bob, 'bob 1');
+        await submit(alice, 'alice forged', bob);
+        await (await verifier.pause()).wait();
+        await (await verifier.unpause()).wait();
+        await submit(alice, 'alice 2');
+        await indexer.sync();
+    }
+
+    it('should list events newest first', async function() {
+        await seed();
+        const res = await request(app).get('/events');
+        expect(res.status).to.equal(200);
+        expect(res.body.nextCursor).to.equal(null);
+        expect(res.body.events.map(event => event.type)).to.deep.equal([
+            'SignatureVerified', 'SignatureSubmitted', 'ContractUnpaused', 'ContractPaused',
+            'SignatureVerified', 'SignatureSubmitted', 'SignatureVerified', 'SignatureSubmitted',
+            'SignatureVerified', 'SignatureSubmitted'
+        ]);
+        expect(res.body.events[0]).to.include({
+            signer: alice.address,
+            messageHash: messageHash('alice 2'),
+            isValid: true,
+            blockNumber: firstBlock + 5
+        });
+        expect(res.body.events[2].args.by).to.equal(owner.address);
+    });
+
+    it('should filter by signer, type, validity and block range', async function() {
+        await seed();
+        const query = (params) => request(app).get('/events').query(params).then(res => res.body.events);
+
+        const aliceVerified = await query({ signer: alice.address.toLowerCase(), type: 'SignatureVerified', order: 'asc' });
+        expect(aliceVerified.map(event => [event.messageHash, event.isValid])).to.deep.equal([
+            [messageHash('alice 1'), true],
+            [messageHash('alice forged'), false],
+            [messageHash('alice 2'), true]
+        ]);
+
+        expect((await query({ valid: 'false' })).map(event => event.messageHash)).to.deep.equal([messageHash('alice forged')]);
+        expect((await query({ valid: 'true', signer: bob.address })).map(event => event.messageHash)).to.deep.equal([messageHash('bob 1')]);
+        expect((await query({ from: firstBlock + 1, to: firstBlock + 2 })).map(event => event.blockNumber))
+            .to.deep.equal([firstBlock + 2, firstBlock + 2, firstBlock + 1, firstBlock + 1]);
+        expect(await query({ messageHash: messageHash('bob 1'), type: 'SignatureSubmitted' })).to.have.lengthOf(1);
+    });
+
+    it('should page through results with a cursor', async function() {
+        await seed();
+        const seen = [];
+        let cursor;
+        let pages = 0;
+        do {
+            const res = await request(app).get('/events').query({ limit: 3, order: 'asc', ...(cursor ? { cursor } : {}) });
+            expect(res.body.events.length).to.be.at.most(3);
+            seen.push(...res.body.events);
+            cursor = res.body.nextCursor;
+            pages++;
+        } while (cursor);
+
+        expect(pages).to.equal(4);
+        const positions = seen.map(event => [event.blockNumber, event.logIndex]);
+        expect(positions).to.deep.equal([...positions].sort((a, b) => a[0] - b[0] || a[1] - b[1]));
+        expect(new Set(positions.map(String)).size).to.equal(10);
+
+        // Exactly one page: no cursor for an empty next page
+        const exact = await request(app).get('/events').query({ limit: 10 });
+        expect(exact.body.events).to.have.lengthOf(10);
+        expect(exact.body.nextCursor).to.equal(null);
+    });
+
+    it('should reject invalid queries', async function() {
+        const cases = [
+            [{ signer: '0x1234' }, 'Invalid signer address'],
+            [{ type: 'Transfer' }, 'Unknown event type: Transfer (expected SignatureSubmitted, SignatureVerified, ContractPaused, ContractUnpaused, MerkleRootAnchored)'],
+            [{ valid: 'yes' }, 'valid must be true or false'],
+            [{ from: 'latest' }, 'from must be a block number'],
+            [{ from: 10, to: 5 }, 'from must not be after to'],
+            [{ limit: 0 }, 'limit must be between 1 and 100'],
+            [{ limit: 101 }, 'limit must be between 1 and 100'],
+            [{ order: 'random' }, 'order must be asc or desc'],
+            [{ cursor: 'not-a-cursor' }, 'Invalid cursor']
+        ];
+        for (const [params, error] of cases) {
+            const res = await request(app).get('/events').query(params);
+            expect(res.status).to.equal(400);
+            expect(res.body).to.deep.equal({ success: false, error });
+        }
+    });
+
+    it('should combine indexed history with the contract signature count', async function() {
+        await seed();
+        await submit(alice, 'not indexed yet');
+
+        const res = await request(app).get(`/signers/${alice.address.toLowerCase()}/stats`);
+        expect(res.status).to.equal(200);
+        expect(res.body).to.deep.include({
+            address: alice.address,
+            indexedThroughBlock: firstBlock + 5,
+            onChain: { signatureCount: 4, unindexed: 1 }
+        });
+        expect(res.body.indexed).to.include({ submitted: 3, verified: 3, valid: 2, invalid: 1, firstBlock, lastBlock: firstBlock + 5 });
+        expect(res.body.indexed.lastSeen).to.be.at.least(res.body.indexed.firstSeen);
+
+        const unknown = await request(app).get(`/signers/${ethers.Wallet.createRandom().address}/stats`);
+        expect(unknown.body.indexed).to.include({ submitted: 0, valid: 0, firstBlock: null });
+        expect(unknown.body.onChain).to.deep.equal({ signatureCount: 0, unindexed: 0 });
+
+        const invalid = await request(app).get('/signers/alice/stats');
+        expect(invalid.status).to.equal(400);
+    });
+
+    it('should report a failing contract call', async function() {
+        app = createApp('production', {
+            auth: false,
+            eventStore: store,
+            signatureVerifier: { getSignerStats: async () => { throw new Error('connection refused'); } }
+        });
+        const res = await request(app).get(`/signers/${alice.address}/stats`);
+        expect(res.status).to.equal(502);
+        expect(res.body).to.deep.equal({ success: false, error: 'Contract call failed: connection refused' });
+    });
+
+    it('should answer 503 without an event index', async function() {
+        app = createApp('production', { auth: false });
+        const res = await request(app).get('/events');
+        expect(res.status).to.equal(503);
+        expect(res.body).to.deep.equal({ success: false, error: 'Event index not configured' });
+    });
+});
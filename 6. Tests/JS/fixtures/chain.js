@@ -0,0 +1,38 @@
+/**
+ * Chain helpers shared by the ChainClient, nonce manager, offline signing and
+ * transaction packer suites
+ * chipOutput builds the chip output format the packer reads (unprefixed hex
+ * components, v as '1b'/'1c') from a personal_sign signature, with the message
+ * and signer the contract needs
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { ChainError } = require('../../../5. Tools/JS/Chain/chainClient');
+
+async function expectChainError(promise, code) {
+    try {
+        await promise;
+    } catch (error) {
+        expect(error).to.be.instanceOf(ChainError);
+        expect(error.code).to.equal(code);
+        return error;
+    }
+    throw new Error(`Expected a ChainError ${code}`);
+}
+
+function chipOutput(signature, message, signer, timestamp = '1700000000') {
+    const sig = ethers.Signature.from(signature);
+    return {
+        signature: { r: sig.r.slice(2), s: sig.s.slice(2), v: sig.v.toString(16) },
+        hash: ethers.keccak256(ethers.toUtf8Bytes(message)).slice(2),
+        message,
+        signer,
+        timestamp
+    };
+}
+
+module.exports = {
+    expectChainError,
+    chipOutput
+};
@@ -0,0 +1,29 @@
+/**
+ * Hardhat in-process network fixture shared by the JS suites
+ * Compiles the contracts (a no-op when the artifacts are current) and deploys
+ * SignatureVerifier; use with loadFixture so each test starts from a snapshot
+ * `provider` is a plain ethers provider over the network, as the tools under
+ * test would get from a JSON-RPC URL (without the request cache, since blocks
+ * are mined instantly)
+ */
+
+const hre = require('hardhat');
+const { ethers } = require('ethers');
+
+// Suites that read the artifacts without deploying call this first
+function compileContracts() {
+    return hre.run('compile', { quiet: true });
+}
+
+async function deployVerifier() {
+    await compileContracts();
+    const [owner, ...accounts] = await hre.ethers.getSigners();
+    const verifier = await hre.ethers.deployContract('SignatureVerifier');
+    await verifier.waitForDeployment();
+    return { provider: new ethers.BrowserProvider(hre.network.provider, undefined, { cacheTimeout: -1 }), verifier, owner, accounts };
+}
+
+module.exports = {
+    compileContracts,
+    deployVerifier
+};
@@ -0,0 +1,111 @@
+/**
+ * Local RPC nodes for failover tests
+ * Each node is Hardhat's JSON-RPC server (what `npx hardhat node` runs) on a
+ * random port, in front of the in-process Hardhat network: several endpoints
+ * serving one chain, like several RPC providers of a network. Snapshots taken
+ * with loadFixture apply to all of them. A node can be made to fail:
+ * - down: the server stops listening (connection refused)
+ * - stall: requests get no answer until the node leaves that mode
+ * - overrides: methods answer a fixed result, like a node that lags or lies
+ */
+
+const hre = require('hardhat');
+const { JsonRpcServer } = require('hardhat/internal/hardhat-network/jsonrpc/server');
+
+// What a node behind the others answers for a recent transaction
+const STALE = { eth_getTransactionByHash: null, eth_getTransactionReceipt: null };
+
+class RpcNode {
+    constructor(provider) {
+        this.provider = provider;
+        this.server = null;
+        this.port = 0;
+        this.mode = 'up';
+        this.overrides = {};
+        this.stalled = [];
+        this.requests = 0;
+    }
+
+    get url() {
+        return `http://127.0.0.1:${this.port}`;
+    }
+
+    async start() {
+        const node = this;
+        const provider = {
+            request: args => node.handle(args),
+            addListener: (...args) => node.provider.addListener(...args),
+            removeListener: (...args) => node.provider.removeListener(...args)
+        };
+        this.server = new JsonRpcServer({ hostname: '127.0.0.1', port: this.port, provider });
+        ({ port: this.port } = await this.server.listen());
+    }
+
+    handle(args) {
+        this.requests++;
+        if (this.mode === 'stall') {
+            return new Promise((resolve, reject) => this.stalled.push(reject));
+        }
+        if (Object.prototype.hasOwnProperty.call(this.overrides, args.method)) {
+            return Promise.resolve(this.overrides[args.method]);
+        }
+        return this.provider.request(args);
+    }
+
+    /**
+     * Switch the failure mode
+     * @param {string} mode - 'up', 'down' or 'stall'
+     */
+    async setMode(mode) {
+        this.stalled.splice(0).forEach(reject => reject(new Error('Node left the stall mode')));
+        if (mode === 'down' && this.server) {
+            await this.stop();
+        } else if (mode !== 'down' && !this.server) {
+            await this.start();
+        }
+        this.mode = mode;
+    }
+
+    async stop() {
+        if (this.server) {
+            this.server._httpServer.closeAllConnections();
+            await this.server.close();
+            this.server = null;
+        }
+    }
+}
+
+/**
+ * Start nodes over the in-process Hardhat network
+ * @param {number} count - Number of nodes
+ * @returns {Promise<Array<RpcNode>>} - Running nodes
+ */
+async function startRpcNodes(count) {
+    const nodes = Array.from({ length: count }, () => new RpcNode(hre.network.provider));
+    for (const node of nodes) {
+        await node.start();
+    }
+    return nodes;
+}
+
+async function resetRpcNodes(nodes) {
+    for (const node of nodes) {
+        node.overrides = {};
+        await node.setMode('up');
+        node.requests = 0;
+    }
+}
+
+async function stopRpcNodes(nodes) {
+    for (const node of nodes) {
+        await node.setMode('up');
+        await node.stop();
+    }
+}
+
+module.exports = {
+    STALE,
+    startRpcNodes,
+    resetRpcNodes,
+    stopRpcNodes
+};
@@ -0,0 +1,22 @@
+/**
+ * TaskScheduler thread handler used by scheduler_threads.test.js
+ * Reports the thread it ran on; exits the thread once per marker file to
+ * simulate a crash and spins forever when asked to hang
+ */
+
+const fs = require('fs');
+const { threadId } = require('worker_threads');
+
+module.exports = async function threadHandler(data) {
+    if (data.crashMarker && !fs.existsSync(data.crashMarker)) {
+        fs.writeFileSync(data.crashMarker, String(threadId));
+        process.exit(1);
+    }
+    if (data.hang) {
+        for (;;) {}
+    }
+    if (data.fail) {
+        throw new Error(data.fail);
+    }
+    return { value: data.value * 2, threadId };
+};
@@ -0,0 +1,266 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { createApp } = require('../../backend/app');
+const { hashLeaf, buildMerkleTree, getProof, verifyInclusion } = require('../../3. Blockchain_Interaction/Merkle_Anchoring/merkleTree');
+const { SQLiteAnchorStore } = require('../../3. Blockchain_Interaction/Merkle_Anchoring/anchorStore');
+const { AnchorBatcher } = require('../../3. Blockchain_Interaction/Merkle_Anchoring/anchorBatcher');
+const { deployVerifier } = require('./fixtures/hardhat');
+
+const wallet = ethers.Wallet.createRandom();
+
+// Messages are signed over their keccak256 hash, as POST /sign signs them
+async function signed(message, signer = wallet) {
+    return { signer: signer.address, message, signature: await signer.signMessage(ethers.getBytes(ethers.id(message))) };
+}
+
+// Merkle trees, AnchorBatcher against SignatureVerifier on Hardhat and the /anchors routes
+describe('Merkle anchoring', function() {
+    describe('merkleTree', function() {
+        it('should prove every leaf of trees of any size', async function() {
+            const leaves = Array.from({ length: 9 }, (_, i) => ethers.id(`leaf ${i}`));
+            for (let size = 1; size <= leaves.length; size++) {
+                const tree = buildMerkleTree(leaves.slice(0, size));
+                for (let index = 0; index < size; index++) {
+                    expect(verifyInclusion(tree.root, leaves[index], getProof(tree, index))).to.equal(true);
+                }
+            }
+            const single = buildMerkleTree([leaves[0]]);
+            expect(single.root).to.equal(leaves[0]);
+            expect(getProof(single, 0)).to.deep.equal([]);
+        });
+
+        it('should reject wrong leaves, proofs and roots', async function() {
+            const leaves = Array.from({ length: 4 }, (_, i) => ethers.id(`leaf ${i}`));
+            const tree = buildMerkleTree(leaves);
+            const proof = getProof(tree, 2);
+
+            expect(verifyInclusion(tree.root, leaves[1], proof)).to.equal(false);
+            expect(verifyInclusion(ethers.id('other root'), leaves[2], proof)).to.equal(false);
+            expect(verifyInclusion(tree.root, leaves[2], proof.slice(1))).to.equal(false);
+            expect(verifyInclusion(tree.root, leaves[2], ['0x1234'])).to.equal(false);
+            expect(() => buildMerkleTree([])).to.throw('Cannot build a Merkle tree without leaves');
+            expect(() => getProof(tree, 4)).to.throw('Leaf index out of range: 4');
+        });
+
+        it('should hash leaves from the signer, message and signature', async function() {
+            const entry = await signed('hello chip');
+            expect(hashLeaf(entry)).to.equal(hashLeaf({ ...entry, signature: entry.signature.toUpperCase().replace('0X', '0x') }));
+            expect(hashLeaf(entry)).to.not.equal(hashLeaf({ ...entry, message: 'hello chop' }));
+        });
+    });
+
+    describe('AnchorBatcher', function() {
+        let verifier;
+        let store;
+        let batcher;
+
+        beforeAll(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+        afterAll(() => {
+            jest.restoreAllMocks();
+        });
+        beforeEach(async () => {
+            ({ verifier } = await loadFixture(deployVerifier));
+            store = new SQLiteAnchorStore(':memory:');
+            batcher = new AnchorBatcher({ store, contract: verifier, maxBatchSize: 4 });
+        });
+        afterEach(async () => {
+            await store.close();
+        });
+
+        it('should anchor batches whose proofs the contract accepts', async function() {
+            const entries = [];
+            for (let i = 0; i < 6; i++) {
+                entries.push(await signed(`message ${i}`));
+            }
+            const leaves = [];
+            for (const entry of entries) {
+                const { leaf, added } = await batcher.add(entry);
+                expect(added).to.equal(true);
+                leaves.push(leaf);
+            }
+            expect(await batcher.add(entries[0])).to.deep.equal({ leaf: leaves[0], added: false });
+
+            const pending = await batcher.getProof(leaves[5]);
+            expect(pending).to.include({ status: 'pending', root: null, proof: null, message: 'message 5' });
+
+            // Six leaves in batches of four: two roots, one transaction each
+            expect(await batcher.anchorPending()).to.deep.equal({ sealed: 2, anchored: 2, failed: 0 });
+            const batches = await batcher.listBatches();
+            expect(batches.map(batch => batch.leafCount)).to.deep.equal([2, 4]);
+            expect(batches.every(batch => batch.status === 'anchored' && batch.transactionHash)).to.equal(true);
+
+            for (const [index, leaf] of leaves.entries()) {
+                const proof = await batcher.getProof(leaf);
+                expect(proof).to.include({ status: 'anchored', index: index % 4, signer: wallet.address });
+                expect(proof.leaf).to.equal(hashLeaf(entries[index]));
+                expect(verifyInclusion(proof.root, leaf, proof.proof)).to.equal(true);
+                expect(await verifier.verifyInclusion(proof.root, leaf, proof.proof)).to.equal(true);
+                expect(await verifier.anchoredAt(proof.root)).to.be.greaterThan(0n);
+            }
+
+            // Proofs are rebuilt from the store once the trees leave the cache
+            batcher.trees.clear();
+            const rebuilt = await batcher.getProof(leaves[1]);
+            expect(await verifier.verifyInclusion(rebuilt.root, leaves[1], rebuilt.proof)).to.equal(true);
+            expect(await batcher.getStats()).to.include({ leavesAdded: 6, batchesSealed: 2, batchesAnchored: 2, pendingLeaves: 0 });
+        });
+
+        it('should accept signatures of the message text', async function() {
+            const message = 'signed as text';
+            const signature = await wallet.signMessage(message);
+            const { leaf, added } = await batcher.add({ signer: wallet.address, message, signature });
+            expect(added).to.equal(true);
+            expect(leaf).to.equal(hashLeaf({ signer: wallet.address, message, signature }));
+        });
+
+        it('should reject signatures that do not match the signer', async function() {
+            const entry = await signed('hello chip');
+            const other = ethers.Wallet.createRandom().address;
+            const cases = [
+                [{ ...entry, signer: other }, 'Signature does not match signer'],
+                [{ ...entry, signer: 'nobody' }, 'Invalid signer address'],
+                [{ ...entry, message: '' }, 'Invalid message'],
+                [{ ...entry, signature: '0x1234' }, 'Signature must be 65 bytes of 0x-prefixed hex']
+            ];
+            for (const [input, message] of cases) {
+                let error;
+                await batcher.add(input).catch(err => { error = err; });
+                expect(error).to.include({ status: 400, message });
+            }
+        });
+
+        it('should keep failed batches sealed and retry them', async function() {
+            await batcher.add(await signed('retry me'));
+            let calls = 0;
+            batcher.contract = {
+                anchoredAt: (root) => verifier.anchoredAt(root),
+                anchorMerkleRoot: (root, count) => {
+                    calls++;
+                    return calls === 1 ? Promise.reject(new Error('nonce too low')) : verifier.anchorMerkleRoot(root, count);
+                }
+            };
+
+            expect(await batcher.anchorPending()).to.deep.equal({ sealed: 1, anchored: 0, failed: 1 });
+            const [failed] = await batcher.listBatches();
+            expect(failed).to.include({ status: 'sealed', lastError: 'nonce too low', transactionHash: null });
+
+            expect(await batcher.anchorPending()).to.deep.equal({ sealed: 0, anchored: 1, failed: 0 });
+            expect(await batcher.getBatch(failed.root)).to.include({ status: 'anchored', lastError: null });
+        });
+
+        it('should mark roots the contract already has as anchored', async function() {
+            const { leaf } = await batcher.add(await signed('already there'));
+            const root = leaf; // A single-leaf tree's root is the leaf
+            await verifier.anchorMerkleRoot(root, 1);
+
+            expect(await batcher.anchorPending()).to.deep.equal({ sealed: 1, anchored: 1, failed: 0 });
+            expect(await batcher.getBatch(root)).to.include({ status: 'anchored', transactionHash: null });
+        });
+
+        it('should only seal batches without a contract', async function() {
+            const offline = new AnchorBatcher({ store });
+            const { leaf } = await offline.add(await signed('offline'));
+            expect(await offline.anchorPending()).to.deep.equal({ sealed: 1, anchored: 0, failed: 0 });
+            expect(await offline.getProof(leaf)).to.include({ status: 'sealed', root: leaf });
+            expect(await offline.getStats()).to.include({ canAnchor: false });
+        });
+    });
+
+    describe('routes', function() {
+        let verifier;
+        let store;
+        let app;
+
+        beforeAll(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+        afterAll(() => {
+            jest.restoreAllMocks();
+        });
+        beforeEach(async () => {
+            ({ verifier } = await loadFixture(deployVerifier));
+            store = new SQLiteAnchorStore(':memory:');
+            app = createApp('production', {
+                auth: false,
+                chip: { isAvailable: async () => false },
+                anchors: new AnchorBatcher({ store, contract: verifier })
+            });
+        });
+        afterEach(async () => {
+            await store.close();
+        });
+
+        it('should queue signed messages and serve their proofs', async function() {
+            const signedByBackend = await request(app).post('/sign').send({ message: 'hello chip' });
+            expect(signedByBackend.status).to.equal(200);
+            const { leaf } = signedByBackend.body;
+            expect(leaf).to.equal(hashLeaf({ signer: app.locals.signer.address, message: 'hello chip', signature: signedByBackend.body.signature }));
+
+            const external = await request(app).post('/anchors/leaves').send(await signed('signed elsewhere'));
+            expect(external.status).to.equal(201);
+            expect((await request(app).post('/anchors/leaves').send(await signed('signed elsewhere'))).body)
+                .to.deep.equal({ success: true, leaf: external.body.leaf, added: false });
+
+            const pending = await request(app).get(`/anchors/proofs/${leaf}`);
+            expect(pending.body).to.include({ success: true, status: 'pending', proof: null });
+
+            const anchored = await request(app).post('/anchors');
+            expect(anchored.body).to.deep.equal({ success: true, sealed: 1, anchored: 1, failed: 0 });
+
+            const proof = (await request(app).get(`/anchors/proofs/${leaf}`)).body;
+            expect(proof).to.include({ status: 'anchored', message: 'hello chip', index: 0 });
+            expect(await verifier.verifyInclusion(proof.root, leaf, proof.proof)).to.equal(true);
+
+            const batches = (await request(app).get('/anchors?status=anchored')).body.batches;
+            expect(batches).to.have.length(1);
+            expect(batches[0]).to.include({ root: proof.root, leafCount: 2, status: 'anchored' });
+            expect((await request(app).get(`/anchors/${proof.root}`)).body.batch).to.deep.equal(batches[0]);
+        });
+
+        it('should queue batch job signatures', async function() {
+            const job = await request(app).post('/sign/batch').send({ messages: ['one', 'two'] });
+            expect(job.status).to.equal(202);
+            let status;
+            for (let i = 0; i < 50; i++) {
+                status = (await request(app).get(`/jobs/${job.body.jobId}`)).body;
+                if (status.status === 'completed') {
+                    break;
+                }
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            const leaves = status.items.map(item => item.result.leaf);
+            expect(leaves).to.have.length(2);
+            expect(await app.locals.anchors.getStats()).to.include({ pendingLeaves: 2 });
+        });
+
+        it('should reject bad requests and report unknown leaves', async function() {
+            const cases = [
+                ['/anchors?status=failed', 400, 'status must be sealed or anchored'],
+                ['/anchors?limit=0', 400, 'limit must be between 1 and 100'],
+                ['/anchors/proofs/0x1234', 400, 'Leaf must be a 32-byte hex string'],
+                [`/anchors/proofs/${ethers.ZeroHash}`, 404, 'Leaf not found'],
+                [`/anchors/${ethers.ZeroHash}`, 404, 'Batch not found']
+            ];
+            for (const [url, code, error] of cases) {
+                const res = await request(app).get(url);
+                expect(res.status).to.equal(code);
+                expect(res.body).to.deep.equal({ success: false, error });
+            }
+            const mismatch = await request(app).post('/anchors/leaves').send({ ...await signed('x'), signer: ethers.ZeroAddress });
+            expect(mismatch.status).to.equal(400);
+
+            const unconfigured = createApp('production', { auth: false });
+            const res = await request(unconfigured).get(`/anchors/proofs/${ethers.ZeroHash}`);
+            expect(res.status).to.equal(503);
+            expect(res.body).to.deep.equal({ success: false, error: 'Anchoring not configured' });
+            const signature = await request(unconfigured).post('/sign').send({ message: 'hello chip' });
+            expect(signature.body).to.not.have.property('leaf');
+        });
+    });
+});
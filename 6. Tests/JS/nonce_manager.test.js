@@ -0,0 +1,267 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { ethers } = require('ethers');
+const { loadFixture, mine } = require('@nomicfoundation/hardhat-network-helpers');
+const { ChainClient, ChainError, CODES } = require('../../5. Tools/JS/Chain/chainClient');
+const { NonceManager } = require('../../5. Tools/JS/Chain/nonceManager');
+const TransactionPacker = require('../../2. Output_Interface/TX_Packer/packTransaction');
+const { deployVerifier } = require('./fixtures/hardhat');
+const { expectChainError, chipOutput } = require('./fixtures/chain');
+
+const ABI = ['function submitSignature(string message, bytes signature, address signer) returns (bool)'];
+
+// Fees no block takes: the transaction stays pending until it is replaced
+const UNDERPRICED = { gasLimit: 200000, maxFeePerGas: 1n, maxPriorityFeePerGas: 1n };
+
+async function until(condition, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Condition not met in time');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+const setAutomine = enabled => hre.network.provider.send('evm_setAutomine', [enabled]);
+
+describe.each(['ethers', 'web3'])('Nonce manager (%s)', function(library) {
+    let fixture;
+    let wallet;
+    let client;
+
+    // A fresh key, so its nonces start at 0 and only the client uses them
+    async function connect(nonceManager = {}, options = {}) {
+        wallet = ethers.Wallet.createRandom();
+        await (await fixture.owner.sendTransaction({ to: wallet.address, value: ethers.parseEther('1') })).wait();
+        client = new ChainClient({ library, pollInterval: 10, retryDelay: 10, nonceManager, ...options });
+        await client.initialize('hardhat', wallet.privateKey);
+        client.loadContract('SignatureVerifier', await fixture.verifier.getAddress(), ABI);
+        return client;
+    }
+
+    async function submission(message) {
+        return [message, await fixture.owner.signMessage(message), fixture.owner.address];
+    }
+
+    beforeEach(async () => {
+        fixture = await loadFixture(deployVerifier);
+    });
+    afterEach(async () => {
+        await setAutomine(true);
+        client.close();
+    });
+
+    it('should give concurrent sends consecutive nonces', async function() {
+        await connect();
+        const sent = await Promise.all(['one', 'two', 'three'].map(async message =>
+            client.submitTransaction('SignatureVerifier', 'submitSignature', await submission(message))
+        ));
+
+        expect(sent.map(tx => tx.nonce).sort()).to.deep.equal([0, 1, 2]);
+        const receipts = await Promise.all(sent.map(tx => client.waitForTransaction(tx.hash)));
+        expect(receipts.every(receipt => receipt.status === 1)).to.equal(true);
+        expect(client.nonces.getPending()).to.deep.equal([]);
+        expect(client.nonces.resultOf(sent[0].hash)).to.deep.equal({ status: 'mined', hash: sent[0].hash, action: 'original' });
+    });
+
+    it('should speed up a transaction stuck for stuckBlocks blocks', async function() {
+        await connect({ stuckBlocks: 2 });
+        await setAutomine(false);
+        const { hash, nonce } = await client.submitTransaction('SignatureVerifier', 'submitSignature', await submission('stuck'), UNDERPRICED);
+
+        await mine(1);
+        await client.nonces.check();
+        expect(client.nonces.getPending()[0]).to.include({ hash, stuck: false, replacements: 0 });
+
+        await mine(1);
+        await client.nonces.check();
+        const [pending] = client.nonces.getPending();
+        expect(pending).to.include({ nonce, stuck: true, replacements: 1 });
+        const replacement = pending.hash;
+        expect(replacement).to.not.equal(hash);
+        expect(client.nonces.actionOf(replacement)).to.equal('speedUp');
+
+        const receipts = client.nonces.receipts;
+        expect(receipts.pendingReceipts.get(hash)).to.include({ status: 'REPLACED', replacedBy: replacement, replacement: 'SPEED_UP', replacements: 1 });
+        const { maxFeePerGas } = receipts.replacements.get(replacement);
+        expect(BigInt(maxFeePerGas) > 1n).to.equal(true);
+
+        // Waiting on the original hash ends with the replacement's receipt
+        await mine(1);
+        const receipt = await client.waitForTransaction(hash);
+        expect(receipt).to.include({ transactionHash: replacement, status: 1 });
+
+        const processed = await receipts.processReceipt(hash, client);
+        expect(processed).to.include({ status: 'SUCCESS', replacedBy: replacement, replacement: 'SPEED_UP' });
+        expect(await fixture.verifier.getSignerStats(fixture.owner.address)).to.equal(1n);
+    });
+
+    it('should cancel a stuck transaction and report it cancelled', async function() {
+        await connect({ stuckBlocks: 1, stuckAction: 'cancel' });
+        await setAutomine(false);
+        const sending = expectChainError(
+            client.sendTransaction('SignatureVerifier', 'submitSignature', await submission('cancel'), UNDERPRICED),
+            CODES.CANCELLED
+        );
+        await until(() => client.nonces.getPending().length === 1);
+        const [{ hash }] = client.nonces.getPending();
+
+        // The poll of sendTransaction notices the block and cancels
+        await mine(1);
+        await until(() => client.nonces.getPending()[0].replacements === 1);
+        const cancellation = client.nonces.getPending()[0].hash;
+        await mine(1);
+        const error = await sending;
+        expect(error.message).to.equal(`Transaction ${hash} was cancelled by ${cancellation}`);
+
+        const processed = await client.nonces.receipts.processReceipt(hash, client);
+        expect(processed).to.include({ status: 'CANCELLED', replacedBy: cancellation, replacement: 'CANCEL' });
+        expect(processed.analysis.isSuccess).to.equal(false);
+        expect(await fixture.verifier.getSignerStats(fixture.owner.address)).to.equal(0n);
+    });
+
+    it('should report a transaction whose nonce another sender used as dropped', async function() {
+        await connect({ stuckAction: 'none' });
+        await setAutomine(false);
+        const { hash, nonce } = await client.submitTransaction('SignatureVerifier', 'submitSignature', await submission('dropped'), UNDERPRICED);
+
+        // The same key, outside the client, takes the nonce
+        const fees = await client.getOptimalGasPrice();
+        await wallet.connect(fixture.provider).sendTransaction({ to: wallet.address, nonce, gasLimit: 21000, ...fees });
+        await mine(1);
+
+        const error = await expectChainError(client.waitForTransaction(hash), CODES.DROPPED);
+        expect(error.message).to.equal(`Transaction ${hash} was dropped: its nonce was used by another transaction`);
+        const dropped = client.nonces.receipts.processedReceipts.get(hash);
+        expect(dropped).to.include({ status: 'DROPPED', nonce });
+        expect(dropped.error.code).to.equal('DROPPED');
+        try {
+            await client.nonces.receipts.processReceipt(ethers.id('unknown'), { waitForTransaction: () => Promise.reject(error) });
+            expect.fail('expected the dropped error');
+        } catch (rejected) {
+            expect(rejected).to.equal(error);
+        }
+    });
+
+    it('should not send a broadcast transaction again when waiting for it fails', async function() {
+        await connect({ stuckAction: 'none' }, { receiptTimeout: 200 });
+        await setAutomine(false);
+
+        // Nothing mines it in time: the error is the wait's, with no second transaction
+        const timedOut = await expectChainError(
+            client.sendTransaction('SignatureVerifier', 'submitSignature', await submission('slow'), UNDERPRICED),
+            CODES.TIMEOUT
+        );
+        expect(timedOut.message).to.match(/^Timed out waiting for 1 confirmation\(s\) of 0x/);
+        expect(client.nonces.getPending().map(tx => tx.nonce)).to.deep.equal([0]);
+
+        // Its nonce taken by another transaction: dropped, and not resent with the next nonce
+        const sending = expectChainError(
+            client.sendTransaction('SignatureVerifier', 'submitSignature', await submission('taken'), UNDERPRICED),
+            CODES.DROPPED
+        );
+        await until(() => client.nonces.getPending().length === 2);
+        const fees = await client.getOptimalGasPrice();
+        const signer = wallet.connect(fixture.provider);
+        await signer.sendTransaction({ to: wallet.address, nonce: 0, gasLimit: 21000, ...fees });
+        await signer.sendTransaction({ to: wallet.address, nonce: 1, gasLimit: 21000, ...fees });
+        await mine(1);
+        await sending;
+        await client.nonces.check();
+        expect(client.nonces.getPending()).to.deep.equal([]);
+        expect(await fixture.provider.getTransactionCount(wallet.address, 'latest')).to.equal(2);
+    });
+});
+
+describe('Nonce manager settings and packed transactions', function() {
+    let fixture;
+    let client;
+
+    beforeEach(async () => {
+        fixture = await loadFixture(deployVerifier);
+        client = new ChainClient({ pollInterval: 10 });
+        await client.initialize('hardhat');
+    });
+    afterEach(async () => {
+        await setAutomine(true);
+        client.close();
+    });
+
+    it('should refuse unknown actions and transactions it does not track', async function() {
+        expect(() => new NonceManager(client, { stuckAction: 'wait' })).to.throw(ChainError).with.property('code', CODES.INVALID_ARGUMENT);
+        await expectChainError(client.nonces.replaceTransaction(ethers.ZeroHash), CODES.INVALID_ARGUMENT);
+    });
+
+    it('should raise replacement fees by feeBump percent, up to the cap', async function() {
+        const current = await client.getOptimalGasPrice();
+        const capped = new NonceManager(client, { maxFeePerGas: current.maxFeePerGas * 2n });
+
+        const fees = await capped.bumpedFees({ maxFeePerGas: current.maxFeePerGas, maxPriorityFeePerGas: current.maxPriorityFeePerGas });
+        expect(fees).to.deep.equal({
+            maxFeePerGas: (current.maxFeePerGas * 120n + 99n) / 100n,
+            maxPriorityFeePerGas: (current.maxPriorityFeePerGas * 120n + 99n) / 100n,
+            type: 2
+        });
+        // Never below what the network asks now
+        expect(await capped.bumpedFees({ gasPrice: 1n })).to.deep.equal({ gasPrice: current.maxFeePerGas, type: 0 });
+        expect((await capped.bumpedFees({ maxFeePerGas: 1n, maxPriorityFeePerGas: 1n })).maxFeePerGas).to.equal(current.maxFeePerGas);
+        await expectChainError(capped.bumpedFees({ maxFeePerGas: current.maxFeePerGas * 2n, maxPriorityFeePerGas: 1n }), CODES.INVALID_ARGUMENT);
+    });
+
+    it('should send packed signature transactions through the nonce manager', async function() {
+        const message = 'packed';
+        const data = chipOutput(await fixture.owner.signMessage(message), message, fixture.owner.address);
+        const contractAddress = await fixture.verifier.getAddress();
+
+        // Packed without a provider: the client supplies the fees
+        const packed = new TransactionPacker(null, 1337).packSignatureTransaction(data, { contractAddress });
+        const sent = await new TransactionPacker(null, 1337).sendPackedTransaction(packed, client);
+        expect(sent).to.include({ status: 'PENDING', chainId: 1337, contractAddress, methodName: 'submitSignature' });
+        expect(sent.nonce).to.be.a('number');
+        expect(client.nonces.receipts.pendingReceipts.get(sent.txHash)).to.include({ nonce: sent.nonce, from: fixture.owner.address });
+
+        const receipt = await client.waitForTransaction(sent.txHash);
+        expect(receipt.status).to.equal(1);
+        expect(await fixture.verifier.getSignerStats(fixture.owner.address)).to.equal(1n);
+
+        // Simulated like any submission: the replay is refused before it takes a nonce
+        await expectChainError(new TransactionPacker(null, 1337).sendPackedTransaction(packed, client), CODES.CALL_REVERTED)
+            .then(error => expect(error.revert).to.include({ method: 'submitSignature', stage: 'eth_call' }));
+        expect(client.nonces.getPending()).to.deep.equal([]);
+
+        const wrongChain = new TransactionPacker(null, 1).packSignatureTransaction(data, { contractAddress });
+        try {
+            await new TransactionPacker(null, 1).sendPackedTransaction(wrongChain, client);
+            expect.fail('expected the chain check to fail');
+        } catch (error) {
+            expect(error.message).to.equal('Packed for chain 1, but the client is on chain 1337');
+        }
+    });
+
+    it('should send packed transactions with the simulated gas limit', async function() {
+        // Call data of a long message costs more gas than a fixed execution guess allows for
+        const message = 'x'.repeat(6000);
+        const data = chipOutput(await fixture.owner.signMessage(message), message, fixture.owner.address);
+        const contractAddress = await fixture.verifier.getAddress();
+        client.loadContract('SignatureVerifier', contractAddress, ABI);
+        const packer = new TransactionPacker(null, 1337);
+        const packed = packer.packSignatureTransaction(data, { contractAddress });
+        packed.transaction.gasLimit = 100000;
+
+        const args = [message, await fixture.owner.signMessage(message), fixture.owner.address];
+        const { gasLimit } = await client.simulateTransaction('SignatureVerifier', 'submitSignature', args);
+        const sent = await packer.sendPackedTransaction(packed, client);
+        const receipt = await client.waitForTransaction(sent.txHash);
+        expect(receipt.status).to.equal(1);
+        expect(BigInt(receipt.gasUsed)).to.be.greaterThan(100000n);
+        expect((await fixture.provider.getTransaction(sent.txHash)).gasLimit).to.equal(BigInt(gasLimit));
+
+        // An explicit limit below the simulated one is raised to it
+        const other = 'y'.repeat(6000);
+        const low = await client.submitTransaction('SignatureVerifier', 'submitSignature',
+            [other, await fixture.owner.signMessage(other), fixture.owner.address], { gasLimit: 100000 });
+        expect(BigInt(low.gasLimit)).to.be.greaterThan(100000n);
+        expect((await client.waitForTransaction(low.hash)).status).to.equal(1);
+    });
+});
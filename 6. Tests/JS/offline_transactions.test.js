@@ -0,0 +1,236 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { ChainClient, ChainError, CODES } = require('../../5. Tools/JS/Chain/chainClient');
+const {
+    SIGNED_FORMAT,
+    createUnsignedTransaction,
+    validateUnsignedTransaction,
+    signUnsignedTransaction,
+    parseSignedTransaction,
+    toQrPayload,
+    fromQrPayload
+} = require('../../5. Tools/JS/Chain/rawTransaction');
+const { SoftwareSigner, MockSigner, VirtualChipSigner } = require('../../backend/signers');
+const TransactionPacker = require('../../2. Output_Interface/TX_Packer/packTransaction');
+const { deployVerifier } = require('./fixtures/hardhat');
+const { expectChainError, chipOutput } = require('./fixtures/chain');
+
+const CONTRACT = '0x000000000000000000000000000000000000dEaD';
+const FIELDS = {
+    chainId: 1337,
+    nonce: 0,
+    to: CONTRACT,
+    data: '0x',
+    value: 0,
+    gasLimit: 21000,
+    maxFeePerGas: 2000000000n,
+    maxPriorityFeePerGas: 1000000000n
+};
+
+describe.each(['ethers', 'web3'])('Offline transaction signing (%s)', function(library) {
+    let fixture;
+    let client;
+    let wallet;
+    let contractAddress;
+
+    // The online client has no key: the offline signer's account only signs
+    beforeEach(async () => {
+        fixture = await loadFixture(deployVerifier);
+        contractAddress = await fixture.verifier.getAddress();
+        wallet = ethers.Wallet.createRandom();
+        await (await fixture.owner.sendTransaction({ to: wallet.address, value: ethers.parseEther('1') })).wait();
+        client = new ChainClient({ library, pollInterval: 10, retryDelay: 10 });
+        await client.initialize('hardhat');
+    });
+    afterEach(() => {
+        client.close();
+    });
+
+    async function prepare(message, overrides = {}) {
+        const packed = new TransactionPacker(null, 1337).packSignatureTransaction(chipOutput(await fixture.owner.signMessage(message), message, fixture.owner.address), { contractAddress });
+        return client.prepareUnsignedTransaction({ to: packed.transaction.to, data: packed.transaction.data, ...overrides }, wallet.address);
+    }
+
+    it('should export, sign with the software signer and broadcast a transaction', async function() {
+        const unsigned = await prepare('offline');
+        expect(unsigned).to.include({ chainId: 1337, nonce: 0, from: wallet.address, to: contractAddress, value: '0' });
+        expect(BigInt(unsigned.gasLimit) > 21000n).to.equal(true);
+
+        // Across the air gap as QR code text, and back as JSON
+        const scanned = fromQrPayload(toQrPayload(unsigned));
+        expect(scanned).to.deep.equal(unsigned);
+        const signed = await signUnsignedTransaction(scanned, new SoftwareSigner({ privateKey: wallet.privateKey }), { chainId: 1337 });
+        expect(signed).to.include({ format: SIGNED_FORMAT, from: wallet.address, nonce: 0 });
+        const imported = JSON.parse(JSON.stringify(signed));
+
+        const sent = await client.broadcastRawTransaction(imported);
+        expect(sent).to.deep.equal({ hash: signed.hash, from: wallet.address, to: contractAddress, nonce: 0 });
+        expect(client.nonces.receipts.pendingReceipts.get(sent.hash)).to.include({ nonce: 0, from: wallet.address });
+
+        const receipt = await client.waitForTransaction(sent.hash);
+        expect(receipt.status).to.equal(1);
+        expect(await fixture.verifier.getSignerStats(fixture.owner.address)).to.equal(1n);
+
+        // Once mined, the same raw transaction is refused before it reaches the node
+        const used = await expectChainError(client.broadcastRawTransaction(signed.rawTransaction), CODES.NONCE_ERROR);
+        expect(used.message).to.equal(`Nonce 0 of ${wallet.address} is already used (next nonce 1)`);
+    });
+
+    it('should sign the signing hash on the virtual chip', async function() {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-'));
+        const key = new ethers.SigningKey(wallet.privateKey);
+        let fed = null;
+        const chip = new VirtualChipSigner({
+            privateKey: wallet.privateKey,
+            inputFile: path.join(tempDir, 'ecdsa_input.mem'),
+            generateInput: async () => (hash) => (fed = '0x' + hash),
+            runSimulation: async () => {
+                const { r, s, v } = key.sign(fed);
+                return `r: ${r.slice(2)}\ns: ${s.slice(2)}\nv: ${v.toString(16)}`;
+            }
+        });
+
+        try {
+            const unsigned = await prepare('chip');
+            const signed = await signUnsignedTransaction(unsigned, chip);
+            expect(fed).to.equal(unsigned.signingHash);
+
+            const { hash } = await client.broadcastRawTransaction(signed);
+            expect((await client.waitForTransaction(hash)).status).to.equal(1);
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should refuse raw transactions for another chain, with a nonce gap or below the base fee', async function() {
+        const signer = new SoftwareSigner({ privateKey: wallet.privateKey });
+        const sign = fields => signUnsignedTransaction(createUnsignedTransaction({ ...FIELDS, from: wallet.address, ...fields }), signer);
+
+        const otherChain = await expectChainError(client.broadcastRawTransaction(await sign({ chainId: 1 })), CODES.INVALID_ARGUMENT);
+        expect(otherChain.message).to.equal('Transaction is for chain 1, expected chain 1337');
+
+        const fees = await client.getOptimalGasPrice();
+        const gap = await expectChainError(client.broadcastRawTransaction(await sign({ nonce: 1, ...fees })), CODES.INVALID_ARGUMENT);
+        expect(gap.message).to.equal(`Nonce 1 of ${wallet.address} leaves a gap (next nonce 0)`);
+
+        const cheap = await expectChainError(client.broadcastRawTransaction(await sign({ maxFeePerGas: 1n, maxPriorityFeePerGas: 1n })), CODES.INVALID_ARGUMENT);
+        expect(cheap.message).to.match(/^maxFeePerGas 1 is below the base fee of \d+ wei$/);
+
+        const capped = await expectChainError(
+            client.broadcastRawTransaction(await sign(fees), { maxFeePerGas: fees.maxFeePerGas - 1n }),
+            CODES.INVALID_ARGUMENT
+        );
+        expect(capped.message).to.equal(`maxFeePerGas ${fees.maxFeePerGas} is above the cap of ${fees.maxFeePerGas - 1n} wei`);
+        expect(client.nonces.receipts.pendingReceipts.size).to.equal(0);
+    });
+
+    it('should simulate an imported transaction again before broadcasting it', async function() {
+        const signer = new SoftwareSigner({ privateKey: wallet.privateKey });
+        const first = await signUnsignedTransaction(await prepare('twice'), signer);
+        const second = await signUnsignedTransaction(await prepare('twice', { nonce: 1 }), signer);
+
+        await client.waitForTransaction((await client.broadcastRawTransaction(first)).hash);
+        const reverted = await expectChainError(client.broadcastRawTransaction(second), CODES.CALL_REVERTED);
+        expect(reverted.reason).to.equal('SignatureVerifier: signature already used');
+    });
+});
+
+describe('Offline transaction documents', function() {
+    const signer = new SoftwareSigner({ privateKey: ethers.Wallet.createRandom().privateKey });
+    const unsigned = () => createUnsignedTransaction({ ...FIELDS, from: signer.address });
+
+    it('should check chain id, nonce and fees when a document is created', function() {
+        const create = (fields, expected) => () => createUnsignedTransaction({ ...FIELDS, from: signer.address, ...fields }, expected);
+
+        expect(create({}, { chainId: 1337, nonce: 0, maxFeePerGas: FIELDS.maxFeePerGas })).to.not.throw();
+        expect(create({ chainId: 0 })).to.throw('chainId is missing');
+        expect(create({}, { chainId: 1 })).to.throw('Transaction is for chain 1337, expected chain 1');
+        expect(create({}, { nonce: 3 })).to.throw('Transaction has nonce 0, expected 3');
+        expect(create({ nonce: -1 })).to.throw('nonce must be a non-negative integer, got -1');
+        expect(create({ maxFeePerGas: undefined })).to.throw('maxFeePerGas must be a non-negative integer');
+        expect(create({ maxPriorityFeePerGas: FIELDS.maxFeePerGas + 1n })).to.throw('maxPriorityFeePerGas 2000000001 is above maxFeePerGas 2000000000');
+        expect(create({}, { maxFeePerGas: 1000 })).to.throw('maxFeePerGas 2000000000 is above the cap of 1000 wei');
+        expect(create({ gasLimit: 20000 })).to.throw('gasLimit 20000 is below 21000');
+        expect(create({ from: 'chip' })).to.throw("from must be the signer's address, got chip");
+    });
+
+    it('should refuse an altered document or another signer', async function() {
+        const tampered = { ...unsigned(), to: signer.address };
+        await expectChainError(signUnsignedTransaction(tampered, signer), CODES.INVALID_ARGUMENT)
+            .then(error => expect(error.message).to.equal('signingHash does not match the transaction fields: the document was altered'));
+        expect(() => validateUnsignedTransaction({ ...unsigned(), version: 2 })).to.throw('Not an unsigned transaction document');
+
+        const other = new SoftwareSigner({ privateKey: ethers.Wallet.createRandom().privateKey });
+        const mismatch = await expectChainError(signUnsignedTransaction(unsigned(), other), CODES.INVALID_ARGUMENT);
+        expect(mismatch.message).to.equal(`Transaction is from ${signer.address}, but the signer is ${other.address}`);
+
+        // A signer that claims the address but signs with another key
+        const impostor = { name: 'mock', address: signer.address, signHash: hash => other.signHash(hash) };
+        const recovered = await expectChainError(signUnsignedTransaction(unsigned(), impostor), CODES.INVALID_ARGUMENT);
+        expect(recovered.message).to.equal(`Signature recovers ${other.address}, not ${signer.address}`);
+        await expectChainError(signUnsignedTransaction(unsigned(), { name: 'hsm' }), CODES.INVALID_ARGUMENT);
+    });
+
+    it('should only import signed EIP-1559 transactions that match their document', async function() {
+        const signed = await signUnsignedTransaction(unsigned(), signer);
+        expect(parseSignedTransaction(signed.rawTransaction, { chainId: 1337, from: signer.address })).to.deep.equal(signed);
+
+        expect(() => parseSignedTransaction({ ...signed, nonce: 5 })).to.throw('nonce of the document (5) does not match the raw transaction (0)');
+        expect(() => parseSignedTransaction(signed, { nonce: 1 })).to.throw('Transaction has nonce 0, expected 1');
+        expect(() => parseSignedTransaction('0x1234')).to.throw('rawTransaction does not parse');
+
+        const legacy = await new ethers.Wallet(signer.wallet.privateKey).signTransaction({ type: 0, to: CONTRACT, gasLimit: 21000, gasPrice: 1n, nonce: 0, chainId: 1337 });
+        expect(() => parseSignedTransaction(legacy)).to.throw('rawTransaction is a type 0 transaction, expected EIP-1559 (type 2)');
+        const unsignedRaw = ethers.Transaction.from({ ...FIELDS, type: 2 }).unsignedSerialized;
+        expect(() => parseSignedTransaction(unsignedRaw)).to.throw('rawTransaction is not signed');
+    });
+
+    it('should reject QR codes that are not transactions and hashes that are not digests', async function() {
+        expect(() => fromQrPayload('https://example.com')).to.throw('Not a transaction QR code (expected the vcss-tx: prefix)');
+        expect(() => fromQrPayload('vcss-tx:@@@')).to.throw('Transaction QR code does not decode');
+        expect(() => toQrPayload({ ...unsigned(), data: '0x' + 'ab'.repeat(2000) })).to.throw('Transaction is too large for one QR code');
+
+        for (const provider of [signer, new MockSigner()]) {
+            try {
+                await provider.signHash('0x1234');
+                expect.fail('expected the hash to be refused');
+            } catch (error) {
+                expect(error.status).to.equal(400);
+                expect(error.message).to.equal('Hash must be 32 bytes of 0x-prefixed hex');
+            }
+        }
+        const { hash, v } = await signer.signHash(ethers.ZeroHash);
+        expect(hash).to.equal(ethers.ZeroHash);
+        expect([27, 28]).to.include(v);
+    });
+
+    it('should export a packed transaction for offline signing', async function() {
+        const owner = ethers.Wallet.createRandom();
+        const packer = new TransactionPacker(null, 1337);
+        const packed = packer.packSignatureTransaction(chipOutput(await owner.signMessage('packed'), 'packed', owner.address), { contractAddress: CONTRACT });
+        const fees = { maxFeePerGas: FIELDS.maxFeePerGas, maxPriorityFeePerGas: FIELDS.maxPriorityFeePerGas };
+
+        const exported = await packer.exportUnsignedTransaction(packed, { from: signer.address, nonce: 4, gasLimit: 250000, ...fees });
+        expect(exported).to.include({ chainId: 1337, nonce: 4, to: ethers.getAddress(CONTRACT), data: packed.transaction.data, gasLimit: '250000' });
+        const signed = await signUnsignedTransaction(exported, signer, { chainId: 1337, nonce: 4 });
+        expect(ethers.Transaction.from(signed.rawTransaction).data).to.equal(packed.transaction.data);
+
+        const refused = [
+            [{ from: signer.address, nonce: 4, gasLimit: 250000 }, 'Offline signing needs EIP-1559 fees: pass maxFeePerGas and maxPriorityFeePerGas'],
+            // Without a provider the packed default limit is only a guess
+            [{ from: signer.address, nonce: 4, ...fees }, 'Offline signing needs a gas limit: set a provider to estimate it or pass gasLimit']
+        ];
+        for (const [options, message] of refused) {
+            try {
+                await packer.exportUnsignedTransaction(packed, options);
+                expect.fail('expected the export to be refused');
+            } catch (error) {
+                expect(error.message).to.equal(message);
+            }
+        }
+    });
+});
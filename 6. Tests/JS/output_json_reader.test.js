@@ -0,0 +1,108 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OutputJSONReader = require('../../2. Output_Interface/JS_FileReader/readOutputJSON');
+
+const R = 'a'.repeat(64);
+const S = 'b'.repeat(64);
+const HASH = 'c'.repeat(64);
+
+describe('OutputJSONReader', function() {
+    let reader;
+    let tempDir;
+    const write = (name, content) => {
+        const filePath = path.join(tempDir, name);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    beforeEach(() => {
+        reader = new OutputJSONReader();
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-reader-'));
+    });
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should read Verilog memory dumps', async function() {
+        const filePath = write('output.mem', [
+            '// chip output',
+            'SIGNATURE_R:', R.toUpperCase(),
+            'SIGNATURE_S:', S,
+            'SIGNATURE_V:', '1B',
+            'HASH:', HASH,
+            'TIMESTAMP:', '65a1b2c3'
+        ].join('\n'));
+
+        const data = await reader.readOutputFile(filePath);
+        expect(data.signature).to.deep.equal({ r: R, s: S, v: '1b' });
+        expect(data.hash).to.equal(HASH);
+        expect(data.timestamp).to.equal('65a1b2c3');
+        expect(data.validation).to.deep.equal({ isValid: true, errors: [] });
+    });
+
+    it('should read concatenated hex output', async function() {
+        const filePath = write('output.hex', `${R}\n${S}1c\n${HASH}00ff`);
+
+        const data = await reader.readOutputFile(filePath);
+        expect(data.signature).to.deep.equal({ r: R, s: S, v: '1c' });
+        expect(data.hash).to.equal(HASH);
+        expect(data.timestamp).to.equal('00ff');
+        expect(data.validation.isValid).to.equal(true);
+    });
+
+    it('should read key/value text and keep unknown keys as metadata', async function() {
+        const filePath = write('output.txt', `r: 0x${R}\ns: ${S}\nv: 1b\nhash: ${HASH}\nsession: abc`);
+
+        const data = await reader.readOutputFile(filePath);
+        expect(data.signature.r).to.equal(R);
+        expect(data.metadata).to.deep.equal({ session: 'abc' });
+        expect(data.validation.isValid).to.equal(true);
+    });
+
+    it('should read JSON and report validation errors', async function() {
+        const filePath = write('output.json', JSON.stringify({ signature: { r: R, s: S.slice(2), v: '1d' }, hash: HASH }));
+
+        const data = await reader.readOutputFile(filePath);
+        expect(data.validation.isValid).to.equal(false);
+        expect(data.validation.errors).to.deep.equal(['Invalid signature S component', 'Invalid signature V component']);
+    });
+
+    it('should detect the format of files without a known extension', function() {
+        expect(reader.detectFormat(write('a.out', 'SIGNATURE_R:\n' + R))).to.equal('mem');
+        expect(reader.detectFormat(write('b.out', R + S))).to.equal('hex');
+        expect(reader.detectFormat(write('c.out', '{"hash": "00"}'))).to.equal('json');
+        expect(reader.detectFormat(write('d.out', 'r: 00'))).to.equal('txt');
+    });
+
+    it('should reject missing files and unsupported formats', async function() {
+        try {
+            await reader.readOutputFile(path.join(tempDir, 'missing.mem'));
+            expect.fail('expected the read to fail');
+        } catch (error) {
+            expect(error.message).to.match(/^Output file not found/);
+        }
+
+        try {
+            await reader.readOutputFile(write('output.bin', R), 'bin');
+            expect.fail('expected the read to fail');
+        } catch (error) {
+            expect(error.message).to.equal('Unsupported format: bin');
+        }
+    });
+
+    it('should cache parsed output per file', async function() {
+        const filePath = write('output.hex', `${R}${S}1b${HASH}`);
+        const data = await reader.readOutputFile(filePath);
+
+        expect(reader.getCachedOutput(filePath)).to.equal(data);
+        expect(reader.getCacheStats().entries).to.deep.equal([
+            { path: filePath, timestamp: reader.outputCache.get(filePath).timestamp, format: 'hex' }
+        ]);
+
+        reader.clearCache(filePath);
+        expect(reader.getCachedOutput(filePath)).to.equal(null);
+        expect(reader.getCacheStats().size).to.equal(0);
+    });
+});
@@ -0,0 +1,281 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const hre = require('hardhat');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ethers } = require('ethers');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { createApp } = require('../../backend/app');
+const { ChainClient } = require('../../5. Tools/JS/Chain/chainClient');
+const ReceiptProcessor = require('../../ui_feedback_module/Receipt_Processor');
+const { createRelayer } = require('../../3. Blockchain_Interaction/Relayer/metaTxRelayer');
+const { SQLiteRelayStore } = require('../../3. Blockchain_Interaction/Relayer/relayStore');
+const { deployVerifier } = require('./fixtures/hardhat');
+
+// SignatureVerifier trusting a SignatureVerifierForwarder, as deploy.js sets it up with DEPLOY_FORWARDER
+async function deployWithForwarder() {
+    const fixture = await deployVerifier();
+    const forwarder = await hre.ethers.deployContract('SignatureVerifierForwarder');
+    await (await fixture.verifier.setTrustedForwarder(await forwarder.getAddress())).wait();
+    return { ...fixture, forwarder };
+}
+
+const JWT_SECRET = 'test-jwt-secret';
+
+// Sessions are issued directly; relaying never reads the key store
+const keyStore = {
+    registerUser: (username, password, key, callback) => callback(new Error('not used')),
+    authenticateUser: (username, password, callback) => callback(null, null),
+    getDecryptedKey: (username, callback) => callback(new Error('not used'))
+};
+
+// Bearer header of a session for a wallet, as POST /auth/login issues it
+function sessionOf(wallet) {
+    const token = jwt.sign({ address: wallet.address }, JWT_SECRET, { subject: wallet.address, expiresIn: '1h', jwtid: crypto.randomUUID() });
+    return `Bearer ${token}`;
+}
+
+// The gasless flow: a user without ETH signs a ForwardRequest built by
+// POST /relay/requests, the relayer pays for forwarder.execute and tracks it.
+// Runs once per chain library the relayer's client can use
+describe.each(['ethers', 'web3'])('Meta-transaction relayer (%s)', function(library) {
+    let fixture;
+    let store;
+    let relayer;
+    let app;
+    let user;
+
+    async function setup(policy = {}) {
+        fixture = await loadFixture(deployWithForwarder);
+        const chain = new ChainClient({ library, pollInterval: 10 });
+        await chain.initialize('hardhat');
+
+        store = new SQLiteRelayStore(':memory:');
+        relayer = createRelayer({
+            contractAddress: await fixture.verifier.getAddress(),
+            forwarderAddress: await fixture.forwarder.getAddress(),
+            chain,
+            store,
+            ...policy
+        });
+        app = createApp('production', { jwtSecret: JWT_SECRET, keyStore, chip: { isAvailable: async () => false }, relayer });
+    }
+
+    beforeEach(async () => {
+        user = ethers.Wallet.createRandom();
+        await setup();
+    });
+    afterEach(async () => {
+        await relayer.close();
+    });
+
+    // Build, sign and relay one submitSignature call
+    async function relaySubmission(message, signer = user) {
+        const signature = await signer.signMessage(message);
+        const built = await request(app)
+            .post('/relay/requests')
+            .set('Authorization', sessionOf(signer))
+            .send({ from: signer.address, method: 'submitSignature', args: [message, signature, signer.address] });
+        expect(built.status).to.equal(200);
+        const { domain, types, value } = built.body;
+        return request(app).post('/relay').set('Authorization', sessionOf(signer)).send({ request: value, signature: await signer.signTypedData(domain, types, value) });
+    }
+
+    // A signed forward request for a submitSignature call, not yet relayed
+    async function relaySubmissionRequest(message) {
+        const signature = await user.signMessage(message);
+        const built = await request(app)
+            .post('/relay/requests')
+            .set('Authorization', sessionOf(user))
+            .send({ from: user.address, method: 'submitSignature', args: [message, signature, user.address] });
+        const { domain, types, value } = built.body;
+        return { value, signature: await user.signTypedData(domain, types, value) };
+    }
+
+    it('should submit a signature for a user without ETH', async function() {
+        const res = await relaySubmission('hello chip');
+        expect(res.status).to.equal(202);
+        expect(res.body.relay).to.include({ from: user.address, method: 'submitSignature', status: 'submitted', nonce: '0' });
+
+        await relayer.track(res.body.relay.id);
+        const relay = (await request(app).get(`/relay/${res.body.relay.id}`)).body.relay;
+        expect(relay).to.include({ status: 'confirmed', transactionHash: res.body.relay.transactionHash });
+        expect(Number(relay.gasUsed)).to.be.greaterThan(0);
+
+        // The contract saw the user, not the relayer, and the user paid nothing
+        const { verifier, forwarder } = fixture;
+        expect(await verifier.getSignerStats(user.address)).to.equal(1n);
+        const [event] = await verifier.queryFilter(verifier.filters.SignatureVerified(user.address));
+        expect(event.args.isValid).to.equal(true);
+        expect(await fixture.provider.getBalance(user.address)).to.equal(0n);
+        expect(await forwarder.nonces(user.address)).to.equal(1n);
+        expect(relayer.getStats()).to.include({ relayed: 1, confirmed: 1, tracking: 0 });
+    });
+
+    it('should refuse requests the forwarder would not accept', async function() {
+        const message = 'hello chip';
+        const signature = await user.signMessage(message);
+        const built = await request(app)
+            .post('/relay/requests')
+            .set('Authorization', sessionOf(user))
+            .send({ from: user.address, method: 'submitSignature', args: [message, signature, user.address] });
+        const { domain, types, value } = built.body;
+
+        // Signed by someone else
+        const forged = await request(app)
+            .post('/relay')
+            .set('Authorization', sessionOf(user))
+            .send({ request: value, signature: await ethers.Wallet.createRandom().signTypedData(domain, types, value) });
+        expect(forged.status).to.equal(400);
+        expect(forged.body.error).to.match(/not accepted by the forwarder/);
+
+        // Changed after signing
+        const requestSignature = await user.signTypedData(domain, types, value);
+        const tampered = await request(app)
+            .post('/relay')
+            .set('Authorization', sessionOf(user))
+            .send({ request: { ...value, gas: String(BigInt(value.gas) - 1n) }, signature: requestSignature });
+        expect(tampered.status).to.equal(400);
+
+        const malformed = await request(app).post('/relay').set('Authorization', sessionOf(user)).send({ request: value, signature: '0x1234' });
+        expect(malformed.status).to.equal(400);
+
+        // The untouched request still goes through, once
+        const relayed = await request(app).post('/relay').set('Authorization', sessionOf(user)).send({ request: value, signature: requestSignature });
+        expect(relayed.status).to.equal(202);
+        await relayer.track(relayed.body.relay.id);
+        const replayed = await request(app).post('/relay').set('Authorization', sessionOf(user)).send({ request: value, signature: requestSignature });
+        expect(replayed.status).to.equal(400);
+    });
+
+    it('should only relay allowed methods to the SignatureVerifier', async function() {
+        const anchor = await request(app)
+            .post('/relay/requests')
+            .set('Authorization', sessionOf(user))
+            .send({ from: user.address, method: 'anchorMerkleRoot', args: [ethers.id('root'), 1] });
+        expect(anchor.status).to.equal(403);
+        expect(anchor.body.error).to.equal('Method anchorMerkleRoot is not relayed (allowed: submitSignature, submitEnvelope)');
+
+        const unknown = await request(app).post('/relay/requests').set('Authorization', sessionOf(user)).send({ from: user.address, method: 'pause', args: [] });
+        expect(unknown.status).to.equal(400);
+
+        // A request signed for another target or with value is refused before it is verified
+        const built = await relaySubmissionRequest('hello chip');
+        for (const change of [{ to: await fixture.forwarder.getAddress() }, { value: '1' }, { gas: '10000000' }]) {
+            const res = await request(app).post('/relay').set('Authorization', sessionOf(user)).send({ request: { ...built.value, ...change }, signature: built.signature });
+            expect(res.status).to.equal(403);
+        }
+        const expired = await request(app).post('/relay').set('Authorization', sessionOf(user)).send({ request: { ...built.value, deadline: '1' }, signature: built.signature });
+        expect(expired.status).to.equal(400);
+    });
+
+    it('should not pay for calls that would revert', async function() {
+        const message = 'hello chip';
+        const signature = await user.signMessage(message);
+        await (await fixture.verifier.submitSignature(message, signature, user.address)).wait();
+
+        const res = await request(app)
+            .post('/relay/requests')
+            .set('Authorization', sessionOf(user))
+            .send({ from: user.address, method: 'submitSignature', args: [message, signature, user.address] });
+        expect(res.status).to.equal(400);
+        expect(res.body.error).to.equal('Relayed call would revert: SignatureVerifier: signature already used');
+    });
+
+    it('should enforce the per-user quota', async function() {
+        await relayer.close();
+        await setup({ quota: 1, quotas: { [user.address]: 2 } });
+        const other = ethers.Wallet.createRandom();
+
+        expect((await relaySubmission('first')).status).to.equal(202);
+        expect((await relaySubmission('second')).status).to.equal(202);
+        const third = await relaySubmission('third');
+        expect(third.status).to.equal(429);
+        expect(third.body.error).to.equal('Relay quota exceeded: 2 transaction(s) per 86400s');
+
+        const quota = await request(app).get(`/relay/quota/${user.address.toLowerCase()}`);
+        expect(quota.body).to.include({ address: user.address, limit: 2, used: 2, remaining: 0 });
+        expect(quota.body.resetsAt).to.be.a('number');
+
+        // Other users have their own (default) quota
+        expect((await relaySubmission('mine', other)).status).to.equal(202);
+        expect((await relaySubmission('mine again', other)).status).to.equal(429);
+        expect((await request(app).get('/relay/quota/nope')).status).to.equal(400);
+    });
+
+    it('should stop relaying for every account once the total budget is spent', async function() {
+        await relayer.close();
+        await setup({ quota: 5, totalQuota: 2 });
+        const [second, third] = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+
+        // Fresh accounts bring fresh per-user quotas, but share the total
+        expect((await relaySubmission('first')).status).to.equal(202);
+        expect((await relaySubmission('second', second)).status).to.equal(202);
+        const refused = await relaySubmission('third', third);
+        expect(refused.status).to.equal(429);
+        expect(refused.body.error).to.equal('Relay budget exhausted: 2 transaction(s) for all users per 86400s');
+
+        const quota = await request(app).get(`/relay/quota/${third.address}`);
+        expect(quota.body).to.include({ limit: 5, used: 0, remaining: 0 });
+        expect((await relayer.getQuota(user.address)).remaining).to.equal(0);
+        expect(relayer.getStats().policy.totalQuota).to.equal(2);
+    });
+
+    it('should resume tracking relays after a restart', async function() {
+        const res = await relaySubmission('hello chip');
+        await relayer.track(res.body.relay.id);
+
+        // A relay recorded as submitted and one reserved but never broadcast
+        const { id, transactionHash } = res.body.relay;
+        await store.update(id, { status: 'submitted' });
+        await store.reserve({ id: 'interrupted', sender: user.address, method: 'submitSignature', target: user.address, forwardNonce: '7' },
+            { limit: 10, since: 0 });
+
+        const restarted = createRelayer({
+            contractAddress: await fixture.verifier.getAddress(),
+            forwarderAddress: await fixture.forwarder.getAddress(),
+            chain: relayer.chain,
+            store,
+            receiptProcessor: new ReceiptProcessor()
+        });
+        expect(await restarted.recover()).to.equal(1);
+        await Promise.all(restarted.tracking.values());
+        expect(await store.get(id)).to.include({ status: 'confirmed', transactionHash });
+        expect(await store.get('interrupted')).to.include({ status: 'rejected', lastError: 'Interrupted before broadcast' });
+        expect((await restarted.getQuota(user.address)).used).to.equal(1);
+        expect((await request(app).get('/relay/unknown')).status).to.equal(404);
+    });
+
+    it('should only relay a logged-in user\'s own requests', async function() {
+        const built = await relaySubmissionRequest('hello chip');
+        const stranger = ethers.Wallet.createRandom();
+
+        // A user cannot relay, or build, someone else's request
+        const foreign = await request(app).post('/relay').set('Authorization', sessionOf(stranger)).send({ request: built.value, signature: built.signature });
+        expect(foreign.status).to.equal(403);
+        expect(foreign.body.error).to.equal(`Forward request is from ${user.address}, not the logged-in user ${stranger.address}`);
+        const foreignBuild = await request(app)
+            .post('/relay/requests')
+            .set('Authorization', sessionOf(stranger))
+            .send({ from: user.address, method: 'submitSignature', args: ['x', '0x', user.address] });
+        expect(foreignBuild.status).to.equal(403);
+
+        const anonymous = await request(app).post('/relay').send({ request: built.value, signature: built.signature });
+        expect(anonymous.status).to.equal(401);
+
+        // Without authentication there is no user to charge, so nothing is relayed
+        const open = createApp('production', { auth: false, chip: { isAvailable: async () => false }, relayer });
+        const refused = await request(open).post('/relay').send({ request: built.value, signature: built.signature });
+        expect(refused.status).to.equal(401);
+        expect(refused.body.error).to.equal('Relaying requires a logged-in user');
+        expect((await request(open).post('/relay/requests').send({ from: user.address, method: 'submitSignature', args: [] })).status).to.equal(401);
+        expect((await relayer.getQuota(user.address)).used).to.equal(0);
+    });
+
+    it('should answer 503 when no relayer is configured', async function() {
+        const unconfigured = createApp('production', { auth: false, chip: { isAvailable: async () => false } });
+        const res = await request(unconfigured).post('/relay').send({});
+        expect(res.status).to.equal(503);
+        expect(res.body.error).to.equal('Relayer not configured');
+    });
+});
@@ -1,5 +1,7 @@
 const { expect } = require('chai');
-const RequestQueue = require('../../6. Tools/Queue_Manager/requestQueue');
+const RequestQueue = require('../../5. Tools/Queue_Manager/requestQueue');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 describe('RequestQueue', function() {
     let queue;
@@ -18,8 +20,56 @@ describe('RequestQueue', function() {
         const handler = async () => { attempts++; throw new Error('fail'); };
         try {
             await queue.addRequest({ handler });
+            expect.fail('expected the request to be rejected');
         } catch (e) {
-            expect(attempts).to.be.above(1);
+            expect(e.message).to.equal('fail');
+            expect(attempts).to.equal(2);
         }
+        expect(queue.getStats().failedRequests).to.equal(1);
+    });
+
+    it('should succeed on a retry', async function() {
+        let attempts = 0;
+        const handler = async () => {
+            attempts++;
+            if (attempts === 1) {
+                throw new Error('transient');
+            }
+            return 'ok';
+        };
+        expect(await queue.addRequest({ handler })).to.equal('ok');
+        expect(queue.getStats().successfulRequests).to.equal(1);
+    });
+
+    it('should process queued requests by priority', async function() {
+        queue = new RequestQueue({ maxConcurrent: 1, rateLimit: 60000 });
+        const order = [];
+        const record = (name, ms = 0) => async () => {
+            await delay(ms);
+            order.push(name);
+        };
+
+        await Promise.all([
+            queue.addRequest({ handler: record('first', 30) }),
+            queue.addRequest({ handler: record('background'), priority: RequestQueue.PRIORITY.BACKGROUND }),
+            queue.addRequest({ handler: record('critical'), priority: RequestQueue.PRIORITY.CRITICAL })
+        ]);
+        expect(order).to.deep.equal(['first', 'critical', 'background']);
+    });
+
+    it('should remove and clear queued requests', async function() {
+        queue = new RequestQueue({ maxConcurrent: 1, rateLimit: 60000 });
+        const running = queue.addRequest({ handler: () => delay(30) });
+        const removed = queue.addRequest({ id: 'removed', handler: async () => 'never' });
+        const cleared = queue.addRequest({ id: 'cleared', handler: async () => 'never' });
+
+        expect(queue.removeRequest('removed')).to.equal(true);
+        expect(queue.removeRequest('removed')).to.equal(false);
+        queue.clear();
+
+        const outcomes = await Promise.allSettled([removed, cleared]);
+        expect(outcomes.map(o => o.reason.message)).to.deep.equal(['Request removed from queue', 'Queue cleared']);
+        await running;
+        expect(queue.getStatus().queueLength).to.equal(0);
     });
-}); 
\ No newline at end of file
+});
@@ -1,11 +1,16 @@
 const { expect } = require('chai');
-const TaskScheduler = require('../../6. Tools/Queue_Manager/scheduler');
+const TaskScheduler = require('../../5. Tools/Queue_Manager/scheduler');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 describe('TaskScheduler', function() {
     let scheduler;
     beforeEach(() => {
         scheduler = new TaskScheduler({ maxWorkers: 2 });
     });
+    afterEach(async () => {
+        await scheduler.shutdown();
+    });
 
     it('should add a task and complete it', async function() {
         const handler = async (data) => data * 2;
@@ -16,4 +21,67 @@ describe('TaskScheduler', function() {
     it('should assign tasks to workers', function() {
         expect(scheduler.workers.size).to.equal(2);
     });
-}); 
\ No newline at end of file
+
+    it('should run registered handler types and reject unknown ones', async function() {
+        scheduler.registerHandler('square', async (data) => data * data);
+        expect(await scheduler.addTask({ type: 'square', data: 4 })).to.equal(16);
+
+        try {
+            await scheduler.addTask({ type: 'missing', data: 1 });
+            expect.fail('expected the task to be rejected');
+        } catch (error) {
+            expect(error.message).to.match(/No handler for task/);
+        }
+    });
+
+    it('should reject failing tasks and count them', async function() {
+        try {
+            await scheduler.addTask({ handler: async () => { throw new Error('boom'); } });
+            expect.fail('expected the task to be rejected');
+        } catch (error) {
+            expect(error.message).to.equal('boom');
+        }
+        await scheduler.addTask({ handler: async () => 'ok' });
+
+        const stats = scheduler.getStats();
+        expect(stats.totalTasks).to.equal(2);
+        expect(stats.completedTasks).to.equal(1);
+        expect(stats.failedTasks).to.equal(1);
+    });
+
+    it('should run higher priority tasks first once a worker frees up', async function() {
+        scheduler = new TaskScheduler({ maxWorkers: 1 });
+        const order = [];
+        const record = (name, ms = 0) => async () => {
+            await delay(ms);
+            order.push(name);
+        };
+
+        await Promise.all([
+            scheduler.addTask({ handler: record('first', 50), priority: 3 }),
+            scheduler.addTask({ handler: record('low'), priority: 5 }),
+            scheduler.addTask({ handler: record('high'), priority: 1 })
+        ]);
+        expect(order).to.deep.equal(['first', 'high', 'low']);
+    });
+
+    it('should reject every unfinished task when cleared', async function() {
+        scheduler = new TaskScheduler({ maxWorkers: 1 });
+        const running = scheduler.addTask({ handler: () => delay(20) });
+        const pending = scheduler.addTask({ handler: async () => 'never' });
+
+        scheduler.clear();
+        const outcomes = await Promise.allSettled([running, pending]);
+        expect(outcomes.map(o => o.reason.message)).to.deep.equal(['Scheduler cleared', 'Scheduler cleared']);
+        expect(scheduler.getStats().pendingTasks).to.equal(0);
+        await delay(30);
+    });
+
+    it('should add and remove idle workers', function() {
+        const id = scheduler.addWorker();
+        expect(scheduler.workers.size).to.equal(3);
+        expect(scheduler.removeWorker(id)).to.equal(true);
+        expect(scheduler.removeWorker(id)).to.equal(false);
+        expect(scheduler.getWorkerStatus()).to.have.lengthOf(2);
+    });
+});
@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { threadId } = require('worker_threads');
+const { ethers } = require('ethers');
+const TaskScheduler = require('../../5. Tools/Queue_Manager/scheduler');
+const { HANDLER_PATH: SIGNING_HANDLER } = require('../../5. Tools/Queue_Manager/signingHandler');
+const { SoftwareSigner } = require('../../backend/signers');
+
+const HANDLER = path.join(__dirname, 'fixtures', 'threadHandler.js');
+
+describe('TaskScheduler worker threads', function() {
+    let scheduler;
+    let tempDir;
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-threads-'));
+    });
+    afterEach(async () => {
+        if (scheduler) {
+            await scheduler.shutdown();
+        }
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should run module handlers off the main thread', async function() {
+        scheduler = new TaskScheduler({ maxWorkers: 2, workerThreads: true, schedulingAlgorithm: 'least-loaded' });
+        scheduler.registerHandler('double', HANDLER);
+
+        const results = await Promise.all([1, 2, 3].map(value => scheduler.addTask({ type: 'double', data: { value } })));
+        expect(results.map(r => r.value)).to.deep.equal([2, 4, 6]);
+        results.forEach(r => expect(r.threadId).to.not.equal(threadId));
+
+        try {
+            await scheduler.addTask({ handler: HANDLER, data: { fail: 'bad input' } });
+            expect.fail('expected the handler error');
+        } catch (error) {
+            expect(error.message).to.equal('bad input');
+        }
+    });
+
+    it('should restart a crashed worker and requeue its task', async function() {
+        scheduler = new TaskScheduler({ maxWorkers: 1, workerThreads: true });
+        const crashMarker = path.join(tempDir, 'crashed');
+
+        const result = await scheduler.addTask({ handler: HANDLER, data: { value: 5, crashMarker } });
+        expect(result.value).to.equal(10);
+        expect(scheduler.getStats().workerRestarts).to.equal(1);
+        expect(result.threadId).to.not.equal(Number(fs.readFileSync(crashMarker, 'utf8')));
+    });
+
+    it('should spawn and terminate threads with addWorker/removeWorker', async function() {
+        scheduler = new TaskScheduler({ maxWorkers: 1, workerThreads: true });
+
+        const workerId = scheduler.addWorker();
+        const added = scheduler.getWorkerStatus().find(worker => worker.id === workerId);
+        expect(added.threadId).to.be.a('number');
+
+        const { thread } = scheduler.workers.get(workerId);
+        const exited = new Promise(resolve => thread.once('exit', resolve));
+        expect(scheduler.removeWorker(workerId)).to.equal(true);
+        await exited;
+        expect(scheduler.getWorkerStatus().map(worker => worker.id)).to.deep.equal([0]);
+        expect(scheduler.getStats().workerRestarts).to.equal(0);
+    });
+
+    it('should fail a task that outlives taskTimeout and replace its thread', async function() {
+        scheduler = new TaskScheduler({ maxWorkers: 1, workerThreads: true, taskTimeout: 500 });
+        const [hungThread] = scheduler.getWorkerStatus().map(worker => worker.threadId);
+
+        try {
+            await scheduler.addTask({ handler: HANDLER, data: { hang: true } });
+            expect.fail('expected the task to time out');
+        } catch (error) {
+            expect(error.timedOut).to.equal(true);
+            expect(error.message).to.match(/timed out after 500ms/);
+        }
+        expect(scheduler.getStats()).to.include({ workerRestarts: 1, failedTasks: 1 });
+
+        const result = await scheduler.addTask({ handler: HANDLER, data: { value: 4 } });
+        expect(result.value).to.equal(8);
+        expect(result.threadId).to.not.equal(hungThread);
+    });
+
+    it('should hash and sign on threads like the software signer', async function() {
+        scheduler = new TaskScheduler({ maxWorkers: 1, workerThreads: true });
+        const local = new SoftwareSigner({ privateKey: ethers.Wallet.createRandom().privateKey });
+        const threaded = local.onThreads(scheduler);
+        const digest = ethers.keccak256(ethers.toUtf8Bytes('offline tx'));
+
+        const { hash } = await scheduler.addTask({ handler: SIGNING_HANDLER, data: { operation: 'hash', message: 'hello chip' } });
+        expect(hash).to.equal(ethers.keccak256(ethers.toUtf8Bytes('hello chip')));
+
+        const signed = await threaded.sign('hello chip');
+        expect(signed).to.deep.equal(await local.sign('hello chip'));
+        expect(ethers.verifyMessage(ethers.getBytes(hash), signed.signature)).to.equal(local.address);
+
+        const signedHash = await threaded.signHash(digest);
+        expect(signedHash).to.deep.equal(await local.signHash(digest));
+        expect(ethers.recoverAddress(digest, signedHash.signature)).to.equal(local.address);
+
+        try {
+            await scheduler.addTask({ handler: SIGNING_HANDLER, data: { operation: 'encrypt' } });
+            expect.fail('expected an unknown operation error');
+        } catch (error) {
+            expect(error.message).to.equal('Unknown signing operation: encrypt');
+        }
+    });
+});
@@ -0,0 +1,123 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SignatureStorageManager = require('../../2. Output_Interface/Signature_Storage_Manager/store_output');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function signatureData(isValid = true) {
+    return {
+        signature: { r: 'a'.repeat(64), s: 'b'.repeat(64), v: '1b' },
+        hash: 'c'.repeat(64),
+        timestamp: '1700000000000',
+        validation: { isValid, errors: isValid ? [] : ['Invalid hash length'] },
+        metadata: { userId: 'alice' }
+    };
+}
+
+describe('SignatureStorageManager', function() {
+    let storage;
+    let tempDir;
+    // Pretend an entry was stored `ms` ago
+    const age = (fileId, ms) => {
+        storage.storageIndex.signatures[fileId].timestamp = new Date(Date.now() - ms).toISOString();
+    };
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signature-storage-'));
+        storage = new SignatureStorageManager(tempDir);
+    });
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should create the storage layout', function() {
+        ['temp', 'permanent', 'archive'].forEach(dir => {
+            expect(fs.existsSync(path.join(tempDir, dir))).to.equal(true);
+        });
+    });
+
+    it('should store valid output permanently and invalid output as temporary', async function() {
+        const valid = await storage.storeSignatureOutput(signatureData(true), 'session1');
+        const invalid = await storage.storeSignatureOutput(signatureData(false), 'session2', 'txt');
+
+        expect(path.dirname(valid.filePath)).to.equal(storage.permanentDir);
+        expect(path.dirname(invalid.filePath)).to.equal(storage.tempDir);
+        expect(valid).to.include({ success: true, isValid: true, size: fs.statSync(valid.filePath).size });
+
+        const stats = storage.getStorageStats();
+        expect(stats.totalSignatures).to.equal(2);
+        expect(stats.byLocation).to.deep.equal({ temp: 1, permanent: 1, archive: 0 });
+        expect(stats.byValidation).to.deep.equal({ valid: 1, invalid: 1 });
+    });
+
+    it('should round-trip each format', async function() {
+        const data = signatureData();
+        for (const format of ['json', 'txt', 'hex']) {
+            const { fileId } = await storage.storeSignatureOutput(data, 'session1', format);
+            const stored = await storage.retrieveSignatureOutput(fileId);
+
+            expect(stored.signature).to.deep.equal(data.signature);
+            expect(stored.hash).to.equal(data.hash);
+            expect(stored.metadata.storageInfo).to.include({ fileId, sessionId: 'session1' });
+        }
+    });
+
+    it('should reload its index from disk', async function() {
+        const { fileId } = await storage.storeSignatureOutput(signatureData(), 'session1');
+
+        const reloaded = new SignatureStorageManager(tempDir);
+        const stored = await reloaded.retrieveSignatureOutput(fileId);
+        expect(stored.metadata.userId).to.equal('alice');
+        expect(reloaded.getStorageStats().totalSignatures).to.equal(1);
+    });
+
+    it('should list a session\'s signatures oldest first', async function() {
+        const first = await storage.storeSignatureOutput(signatureData(), 'session1');
+        const second = await storage.storeSignatureOutput(signatureData(), 'session1');
+        await storage.storeSignatureOutput(signatureData(), 'session2');
+        age(first.fileId, 1000);
+
+        const signatures = await storage.getSessionSignatures('session1');
+        expect(signatures.map(s => s.metadata.storageInfo.fileId)).to.deep.equal([first.fileId, second.fileId]);
+    });
+
+    it('should move, archive and clean up files', async function() {
+        const temp = await storage.storeSignatureOutput(signatureData(false), 'session1');
+        const moved = await storage.moveToPermanent(temp.fileId);
+        expect(path.dirname(moved.newPath)).to.equal(storage.permanentDir);
+        expect(await storage.moveToPermanent(temp.fileId)).to.deep.equal({ success: true, message: 'Already in permanent storage' });
+
+        age(temp.fileId, 31 * DAY);
+        const archived = await storage.archiveOldSignatures(30);
+        expect(archived.archived).to.deep.equal([temp.fileId]);
+        expect(fs.existsSync(path.join(storage.archiveDir, path.basename(moved.newPath)))).to.equal(true);
+
+        const stale = await storage.storeSignatureOutput(signatureData(false), 'session2');
+        const fresh = await storage.storeSignatureOutput(signatureData(false), 'session3');
+        age(stale.fileId, 25 * 60 * 60 * 1000);
+        const cleaned = await storage.cleanupTempFiles(24);
+        expect(cleaned.cleaned).to.deep.equal([stale.fileId]);
+        expect(fs.existsSync(stale.filePath)).to.equal(false);
+        expect(fs.existsSync(fresh.filePath)).to.equal(true);
+    });
+
+    it('should reject unknown and deleted files', async function() {
+        try {
+            await storage.retrieveSignatureOutput('missing');
+            expect.fail('expected the lookup to fail');
+        } catch (error) {
+            expect(error.message).to.equal('Signature file not found: missing');
+        }
+
+        const { fileId, filePath } = await storage.storeSignatureOutput(signatureData(), 'session1');
+        fs.unlinkSync(filePath);
+        try {
+            await storage.retrieveSignatureOutput(fileId);
+            expect.fail('expected the lookup to fail');
+        } catch (error) {
+            expect(error.message).to.match(/^File not found on disk/);
+        }
+    });
+});
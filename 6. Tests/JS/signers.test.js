@@ -0,0 +1,206 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createApp } = require('../../backend/app');
+const { SQLiteAnchorStore } = require('../../3. Blockchain_Interaction/Merkle_Anchoring/anchorStore');
+const { AnchorBatcher } = require('../../3. Blockchain_Interaction/Merkle_Anchoring/anchorBatcher');
+const {
+    SoftwareSigner,
+    MockSigner,
+    VirtualChipSigner,
+    createSigner,
+    signWithFallback
+} = require('../../backend/signers');
+
+const PERMIT = {
+    domain: { name: 'Token', version: '1', chainId: 31337, verifyingContract: '0x000000000000000000000000000000000000dEaD' },
+    types: {
+        EIP712Domain: [{ name: 'name', type: 'string' }],
+        Permit: [
+            { name: 'owner', type: 'address' },
+            { name: 'spender', type: 'address' },
+            { name: 'value', type: 'uint256' }
+        ]
+    },
+    value: {
+        owner: '0x742d35cc6634c0532925a3b8d4c9db96c4b4d8b6',
+        spender: '0x000000000000000000000000000000000000dEaD',
+        value: '1000'
+    }
+};
+
+// Testbench transcript of a chip holding the given key
+function transcriptOf(privateKey, hash) {
+    const { r, s, v } = new ethers.SigningKey(privateKey).sign('0x' + hash);
+    return [
+        'Time 25000: ECDSA operation in progress',
+        `r: ${r.slice(2)}`,
+        `s: ${s.slice(2)}`,
+        `v: ${v.toString(16)}`
+    ].join('\n');
+}
+
+describe('Signing providers', function() {
+    let tempDir;
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signers-'));
+    });
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should produce a recoverable software signature', async function() {
+        const signer = new SoftwareSigner();
+        const result = await signer.sign('hello chip');
+        expect(result.hash).to.equal(ethers.keccak256(ethers.toUtf8Bytes('hello chip')));
+        expect(ethers.verifyMessage(ethers.getBytes(result.hash), result.signature)).to.equal(signer.address);
+    });
+
+    it('should create providers by name and reject unknown ones', function() {
+        expect(createSigner('mock')).to.be.instanceOf(MockSigner);
+        expect(createSigner('virtual-chip')).to.be.instanceOf(VirtualChipSigner);
+        expect(() => createSigner('hsm')).to.throw('Unknown signing provider');
+    });
+
+    it('should parse the virtual chip transcript and delete the input file', async function() {
+        const inputFile = path.join(tempDir, 'ecdsa_input.mem');
+        const privateKey = ethers.Wallet.createRandom().privateKey;
+        let written = null;
+        let simulated = null;
+        const chip = new VirtualChipSigner({
+            privateKey,
+            inputFile,
+            generateInput: async () => (hash, key, nonce) => (written = `${hash}:${key}:${nonce}`),
+            runSimulation: async () => {
+                simulated = fs.readFileSync(inputFile, 'utf8');
+                return transcriptOf(privateKey, written.split(':')[0]);
+            }
+        });
+
+        const result = await chip.sign('hello chip');
+        expect(simulated).to.equal(written);
+        expect(fs.existsSync(inputFile)).to.equal(false);
+        expect(result.publicKey).to.equal(new ethers.Wallet(privateKey).address);
+        expect(result.hash).to.equal(ethers.keccak256(ethers.toUtf8Bytes('hello chip')));
+        // The same EIP-191 scheme as the software signer
+        expect('0x' + written.split(':')[0]).to.equal(ethers.hashMessage(ethers.getBytes(result.hash)));
+        expect(ethers.verifyMessage(ethers.getBytes(result.hash), result.signature)).to.equal(result.publicKey);
+        expect(result.signature).to.equal(result.r + result.s.slice(2) + result.v.toString(16));
+    });
+
+    it('should reject chip signatures that do not recover to the chip address', async function() {
+        const inputFile = path.join(tempDir, 'ecdsa_input.mem');
+        let fed = null;
+        const chip = new VirtualChipSigner({
+            inputFile,
+            generateInput: async () => (hash) => (fed = hash),
+            runSimulation: async () => transcriptOf(ethers.Wallet.createRandom().privateKey, fed)
+        });
+
+        try {
+            await chip.sign('hello chip');
+            expect.fail('expected a foreign signature to be rejected');
+        } catch (error) {
+            expect(error.message).to.match(new RegExp(`^Virtual chip signature recovers to 0x[0-9a-fA-F]{40}, not the chip address ${chip.address}$`));
+        }
+
+        const failing = new VirtualChipSigner({
+            inputFile,
+            generateInput: async () => () => 'input',
+            runSimulation: async () => { throw new Error('Virtual chip simulation failed: vvp crashed'); }
+        });
+        try {
+            await failing.sign('hello chip');
+            expect.fail('expected the simulation to fail');
+        } catch (error) {
+            expect(error.message).to.equal('Virtual chip simulation failed: vvp crashed');
+        }
+        expect(fs.existsSync(inputFile)).to.equal(false);
+    });
+
+    it('should produce chip signatures that POST /verify and anchoring accept', async function() {
+        const privateKey = ethers.Wallet.createRandom().privateKey;
+        let fed = null;
+        const chip = new VirtualChipSigner({
+            privateKey,
+            inputFile: path.join(tempDir, 'ecdsa_input.mem'),
+            generateInput: async () => (hash) => (fed = hash),
+            runSimulation: async () => transcriptOf(privateKey, fed)
+        });
+        const store = new SQLiteAnchorStore(':memory:');
+        const app = createApp('demo', { signer: chip, anchors: new AnchorBatcher({ store }) });
+
+        try {
+            const signed = await request(app).post('/sign').send({ message: 'hello chip' });
+            expect(signed.body).to.include({ success: true, provider: 'virtual-chip' });
+            expect(signed.body.leaf).to.match(/^0x[0-9a-f]{64}$/);
+
+            const verified = await request(app).post('/verify').send({
+                message: 'hello chip',
+                signature: signed.body.signature,
+                expectedAddress: chip.address,
+                encoding: 'hash'
+            });
+            expect(verified.body).to.include({ success: true, valid: true, signer: chip.address });
+        } finally {
+            await store.close();
+        }
+    });
+
+    it('should report the fallback provider when the chip fails', async function() {
+        const chip = new VirtualChipSigner({
+            inputFile: path.join(tempDir, 'ecdsa_input.mem'),
+            generateInput: async () => () => '',
+            runSimulation: async () => 'Error occurred during signature generation!'
+        });
+
+        const result = await signWithFallback(chip, new SoftwareSigner(), 'hello chip');
+        expect(result.provider).to.equal('software');
+        expect(result.fallbackReason).to.match(/Virtual chip output invalid/);
+
+        try {
+            await signWithFallback(chip, null, 'hello chip');
+            expect.fail('expected the chip to fail');
+        } catch (error) {
+            expect(error.message).to.match(/Invalid signature R component/);
+        }
+    });
+
+    it('should sign EIP-712 typed data and report the struct hash', async function() {
+        const signer = new SoftwareSigner();
+        const { EIP712Domain, ...types } = PERMIT.types;
+
+        const result = await signWithFallback(signer, null, PERMIT);
+        expect(result.primaryType).to.equal('Permit');
+        expect(result.structHash).to.equal(ethers.TypedDataEncoder.from(types).hash(PERMIT.value));
+        expect(result.hash).to.equal(ethers.TypedDataEncoder.hash(PERMIT.domain, types, PERMIT.value));
+        expect(ethers.verifyTypedData(PERMIT.domain, types, PERMIT.value, result.signature)).to.equal(signer.address);
+    });
+
+    it('should feed the EIP-712 digest to the virtual chip and reject invalid typed data', async function() {
+        let signedHash = null;
+        const privateKey = ethers.Wallet.createRandom().privateKey;
+        const chip = new VirtualChipSigner({
+            privateKey,
+            inputFile: path.join(tempDir, 'ecdsa_input.mem'),
+            generateInput: async () => (hash) => (signedHash = hash),
+            runSimulation: async () => transcriptOf(privateKey, signedHash)
+        });
+
+        const result = await chip.signTypedData(PERMIT);
+        expect('0x' + signedHash).to.equal(result.hash);
+        expect(result.structHash).to.match(/^0x[0-9a-f]{64}$/);
+
+        const invalid = { ...PERMIT, value: { ...PERMIT.value, value: 'lots' } };
+        try {
+            await signWithFallback(chip, new SoftwareSigner(), invalid);
+            expect.fail('expected invalid typed data to be rejected');
+        } catch (error) {
+            expect(error.status).to.equal(400);
+            expect(error.message).to.match(/Invalid typed data/);
+        }
+    });
+});
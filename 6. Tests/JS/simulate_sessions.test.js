@@ -0,0 +1,25 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+process.env.USER_DB_PATH = path.join(tempDir, 'users.db');
+process.env.ENCRYPTION_SECRET = 'test-secret-for-user-key-store-0';
+process.env.BCRYPT_ROUNDS = '4';
+
+const { simulateSessions, createSimulationApp } = require('../MultiUser_Simulation/simulate_sessions');
+
+describe('Multi-user session simulation', function() {
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should keep concurrent users\' signatures and jobs separate', async function() {
+        const app = createSimulationApp({ logDir: tempDir });
+        const report = await simulateSessions({ app, users: 3, messagesPerUser: 2, batchSize: 3 });
+
+        expect(report.failures).to.deep.equal([]);
+        expect(report).to.include({ users: 3, signatures: 6, batchItems: 9, verified: 15, isolationChecks: 3 });
+    });
+});
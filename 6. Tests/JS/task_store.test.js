@@ -0,0 +1,152 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RequestQueue = require('../../5. Tools/Queue_Manager/requestQueue');
+const TaskScheduler = require('../../5. Tools/Queue_Manager/scheduler');
+const { SQLiteTaskStore, MemoryTaskStore } = require('../../5. Tools/Queue_Manager/taskStore');
+
+const FAST = { rateLimit: 600000, retryDelay: 1 };
+const never = () => new Promise(() => {});
+
+describe('Persistent task store', function() {
+    let tempDir;
+    let dbPath;
+    const stores = [];
+    const openStore = () => {
+        const store = new SQLiteTaskStore(dbPath);
+        stores.push(store);
+        return store;
+    };
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-store-'));
+        dbPath = path.join(tempDir, 'tasks.db');
+    });
+    afterEach(async () => {
+        await Promise.all(stores.splice(0).map(store => store.close()));
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should store, update and list tasks in SQLite', async function() {
+        const store = openStore();
+        const task = {
+            id: 't1', queue: 'q', type: 'sign', data: { message: 'hi' }, metadata: {}, priority: 3,
+            status: 'pending', attempts: 0, idempotencyKey: 'k1', result: null, error: null, createdAt: 1, updatedAt: 1
+        };
+        await store.save(task);
+        await store.save({ ...task, status: 'completed', result: { signature: '0x01' }, updatedAt: 2 });
+
+        expect(await store.get('t1')).to.deep.include({ status: 'completed', result: { signature: '0x01' } });
+        expect((await store.findByIdempotencyKey('q', 'k1')).id).to.equal('t1');
+        expect(await store.list('q', ['pending'])).to.deep.equal([]);
+        expect(await store.list('other')).to.deep.equal([]);
+    });
+
+    it('should list recently updated tasks and delete tasks in SQLite', async function() {
+        const store = openStore();
+        const task = (id, status, updatedAt) => ({
+            id, queue: 'q', type: 'sign', data: null, metadata: {}, priority: 3,
+            status, attempts: 0, idempotencyKey: null, result: null, error: null, createdAt: 1, updatedAt
+        });
+        await store.save(task('old', 'completed', 10));
+        await store.save(task('new', 'completed', 30));
+        await store.save(task('open', 'pending', 10));
+        await store.save(task('gone', 'failed', 20));
+
+        expect((await store.list('q', null, { updatedSince: 20 })).map(t => t.id)).to.deep.equal(['new', 'gone']);
+        expect(await store.remove(['gone', 'unknown'])).to.equal(1);
+        // Only finished tasks written before the cutoff are pruned
+        expect(await store.prune('q', ['completed', 'failed'], 20)).to.equal(1);
+        expect((await store.list('q')).map(t => t.id)).to.deep.equal(['new', 'open']);
+    });
+
+    it('should reject a flush when a write since the previous flush failed', async function() {
+        const store = new MemoryTaskStore();
+        const save = store.save.bind(store);
+        store.save = async task => {
+            if (task.id === 'broken') {
+                throw new Error('disk full');
+            }
+            return save(task);
+        };
+        const queue = new RequestQueue({ ...FAST, store, handlers: { sign: never } });
+        queue.addRequest({ id: 'broken', type: 'sign', data: 'a' });
+        queue.addRequest({ id: 'fine', type: 'sign', data: 'b' });
+
+        let error = null;
+        await queue.flush().catch(err => { error = err; });
+        expect(error.message).to.equal('Failed to persist tasks broken: disk full');
+        expect((await store.get('fine')).data).to.equal('b');
+        await queue.flush();
+    });
+
+    it('should resume interrupted requests after a restart', async function() {
+        const before = new RequestQueue({ ...FAST, store: openStore(), handlers: { sign: never } });
+        before.addRequest({ id: 'running', type: 'sign', data: 'a' });
+        before.addRequest({ id: 'orphan', type: 'unknown-type', handler: never, data: 'b' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await before.flush();
+
+        const store = openStore();
+        const after = new RequestQueue({ ...FAST, store, handlers: { sign: async data => `signed ${data}` } });
+        const { resumed, failed } = await after.recover();
+
+        expect(resumed.map(r => r.id)).to.deep.equal(['running']);
+        expect(await resumed[0].promise).to.equal('signed a');
+        expect(failed).to.deep.equal([{ id: 'orphan', error: 'No handler registered for task type unknown-type' }]);
+
+        await after.flush();
+        expect(await store.get('running')).to.deep.include({ status: 'completed', result: 'signed a', attempts: 1 });
+    });
+
+    it('should mark interrupted requests failed when resuming is disabled', async function() {
+        const before = new RequestQueue({ ...FAST, store: openStore(), handlers: { sign: never } });
+        before.addRequest({ id: 'running', type: 'sign' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await before.flush();
+
+        const after = new RequestQueue({ ...FAST, store: openStore(), handlers: { sign: never }, resumeInterrupted: false });
+        const { resumed, failed } = await after.recover();
+        expect(resumed).to.deep.equal([]);
+        expect(failed).to.deep.equal([{ id: 'running', error: 'Interrupted by restart' }]);
+    });
+
+    it('should run a request once per idempotency key', async function() {
+        const store = new MemoryTaskStore();
+        let runs = 0;
+        const handlers = { sign: async data => { runs++; return data * 2; } };
+        const queue = new RequestQueue({ ...FAST, store, handlers });
+
+        const results = await Promise.all([
+            queue.addRequest({ type: 'sign', data: 21, idempotencyKey: 'job-1' }),
+            queue.addRequest({ type: 'sign', data: 21, idempotencyKey: 'job-1' })
+        ]);
+        expect(results).to.deep.equal([42, 42]);
+        await queue.flush();
+
+        const restarted = new RequestQueue({ ...FAST, store, handlers });
+        expect(await restarted.addRequest({ type: 'sign', data: 21, idempotencyKey: 'job-1' })).to.equal(42);
+        expect(runs).to.equal(1);
+    });
+
+    it('should recover scheduler tasks', async function() {
+        const store = new MemoryTaskStore();
+        const before = new TaskScheduler({ maxWorkers: 1, store, handlers: { sign: never } });
+        before.addTask({ id: 'first', type: 'sign', data: 1 });
+        before.addTask({ id: 'second', type: 'sign', data: 2 });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        before.stop();
+        await before.flush();
+
+        const after = new TaskScheduler({ maxWorkers: 2, store, handlers: { sign: async data => data + 1 } });
+        try {
+            const { resumed } = await after.recover();
+            expect(await Promise.all(resumed.map(r => r.promise))).to.deep.equal([2, 3]);
+            await after.flush();
+            expect((await store.list('task-scheduler', ['completed'])).map(t => t.id)).to.have.members(['first', 'second']);
+        } finally {
+            after.stop();
+        }
+    });
+});
@@ -0,0 +1,97 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TempFileCleaner = require('../../2. Output_Interface/Signature_Storage_Manager/erase_temp_files');
+
+const HOUR = 60 * 60;
+
+describe('TempFileCleaner', function() {
+    let cleaner;
+    let tempDir;
+    // Write a temp file last modified `hoursOld` hours ago
+    const tempFile = (name, hoursOld = 0, size = 16) => {
+        const filePath = path.join(cleaner.tempDir, name);
+        fs.writeFileSync(filePath, 'x'.repeat(size));
+        const mtime = Date.now() / 1000 - hoursOld * HOUR;
+        fs.utimesSync(filePath, mtime, mtime);
+        return filePath;
+    };
+    const names = (result) => result.deletedFiles.map(file => file.name).sort();
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'temp-cleaner-'));
+        cleaner = new TempFileCleaner(tempDir);
+    });
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should only delete known file types inside the temp directory', function() {
+        const outside = path.join(tempDir, 'outside.json');
+        fs.writeFileSync(outside, '{}');
+
+        expect(cleaner.isSafeToDelete(tempFile('sig.json'))).to.equal(true);
+        expect(cleaner.isSafeToDelete(tempFile('keys.pem'))).to.equal(false);
+        expect(cleaner.isSafeToDelete(outside)).to.equal(false);
+        expect(cleaner.isSafeToDelete(path.join(cleaner.tempDir, 'missing.json'))).to.equal(false);
+    });
+
+    it('should delete files older than the age limit', async function() {
+        tempFile('old.json', 48);
+        tempFile('old.pem', 48);
+        tempFile('new.json', 1);
+
+        const dryRun = await cleaner.cleanupByAge(24, true);
+        expect(names(dryRun)).to.deep.equal(['old.json']);
+        expect(fs.existsSync(path.join(cleaner.tempDir, 'old.json'))).to.equal(true);
+
+        const result = await cleaner.cleanupByAge(24);
+        expect(result.filesFound).to.equal(3);
+        expect(result.filesDeleted).to.equal(1);
+        expect(fs.readdirSync(cleaner.tempDir).sort()).to.deep.equal(['new.json', 'old.pem']);
+    });
+
+    it('should delete the oldest files until under the size limit', async function() {
+        tempFile('oldest.json', 3, 1024);
+        tempFile('older.json', 2, 1024);
+        tempFile('newest.json', 1, 1024);
+
+        const result = await cleaner.cleanupBySize(1.5 * 1024 / (1024 * 1024));
+        expect(result.deletedFiles.map(file => file.name)).to.deep.equal(['oldest.json', 'older.json']);
+        expect(result.totalSizeFreed).to.equal(2048);
+        expect(fs.readdirSync(cleaner.tempDir)).to.deep.equal(['newest.json']);
+    });
+
+    it('should delete a session\'s files', async function() {
+        tempFile('session1_signature_1.json');
+        tempFile('session1_signature_2.txt');
+        tempFile('session2_signature_1.json');
+
+        const result = await cleaner.cleanupBySession('session1');
+        expect(names(result)).to.deep.equal(['session1_signature_1.json', 'session1_signature_2.txt']);
+        expect(fs.readdirSync(cleaner.tempDir)).to.deep.equal(['session2_signature_1.json']);
+    });
+
+    it('should log every cleanup operation', async function() {
+        await cleaner.cleanupByAge(24);
+        await cleaner.cleanupBySession('session1');
+
+        const log = fs.readFileSync(path.join(cleaner.logDir, 'cleanup_operations.log'), 'utf8')
+            .trim().split('\n').map(line => JSON.parse(line));
+        expect(log.map(entry => entry.operation)).to.deep.equal(['cleanup_by_age', 'cleanup_by_session']);
+    });
+
+    it('should summarize the temp directory', function() {
+        tempFile('a.json', 0.5, 10);
+        tempFile('b.json', 12, 20);
+        tempFile('c.txt', 200, 30);
+
+        const stats = cleaner.getTempDirStats();
+        expect(stats).to.include({ totalFiles: 3, totalSize: 60 });
+        expect(stats.byExtension).to.deep.equal({ '.json': 2, '.txt': 1 });
+        expect(stats.byAge).to.deep.equal({ lessThan1Hour: 1, lessThan24Hours: 1, lessThan7Days: 0, moreThan7Days: 1 });
+        expect(stats.oldestFile.name).to.equal('c.txt');
+        expect(stats.newestFile.name).to.equal('a.json');
+    });
+});
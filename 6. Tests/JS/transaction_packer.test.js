@@ -0,0 +1,245 @@
+const { expect } = require('chai');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const TransactionPacker = require('../../2. Output_Interface/TX_Packer/packTransaction');
+const { compileContracts, deployVerifier } = require('./fixtures/hardhat');
+const { chipOutput: toChipOutput } = require('./fixtures/chain');
+
+const wallet = new ethers.Wallet(ethers.id('transaction packer key'));
+
+// Chip output of a message signed with the packer key
+const chipOutput = (message = 'hello chip') => toChipOutput(wallet.signMessageSync(message), message, wallet.address);
+
+const signatureBytes = (data) => '0x' + data.signature.r + data.signature.s + data.signature.v;
+
+describe('TransactionPacker', function() {
+    let packer;
+    beforeAll(() => compileContracts());
+    beforeEach(() => {
+        packer = new TransactionPacker(null, 1337);
+    });
+
+    it('should validate chip output', function() {
+        expect(packer.validateSignatureData(chipOutput())).to.deep.equal({ isValid: true, errors: [], warnings: [] });
+
+        const noTimestamp = chipOutput();
+        delete noTimestamp.timestamp;
+        expect(packer.validateSignatureData(noTimestamp).warnings).to.deep.equal(['Missing timestamp']);
+
+        const broken = chipOutput();
+        broken.signature.r = broken.signature.r.slice(2);
+        broken.signature.v = '1d';
+        broken.hash = 'zz' + broken.hash.slice(2);
+        const result = packer.validateSignatureData(broken);
+        expect(result.isValid).to.equal(false);
+        expect(result.errors).to.include.members([
+            'Invalid signature R component',
+            'Invalid signature V component',
+            'Invalid hash format'
+        ]);
+        expect(packer.validateSignatureData({ hash: chipOutput().hash }).errors).to.include('Missing signature object');
+    });
+
+    it('should pack submitSignature calls with the artifact ABI', function() {
+        const data = chipOutput();
+        const packed = packer.packSignatureTransaction(data, { contractAddress: ethers.ZeroAddress });
+
+        expect(packed.methodName).to.equal('submitSignature');
+        expect(packed.gasEstimate).to.equal(packer.defaultGasLimit);
+        expect(packed.transaction).to.include({ to: ethers.ZeroAddress, chainId: 1337, type: 0 });
+
+        const decoded = packer.getContractInterface().decodeFunctionData('submitSignature', packed.transaction.data);
+        expect(decoded.toArray()).to.deep.equal([data.message, signatureBytes(data), wallet.address]);
+    });
+
+    it('should take the message and signer from the options', function() {
+        const { message, signer, ...data } = chipOutput();
+        const packed = packer.packSignatureTransaction(data, { methodName: 'verifySignatureOnly', message, signer });
+
+        const decoded = packer.getContractInterface().decodeFunctionData('verifySignatureOnly', packed.transaction.data);
+        expect(decoded.toArray()).to.deep.equal([message, signatureBytes(chipOutput()), signer]);
+
+        expect(() => packer.packSignatureTransaction(data)).to.throw('submitSignature requires the signed message');
+        expect(() => packer.packSignatureTransaction({ ...data, message }))
+            .to.throw('submitSignature requires a valid signer address');
+    });
+
+    it('should pack verifyTypedSignature calls', function() {
+        const data = { ...chipOutput(), domainSeparator: ethers.id('domain'), structHash: ethers.id('struct') };
+        const packed = packer.packSignatureTransaction(data, { methodName: 'verifyTypedSignature' });
+
+        const decoded = packer.getContractInterface().decodeFunctionData('verifyTypedSignature', packed.transaction.data);
+        expect(decoded.toArray()).to.deep.equal([data.domainSeparator, data.structHash, signatureBytes(data), wallet.address]);
+
+        delete data.structHash;
+        expect(() => packer.packSignatureTransaction(data, { methodName: 'verifyTypedSignature' }))
+            .to.throw(/requires 32-byte domainSeparator and structHash/);
+    });
+
+    it('should fail at pack time for methods the contract does not have', function() {
+        const invalid = { signature: {} };
+        expect(() => packer.packSignatureTransaction(invalid, { methodName: 'verifySignature' }))
+            .to.throw('SignatureVerifier has no method verifySignature');
+        expect(() => packer.packSignatureTransaction(chipOutput(), { methodName: 'pause' }))
+            .to.throw('SignatureVerifier.pause does not take signature data');
+    });
+
+    it('should explain how to build a missing artifact', function() {
+        packer = new TransactionPacker(null, 1337, { artifactPath: path.join(__dirname, 'missing.json') });
+        expect(() => packer.packSignatureTransaction(chipOutput())).to.throw(/Run `npx hardhat compile` first/);
+    });
+
+    it('should refuse to pack invalid signature data', function() {
+        const data = chipOutput();
+        data.signature.s = '';
+        expect(() => packer.packSignatureTransaction(data)).to.throw(/^Invalid signature data: Invalid signature S component/);
+    });
+
+    it('should pack batches and reject invalid ones', function() {
+        const batch = ['one', 'two', 'three'].map(message => chipOutput(message));
+        const packed = packer.packBatchTransaction(batch, { maxBatchSize: 3 });
+        expect(packed.batchSize).to.equal(3);
+        expect(packed.gasEstimate).to.equal(packer.estimateBatchGas(packed.transaction.data, 3));
+
+        const decoded = packer.getContractInterface().decodeFunctionData('batchVerifySignatures', packed.transaction.data);
+        expect(decoded.messages.toArray()).to.deep.equal(['one', 'two', 'three']);
+        expect(decoded.signatures.toArray()).to.deep.equal(batch.map(signatureBytes));
+        expect(decoded.signers.toArray()).to.deep.equal(batch.map(() => wallet.address));
+
+        expect(() => packer.packBatchTransaction([])).to.throw('Invalid signatures array');
+        expect(() => packer.packBatchTransaction(batch, { maxBatchSize: 2 })).to.throw('Batch size exceeds maximum of 2');
+        delete batch[2].signer;
+        expect(() => packer.packBatchTransaction(batch)).to.throw('Missing message or signer at indices: 2');
+        batch[1].hash = '';
+        expect(() => packer.packBatchTransaction(batch)).to.throw('Invalid signatures found at indices: 1');
+    });
+
+    it('should build truncated receipt templates', function() {
+        const data = chipOutput();
+        const packed = packer.packSignatureTransaction(data);
+        const receipt = packer.createTransactionReceipt(packed, '0x1234');
+
+        expect(receipt).to.include({ txHash: '0x1234', status: 'PENDING', chainId: 1337 });
+        expect(receipt.signature.r).to.equal(data.signature.r.substring(0, 16) + '...');
+        expect(receipt.hash).to.equal(data.hash.substring(0, 16) + '...');
+    });
+
+    it('should require a provider for transaction status', async function() {
+        try {
+            await packer.getTransactionStatus('0x' + '00'.repeat(32));
+            expect.fail('expected the status lookup to fail');
+        } catch (error) {
+            expect(error.message).to.equal('Provider not set');
+        }
+    });
+
+    describe('on the Hardhat network', function() {
+        let provider;
+        let verifier;
+        let owner;
+        let accounts;
+        beforeEach(async () => {
+            ({ provider, verifier, owner, accounts } = await loadFixture(deployVerifier));
+            packer = new TransactionPacker(provider, 1337);
+            await packer.updateGasSettings();
+        });
+
+        it('should pack EIP-1559 transactions with network fees', function() {
+            const packed = packer.packSignatureTransaction(chipOutput());
+            expect(packed.transaction.type).to.equal(2);
+            expect(packed.transaction.maxFeePerGas).to.be.a('bigint');
+            expect(packed.transaction.maxPriorityFeePerGas).to.be.a('bigint');
+            expect(packed.gasEstimate).to.equal(packer.defaultGasLimit);
+        });
+
+        it('should estimate the gas limit of long messages with the provider', async function() {
+            const contractAddress = await verifier.getAddress();
+            const packed = packer.packSignatureTransaction(chipOutput('x'.repeat(6000)), { contractAddress });
+            const { to, data } = packed.transaction;
+            const estimate = await provider.estimateGas({ from: owner.address, to, data });
+
+            const gasLimit = await packer.estimateGas(packed, owner.address);
+            expect(gasLimit).to.equal(Math.ceil(Number(estimate) * 1.2));
+            expect(packed.transaction.gasLimit).to.equal(gasLimit);
+
+            const exported = await packer.exportUnsignedTransaction(packed, { from: owner.address, nonce: 0 });
+            expect(exported.gasLimit).to.equal(String(gasLimit));
+
+            const { maxFeePerGas, maxPriorityFeePerGas } = packed.transaction;
+            const tx = await owner.sendTransaction({ to, data, gasLimit, maxFeePerGas, maxPriorityFeePerGas });
+            expect((await tx.wait()).status).to.equal(1);
+        });
+
+        it('should build transactions the deployed contract accepts', async function() {
+            const contractAddress = await verifier.getAddress();
+            const { transaction } = packer.packSignatureTransaction(chipOutput(), { contractAddress });
+            const { to, data, gasLimit, maxFeePerGas, maxPriorityFeePerGas } = transaction;
+
+            const tx = await owner.sendTransaction({ to, data, gasLimit, maxFeePerGas, maxPriorityFeePerGas });
+            await expect(tx).to.emit(verifier, 'SignatureVerified').withArgs(
+                wallet.address, ethers.keccak256(ethers.toUtf8Bytes('hello chip')), true, anyValue, anyValue
+            );
+            expect(await verifier.getSignerStats(wallet.address)).to.equal(1n);
+        });
+
+        it('should build submitEnvelope transactions', async function() {
+            const contractAddress = await verifier.getAddress();
+            const domain = { name: 'SignatureVerifier', version: '1', chainId: 1337, verifyingContract: contractAddress };
+            const types = {
+                Envelope: [
+                    { name: 'signer', type: 'address' },
+                    { name: 'message', type: 'string' },
+                    { name: 'nonce', type: 'uint256' },
+                    { name: 'deadline', type: 'uint256' }
+                ]
+            };
+            const value = { signer: wallet.address, message: 'hello chip', nonce: 0, deadline: 4102444800 };
+            const sig = ethers.Signature.from(wallet.signingKey.sign(ethers.TypedDataEncoder.hash(domain, types, value)));
+            const data = {
+                ...chipOutput(),
+                signature: { r: sig.r.slice(2), s: sig.s.slice(2), v: sig.v.toString(16) }
+            };
+
+            expect(() => packer.packSignatureTransaction(data, { contractAddress, methodName: 'submitEnvelope' }))
+                .to.throw('submitEnvelope requires the envelope nonce and deadline');
+            const { transaction } = packer.packSignatureTransaction(data, {
+                contractAddress, methodName: 'submitEnvelope', nonce: value.nonce, deadline: value.deadline
+            });
+            const { to, gasLimit, maxFeePerGas, maxPriorityFeePerGas } = transaction;
+            const tx = await owner.sendTransaction({ to, data: transaction.data, gasLimit, maxFeePerGas, maxPriorityFeePerGas });
+            await expect(tx).to.emit(verifier, 'SignatureVerified').withArgs(wallet.address, anyValue, true, anyValue, anyValue);
+            expect(await verifier.nonces(wallet.address)).to.equal(1n);
+        });
+
+        it('should build view calls the deployed contract answers', async function() {
+            const to = await verifier.getAddress();
+            const iface = packer.getContractInterface();
+
+            const single = packer.packSignatureTransaction(chipOutput(), { contractAddress: to, methodName: 'verifySignatureOnly' });
+            const [valid] = iface.decodeFunctionResult('verifySignatureOnly', await provider.call({ to, data: single.transaction.data }));
+            expect(valid).to.equal(true);
+
+            const batch = ['one', 'two'].map(message => chipOutput(message));
+            batch[1].signer = accounts[0].address;
+            const packed = packer.packBatchTransaction(batch, { contractAddress: to });
+            const [results] = iface.decodeFunctionResult('batchVerifySignatures', await provider.call({ to, data: packed.transaction.data }));
+            expect(results.toArray()).to.deep.equal([true, false]);
+        });
+
+        it('should report pending and confirmed transactions', async function() {
+            const tx = await owner.sendTransaction({ to: accounts[0].address, value: 1n });
+
+            const status = await packer.getTransactionStatus(tx.hash);
+            expect(status).to.include({ status: 'SUCCESS', confirmations: 1 });
+            expect(BigInt(status.gasUsed)).to.equal(21000n);
+
+            const confirmed = await packer.waitForConfirmation(tx.hash);
+            expect(confirmed.blockNumber).to.equal(status.blockNumber);
+
+            expect(await packer.getTransactionStatus('0x' + '00'.repeat(32)))
+                .to.deep.equal({ status: 'PENDING', confirmations: 0 });
+        });
+    });
+});
@@ -0,0 +1,129 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { createApp } = require('../../backend/app');
+const EthersUtils = require('../../5. Tools/JS/Ethers');
+const { deployVerifier } = require('./fixtures/hardhat');
+
+// The frontend flow: the wallet personal_signs a message, the backend checks
+// it (POST /verify), the signature is submitted to SignatureVerifier and the
+// on-chain outcome is logged through POST /log. Contract wallets (ERC-1271)
+// are checked by both through isValidSignature
+describe('UI to chain flow', function() {
+    let app;
+    let tempDir;
+    let ethersUtils;
+    let verifier;
+    let user;
+
+    beforeEach(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ui-to-chain-'));
+        const fixture = await loadFixture(deployVerifier);
+        app = createApp('production', {
+            auth: false,
+            logDir: tempDir,
+            chip: { isAvailable: async () => false },
+            provider: fixture.provider
+        });
+
+        user = fixture.accounts[0];
+        ethersUtils = new EthersUtils({ maxRetries: 1 });
+        ethersUtils.provider = fixture.provider;
+        ethersUtils.signer = await fixture.provider.getSigner(user.address);
+        verifier = ethersUtils.loadContract('SignatureVerifier', await fixture.verifier.getAddress(), fixture.verifier.interface);
+    });
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    async function submit(message, signature, signer = user.address) {
+        const receipt = await ethersUtils.sendTransaction(verifier, 'submitSignature', [message, signature, signer]);
+        const event = receipt.logs
+            .map(entry => verifier.interface.parseLog(entry))
+            .find(parsed => parsed && parsed.name === 'SignatureVerified');
+        return { receipt, event };
+    }
+
+    it('should agree with the backend on a valid signature and log the result', async function() {
+        const message = 'transfer 10 tokens to bob';
+        const signature = await user.signMessage(message);
+
+        const checked = await request(app).post('/verify').send({ message, signature, expectedAddress: user.address });
+        expect(checked.body).to.include({ success: true, valid: true, signer: user.address });
+
+        const { receipt, event } = await submit(message, signature);
+        expect(receipt.status).to.equal(1);
+        expect(event.args.signer).to.equal(user.address);
+        expect(event.args.isValid).to.equal(true);
+        expect(await verifier.getSignerStats(user.address)).to.equal(1n);
+
+        const logged = await request(app).post('/log').send({
+            type: 'onchain',
+            isValid: event.args.isValid,
+            sessionId: receipt.transactionHash
+        });
+        expect(logged.body).to.deep.equal({ success: true, sessionId: receipt.transactionHash, isValid: true });
+        const logFiles = fs.readdirSync(tempDir, { recursive: true });
+        expect(logFiles.some(file => file.endsWith('signature_validation.log'))).to.equal(true);
+    });
+
+    it('should agree with the backend on a tampered message', async function() {
+        const signature = await user.signMessage('transfer 10 tokens to bob');
+        const tampered = 'transfer 99 tokens to bob';
+
+        const checked = await request(app).post('/verify').send({ message: tampered, signature, expectedAddress: user.address });
+        expect(checked.body.valid).to.equal(false);
+
+        const { event } = await submit(tampered, signature);
+        expect(event.args.isValid).to.equal(false);
+    });
+
+    it('should not let the same signature be submitted twice', async function() {
+        const message = 'transfer 10 tokens to bob';
+        const signature = await user.signMessage(message);
+        await submit(message, signature);
+
+        try {
+            await submit(message, signature);
+            expect.fail('expected the second submission to fail');
+        } catch (error) {
+            expect(error.message).to.match(/signature already used/);
+        }
+        expect(await verifier.isSignatureUsed(message, signature, user.address)).to.equal(true);
+    });
+
+    it('should agree with the backend on a contract wallet signature', async function() {
+        const wallet = await hre.ethers.deployContract('MockERC1271Wallet', [user.address]);
+        const walletAddress = await wallet.getAddress();
+        const message = 'transfer 10 tokens to bob';
+        const signature = await user.signMessage(message);
+
+        const checked = await request(app).post('/verify').send({ message, signature, expectedAddress: walletAddress });
+        expect(checked.body).to.include({ success: true, valid: true, signer: walletAddress, signerType: 'contract', r: null });
+        const { event } = await submit(message, signature, walletAddress);
+        expect(event.args.signer).to.equal(walletAddress);
+        expect(event.args.isValid).to.equal(true);
+
+        const [stranger] = await hre.ethers.getSigners();
+        const forged = await stranger.signMessage('transfer 99 tokens to bob');
+        const rejected = await request(app).post('/verify').send({ message: 'transfer 99 tokens to bob', signature: forged, expectedAddress: walletAddress });
+        expect(rejected.body).to.include({ success: true, valid: false, signer: null, signerType: 'contract' });
+        expect((await submit('transfer 99 tokens to bob', forged, walletAddress)).event.args.isValid).to.equal(false);
+
+        // Signers without code are still recovered
+        const eoa = await request(app).post('/verify').send({ message, signature, expectedAddress: user.address });
+        expect(eoa.body).to.include({ valid: true, signer: user.address, signerType: 'eoa' });
+    });
+
+    it('should report a contract without ERC-1271 as not signed', async function() {
+        const signature = await user.signMessage('hello chip');
+        const res = await request(app)
+            .post('/verify')
+            .send({ message: 'hello chip', signature, expectedAddress: await verifier.getAddress() });
+        expect(res.body).to.include({ success: true, valid: false, signerType: 'contract' });
+    });
+});
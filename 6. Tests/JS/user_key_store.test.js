@@ -0,0 +1,122 @@
+const { expect } = require('chai');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const util = require('util');
+
+const LEGACY_SECRET = 'legacy-secret-exactly-32-bytes!!';
+const PRIVATE_KEY = '0x0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+
+/**
+ * Load a fresh copy of user_key_store.js with the given environment
+ */
+function loadKeyStore(env) {
+    let store;
+    const saved = { ...process.env };
+    Object.assign(process.env, { BCRYPT_ROUNDS: '4' }, env);
+    jest.isolateModules(() => {
+        store = require('../../backend/user_key_store');
+    });
+    process.env = saved;
+    return {
+        registerUser: util.promisify(store.registerUser),
+        authenticateUser: util.promisify(store.authenticateUser),
+        getDecryptedKey: util.promisify(store.getDecryptedKey),
+        rotateEncryptionKey: util.promisify(store.rotateEncryptionKey)
+    };
+}
+
+function query(dbPath, sql, params = []) {
+    const db = new sqlite3.Database(dbPath);
+    return util.promisify(db.all.bind(db))(sql, params).finally(() => db.close());
+}
+
+describe('user_key_store', function() {
+    let tempDir;
+    let dbPath;
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+        dbPath = path.join(tempDir, 'users.db');
+    });
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should store bcrypt hashes and AES-GCM encrypted keys', async function() {
+        const store = loadKeyStore({ USER_DB_PATH: dbPath, ENCRYPTION_SECRET: 'current-secret' });
+        await store.registerUser('alice', 'pw', PRIVATE_KEY);
+
+        const [row] = await query(dbPath, 'SELECT * FROM users');
+        expect(row.password_hash).to.match(/^\$2[aby]\$/);
+        expect(row.key_version).to.equal(1);
+        expect(row.encrypted_key.split(':')).to.have.length(4);
+
+        expect(await store.authenticateUser('alice', 'wrong')).to.equal(null);
+        expect((await store.authenticateUser('alice', 'pw')).username).to.equal('alice');
+        expect(await store.getDecryptedKey('alice')).to.equal(PRIVATE_KEY);
+    });
+
+    it('should reject a tampered ciphertext', async function() {
+        const store = loadKeyStore({ USER_DB_PATH: dbPath, ENCRYPTION_SECRET: 'current-secret' });
+        await store.registerUser('alice', 'pw', PRIVATE_KEY);
+
+        const [row] = await query(dbPath, 'SELECT encrypted_key FROM users');
+        const parts = row.encrypted_key.split(':');
+        parts[3] = (parts[3][0] === '0' ? '1' : '0') + parts[3].slice(1);
+        await query(dbPath, 'UPDATE users SET encrypted_key = ?', [parts.join(':')]);
+
+        try {
+            await store.getDecryptedKey('alice');
+            expect.fail('expected decryption to fail');
+        } catch (error) {
+            expect(error.message).to.match(/authentication failed/);
+        }
+    });
+
+    it('should migrate legacy rows on login', async function() {
+        await query(dbPath, `CREATE TABLE users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT UNIQUE NOT NULL,
+            password_hash TEXT NOT NULL,
+            encrypted_key TEXT NOT NULL
+        )`);
+        const iv = crypto.randomBytes(16);
+        const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(LEGACY_SECRET, 'utf8'), iv);
+        const legacyKey = iv.toString('hex') + ':' + cipher.update(PRIVATE_KEY, 'utf8', 'hex') + cipher.final('hex');
+        const legacyHash = crypto.createHash('sha256').update('pw').digest('hex');
+        await query(dbPath, 'INSERT INTO users (username, password_hash, encrypted_key) VALUES (?, ?, ?)',
+            ['bob', legacyHash, legacyKey]);
+
+        const store = loadKeyStore({ USER_DB_PATH: dbPath, ENCRYPTION_SECRET: LEGACY_SECRET });
+        expect(await store.getDecryptedKey('bob')).to.equal(PRIVATE_KEY);
+        expect(await store.authenticateUser('bob', 'wrong')).to.equal(null);
+        expect((await store.authenticateUser('bob', 'pw')).key_version).to.equal(1);
+
+        const [row] = await query(dbPath, 'SELECT * FROM users');
+        expect(row.password_hash).to.match(/^\$2[aby]\$/);
+        expect(row.key_version).to.equal(1);
+        expect(await store.getDecryptedKey('bob')).to.equal(PRIVATE_KEY);
+    });
+
+    it('should rotate the master secret by re-encrypting every row', async function() {
+        const v1 = loadKeyStore({ USER_DB_PATH: dbPath, ENCRYPTION_SECRET: 'old-secret' });
+        await v1.registerUser('alice', 'pw', PRIVATE_KEY);
+        await v1.registerUser('carol', 'pw', PRIVATE_KEY);
+
+        const rotating = loadKeyStore({
+            USER_DB_PATH: dbPath,
+            ENCRYPTION_SECRET: 'new-secret',
+            ENCRYPTION_KEY_VERSION: '2',
+            ENCRYPTION_SECRET_V1: 'old-secret'
+        });
+        expect(await rotating.rotateEncryptionKey()).to.equal(2);
+        expect(await rotating.rotateEncryptionKey()).to.equal(0);
+
+        const v2 = loadKeyStore({ USER_DB_PATH: dbPath, ENCRYPTION_SECRET: 'new-secret', ENCRYPTION_KEY_VERSION: '2' });
+        expect(await v2.getDecryptedKey('carol')).to.equal(PRIVATE_KEY);
+        const rows = await query(dbPath, 'SELECT key_version FROM users');
+        expect(rows.map(row => row.key_version)).to.deep.equal([2, 2]);
+    });
+});
@@ -1,5 +1,5 @@
 const { expect } = require('chai');
-const Web3Utils = require('../../6. Tools/JS/Web3');
+const Web3Utils = require('../../5. Tools/JS/Web3');
 
 describe('Web3Utils', function() {
     let web3Utils;
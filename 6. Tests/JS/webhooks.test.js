@@ -0,0 +1,431 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { createApp } = require('../../backend/app');
+const { createWebhookRoutes } = require('../../backend/webhooks');
+const { SQLiteWebhookStore } = require('../../3. Blockchain_Interaction/Contract_Events/webhookStore');
+const { WebhookDispatcher, signPayload, verifyWebhookSignature } = require('../../3. Blockchain_Interaction/Contract_Events/webhookDispatcher');
+const { EventIndexer } = require('../../3. Blockchain_Interaction/Contract_Events/eventIndexer');
+const { SQLiteEventStore } = require('../../3. Blockchain_Interaction/Contract_Events/eventStore');
+const { syncEvents } = require('../../3. Blockchain_Interaction/Scripts/listen_events');
+const { deployVerifier } = require('./fixtures/hardhat');
+
+const SECRET = 'test-secret-0123456789';
+
+const event = (eventName, logIndex, args = {}) => ({
+    eventName,
+    blockNumber: 7,
+    blockHash: '0x' + '11'.repeat(32),
+    transactionHash: '0x' + '22'.repeat(32),
+    logIndex,
+    args
+});
+
+// WebhookDispatcher outbox, retries and dead letters, the /webhooks routes and
+// delivery of events read by EventIndexer and EventListener
+describe('Webhooks', function() {
+    let server;
+    let url;
+    let received;
+    let status;
+    let store;
+    let dispatcher;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ path: req.url, headers: req.headers, body });
+                res.writeHead(status(received.length)).end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterAll(async () => {
+        jest.restoreAllMocks();
+        await new Promise(resolve => server.close(resolve));
+    });
+    beforeEach(() => {
+        received = [];
+        status = () => 200;
+        store = new SQLiteWebhookStore(':memory:');
+        dispatcher = new WebhookDispatcher({ store, baseDelay: 1000, maxAttempts: 3 });
+    });
+    afterEach(async () => {
+        await dispatcher.stop();
+        await store.close();
+    });
+
+    it('should sign deliveries and only send subscribed event types', async function() {
+        const all = await dispatcher.subscribe({ url: `${url}/all`, secret: SECRET });
+        await dispatcher.subscribe({ url: `${url}/verified`, eventTypes: ['SignatureVerified'] });
+
+        const queued = await dispatcher.enqueue([
+            event('SignatureSubmitted', 0, { signer: '0xabc' }),
+            event('SignatureVerified', 1, { isValid: true })
+        ]);
+        expect(queued).to.equal(3);
+        expect(await dispatcher.dispatchDue()).to.deep.equal({ delivered: 3, retrying: 0, dead: 0 });
+
+        expect(received.map(req => [req.path, req.headers['x-webhook-event']])).to.deep.equal([
+            ['/all', 'SignatureSubmitted'],
+            ['/all', 'SignatureVerified'],
+            ['/verified', 'SignatureVerified']
+        ]);
+        const [first] = received;
+        expect(JSON.parse(first.body)).to.deep.equal({
+            id: `${'0x' + '22'.repeat(32)}:0`,
+            type: 'SignatureSubmitted',
+            blockNumber: 7,
+            blockHash: '0x' + '11'.repeat(32),
+            transactionHash: '0x' + '22'.repeat(32),
+            logIndex: 0,
+            args: { signer: '0xabc' }
+        });
+        const timestamp = first.headers['x-webhook-timestamp'];
+        const signature = first.headers['x-webhook-signature'];
+        expect(signature).to.equal(signPayload(all.secret, timestamp, first.body));
+        expect(verifyWebhookSignature({ secret: SECRET, body: first.body, timestamp, signature })).to.equal(true);
+        expect(verifyWebhookSignature({ secret: SECRET, body: first.body + ' ', timestamp, signature })).to.equal(false);
+        expect(verifyWebhookSignature({ secret: 'another-secret-0000', body: first.body, timestamp, signature })).to.equal(false);
+        const stale = String(Number(timestamp) - 600);
+        expect(verifyWebhookSignature({
+            secret: SECRET, body: first.body, timestamp: stale, signature: signPayload(SECRET, stale, first.body)
+        })).to.equal(false);
+
+        // Delivered entries are not sent again
+        expect(await dispatcher.dispatchDue()).to.deep.equal({ delivered: 0, retrying: 0, dead: 0 });
+    });
+
+    it('should back off exponentially, dead-letter and replay', async function() {
+        expect([1, 2, 3, 4].map(attempts => dispatcher.retryDelay(attempts))).to.deep.equal([1000, 2000, 4000, 8000]);
+        expect(new WebhookDispatcher({ store, maxDelay: 5000 }).retryDelay(10)).to.equal(5000);
+
+        status = () => 500;
+        await dispatcher.subscribe({ url });
+        await dispatcher.enqueue(event('ContractPaused', 0));
+
+        const before = Date.now();
+        expect(await dispatcher.dispatchDue()).to.deep.equal({ delivered: 0, retrying: 1, dead: 0 });
+        let [delivery] = await store.listDeliveries();
+        expect(delivery).to.include({ status: 'pending', attempts: 1, lastError: 'Webhook responded with status 500' });
+        expect(delivery.nextAttemptAt).to.be.at.least(before + 1000);
+        // Not due yet
+        expect(await dispatcher.dispatchDue()).to.deep.equal({ delivered: 0, retrying: 0, dead: 0 });
+
+        // Make every retry due
+        const due = async () => {
+            await store.updateDelivery(delivery.id, { ...delivery, nextAttemptAt: 0 });
+            const result = await dispatcher.dispatchDue();
+            [delivery] = await store.listDeliveries();
+            return result;
+        };
+        expect(await due()).to.deep.equal({ delivered: 0, retrying: 1, dead: 0 });
+        expect(delivery.nextAttemptAt - delivery.updatedAt).to.be.within(1990, 2010);
+        expect(await due()).to.deep.equal({ delivered: 0, retrying: 0, dead: 1 });
+        expect(received).to.have.lengthOf(3);
+
+        const deadLetters = await dispatcher.listDeadLetters();
+        expect(deadLetters.map(dead => [dead.id, dead.status, dead.attempts])).to.deep.equal([[delivery.id, 'dead', 3]]);
+        expect(await dispatcher.replay('unknown')).to.equal(null);
+
+        status = () => 204;
+        const replayed = await dispatcher.replay(delivery.id);
+        expect(replayed).to.include({ status: 'pending', attempts: 0 });
+        expect(await dispatcher.replay(delivery.id)).to.equal(null);
+        expect(await dispatcher.dispatchDue()).to.deep.equal({ delivered: 1, retrying: 0, dead: 0 });
+        expect(await dispatcher.listDeadLetters()).to.deep.equal([]);
+        expect(received[3].headers['x-webhook-id']).to.equal(received[0].headers['x-webhook-id']);
+        expect(dispatcher.getStats()).to.include({ delivered: 1, failedAttempts: 3, deadLettered: 1 });
+    });
+
+    it('should count unreachable receivers as failed attempts', async function() {
+        dispatcher = new WebhookDispatcher({ store, maxAttempts: 1, timeout: 200 });
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const closedUrl = `http://127.0.0.1:${closed.address().port}`;
+        await new Promise(resolve => closed.close(resolve));
+
+        const subscription = await dispatcher.subscribe({ url: closedUrl });
+        await dispatcher.enqueue(event('ContractPaused', 0));
+        expect(await dispatcher.dispatchDue()).to.deep.equal({ delivered: 0, retrying: 0, dead: 1 });
+        expect((await dispatcher.listDeadLetters())[0].lastError).to.be.a('string').and.not.empty;
+
+        // Unsubscribing drops the subscription's outbox
+        expect(await dispatcher.unsubscribe(subscription.id)).to.equal(true);
+        expect(await dispatcher.unsubscribe(subscription.id)).to.equal(false);
+        expect(await store.listDeliveries()).to.deep.equal([]);
+    });
+
+    it('should keep the outbox across restarts and skip events already queued', async function() {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+        const dbPath = path.join(tempDir, 'webhooks.db');
+        try {
+            const first = new WebhookDispatcher({ store: new SQLiteWebhookStore(dbPath) });
+            await first.subscribe({ url, secret: SECRET });
+            expect(await first.enqueue([event('SignatureSubmitted', 0), event('SignatureVerified', 1)])).to.equal(2);
+            await first.store.close();
+
+            const restarted = new WebhookDispatcher({ store: new SQLiteWebhookStore(dbPath) });
+            expect(await restarted.enqueue(event('SignatureSubmitted', 0))).to.equal(0);
+            expect(await restarted.dispatchDue()).to.deep.equal({ delivered: 2, retrying: 0, dead: 0 });
+            expect(await restarted.listSubscriptions()).to.have.lengthOf(1);
+            expect((await restarted.listSubscriptions())[0]).to.not.have.property('secret');
+            await restarted.store.close();
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should deliver from the polling loop', async function() {
+        dispatcher = new WebhookDispatcher({ store, pollInterval: 10 });
+        await dispatcher.subscribe({ url });
+        dispatcher.start();
+        await dispatcher.enqueue(event('ContractUnpaused', 0));
+
+        const deadline = Date.now() + 5000;
+        while (received.length === 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        await dispatcher.stop();
+        expect(received).to.have.lengthOf(1);
+        expect(dispatcher.getStats()).to.include({ delivered: 1, isRunning: false });
+    });
+
+    describe('backend routes', function() {
+        let app;
+
+        beforeEach(() => {
+            app = createApp('production', {
+                auth: false,
+                chip: { isAvailable: async () => false },
+                webhooks: dispatcher,
+                webhookAllowPrivateTargets: true
+            });
+        });
+
+        it('should manage subscriptions', async function() {
+            const created = await request(app).post('/webhooks').send({ url, eventTypes: ['SignatureVerified'] });
+            expect(created.status).to.equal(201);
+            expect(created.body.subscription).to.include({ url: `${url}/` });
+            expect(created.body.subscription.secret).to.match(/^[0-9a-f]{64}$/);
+
+            const list = await request(app).get('/webhooks');
+            expect(list.body.subscriptions).to.deep.equal([{
+                id: created.body.subscription.id,
+                url: `${url}/`,
+                eventTypes: ['SignatureVerified'],
+                createdAt: created.body.subscription.createdAt,
+                owner: null
+            }]);
+
+            const removed = await request(app).delete(`/webhooks/${created.body.subscription.id}`);
+            expect(removed.body).to.deep.equal({ success: true, id: created.body.subscription.id });
+            expect((await request(app).delete(`/webhooks/${created.body.subscription.id}`)).status).to.equal(404);
+        });
+
+        it('should reject invalid subscriptions', async function() {
+            const cases = [
+                [{ url: 'ftp://example.com' }, 'Webhook url must be an http(s) URL'],
+                [{}, 'Webhook url must be an http(s) URL'],
+                [{ url, eventTypes: ['Transfer'] }, 'Unknown event type: Transfer (expected SignatureSubmitted, SignatureVerified, ContractPaused, ContractUnpaused, MerkleRootAnchored)'],
+                [{ url, eventTypes: 'SignatureVerified' }, 'eventTypes must be an array of event names'],
+                [{ url, secret: 'short' }, 'secret must be at least 16 characters']
+            ];
+            for (const [body, error] of cases) {
+                const res = await request(app).post('/webhooks').send(body);
+                expect(res.status).to.equal(400);
+                expect(res.body).to.deep.equal({ success: false, error });
+            }
+        });
+
+        it('should list and replay dead letters', async function() {
+            status = () => 503;
+            dispatcher.config.maxAttempts = 1;
+            await dispatcher.subscribe({ url });
+            await dispatcher.enqueue(event('SignatureVerified', 3, { isValid: false }));
+            await dispatcher.dispatchDue();
+
+            const dead = await request(app).get('/webhooks/dead-letters');
+            expect(dead.body.deliveries).to.have.lengthOf(1);
+            const [delivery] = dead.body.deliveries;
+            expect(delivery).to.include({ eventType: 'SignatureVerified', status: 'dead', attempts: 1 });
+            expect(delivery.payload.args).to.deep.equal({ isValid: false });
+
+            status = () => 200;
+            const replay = await request(app).post(`/webhooks/dead-letters/${delivery.id}/replay`);
+            expect(replay.body.delivery).to.include({ id: delivery.id, status: 'pending', attempts: 0 });
+            expect((await request(app).post(`/webhooks/dead-letters/${delivery.id}/replay`)).status).to.equal(404);
+            expect(await dispatcher.dispatchDue()).to.include({ delivered: 1 });
+        });
+
+        it('should refuse private and loopback targets', async function() {
+            app = createApp('production', { auth: false, chip: { isAvailable: async () => false }, webhooks: dispatcher });
+            const targets = [url, 'http://localhost:8080/hook', 'http://10.1.2.3/', 'http://169.254.169.254/latest/meta-data',
+                'http://[::1]:3000/', 'http://[::ffff:127.0.0.1]/', 'http://[fd00::1]/', 'http://0.0.0.0/'];
+            for (const target of targets) {
+                const res = await request(app).post('/webhooks').send({ url: target });
+                expect(res.status, target).to.equal(400);
+                expect(res.body.error).to.match(/^Webhook url must not point at a private or loopback address/);
+            }
+            expect(await dispatcher.listSubscriptions()).to.deep.equal([]);
+
+            const accepted = await request(app).post('/webhooks').send({ url: 'https://93.184.216.34/hook' });
+            expect(accepted.status).to.equal(201);
+        });
+
+        it('should answer 503 without a webhook outbox', async function() {
+            app = createApp('production', { auth: false });
+            for (const res of [await request(app).get('/webhooks'), await request(app).post('/webhooks/dead-letters/x/replay')]) {
+                expect(res.status).to.equal(503);
+                expect(res.body).to.deep.equal({ success: false, error: 'Webhooks not configured' });
+            }
+        });
+    });
+
+    describe('subscription owners', function() {
+        // Routes signed in as the user named by X-User
+        function ownerApp(lookup) {
+            const owned = express();
+            owned.use(express.json());
+            const signIn = (req, res, next) => {
+                req.user = { username: req.get('X-User') };
+                next();
+            };
+            owned.use(createWebhookRoutes({ dispatcher, middleware: [signIn], lookup }).router);
+            return owned;
+        }
+        const publicLookup = async () => [{ address: '93.184.216.34', family: 4 }];
+
+        it('should only show and manage the signed-in user\'s subscriptions and dead letters', async function() {
+            const owned = ownerApp(publicLookup);
+            const alice = await request(owned).post('/webhooks').set('X-User', 'alice').send({ url: 'https://hooks.example.com/alice' });
+            const bob = await request(owned).post('/webhooks').set('X-User', 'bob').send({ url: 'https://hooks.example.com/bob' });
+            expect(alice.body.subscription.owner).to.equal('alice');
+
+            const listed = await request(owned).get('/webhooks').set('X-User', 'bob');
+            expect(listed.body.subscriptions.map(subscription => subscription.id)).to.deep.equal([bob.body.subscription.id]);
+            expect((await dispatcher.listSubscriptions()).length).to.equal(2);
+
+            // Alice's subscription cannot be removed by Bob
+            const stolen = await request(owned).delete(`/webhooks/${alice.body.subscription.id}`).set('X-User', 'bob');
+            expect(stolen.status).to.equal(404);
+            expect((await dispatcher.listSubscriptions('alice')).length).to.equal(1);
+
+            dispatcher.fetch = async () => ({ ok: false, status: 503 });
+            dispatcher.config.maxAttempts = 1;
+            await dispatcher.enqueue(event('SignatureVerified', 3, { isValid: false }));
+            await dispatcher.dispatchDue();
+            const [aliceDead] = (await request(owned).get('/webhooks/dead-letters').set('X-User', 'alice')).body.deliveries;
+            expect(aliceDead.subscriptionId).to.equal(alice.body.subscription.id);
+            expect((await request(owned).get('/webhooks/dead-letters').set('X-User', 'bob')).body.deliveries).to.have.lengthOf(1);
+            expect((await request(owned).post(`/webhooks/dead-letters/${aliceDead.id}/replay`).set('X-User', 'bob')).status).to.equal(404);
+            expect((await request(owned).post(`/webhooks/dead-letters/${aliceDead.id}/replay`).set('X-User', 'alice')).status).to.equal(200);
+
+            const removed = await request(owned).delete(`/webhooks/${alice.body.subscription.id}`).set('X-User', 'alice');
+            expect(removed.status).to.equal(200);
+        });
+
+        it('should refuse hosts that resolve to private addresses, also when delivering', async function() {
+            let resolved = '127.0.0.1';
+            const lookup = async () => [{ address: resolved, family: 4 }];
+            const owned = ownerApp(lookup);
+            const refused = await request(owned).post('/webhooks').set('X-User', 'alice').send({ url: 'http://internal.example.com/' });
+            expect(refused.status).to.equal(400);
+            expect(refused.body.error).to.equal('Webhook url must not point at a private or loopback address (internal.example.com)');
+
+            // A host that resolves to a public address at subscription time and a private one afterwards
+            resolved = '93.184.216.34';
+            const created = await request(owned).post('/webhooks').set('X-User', 'alice').send({ url: 'http://rebind.example.com/' });
+            expect(created.status).to.equal(201);
+            resolved = '10.0.0.5';
+            const sent = [];
+            dispatcher.fetch = async target => { sent.push(target); return { ok: true, status: 200 }; };
+            dispatcher.lookup = lookup;
+            await dispatcher.enqueue(event('SignatureVerified', 4));
+            expect(await dispatcher.dispatchDue()).to.include({ delivered: 0, retrying: 1 });
+            expect(sent).to.deep.equal([]);
+
+            // Operator subscriptions (without an owner) are delivered to any host
+            await dispatcher.subscribe({ url });
+            await dispatcher.enqueue(event('SignatureVerified', 5));
+            expect(await dispatcher.dispatchDue()).to.include({ delivered: 1 });
+            expect(sent).to.deep.equal([`${url}/`]);
+        });
+    });
+
+    describe('contract events', function() {
+        let provider;
+        let verifier;
+        let alice;
+
+        beforeEach(async () => {
+            let accounts;
+            ({ provider, verifier, accounts } = await loadFixture(deployVerifier));
+            [alice] = accounts;
+            await dispatcher.subscribe({ url, eventTypes: ['SignatureVerified'] });
+        });
+
+        async function submit(message) {
+            const signature = await alice.signMessage(message);
+            await (await verifier.connect(alice).submitSignature(message, signature, alice.address)).wait();
+        }
+
+        it('should queue events indexed by EventIndexer', async function() {
+            const eventStore = new SQLiteEventStore(':memory:');
+            const startBlock = await provider.getBlockNumber() + 1;
+            const contractAddress = await verifier.getAddress();
+            const indexer = new EventIndexer({ provider, store: eventStore, contractAddress, confirmations: 0, startBlock, webhooks: dispatcher });
+            try {
+                await submit('hello');
+                // The checkpoint only moves once the events are queued
+                const enqueue = dispatcher.enqueue;
+                dispatcher.enqueue = async () => { throw new Error('outbox unavailable'); };
+                let error;
+                await indexer.sync().catch(err => { error = err; });
+                expect(error.message).to.equal('outbox unavailable');
+                expect(await eventStore.getCheckpoint(contractAddress)).to.equal(null);
+
+                dispatcher.enqueue = enqueue;
+                await indexer.sync();
+                expect(await dispatcher.dispatchDue()).to.include({ delivered: 1 });
+                const payload = JSON.parse(received[0].body);
+                expect(payload).to.include({ type: 'SignatureVerified', blockNumber: startBlock });
+                expect(payload.args).to.include({ signer: alice.address, isValid: true });
+            } finally {
+                await eventStore.close();
+            }
+        });
+
+        it('should queue events read by EventListener', async function() {
+            const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-listener-'));
+            try {
+                const fromBlock = await provider.getBlockNumber() + 1;
+                await submit('first');
+                await submit('second');
+                const { eventsFound } = await syncEvents({
+                    provider,
+                    webhooks: dispatcher,
+                    contractAddress: await verifier.getAddress(),
+                    fromBlock,
+                    logFile: path.join(tempDir, 'verified_tx_log.json'),
+                    eventLogFile: path.join(tempDir, 'event_log.json')
+                });
+                expect(eventsFound).to.equal(4);
+                expect(await dispatcher.dispatchDue()).to.include({ delivered: 2 });
+                expect(received.map(req => JSON.parse(req.body).blockNumber)).to.deep.equal([fromBlock, fromBlock + 1]);
+            } finally {
+                fs.rmSync(tempDir, { recursive: true, force: true });
+            }
+        });
+    });
+});
@@ -0,0 +1,224 @@
+/**
+ * Multi-user session simulation for the Virtual Chip Signature System
+ * Drives the backend with several concurrent users: each registers, logs in,
+ * signs messages, runs a batch job and verifies every signature recovers to
+ * their own key. Then checks that sessions are isolated (users cannot read
+ * each other's jobs) and that logged-out tokens are rejected.
+ *
+ * Usage: node "6. Tests/MultiUser_Simulation/simulate_sessions.js" [--users 5] [--messages 3] [--batch 4]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+const DEFAULTS = {
+    users: 5,
+    messagesPerUser: 3,
+    batchSize: 4,
+    pollInterval: 20,
+    timeout: 30000
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a backend app for the simulation
+ * The user database location is read when the key store is first loaded, so
+ * set USER_DB_PATH (and ENCRYPTION_SECRET) before calling this
+ * @param {Object} options - Extra createApp options
+ * @returns {Object} - Express app
+ */
+function createSimulationApp(options = {}) {
+    const { createApp } = require('../../backend/app');
+    return createApp('production', {
+        jwtSecret: 'multi-user-simulation',
+        chip: { isAvailable: async () => false },
+        batchQueue: { maxConcurrent: 5, rateLimit: 60000, retryDelay: 10 },
+        ...options
+    });
+}
+
+/**
+ * Run the simulation
+ * @param {Object} options - Simulation options
+ * @param {Object} options.app - Backend app with authentication enabled
+ * @param {number} options.users - Concurrent users
+ * @param {number} options.messagesPerUser - Messages each user signs through POST /sign
+ * @param {number} options.batchSize - Messages each user signs through POST /sign/batch
+ * @param {number} options.pollInterval - Job polling interval in ms
+ * @param {number} options.timeout - Maximum time a batch job may take in ms
+ * @returns {Promise<Object>} - Report { users, signatures, batchItems, verified, isolationChecks, failures, durationMs }
+ */
+async function simulateSessions(options = {}) {
+    const config = { ...DEFAULTS, ...options };
+    // One listening server shared by every session, like a deployed backend
+    const server = await new Promise(resolve => {
+        const listening = config.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+        return await runSimulation(config, request(server));
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+async function runSimulation(config, client) {
+    const runId = Date.now().toString(36);
+    const startTime = Date.now();
+    const report = {
+        users: config.users,
+        signatures: 0,
+        batchItems: 0,
+        verified: 0,
+        isolationChecks: 0,
+        failures: []
+    };
+    const check = (condition, failure) => {
+        if (!condition) {
+            report.failures.push(failure);
+        }
+        return condition;
+    };
+
+    async function verify(session, message, signature) {
+        const res = await client.post('/verify').send({
+            message,
+            signature,
+            expectedAddress: session.address,
+            encoding: 'hash'
+        });
+        if (check(res.body.valid === true, `${session.username}: signature for "${message}" does not recover to ${session.address}`)) {
+            report.verified++;
+        }
+    }
+
+    async function waitForJob(session, jobId) {
+        const deadline = Date.now() + config.timeout;
+        while (Date.now() < deadline) {
+            const res = await session.agent(client.get(`/jobs/${jobId}`));
+            if (!['pending', 'processing'].includes(res.body.status)) {
+                return res.body;
+            }
+            await delay(config.pollInterval);
+        }
+        throw new Error(`Job ${jobId} did not finish within ${config.timeout}ms`);
+    }
+
+    async function runSession(index) {
+        const wallet = ethers.Wallet.createRandom();
+        const username = `sim-${runId}-${index}`;
+        const password = `password-${index}`;
+
+        const registered = await client.post('/auth/register').send({ username, password, privateKey: wallet.privateKey });
+        if (!check(registered.status === 201, `${username}: registration returned ${registered.status}`)) {
+            return null;
+        }
+        const login = await client.post('/auth/login').send({ username, password });
+        if (!check(login.status === 200, `${username}: login returned ${login.status}`)) {
+            return null;
+        }
+
+        const session = {
+            username,
+            address: wallet.address,
+            agent: req => req.set('Authorization', `Bearer ${login.body.token}`)
+        };
+
+        const messages = Array.from({ length: config.messagesPerUser }, (_, i) => `${username} message ${i}`);
+        await Promise.all(messages.map(async message => {
+            const res = await session.agent(client.post('/sign')).send({ message });
+            if (check(res.status === 200, `${username}: /sign returned ${res.status}`)) {
+                report.signatures++;
+                check(res.body.address === session.address, `${username}: /sign reported address ${res.body.address}`);
+                await verify(session, message, res.body.signature);
+            }
+        }));
+
+        const batch = Array.from({ length: config.batchSize }, (_, i) => `${username} batch ${i}`);
+        const created = await session.agent(client.post('/sign/batch')).send({ messages: batch });
+        if (check(created.status === 202, `${username}: /sign/batch returned ${created.status}`)) {
+            session.jobId = created.body.jobId;
+            const job = await waitForJob(session, session.jobId);
+            check(job.status === 'completed', `${username}: job ${session.jobId} ended ${job.status}`);
+            await Promise.all(job.items.filter(item => item.status === 'completed').map(item => {
+                report.batchItems++;
+                return verify(session, batch[item.index], item.result.signature);
+            }));
+        }
+        return session;
+    }
+
+    const sessions = (await Promise.all(
+        Array.from({ length: config.users }, (_, index) => runSession(index))
+    )).filter(Boolean);
+
+    // Every user must be unable to see the next user's job
+    await Promise.all(sessions.map(async (session, index) => {
+        const other = sessions[(index + 1) % sessions.length];
+        if (other === session || !other.jobId) {
+            return;
+        }
+        const res = await session.agent(client.get(`/jobs/${other.jobId}`));
+        report.isolationChecks++;
+        check(res.status === 404, `${session.username}: could read ${other.username}'s job (status ${res.status})`);
+    }));
+
+    await Promise.all(sessions.map(async session => {
+        await session.agent(client.post('/auth/logout'));
+        const res = await session.agent(client.post('/sign')).send({ message: 'after logout' });
+        check(res.status === 401, `${session.username}: signing after logout returned ${res.status}`);
+    }));
+
+    report.durationMs = Date.now() - startTime;
+    return report;
+}
+
+/**
+ * Parse --users, --messages and --batch command line options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - Simulation options
+ */
+function parseArgs(argv) {
+    const names = { '--users': 'users', '--messages': 'messagesPerUser', '--batch': 'batchSize' };
+    const options = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!names[argv[i]] || !(parseInt(argv[i + 1], 10) > 0)) {
+            throw new Error(`Invalid argument: ${argv[i]} ${argv[i + 1] || ''}`.trim());
+        }
+        options[names[argv[i]]] = parseInt(argv[i + 1], 10);
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // Keep simulated users out of the real user database
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simulate-sessions-'));
+    process.env.USER_DB_PATH = process.env.USER_DB_PATH || path.join(tempDir, 'users.db');
+    process.env.ENCRYPTION_SECRET = process.env.ENCRYPTION_SECRET || 'multi-user-simulation-secret';
+    process.env.BCRYPT_ROUNDS = process.env.BCRYPT_ROUNDS || '4';
+
+    try {
+        const report = await simulateSessions({ ...options, app: createSimulationApp({ logDir: tempDir }) });
+        console.log(JSON.stringify(report, null, 2));
+        process.exitCode = report.failures.length ? 1 : 0;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Simulation failed:', error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    simulateSessions,
+    createSimulationApp
+};
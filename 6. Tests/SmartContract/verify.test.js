@@ -0,0 +1,621 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const { hashLeaf, buildMerkleTree, getProof } = require('../../3. Blockchain_Interaction/Merkle_Anchoring/merkleTree');
+
+const { ethers } = hre;
+
+const ENVELOPE_TYPES = {
+    Envelope: [
+        { name: 'signer', type: 'address' },
+        { name: 'message', type: 'string' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+// (r, n - s, v ^ 1): recovers the same signer from a different encoding
+function malleate(signature) {
+    const { r, s, v } = ethers.Signature.from(signature);
+    const highS = ethers.N - BigInt(s);
+    return ethers.concat([r, ethers.toBeHex(highS, 32), ethers.toBeHex(v === 27 ? 28 : 27, 1)]);
+}
+
+// Runs under both `npx hardhat test` and Jest (hooks and fixtures common to both)
+describe('SignatureVerifier', function() {
+    async function deployFixture() {
+        // `hardhat test` compiles first; Jest does not
+        await hre.run('compile', { quiet: true });
+        const [owner, alice, bob] = await ethers.getSigners();
+        const verifier = await ethers.deployContract('SignatureVerifier');
+        return { verifier, owner, alice, bob };
+    }
+
+    describe('deployment', function() {
+        it('should make the deployer owner with every role', async function() {
+            const { verifier, owner } = await loadFixture(deployFixture);
+            expect(await verifier.owner()).to.equal(owner.address);
+            for (const role of [await verifier.DEFAULT_ADMIN_ROLE(), await verifier.PAUSER_ROLE(), await verifier.VERIFIER_ROLE()]) {
+                expect(await verifier.hasRole(role, owner.address)).to.equal(true);
+            }
+            expect(await verifier.paused()).to.equal(false);
+            expect(await verifier.submissionsRestricted()).to.equal(false);
+        });
+
+        it('should not be initializable or upgradeable outside a proxy', async function() {
+            const { verifier, owner } = await loadFixture(deployFixture);
+            await expect(verifier.initialize(owner.address))
+                .to.be.revertedWithCustomError(verifier, 'InvalidInitialization');
+            await expect(verifier.upgradeToAndCall(await verifier.getAddress(), '0x'))
+                .to.be.revertedWithCustomError(verifier, 'UUPSUnauthorizedCallContext');
+        });
+    });
+
+    describe('verifySignatureOnly', function() {
+        it('should accept a personal_sign signature from the expected signer', async function() {
+            const { verifier, alice, bob } = await loadFixture(deployFixture);
+            const signature = await alice.signMessage('hello chip');
+
+            expect(await verifier.verifySignatureOnly('hello chip', signature, alice.address)).to.equal(true);
+            expect(await verifier.verifySignatureOnly('hello chip', signature, bob.address)).to.equal(false);
+            expect(await verifier.verifySignatureOnly('hello chop', signature, alice.address)).to.equal(false);
+        });
+
+        it('should reject malformed input', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+            const signature = await alice.signMessage('hello chip');
+
+            await expect(verifier.verifySignatureOnly('', signature, alice.address))
+                .to.be.revertedWith('SignatureVerifier: message cannot be empty');
+            await expect(verifier.verifySignatureOnly('hello chip', signature.slice(0, -2), alice.address))
+                .to.be.revertedWith('SignatureVerifier: invalid signature length');
+            await expect(verifier.verifySignatureOnly('hello chip', signature, ethers.ZeroAddress))
+                .to.be.revertedWith('SignatureVerifier: invalid signer address');
+        });
+    });
+
+    describe('submitSignature', function() {
+        it('should record the signature and emit events', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+            const signature = await alice.signMessage('hello chip');
+            const messageHash = ethers.keccak256(ethers.toUtf8Bytes('hello chip'));
+
+            await expect(verifier.submitSignature('hello chip', signature, alice.address))
+                .to.emit(verifier, 'SignatureSubmitted')
+                .and.to.emit(verifier, 'SignatureVerified');
+
+            const [event] = await verifier.queryFilter(verifier.filters.SignatureVerified(alice.address, messageHash));
+            expect(event.args.isValid).to.equal(true);
+            expect(await verifier.isSignatureUsed('hello chip', signature, alice.address)).to.equal(true);
+            expect(await verifier.getSignerStats(alice.address)).to.equal(1n);
+
+            const [totalSignatures, totalVerifications, paused] = await verifier.getContractStats();
+            expect(totalSignatures).to.equal(1n);
+            expect(totalVerifications).to.equal(1n);
+            expect(paused).to.equal(false);
+        });
+
+        it('should record an invalid signature as not valid', async function() {
+            const { verifier, alice, bob } = await loadFixture(deployFixture);
+            const signature = await alice.signMessage('hello chip');
+
+            await verifier.submitSignature('hello chip', signature, bob.address);
+            const [event] = await verifier.queryFilter(verifier.filters.SignatureVerified(bob.address));
+            expect(event.args.isValid).to.equal(false);
+        });
+
+        it('should reject a resubmitted signature', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+            const signature = await alice.signMessage('hello chip');
+
+            await verifier.submitSignature('hello chip', signature, alice.address);
+            await expect(verifier.submitSignature('hello chip', signature, alice.address))
+                .to.be.revertedWith('SignatureVerifier: signature already used');
+        });
+
+        it('should reject submissions while paused', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+            const signature = await alice.signMessage('hello chip');
+
+            await expect(verifier.pause()).to.emit(verifier, 'ContractPaused');
+            await expect(verifier.submitSignature('hello chip', signature, alice.address))
+                .to.be.revertedWith('SignatureVerifier: contract is paused');
+
+            await expect(verifier.unpause()).to.emit(verifier, 'ContractUnpaused');
+            await verifier.submitSignature('hello chip', signature, alice.address);
+        });
+    });
+
+    describe('signature malleability', function() {
+        it('should not accept the high-s copy of a signature', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+            const signature = await alice.signMessage('hello chip');
+            const malleated = malleate(signature);
+
+            await verifier.submitSignature('hello chip', signature, alice.address);
+            await expect(verifier.submitSignature('hello chip', malleated, alice.address))
+                .to.emit(verifier, 'SignatureVerified')
+                .withArgs(alice.address, anyValue, false, anyValue, anyValue);
+            expect(await verifier.verifySignatureOnly('hello chip', malleated, alice.address)).to.equal(false);
+        });
+
+        it('should treat a 0/1 recovery id as a replay of the 27/28 signature', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+            const signature = await alice.signMessage('hello chip');
+            const v = ethers.getBytes(signature)[64];
+            const lowV = ethers.concat([ethers.dataSlice(signature, 0, 64), ethers.toBeHex(v - 27, 1)]);
+
+            expect(await verifier.verifySignatureOnly('hello chip', lowV, alice.address)).to.equal(true);
+            await verifier.submitSignature('hello chip', lowV, alice.address);
+            expect(await verifier.isSignatureUsed('hello chip', signature, alice.address)).to.equal(true);
+            await expect(verifier.submitSignature('hello chip', signature, alice.address))
+                .to.be.revertedWith('SignatureVerifier: signature already used');
+            await expect(verifier.submitSignature('hello chip', lowV, alice.address))
+                .to.be.revertedWith('SignatureVerifier: signature already used');
+        });
+    });
+
+    describe('submitEnvelope', function() {
+        async function signEnvelope(verifier, signer, message, overrides = {}) {
+            const domain = {
+                name: 'SignatureVerifier',
+                version: '1',
+                chainId: 1337,
+                verifyingContract: await verifier.getAddress(),
+                ...overrides.domain
+            };
+            const value = {
+                signer: signer.address,
+                message,
+                nonce: await verifier.nonces(signer.address),
+                deadline: await time.latest() + 3600,
+                ...overrides.value
+            };
+            return { value, signature: await signer.signTypedData(domain, ENVELOPE_TYPES, value), domain };
+        }
+        const submit = (verifier, { value, signature }) =>
+            verifier.submitEnvelope(value.message, value.nonce, value.deadline, signature, value.signer);
+
+        it('should match the EIP-712 digest signed by wallets', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+            const { value, domain } = await signEnvelope(verifier, alice, 'hello chip');
+
+            expect(await verifier.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+            expect(await verifier.getEnvelopeHash(value.signer, value.message, value.nonce, value.deadline))
+                .to.equal(ethers.TypedDataEncoder.hash(domain, ENVELOPE_TYPES, value));
+        });
+
+        it('should accept an envelope once and consume the nonce', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+            const envelope = await signEnvelope(verifier, alice, 'hello chip');
+
+            await expect(submit(verifier, envelope))
+                .to.emit(verifier, 'SignatureVerified')
+                .withArgs(alice.address, ethers.keccak256(ethers.toUtf8Bytes('hello chip')), true, anyValue, anyValue);
+            expect(await verifier.nonces(alice.address)).to.equal(1n);
+            expect(await verifier.getSignerStats(alice.address)).to.equal(1n);
+
+            // Replaying the same envelope, or signing the next one ahead of order, fails
+            await expect(submit(verifier, envelope)).to.be.revertedWith('SignatureVerifier: invalid nonce');
+            const ahead = await signEnvelope(verifier, alice, 'later', { value: { nonce: 2n } });
+            await expect(submit(verifier, ahead)).to.be.revertedWith('SignatureVerifier: invalid nonce');
+
+            await submit(verifier, await signEnvelope(verifier, alice, 'second'));
+            expect(await verifier.nonces(alice.address)).to.equal(2n);
+        });
+
+        it('should reject expired envelopes', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+            const envelope = await signEnvelope(verifier, alice, 'hello chip', { value: { deadline: await time.latest() + 60 } });
+
+            await time.increase(120);
+            await expect(submit(verifier, envelope)).to.be.revertedWith('SignatureVerifier: envelope expired');
+        });
+
+        it('should not accept envelopes signed for another contract or chain', async function() {
+            const { verifier, alice, bob } = await loadFixture(deployFixture);
+            const cases = [
+                await signEnvelope(verifier, alice, 'hello chip', { domain: { verifyingContract: bob.address } }),
+                await signEnvelope(verifier, alice, 'hello chip', { domain: { chainId: 1 } })
+            ];
+            for (const envelope of cases) {
+                await expect(submit(verifier, envelope))
+                    .to.emit(verifier, 'SignatureVerified')
+                    .withArgs(alice.address, anyValue, false, anyValue, anyValue);
+            }
+            // Invalid envelopes do not consume the nonce
+            expect(await verifier.nonces(alice.address)).to.equal(0n);
+
+            const forged = await signEnvelope(verifier, bob, 'hello chip', { value: { signer: alice.address } });
+            await expect(submit(verifier, forged))
+                .to.emit(verifier, 'SignatureVerified')
+                .withArgs(alice.address, anyValue, false, anyValue, anyValue);
+        });
+
+        it('should reject high-s envelope signatures and submissions while paused', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+            const envelope = await signEnvelope(verifier, alice, 'hello chip');
+
+            await expect(submit(verifier, { ...envelope, signature: malleate(envelope.signature) }))
+                .to.emit(verifier, 'SignatureVerified')
+                .withArgs(alice.address, anyValue, false, anyValue, anyValue);
+            expect(await verifier.nonces(alice.address)).to.equal(0n);
+            await verifier.pause();
+            await expect(submit(verifier, envelope)).to.be.revertedWith('SignatureVerifier: contract is paused');
+        });
+    });
+
+    describe('batchVerifySignatures', function() {
+        it('should verify every entry', async function() {
+            const { verifier, alice, bob } = await loadFixture(deployFixture);
+            const messages = ['one', 'two', 'three'];
+            const signatures = await Promise.all(messages.map(message => alice.signMessage(message)));
+
+            const results = await verifier.batchVerifySignatures(
+                messages, signatures, [alice.address, bob.address, alice.address]
+            );
+            expect(Array.from(results)).to.deep.equal([true, false, true]);
+        });
+
+        it('should fail only the malformed entries of a batch', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+            const signature = await alice.signMessage('one');
+            const badV = ethers.concat([ethers.dataSlice(signature, 0, 64), '0x05']);
+
+            const results = await verifier.batchVerifySignatures(
+                ['one', 'one', 'one'], [signature, malleate(signature), badV], Array(3).fill(alice.address)
+            );
+            expect(Array.from(results)).to.deep.equal([true, false, false]);
+        });
+
+        it('should reject mismatched, empty and oversized batches', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+            const signature = await alice.signMessage('one');
+
+            await expect(verifier.batchVerifySignatures(['one', 'two'], [signature], [alice.address]))
+                .to.be.revertedWith('SignatureVerifier: array lengths must match');
+            await expect(verifier.batchVerifySignatures([], [], []))
+                .to.be.revertedWith('SignatureVerifier: cannot verify empty array');
+            await expect(verifier.batchVerifySignatures(
+                Array(101).fill('one'), Array(101).fill(signature), Array(101).fill(alice.address)
+            )).to.be.revertedWith('SignatureVerifier: batch size too large');
+        });
+    });
+
+    describe('verifyTypedSignature', function() {
+        it('should verify an EIP-712 signature from its domain separator and struct hash', async function() {
+            const { verifier, alice, bob } = await loadFixture(deployFixture);
+            const domain = { name: 'VirtualChip', version: '1', chainId: 1337, verifyingContract: await verifier.getAddress() };
+            const types = { Approval: [{ name: 'owner', type: 'address' }, { name: 'amount', type: 'uint256' }] };
+            const value = { owner: alice.address, amount: 42 };
+
+            const signature = await alice.signTypedData(domain, types, value);
+            const domainSeparator = ethers.TypedDataEncoder.hashDomain(domain);
+            const structHash = ethers.TypedDataEncoder.from(types).hash(value);
+
+            expect(await verifier.verifyTypedSignature(domainSeparator, structHash, signature, alice.address)).to.equal(true);
+            expect(await verifier.verifyTypedSignature(domainSeparator, structHash, signature, bob.address)).to.equal(false);
+        });
+    });
+
+    describe('ERC-1271 contract wallets', function() {
+        // A wallet owned by alice: it signs whatever alice signs
+        async function walletFixture() {
+            const fixture = await deployFixture();
+            const wallet = await ethers.deployContract('MockERC1271Wallet', [fixture.alice.address]);
+            return { ...fixture, wallet, walletAddress: await wallet.getAddress() };
+        }
+
+        it('should ask signers with code through isValidSignature', async function() {
+            const { verifier, alice, bob, walletAddress } = await loadFixture(walletFixture);
+
+            expect(await verifier.verifySignatureOnly('hello chip', await alice.signMessage('hello chip'), walletAddress)).to.equal(true);
+            expect(await verifier.verifySignatureOnly('hello chip', await bob.signMessage('hello chip'), walletAddress)).to.equal(false);
+            expect(await verifier.verifySignatureOnly('hello chop', await alice.signMessage('hello chip'), walletAddress)).to.equal(false);
+        });
+
+        it('should record submissions under the wallet address', async function() {
+            const { verifier, alice, walletAddress } = await loadFixture(walletFixture);
+            const messageHash = ethers.keccak256(ethers.toUtf8Bytes('hello chip'));
+
+            await expect(verifier.submitSignature('hello chip', await alice.signMessage('hello chip'), walletAddress))
+                .to.emit(verifier, 'SignatureVerified')
+                .withArgs(walletAddress, messageHash, true, anyValue, anyValue);
+            expect(await verifier.getSignerStats(walletAddress)).to.equal(1n);
+            expect(await verifier.getSignerStats(alice.address)).to.equal(0n);
+        });
+
+        it('should pass signatures of any length to the wallet', async function() {
+            const { verifier, alice, walletAddress } = await loadFixture(walletFixture);
+            const signature = await alice.signMessage('hello chip');
+
+            // The mock only understands 65-byte signatures, so it answers "not signed" instead of reverting
+            expect(await verifier.verifySignatureOnly('hello chip', ethers.concat([signature, '0x00']), walletAddress)).to.equal(false);
+            await expect(verifier.verifySignatureOnly('hello chip', '0x', walletAddress))
+                .to.be.revertedWith('SignatureVerifier: invalid signature length');
+        });
+
+        it('should reject signatures for contracts without ERC-1271', async function() {
+            const { verifier, alice } = await loadFixture(walletFixture);
+            const signature = await alice.signMessage('hello chip');
+
+            expect(await verifier.verifySignatureOnly('hello chip', signature, await verifier.getAddress())).to.equal(false);
+        });
+
+        it('should accept envelopes and typed signatures signed for the wallet', async function() {
+            const { verifier, alice, bob, walletAddress } = await loadFixture(walletFixture);
+            const domain = { name: 'SignatureVerifier', version: '1', chainId: 1337, verifyingContract: await verifier.getAddress() };
+            const value = { signer: walletAddress, message: 'hello chip', nonce: 0n, deadline: await time.latest() + 3600 };
+
+            const forged = await bob.signTypedData(domain, ENVELOPE_TYPES, value);
+            await verifier.submitEnvelope(value.message, value.nonce, value.deadline, forged, walletAddress);
+            expect(await verifier.nonces(walletAddress)).to.equal(0n);
+
+            const signature = await alice.signTypedData(domain, ENVELOPE_TYPES, value);
+            await expect(verifier.submitEnvelope(value.message, value.nonce, value.deadline, signature, walletAddress))
+                .to.emit(verifier, 'SignatureVerified')
+                .withArgs(walletAddress, anyValue, true, anyValue, anyValue);
+            expect(await verifier.nonces(walletAddress)).to.equal(1n);
+
+            const domainSeparator = ethers.TypedDataEncoder.hashDomain(domain);
+            const structHash = ethers.TypedDataEncoder.from(ENVELOPE_TYPES).hash(value);
+            expect(await verifier.verifyTypedSignature(domainSeparator, structHash, signature, walletAddress)).to.equal(true);
+            expect(await verifier.verifyTypedSignature(domainSeparator, structHash, forged, walletAddress)).to.equal(false);
+        });
+    });
+
+    describe('meta-transactions', function() {
+        const FORWARD_REQUEST_TYPES = {
+            ForwardRequest: [
+                { name: 'from', type: 'address' },
+                { name: 'to', type: 'address' },
+                { name: 'value', type: 'uint256' },
+                { name: 'gas', type: 'uint256' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'deadline', type: 'uint48' },
+                { name: 'data', type: 'bytes' }
+            ]
+        };
+
+        async function forwarderFixture() {
+            const fixture = await deployFixture();
+            const forwarder = await ethers.deployContract('SignatureVerifierForwarder');
+            await fixture.verifier.setTrustedForwarder(await forwarder.getAddress());
+            return { ...fixture, forwarder };
+        }
+
+        // A forward request for a verifier call, signed by `from`
+        async function signRequest(forwarder, verifier, from, data) {
+            const { chainId } = await ethers.provider.getNetwork();
+            const domain = { name: 'SignatureVerifierForwarder', version: '1', chainId, verifyingContract: await forwarder.getAddress() };
+            const value = {
+                from: from.address,
+                to: await verifier.getAddress(),
+                value: 0n,
+                gas: 300000n,
+                nonce: await forwarder.nonces(from.address),
+                deadline: (await time.latest()) + 3600,
+                data
+            };
+            return { ...value, signature: await from.signTypedData(domain, FORWARD_REQUEST_TYPES, value) };
+        }
+
+        it('should let the admin set the trusted forwarder', async function() {
+            const { verifier, owner, alice, forwarder } = await loadFixture(forwarderFixture);
+            const forwarderAddress = await forwarder.getAddress();
+
+            expect(await verifier.trustedForwarder()).to.equal(forwarderAddress);
+            expect(await verifier.isTrustedForwarder(forwarderAddress)).to.equal(true);
+            await expect(verifier.connect(alice).setTrustedForwarder(alice.address))
+                .to.be.revertedWithCustomError(verifier, 'AccessControlUnauthorizedAccount');
+            await expect(verifier.setTrustedForwarder(ethers.ZeroAddress))
+                .to.emit(verifier, 'TrustedForwarderSet').withArgs(ethers.ZeroAddress, owner.address);
+            expect(await verifier.isTrustedForwarder(forwarderAddress)).to.equal(false);
+        });
+
+        it('should see the request signer, not the relayer, as the caller', async function() {
+            const { verifier, alice, bob, forwarder } = await loadFixture(forwarderFixture);
+            const signature = await alice.signMessage('hello chip');
+            const data = verifier.interface.encodeFunctionData('submitSignature', ['hello chip', signature, alice.address]);
+
+            // bob pays for alice's submission
+            await expect(forwarder.connect(bob).execute(await signRequest(forwarder, verifier, alice, data)))
+                .to.emit(verifier, 'SignatureSubmitted').withArgs(alice.address, anyValue, anyValue, anyValue, anyValue);
+            expect(await verifier.getSignerStats(alice.address)).to.equal(1n);
+            expect(await forwarder.nonces(alice.address)).to.equal(1n);
+
+            const root = ethers.id('root');
+            const anchor = verifier.interface.encodeFunctionData('anchorMerkleRoot', [root, 1]);
+            await expect(forwarder.connect(bob).execute(await signRequest(forwarder, verifier, alice, anchor)))
+                .to.emit(verifier, 'MerkleRootAnchored').withArgs(root, 1, alice.address, anyValue, anyValue);
+        });
+
+        it('should apply submission restrictions to the request signer', async function() {
+            const { verifier, alice, bob, forwarder } = await loadFixture(forwarderFixture);
+            const signature = await alice.signMessage('hello chip');
+            const data = verifier.interface.encodeFunctionData('submitSignature', ['hello chip', signature, alice.address]);
+            await verifier.setSubmissionsRestricted(true);
+            await verifier.grantRole(await verifier.VERIFIER_ROLE(), bob.address);
+
+            // The relayer (bob) being a verifier does not let alice through
+            await expect(forwarder.connect(bob).execute(await signRequest(forwarder, verifier, alice, data)))
+                .to.be.revertedWithCustomError(forwarder, 'FailedCall');
+            await verifier.grantRole(await verifier.VERIFIER_ROLE(), alice.address);
+            await expect(forwarder.connect(bob).execute(await signRequest(forwarder, verifier, alice, data)))
+                .to.emit(verifier, 'SignatureVerified');
+        });
+
+        it('should not lend the forwarder any role', async function() {
+            const { verifier, owner, alice, forwarder } = await loadFixture(forwarderFixture);
+            const data = verifier.interface.encodeFunctionData('pause');
+
+            // alice is not a pauser, whoever relays her request
+            await expect(forwarder.connect(owner).execute(await signRequest(forwarder, verifier, alice, data)))
+                .to.be.revertedWithCustomError(forwarder, 'FailedCall');
+            expect(await verifier.paused()).to.equal(false);
+
+            await verifier.setTrustedForwarder(ethers.ZeroAddress);
+            await expect(forwarder.execute(await signRequest(forwarder, verifier, alice, data)))
+                .to.be.revertedWithCustomError(forwarder, 'ERC2771UntrustfulTarget');
+        });
+    });
+
+    describe('Merkle anchoring', function() {
+        async function signedLeaves(signer, count) {
+            const leaves = [];
+            for (let i = 0; i < count; i++) {
+                const message = `anchored ${i}`;
+                const signature = await signer.signMessage(ethers.getBytes(ethers.id(message)));
+                leaves.push({ signer: signer.address, message, signature });
+            }
+            return leaves;
+        }
+
+        it('should compute the same leaves and accept the same proofs as the JS tree', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+            const entries = await signedLeaves(alice, 5);
+            const leaves = entries.map(hashLeaf);
+            const tree = buildMerkleTree(leaves);
+
+            expect(await verifier.getAnchorLeaf(alice.address, entries[0].message, entries[0].signature)).to.equal(leaves[0]);
+            for (let i = 0; i < leaves.length; i++) {
+                expect(await verifier.verifyInclusion(tree.root, leaves[i], getProof(tree, i))).to.equal(true);
+            }
+            expect(await verifier.verifyInclusion(tree.root, leaves[0], getProof(tree, 1))).to.equal(false);
+            expect(await verifier.verifyInclusion(tree.root, ethers.id('not a leaf'), getProof(tree, 0))).to.equal(false);
+        });
+
+        it('should anchor a root once', async function() {
+            const { verifier, owner } = await loadFixture(deployFixture);
+            const root = ethers.id('root');
+
+            await expect(verifier.anchorMerkleRoot(root, 1000))
+                .to.emit(verifier, 'MerkleRootAnchored').withArgs(root, 1000, owner.address, anyValue, anyValue);
+            expect(await verifier.anchoredAt(root)).to.equal(await time.latest());
+            await expect(verifier.anchorMerkleRoot(root, 1000)).to.be.revertedWith('SignatureVerifier: root already anchored');
+            await expect(verifier.anchorMerkleRoot(ethers.ZeroHash, 1)).to.be.revertedWith('SignatureVerifier: invalid root');
+            await expect(verifier.anchorMerkleRoot(ethers.id('empty'), 0)).to.be.revertedWith('SignatureVerifier: empty batch');
+        });
+
+        it('should follow the pause and submission restrictions', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+
+            await verifier.setSubmissionsRestricted(true);
+            await expect(verifier.connect(alice).anchorMerkleRoot(ethers.id('root'), 1))
+                .to.be.revertedWith('SignatureVerifier: caller is not a verifier');
+            await verifier.pause();
+            await expect(verifier.anchorMerkleRoot(ethers.id('root'), 1)).to.be.revertedWith('SignatureVerifier: contract is paused');
+        });
+    });
+
+    describe('access control', function() {
+        it('should restrict administration to role holders', async function() {
+            const { verifier, alice } = await loadFixture(deployFixture);
+            const asAlice = verifier.connect(alice);
+            const adminRole = await verifier.DEFAULT_ADMIN_ROLE();
+            const pauserRole = await verifier.PAUSER_ROLE();
+
+            await expect(asAlice.pause())
+                .to.be.revertedWithCustomError(verifier, 'AccessControlUnauthorizedAccount').withArgs(alice.address, pauserRole);
+            await expect(asAlice.grantRole(pauserRole, alice.address))
+                .to.be.revertedWithCustomError(verifier, 'AccessControlUnauthorizedAccount').withArgs(alice.address, adminRole);
+            await expect(asAlice.setSubmissionsRestricted(true))
+                .to.be.revertedWithCustomError(verifier, 'AccessControlUnauthorizedAccount').withArgs(alice.address, adminRole);
+            await expect(asAlice.emergencyWithdraw(alice.address))
+                .to.be.revertedWithCustomError(verifier, 'AccessControlUnauthorizedAccount').withArgs(alice.address, adminRole);
+            await expect(asAlice.transferOwnership(alice.address))
+                .to.be.revertedWithCustomError(verifier, 'OwnableUnauthorizedAccount').withArgs(alice.address);
+        });
+
+        it('should let pausers pause', async function() {
+            const { verifier, owner, alice } = await loadFixture(deployFixture);
+            const pauserRole = await verifier.PAUSER_ROLE();
+
+            await expect(verifier.grantRole(pauserRole, alice.address))
+                .to.emit(verifier, 'RoleGranted').withArgs(pauserRole, alice.address, owner.address);
+            await expect(verifier.connect(alice).pause()).to.emit(verifier, 'ContractPaused');
+            await verifier.revokeRole(pauserRole, alice.address);
+            await expect(verifier.connect(alice).unpause()).to.be.revertedWithCustomError(verifier, 'AccessControlUnauthorizedAccount');
+            await verifier.unpause();
+        });
+
+        it('should only accept submissions from verifiers while restricted', async function() {
+            const { verifier, owner, alice } = await loadFixture(deployFixture);
+            const signature = await alice.signMessage('hello chip');
+
+            await expect(verifier.setSubmissionsRestricted(true))
+                .to.emit(verifier, 'SubmissionsRestricted').withArgs(true, owner.address);
+            await expect(verifier.connect(alice).submitSignature('hello chip', signature, alice.address))
+                .to.be.revertedWith('SignatureVerifier: caller is not a verifier');
+            await expect(verifier.connect(alice).submitEnvelope('hello chip', 0, (await time.latest()) + 60, signature, alice.address))
+                .to.be.revertedWith('SignatureVerifier: caller is not a verifier');
+
+            await verifier.grantRole(await verifier.VERIFIER_ROLE(), alice.address);
+            await expect(verifier.connect(alice).submitSignature('hello chip', signature, alice.address))
+                .to.emit(verifier, 'SignatureVerified');
+
+            // The owner relays other signers' signatures
+            const other = await alice.signMessage('relayed');
+            await expect(verifier.submitSignature('relayed', other, alice.address)).to.emit(verifier, 'SignatureVerified');
+        });
+
+        it('should transfer ownership in two steps', async function() {
+            const { verifier, owner, alice, bob } = await loadFixture(deployFixture);
+            const adminRole = await verifier.DEFAULT_ADMIN_ROLE();
+
+            await expect(verifier.transferOwnership(alice.address))
+                .to.emit(verifier, 'OwnershipTransferStarted').withArgs(owner.address, alice.address);
+            expect(await verifier.owner()).to.equal(owner.address);
+            expect(await verifier.pendingOwner()).to.equal(alice.address);
+            await expect(verifier.connect(bob).acceptOwnership())
+                .to.be.revertedWithCustomError(verifier, 'OwnableUnauthorizedAccount').withArgs(bob.address);
+
+            // The admin role follows ownership
+            await expect(verifier.connect(alice).acceptOwnership())
+                .to.emit(verifier, 'OwnershipTransferred').withArgs(owner.address, alice.address);
+            expect(await verifier.owner()).to.equal(alice.address);
+            expect(await verifier.pendingOwner()).to.equal(ethers.ZeroAddress);
+            expect(await verifier.hasRole(adminRole, alice.address)).to.equal(true);
+            expect(await verifier.hasRole(adminRole, owner.address)).to.equal(false);
+            await verifier.connect(alice).grantRole(await verifier.PAUSER_ROLE(), alice.address);
+            await verifier.connect(alice).pause();
+
+            await expect(verifier.connect(alice).renounceOwnership())
+                .to.be.revertedWith('SignatureVerifier: ownership cannot be renounced');
+        });
+
+        it('should keep the admin role with the owner alone', async function() {
+            const { verifier, owner, alice, bob } = await loadFixture(deployFixture);
+            const adminRole = await verifier.DEFAULT_ADMIN_ROLE();
+
+            await expect(verifier.grantRole(adminRole, alice.address))
+                .to.be.revertedWith('SignatureVerifier: admin role follows ownership');
+            await expect(verifier.revokeRole(adminRole, owner.address))
+                .to.be.revertedWith('SignatureVerifier: admin role follows ownership');
+            await expect(verifier.renounceRole(adminRole, owner.address))
+                .to.be.revertedWith('SignatureVerifier: admin role follows ownership');
+            expect(await verifier.hasRole(adminRole, alice.address)).to.equal(false);
+            expect(await verifier.hasRole(adminRole, owner.address)).to.equal(true);
+
+            // Other roles are still granted and renounced as usual
+            const pauserRole = await verifier.PAUSER_ROLE();
+            await verifier.grantRole(pauserRole, bob.address);
+            await verifier.connect(bob).renounceRole(pauserRole, bob.address);
+            expect(await verifier.hasRole(pauserRole, bob.address)).to.equal(false);
+
+            // After a transfer the new owner cannot hand the role back either
+            await verifier.transferOwnership(alice.address);
+            await verifier.connect(alice).acceptOwnership();
+            await expect(verifier.connect(alice).grantRole(adminRole, owner.address))
+                .to.be.revertedWith('SignatureVerifier: admin role follows ownership');
+            expect(await verifier.hasRole(adminRole, owner.address)).to.equal(false);
+        });
+
+        it('should refuse an emergency withdrawal without a balance', async function() {
+            const { verifier, owner } = await loadFixture(deployFixture);
+            await expect(verifier.emergencyWithdraw(owner.address))
+                .to.be.revertedWith('SignatureVerifier: no ETH to withdraw');
+        });
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Merkle anchoring routes
+ * Queues signed messages in the AnchorBatcher, anchors pending batches on
+ * demand and serves inclusion proofs for anchored (or still pending) messages
+ */
+
+const express = require('express');
+
+const MAX_LIMIT = 100;
+
+/**
+ * Create the anchoring routes
+ * @param {Object} options - Route options
+ * @param {Object} options.batcher - AnchorBatcher
+ * @param {Array<Function>} options.middleware - Middleware run before routes that change state (e.g. requireAuth)
+ * @returns {Object} - { router }
+ */
+function createAnchorRoutes(options = {}) {
+    const { batcher, middleware = [] } = options;
+    if (!batcher) {
+        throw new Error('Anchor routes require a batcher');
+    }
+
+    const router = express.Router();
+    const fail = (res, err) => {
+        if (!err.status) {
+            console.error('Anchor route error:', err);
+        }
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    };
+
+    // POST /anchors/leaves - queue a message signed elsewhere { signer, message, signature }
+    router.post('/anchors/leaves', ...middleware, async (req, res) => {
+        try {
+            const { signer, message, signature } = req.body;
+            const { leaf, added } = await batcher.add({ signer, message, signature });
+            res.status(added ? 201 : 200).json({ success: true, leaf, added });
+        } catch (err) {
+            fail(res, err);
+        }
+    });
+
+    // POST /anchors - seal pending messages and anchor every sealed batch now
+    router.post('/anchors', ...middleware, async (req, res) => {
+        try {
+            res.json({ success: true, ...await batcher.anchorPending() });
+        } catch (err) {
+            fail(res, err);
+        }
+    });
+
+    // GET /anchors?status=&limit= - batches, newest first
+    router.get('/anchors', async (req, res) => {
+        const { status } = req.query;
+        const limit = req.query.limit === undefined ? MAX_LIMIT : parseInt(req.query.limit, 10);
+        if (status !== undefined && !['sealed', 'anchored'].includes(status)) {
+            return res.status(400).json({ success: false, error: 'status must be sealed or anchored' });
+        }
+        if (!(limit >= 1 && limit <= MAX_LIMIT)) {
+            return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_LIMIT}` });
+        }
+        try {
+            res.json({ success: true, batches: await batcher.listBatches({ status, limit }) });
+        } catch (err) {
+            fail(res, err);
+        }
+    });
+
+    // GET /anchors/:root - one batch
+    router.get('/anchors/:root', async (req, res) => {
+        try {
+            const batch = await batcher.getBatch(req.params.root);
+            if (!batch) {
+                return res.status(404).json({ success: false, error: 'Batch not found' });
+            }
+            res.json({ success: true, batch });
+        } catch (err) {
+            fail(res, err);
+        }
+    });
+
+    // GET /anchors/proofs/:leaf - inclusion proof of a queued message (status 'pending' until sealed)
+    router.get('/anchors/proofs/:leaf', async (req, res) => {
+        try {
+            const proof = await batcher.getProof(req.params.leaf);
+            if (!proof) {
+                return res.status(404).json({ success: false, error: 'Leaf not found' });
+            }
+            res.json({ success: true, ...proof });
+        } catch (err) {
+            fail(res, err);
+        }
+    });
+
+    return { router };
+}
+
+module.exports = {
+    createAnchorRoutes
+};
@@ -0,0 +1,636 @@
+/**
+ * Backend application factory
+ * Builds the Express app for every backend entry point (production, demo, mock)
+ * so route shapes and CORS handling stay identical and supertest can drive it
+ * without binding a port
+ */
+
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createSigner, signWithFallback, encodeTypedData, VirtualChipSigner } = require('./signers');
+const { createAuth } = require('./auth');
+const { verifySignature } = require('./verify');
+const BatchJobs = require('./batch_jobs');
+const { createEventRoutes } = require('./events');
+const { createWebhookRoutes } = require('./webhooks');
+const { createEnvelopeBuilder, serializeEnvelope } = require('./envelope');
+const { createAnchorRoutes } = require('./anchors');
+const { createRelayRoutes } = require('./relay');
+const { SQLiteTaskStore } = require('../5. Tools/Queue_Manager/taskStore');
+const TaskScheduler = require('../5. Tools/Queue_Manager/scheduler');
+const { SQLiteEventStore } = require('../3. Blockchain_Interaction/Contract_Events/eventStore');
+const { SQLiteWebhookStore } = require('../3. Blockchain_Interaction/Contract_Events/webhookStore');
+const { WebhookDispatcher } = require('../3. Blockchain_Interaction/Contract_Events/webhookDispatcher');
+const { createAnchorBatcher } = require('../3. Blockchain_Interaction/Merkle_Anchoring/anchorBatcher');
+const { createRelayer } = require('../3. Blockchain_Interaction/Relayer/metaTxRelayer');
+const SignatureLogger = require('../2. Output_Interface/Logger/logSignatureInfo');
+
+const DEFAULT_PORT = 4000;
+const DEFAULT_SIGNING_TIMEOUT = 30000;
+// Large enough for POST /sign/batch with thousands of messages
+const JSON_BODY_LIMIT = '5mb';
+// POST /log entries end up in signature_validation.log: keep them short and on one line
+const LOG_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const MAX_LOG_ERRORS = 20;
+const MAX_LOG_ERROR_LENGTH = 500;
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+/**
+ * Per-mode defaults
+ */
+const MODES = {
+    production: {
+        signer: 'software',
+        reportChip: true,
+        message: 'Backend ready for signature generation'
+    },
+    demo: {
+        signer: 'software',
+        reportChip: false,
+        message: 'Demo server ready for signature generation'
+    },
+    mock: {
+        signer: 'mock',
+        reportChip: false,
+        message: 'Mock server returning random signatures'
+    }
+};
+
+/**
+ * Resolve a signer option that may be a provider name or instance
+ * @param {string|Object|null} signer - Provider name or instance
+ * @returns {Object|null} - Provider instance
+ */
+function resolveSigner(signer) {
+    if (!signer) {
+        return null;
+    }
+    return typeof signer === 'string' ? createSigner(signer) : signer;
+}
+
+/**
+ * Validate the body of POST /log
+ * @param {Object} body - { type, result, isValid, errors, sessionId }
+ * @returns {Object} - { type, isValid, errors, sessionId }
+ * @throws {Error} - With status 400 when a field is missing, too long or spans lines
+ */
+function parseLogEntry(body) {
+    const { type, result, isValid, errors, sessionId } = body || {};
+    if (typeof isValid !== 'boolean' && !['valid', 'invalid'].includes(result)) {
+        throw Object.assign(new Error("Expected isValid or result ('valid'|'invalid')"), { status: 400 });
+    }
+    for (const [field, value] of Object.entries({ type, sessionId })) {
+        if (value !== undefined && (typeof value !== 'string' || !LOG_ID_PATTERN.test(value))) {
+            throw Object.assign(new Error(`${field} must be 1-128 letters, digits or . _ : -`), { status: 400 });
+        }
+    }
+    if (errors !== undefined) {
+        const valid = Array.isArray(errors) && errors.length <= MAX_LOG_ERRORS && errors.every(error =>
+            typeof error === 'string' && error.length <= MAX_LOG_ERROR_LENGTH && !CONTROL_CHARACTERS.test(error));
+        if (!valid) {
+            throw Object.assign(new Error(`errors must be at most ${MAX_LOG_ERRORS} single-line strings of up to ${MAX_LOG_ERROR_LENGTH} characters`), { status: 400 });
+        }
+    }
+    return {
+        type: type || 'verification',
+        isValid: typeof isValid === 'boolean' ? isValid : result === 'valid',
+        errors: errors || [],
+        sessionId
+    };
+}
+
+/**
+ * Create the backend Express app
+ * @param {string} mode - Server mode ('production', 'demo', 'mock')
+ * @param {Object} options - App options
+ * @param {number} options.port - Port used by startServer
+ * @param {string|Object} options.signer - Signing provider name or instance
+ * @param {string|Object} options.fallbackSigner - Provider used when the primary one fails
+ * @param {string|Array<string>} options.corsOrigins - Allowed CORS origins ('*' for any)
+ * @param {Object} options.chip - Virtual chip provider used for status reporting
+ * @param {boolean} options.auth - Require a session and sign with the user's key (default: production only)
+ * @param {Object} options.keyStore - user_key_store.js compatible module
+ * @param {string} options.jwtSecret - Secret used to sign session tokens
+ * @param {string|number} options.tokenTtl - Session token lifetime
+ * @param {string} options.logDir - Directory for verification logs written by POST /log
+ * @param {Object} options.signatureLogger - SignatureLogger compatible instance (overrides logDir)
+ * @param {number} options.maxBatchSize - Maximum messages per POST /sign/batch request
+ * @param {Object} options.batchQueue - RequestQueue options for batch jobs (maxConcurrent, rateLimit, ...)
+ * @param {Object} options.jobStore - TaskStore adapter persisting batch jobs
+ * @param {string} options.jobDbPath - SQLite file for batch jobs (used when no jobStore is given)
+ * @param {number} options.jobRetention - Milliseconds a finished batch job stays available through GET /jobs/:id
+ * @param {number} options.signingThreads - Worker threads batch jobs sign on with software keys (default: none, sign on the main thread)
+ * @param {number} options.signingTimeout - Milliseconds a threaded signature may take before its thread is replaced
+ * @param {Object} options.eventStore - SQLiteEventStore filled by EventIndexer (enables GET /events)
+ * @param {string} options.eventDbPath - SQLite file of the event index (used when no eventStore is given)
+ * @param {string} options.contractAddress - SignatureVerifier whose events and stats are served
+ * @param {Object} options.signatureVerifier - Contract with getSignerStats (overrides rpcUrl)
+ * @param {string} options.rpcUrl - JSON-RPC URL used to read getSignerStats, envelope nonces and contract wallets
+ * @param {Object} options.provider - Ethers provider POST /verify asks contract wallets through (overrides rpcUrl)
+ * @param {number} options.chainId - Chain ID of signature envelopes (read over rpcUrl when omitted)
+ * @param {number} options.envelopeTtl - Default lifetime of signature envelopes in seconds
+ * @param {Object} options.webhooks - WebhookDispatcher whose subscriptions are managed through /webhooks
+ * @param {string} options.webhookDbPath - SQLite file of the webhook outbox (used when no webhooks dispatcher is given)
+ * @param {boolean} options.webhookAllowPrivateTargets - Let POST /webhooks subscribe private and loopback hosts
+ * @param {Object} options.anchors - AnchorBatcher collecting signed messages for Merkle anchoring
+ * @param {string} options.anchorDbPath - SQLite file of the anchoring batches (used when no anchors batcher is given)
+ * @param {string} options.anchorPrivateKey - Key paying for anchorMerkleRoot transactions (with contractAddress and rpcUrl)
+ * @param {number} options.anchorInterval - Delay between anchoring passes in ms (startServer)
+ * @param {Object} options.relayer - MetaTxRelayer paying the gas of users' forward requests
+ * @param {string} options.relayDbPath - SQLite file of relayed transactions (used when no relayer is given)
+ * @param {string} options.forwarderAddress - SignatureVerifierForwarder relayed through (with contractAddress and rpcUrl)
+ * @param {string} options.relayerPrivateKey - Key paying for relayed transactions
+ * @param {number} options.relayQuota - Relayed transactions per user and window
+ * @param {number} options.relayTotalQuota - Relayed transactions of all users per window
+ * @param {number} options.relayWindow - Relay quota window in ms
+ * @param {Array<string>} options.relayMethods - SignatureVerifier methods users may call through the relayer
+ * @param {Object} options.chain - ChainClient whose RPC endpoint health GET /api/status reports (default: the relayer's)
+ * @returns {Object} - Express app
+ */
+function createApp(mode = 'production', options = {}) {
+    const modeConfig = MODES[mode];
+    if (!modeConfig) {
+        throw new Error(`Unknown server mode: ${mode}`);
+    }
+
+    const signer = resolveSigner(options.signer || modeConfig.signer);
+    const fallbackSigner = resolveSigner(options.fallbackSigner);
+    const chip = options.chip || (signer instanceof VirtualChipSigner ? signer : new VirtualChipSigner());
+    const authEnabled = options.auth !== undefined ? options.auth : mode === 'production';
+    const auth = authEnabled ? createAuth({
+        keyStore: options.keyStore,
+        jwtSecret: options.jwtSecret,
+        tokenTtl: options.tokenTtl
+    }) : null;
+
+    // Signed messages are queued for Merkle anchoring when a batcher is configured
+    const anchors = options.anchors || (options.anchorDbPath ? createAnchorBatcher({
+        dbPath: options.anchorDbPath,
+        contractAddress: options.contractAddress,
+        rpcUrl: options.rpcUrl,
+        privateKey: options.anchorPrivateKey,
+        interval: options.anchorInterval
+    }) : null);
+
+    // Gasless submissions: the relayer pays for forward requests users sign
+    const relayer = options.relayer || (options.relayDbPath && options.forwarderAddress && options.contractAddress ? createRelayer({
+        dbPath: options.relayDbPath,
+        contractAddress: options.contractAddress,
+        forwarderAddress: options.forwarderAddress,
+        rpcUrl: options.rpcUrl,
+        privateKey: options.relayerPrivateKey,
+        quota: options.relayQuota,
+        totalQuota: options.relayTotalQuota,
+        window: options.relayWindow,
+        allowedMethods: options.relayMethods
+    }) : null);
+
+    // RPC health on /api/status comes from the relayer's client unless another is given
+    const chain = options.chain || (relayer ? relayer.chain : null);
+
+    /**
+     * Queue a signed message for anchoring
+     * A failure only costs the message its place in a batch, never the signature
+     * @param {string} message - Signed message
+     * @param {Object} result - signWithFallback result
+     * @param {Object} signers - { primary, fallback } that signed it
+     * @returns {Promise<Object>} - { leaf } or {} when not queued
+     */
+    async function anchorSignature(message, result, { primary, fallback }) {
+        if (!anchors) {
+            return {};
+        }
+        try {
+            const signer = (result.fallbackReason ? fallback : primary).address;
+            const { leaf } = await anchors.add({ signer, message, signature: result.signature });
+            return { leaf };
+        } catch (err) {
+            console.warn(`[Anchoring] Message not queued: ${err.message}`);
+            return {};
+        }
+    }
+
+    // Software signatures of batch jobs run on worker threads when configured
+    const signingThreads = options.signingThreads ? new TaskScheduler({
+        name: 'batch-signing',
+        maxWorkers: options.signingThreads,
+        workerThreads: true,
+        taskTimeout: options.signingTimeout || DEFAULT_SIGNING_TIMEOUT
+    }) : null;
+
+    /**
+     * Move a job's providers onto the signing threads (those that support it)
+     * @param {Object} signers - { primary, fallback, address } from signersFor
+     */
+    function onSigningThreads({ primary, fallback, address }) {
+        const onThreads = provider => (provider && provider.onThreads ? provider.onThreads(signingThreads) : provider);
+        return { primary: onThreads(primary), fallback: onThreads(fallback), address };
+    }
+
+    // Batch jobs are in-memory unless a job store is configured
+    const jobStore = options.jobStore || (options.jobDbPath ? new SQLiteTaskStore(options.jobDbPath) : null);
+    const batchJobs = new BatchJobs({
+        maxBatchSize: options.maxBatchSize,
+        queueOptions: options.batchQueue,
+        store: jobStore,
+        retention: options.jobRetention,
+        prepare: async owner => {
+            const signers = await signersFor(owner);
+            return signingThreads ? onSigningThreads(signers) : signers;
+        },
+        handler: async (payload, { primary, fallback, address }) => {
+            let result = await signWithFallback(primary, fallback, payload);
+            if (typeof payload === 'string') {
+                result = { ...result, ...await anchorSignature(payload, result, { primary, fallback }) };
+            }
+            return address ? { ...result, address } : result;
+        }
+    });
+    const jobsReady = batchJobs.recover().catch(err => {
+        console.error('Batch job recovery failed:', err);
+    });
+
+    // Created on first use so apps that never log don't create the directory
+    let signatureLogger = options.signatureLogger || null;
+    function getSignatureLogger() {
+        if (!signatureLogger) {
+            signatureLogger = new SignatureLogger(options.logDir || path.join(__dirname, 'logs'));
+        }
+        return signatureLogger;
+    }
+
+    /**
+     * Signing providers for a user: the configured ones, or the same providers
+     * (with their options and chip queue) loaded with the user's key
+     * @param {string|null} username - Logged-in user (null when auth is disabled)
+     */
+    async function signersFor(username) {
+        if (!username) {
+            return { primary: signer, fallback: fallbackSigner, address: null };
+        }
+        if (!auth) {
+            throw new Error(`Cannot load the key of ${username}: authentication is disabled`);
+        }
+        const privateKey = await auth.getUserKey(username);
+        const primary = signer.withKey(privateKey);
+        return {
+            primary,
+            address: primary.address,
+            fallback: fallbackSigner ? fallbackSigner.withKey(privateKey) : null
+        };
+    }
+
+    // POST /verify checks contract wallets (ERC-1271) when the chain is reachable
+    let verifyProvider = options.provider || null;
+    function getVerifyProvider() {
+        if (!verifyProvider && options.rpcUrl) {
+            verifyProvider = new ethers.JsonRpcProvider(options.rpcUrl);
+        }
+        return verifyProvider;
+    }
+
+    const app = express();
+    app.locals.mode = mode;
+    app.locals.port = options.port || DEFAULT_PORT;
+    app.locals.signer = signer;
+    app.locals.fallbackSigner = fallbackSigner;
+    app.locals.batchJobs = batchJobs;
+    app.locals.signingThreads = signingThreads;
+    app.locals.anchors = anchors;
+    app.locals.relayer = relayer;
+
+    // Enable CORS and JSON parsing
+    app.use(cors({ origin: options.corsOrigins || '*' }));
+    app.use(express.json({ limit: JSON_BODY_LIMIT }));
+
+    if (auth) {
+        app.use('/auth', auth.router);
+    }
+
+    // Event queries read the index written by EventIndexer
+    const eventStore = options.eventStore || (options.eventDbPath ? new SQLiteEventStore(options.eventDbPath) : null);
+    if (eventStore) {
+        app.use(createEventRoutes({
+            store: eventStore,
+            contractAddress: options.contractAddress,
+            contract: options.signatureVerifier,
+            rpcUrl: options.rpcUrl
+        }).router);
+    } else {
+        app.get(['/events', '/signers/:address/stats'], (req, res) => {
+            res.status(503).json({ success: false, error: 'Event index not configured' });
+        });
+    }
+
+    // POST /sign { envelope } builds SignatureVerifier.submitEnvelope typed data
+    const envelopes = options.contractAddress ? createEnvelopeBuilder({
+        contractAddress: options.contractAddress,
+        chainId: options.chainId,
+        contract: options.signatureVerifier,
+        rpcUrl: options.rpcUrl,
+        ttl: options.envelopeTtl
+    }) : null;
+
+    const requireSession = auth ? [auth.requireAuth] : [];
+
+    // Webhook subscriptions live in the outbox the event listener and indexer deliver from
+    const webhooks = options.webhooks
+        || (options.webhookDbPath ? new WebhookDispatcher({ store: new SQLiteWebhookStore(options.webhookDbPath) }) : null);
+    if (webhooks) {
+        app.use(createWebhookRoutes({
+            dispatcher: webhooks,
+            middleware: requireSession,
+            allowPrivateTargets: options.webhookAllowPrivateTargets
+        }).router);
+    } else {
+        app.all(['/webhooks', '/webhooks/*'], (req, res) => {
+            res.status(503).json({ success: false, error: 'Webhooks not configured' });
+        });
+    }
+
+    // Merkle anchoring of signed messages and inclusion proofs
+    if (anchors) {
+        app.use(createAnchorRoutes({ batcher: anchors, middleware: requireSession }).router);
+    } else {
+        app.all(['/anchors', '/anchors/*'], (req, res) => {
+            res.status(503).json({ success: false, error: 'Anchoring not configured' });
+        });
+    }
+
+    // Gasless submissions through the ERC-2771 forwarder
+    if (relayer) {
+        app.use(createRelayRoutes({ relayer, middleware: requireSession }).router);
+    } else {
+        app.all(['/relay', '/relay/*'], (req, res) => {
+            res.status(503).json({ success: false, error: 'Relayer not configured' });
+        });
+    }
+
+    // Batch routes wait for jobs persisted by a previous run to be restored
+    const afterRecovery = async (req, res, next) => {
+        await jobsReady;
+        next();
+    };
+    const owner = req => (req.user ? req.user.username : null);
+
+    // POST /sign - sign a message or EIP-712 { domain, types, value } payload
+    // (as the logged-in user when auth is enabled). With `envelope` (true or
+    // { nonce, deadline }) the message is signed as a SignatureVerifier Envelope
+    app.post('/sign', ...requireSession, async (req, res) => {
+        const { message, domain, types, value, envelope } = req.body;
+        const typed = domain !== undefined || types !== undefined || value !== undefined;
+        if (!typed && (!message || typeof message !== 'string')) {
+            return res.status(400).json({ success: false, error: 'Invalid message' });
+        }
+        if (envelope !== undefined && envelope !== false) {
+            if (typed) {
+                return res.status(400).json({ success: false, error: 'envelope cannot be combined with typed data' });
+            }
+            if (envelope !== true && (!envelope || typeof envelope !== 'object')) {
+                return res.status(400).json({ success: false, error: 'envelope must be true or { nonce, deadline }' });
+            }
+            if (!envelopes) {
+                return res.status(503).json({ success: false, error: 'Envelope signing not configured' });
+            }
+        }
+
+        try {
+            const { primary, fallback } = await signersFor(owner(req));
+            const user = req.user ? { user: req.user.username, address: req.user.address } : {};
+            if (envelope !== undefined && envelope !== false) {
+                const { nonce, deadline } = envelope === true ? {} : envelope;
+                const typedData = await envelopes.build({ message, signer: primary.address, nonce, deadline });
+                // The envelope names the primary key as signer, so only a fallback with the same key can sign it
+                const sameKeyFallback = fallback && fallback.address === primary.address ? fallback : null;
+                const result = await signWithFallback(primary, sameKeyFallback, typedData);
+                return res.json({ success: true, ...result, ...user, envelope: serializeEnvelope(typedData), method: result.provider });
+            }
+            const result = await signWithFallback(primary, fallback, typed ? { domain, types, value } : message);
+            const anchored = typed ? {} : await anchorSignature(message, result, { primary, fallback });
+            res.json({ success: true, ...result, ...anchored, ...user, method: result.provider });
+        } catch (err) {
+            if (err.status === 400 || err.status === 502) {
+                return res.status(err.status).json({ success: false, error: err.message });
+            }
+            console.error('Signature generation error:', err);
+            res.status(500).json({
+                success: false,
+                error: err.message,
+                method: 'failed',
+                provider: signer.name
+            });
+        }
+    });
+
+    // POST /sign/batch - queue messages (or typed data payloads) and return a job id
+    app.post('/sign/batch', ...requireSession, afterRecovery, async (req, res) => {
+        const { messages, priority } = req.body;
+        if (!Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json({ success: false, error: 'messages must be a non-empty array' });
+        }
+        if (messages.length > batchJobs.maxBatchSize) {
+            return res.status(400).json({
+                success: false,
+                error: `Batch too large: ${messages.length} messages (max ${batchJobs.maxBatchSize})`
+            });
+        }
+        for (let index = 0; index < messages.length; index++) {
+            const message = messages[index];
+            try {
+                if (typeof message === 'string' && !message) {
+                    throw new Error('Invalid message');
+                }
+                if (typeof message !== 'string') {
+                    encodeTypedData(message);
+                }
+            } catch (err) {
+                return res.status(400).json({ success: false, error: `Item ${index}: ${err.message}`, index });
+            }
+        }
+
+        try {
+            const job = await batchJobs.createJob(messages, {
+                owner: owner(req),
+                priority,
+                idempotencyKey: req.get('Idempotency-Key') || req.body.idempotencyKey
+            });
+            res.status(job.duplicate ? 200 : 202).json({ success: true, ...job });
+        } catch (err) {
+            console.error('Batch signing error:', err);
+            res.status(500).json({ success: false, error: err.message });
+        }
+    });
+
+    // GET /jobs/:id - per-item status, results and errors of a batch job
+    app.get('/jobs/:id', ...requireSession, afterRecovery, (req, res) => {
+        const job = batchJobs.getJob(req.params.id, owner(req));
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        res.json({ success: true, ...job });
+    });
+
+    // DELETE /jobs/:id - cancel the job's pending items
+    app.delete('/jobs/:id', ...requireSession, afterRecovery, (req, res) => {
+        const cancelled = batchJobs.cancelJob(req.params.id, owner(req));
+        if (!cancelled) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        res.json({ success: true, cancelled: cancelled.cancelled, ...cancelled.job });
+    });
+
+    // POST /verify - recover the signer of a personal signature (or ask the signer's contract wallet)
+    app.post('/verify', async (req, res) => {
+        const { message, signature, expectedAddress, address, encoding } = req.body;
+        try {
+            const result = await verifySignature({
+                message,
+                signature,
+                expectedAddress: expectedAddress || address || null,
+                encoding,
+                provider: getVerifyProvider()
+            });
+            res.json({ success: true, ...result });
+        } catch (err) {
+            res.status(err.status || 500).json({ success: false, error: err.message });
+        }
+    });
+
+    // POST /log - persist a verification outcome
+    // With auth, entries are recorded under the logged-in user's name
+    app.post('/log', ...requireSession, (req, res) => {
+        let entry;
+        try {
+            entry = parseLogEntry(req.body);
+        } catch (err) {
+            return res.status(err.status).json({ success: false, error: err.message });
+        }
+
+        const validationResult = { isValid: entry.isValid, errors: entry.errors };
+        const id = entry.sessionId || `${entry.type}-${Date.now()}`;
+        const session = owner(req) ? `${owner(req)}:${id}` : id;
+        try {
+            getSignatureLogger().logSignatureValidation(validationResult, session);
+            res.json({ success: true, sessionId: session, isValid: validationResult.isValid });
+        } catch (err) {
+            console.error('Verification log error:', err);
+            res.status(500).json({ success: false, error: err.message });
+        }
+    });
+
+    // GET /api/status - backend status
+    app.get('/api/status', async (req, res) => {
+        res.json({
+            backend: true,
+            chip: modeConfig.reportChip ? await chip.isAvailable() : false,
+            mode,
+            signer: signer.name,
+            fallback: fallbackSigner ? fallbackSigner.name : null,
+            auth: Boolean(auth),
+            rpc: chain ? chain.getMetrics() : null
+        });
+    });
+
+    // Health check
+    app.get('/', (req, res) => {
+        res.json({
+            status: 'Backend is running',
+            mode,
+            timestamp: new Date().toISOString(),
+            message: modeConfig.message
+        });
+    });
+
+    app.use((req, res) => {
+        res.status(404).json({ success: false, error: 'Not Found' });
+    });
+
+    // Malformed JSON bodies and unexpected errors keep the JSON response shape
+    app.use((err, req, res, next) => {
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    });
+
+    return app;
+}
+
+/**
+ * Read app options from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} - Options for createApp
+ */
+function optionsFromEnv(env = process.env) {
+    return {
+        port: env.PORT ? parseInt(env.PORT, 10) : DEFAULT_PORT,
+        signer: env.SIGNER || null,
+        fallbackSigner: env.SIGNER_FALLBACK || null,
+        corsOrigins: env.CORS_ORIGINS ? env.CORS_ORIGINS.split(',').map(origin => origin.trim()) : '*',
+        auth: env.BACKEND_AUTH ? env.BACKEND_AUTH !== 'false' : undefined,
+        jwtSecret: env.JWT_SECRET || env.SESSION_SECRET || null,
+        tokenTtl: env.JWT_TTL || undefined,
+        logDir: env.LOG_DIR || undefined,
+        jobDbPath: env.JOB_DB_PATH || path.join(__dirname, 'jobs.db'),
+        eventDbPath: env.EVENT_DB_PATH || undefined,
+        contractAddress: env.CONTRACT_ADDRESS || undefined,
+        rpcUrl: env.SEPOLIA_RPC_URL || undefined,
+        chainId: env.CHAIN_ID ? parseInt(env.CHAIN_ID, 10) : undefined,
+        envelopeTtl: env.ENVELOPE_TTL ? parseInt(env.ENVELOPE_TTL, 10) : undefined,
+        webhookDbPath: env.WEBHOOK_DB_PATH || undefined,
+        webhookAllowPrivateTargets: env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
+        anchorDbPath: env.ANCHOR_DB_PATH || undefined,
+        anchorPrivateKey: env.ANCHOR_PRIVATE_KEY || undefined,
+        anchorInterval: env.ANCHOR_INTERVAL ? parseInt(env.ANCHOR_INTERVAL, 10) : undefined,
+        relayDbPath: env.RELAY_DB_PATH || undefined,
+        forwarderAddress: env.FORWARDER_ADDRESS || undefined,
+        relayerPrivateKey: env.RELAYER_PRIVATE_KEY || undefined,
+        relayQuota: env.RELAY_QUOTA ? parseInt(env.RELAY_QUOTA, 10) : undefined,
+        relayTotalQuota: env.RELAY_TOTAL_QUOTA ? parseInt(env.RELAY_TOTAL_QUOTA, 10) : undefined,
+        relayWindow: env.RELAY_WINDOW ? parseInt(env.RELAY_WINDOW, 10) : undefined,
+        relayMethods: env.RELAY_METHODS ? env.RELAY_METHODS.split(',').map(method => method.trim()) : undefined,
+        maxBatchSize: env.BATCH_MAX_SIZE ? parseInt(env.BATCH_MAX_SIZE, 10) : undefined,
+        jobRetention: env.BATCH_JOB_RETENTION ? parseInt(env.BATCH_JOB_RETENTION, 10) : undefined,
+        signingThreads: env.BATCH_SIGNING_THREADS ? parseInt(env.BATCH_SIGNING_THREADS, 10) : undefined,
+        signingTimeout: env.BATCH_SIGNING_TIMEOUT ? parseInt(env.BATCH_SIGNING_TIMEOUT, 10) : undefined,
+        batchQueue: {
+            maxConcurrent: env.BATCH_CONCURRENCY ? parseInt(env.BATCH_CONCURRENCY, 10) : undefined,
+            rateLimit: env.BATCH_RATE_LIMIT ? parseInt(env.BATCH_RATE_LIMIT, 10) : undefined
+        }
+    };
+}
+
+/**
+ * Start listening with an app created by createApp
+ * @param {Object} app - Express app
+ * @returns {Object} - HTTP server
+ */
+function startServer(app) {
+    const { mode, port, signer, anchors, relayer } = app.locals;
+    if (anchors) {
+        anchors.start();
+    }
+    if (relayer) {
+        relayer.recover().catch(err => {
+            console.error('Relay recovery failed:', err.message);
+        });
+    }
+    return app.listen(port, () => {
+        console.log(`🚀 Backend server (${mode} mode) running on http://localhost:${port}`);
+        console.log(`🔑 Signing provider: ${signer.name} (${signer.address})`);
+        console.log(`📝 POST /sign - Generate signatures`);
+        console.log(`📦 POST /sign/batch - Queue batch signing jobs (GET/DELETE /jobs/:id)`);
+        console.log(`🔍 POST /verify - Verify signatures`);
+        console.log(`📜 GET /events, GET /signers/:address/stats - Query indexed contract events`);
+        console.log(`📡 POST/GET /webhooks - Manage event webhooks (dead letters: /webhooks/dead-letters)`);
+        console.log(`🌳 POST/GET /anchors - Merkle-anchor signed messages (proofs: GET /anchors/proofs/:leaf)`);
+        console.log(`⛽ POST /relay/requests, POST /relay - Gasless submissions (GET /relay/:id, /relay/quota/:address)`);
+        console.log(`📊 GET /api/status - Check status`);
+    });
+}
+
+module.exports = {
+    createApp,
+    startServer,
+    optionsFromEnv,
+    MODES
+};
@@ -0,0 +1,149 @@
+/**
+ * Authentication for the backend
+ * Exposes /auth/register, /auth/login and /auth/logout on top of user_key_store.js
+ * and issues JWT sessions that gate per-user signing
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const util = require('util');
+const jwt = require('jsonwebtoken');
+const { ethers } = require('ethers');
+
+const DEFAULT_TOKEN_TTL = '1h';
+
+/**
+ * Wrap the callback-based key store in promises
+ * @param {Object} keyStore - user_key_store.js compatible module
+ * @returns {Object} - Promise-based key store
+ */
+function promisifyKeyStore(keyStore) {
+    return {
+        registerUser: util.promisify(keyStore.registerUser),
+        authenticateUser: util.promisify(keyStore.authenticateUser),
+        getDecryptedKey: util.promisify(keyStore.getDecryptedKey)
+    };
+}
+
+/**
+ * Create the authentication service
+ * @param {Object} options - Auth options
+ * @param {Object} options.keyStore - user_key_store.js compatible module
+ * @param {string} options.jwtSecret - Secret used to sign session tokens
+ * @param {string|number} options.tokenTtl - Token lifetime (jsonwebtoken expiresIn format)
+ * @returns {Object} - { router, requireAuth, getUserKey }
+ */
+function createAuth(options = {}) {
+    const keyStore = promisifyKeyStore(options.keyStore || require('./user_key_store'));
+    const tokenTtl = options.tokenTtl || DEFAULT_TOKEN_TTL;
+    let jwtSecret = options.jwtSecret;
+    if (!jwtSecret) {
+        console.warn('[Auth] No JWT secret configured, using a per-process random secret');
+        jwtSecret = crypto.randomBytes(32).toString('hex');
+    }
+
+    // Logged-out token ids, kept until the token would have expired anyway
+    const revokedTokens = new Map();
+
+    function isRevoked(tokenId) {
+        const now = Math.floor(Date.now() / 1000);
+        for (const [id, exp] of revokedTokens) {
+            if (exp < now) {
+                revokedTokens.delete(id);
+            }
+        }
+        return revokedTokens.has(tokenId);
+    }
+
+    /**
+     * Express middleware rejecting requests without a valid session token
+     */
+    function requireAuth(req, res, next) {
+        const header = req.headers.authorization || '';
+        const [scheme, token] = header.split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+
+        try {
+            const payload = jwt.verify(token, jwtSecret);
+            if (isRevoked(payload.jti)) {
+                return res.status(401).json({ success: false, error: 'Session has been logged out' });
+            }
+            req.user = { username: payload.sub, address: payload.address, tokenId: payload.jti, exp: payload.exp };
+            next();
+        } catch (error) {
+            res.status(401).json({ success: false, error: 'Invalid or expired session token' });
+        }
+    }
+
+    const router = express.Router();
+
+    // POST /auth/register - create an account with an encrypted signing key
+    router.post('/register', async (req, res) => {
+        const { username, password, privateKey } = req.body;
+        if (!username || typeof username !== 'string' || !password || typeof password !== 'string') {
+            return res.status(400).json({ success: false, error: 'Username and password are required' });
+        }
+
+        let wallet;
+        try {
+            wallet = privateKey ? new ethers.Wallet(privateKey) : ethers.Wallet.createRandom();
+        } catch (error) {
+            return res.status(400).json({ success: false, error: 'Invalid private key' });
+        }
+
+        try {
+            await keyStore.registerUser(username, password, wallet.privateKey);
+            res.status(201).json({ success: true, username, address: wallet.address });
+        } catch (error) {
+            if (/UNIQUE/.test(error.message)) {
+                return res.status(409).json({ success: false, error: 'Username already exists' });
+            }
+            console.error('[Auth] Registration failed:', error);
+            res.status(500).json({ success: false, error: 'Registration failed' });
+        }
+    });
+
+    // POST /auth/login - exchange credentials for a session token
+    router.post('/login', async (req, res) => {
+        const { username, password } = req.body;
+        if (!username || !password) {
+            return res.status(400).json({ success: false, error: 'Username and password are required' });
+        }
+
+        try {
+            const user = await keyStore.authenticateUser(username, password);
+            if (!user) {
+                return res.status(401).json({ success: false, error: 'Invalid username or password' });
+            }
+
+            const address = new ethers.Wallet(await keyStore.getDecryptedKey(username)).address;
+            const token = jwt.sign({ address }, jwtSecret, {
+                subject: username,
+                expiresIn: tokenTtl,
+                jwtid: crypto.randomUUID()
+            });
+            res.json({ success: true, token, username, address, expiresIn: tokenTtl });
+        } catch (error) {
+            console.error('[Auth] Login failed:', error);
+            res.status(500).json({ success: false, error: 'Login failed' });
+        }
+    });
+
+    // POST /auth/logout - revoke the current session token
+    router.post('/logout', requireAuth, (req, res) => {
+        revokedTokens.set(req.user.tokenId, req.user.exp);
+        res.json({ success: true });
+    });
+
+    return {
+        router,
+        requireAuth,
+        getUserKey: username => keyStore.getDecryptedKey(username)
+    };
+}
+
+module.exports = {
+    createAuth
+};
@@ -0,0 +1,366 @@
+/**
+ * Batch signing jobs
+ * Queues every item of a POST /sign/batch request through RequestQueue and
+ * tracks per-item status so clients can poll GET /jobs/:id instead of holding
+ * the HTTP connection open. With a task store, jobs survive restarts: unfinished
+ * items are resumed (at least once) and finished ones keep their results.
+ * Finished jobs are dropped from memory and the store once they are older than
+ * the retention period, so a restart only loads unfinished and retained jobs
+ */
+
+const crypto = require('crypto');
+const RequestQueue = require('../5. Tools/Queue_Manager/requestQueue');
+
+const { STATUS } = RequestQueue;
+const QUEUE_NAME = 'sign-batch';
+const TASK_TYPE = 'sign';
+const DEFAULT_RETENTION = 24 * 60 * 60 * 1000;
+const ACTIVE_STATUSES = [STATUS.PENDING, STATUS.PROCESSING];
+const FINISHED_STATUSES = [STATUS.COMPLETED, STATUS.FAILED, STATUS.CANCELLED];
+
+class BatchJobs {
+    /**
+     * @param {Object} options - Job options
+     * @param {Function} options.handler - async (payload, context) => result, signs one item
+     * @param {Function} options.prepare - async (owner) => context, run once per job before its first item
+     * @param {Object} options.store - TaskStore adapter; jobs are in-memory only without one
+     * @param {Object} options.queueOptions - RequestQueue constructor options
+     * @param {number} options.maxBatchSize - Maximum items per job
+     * @param {number} options.retention - Milliseconds a finished job stays queryable (default 24h)
+     */
+    constructor(options = {}) {
+        this.handler = options.handler;
+        this.prepare = options.prepare || (async () => null);
+        this.store = options.store || null;
+        this.queue = new RequestQueue({ ...options.queueOptions, store: this.store, name: QUEUE_NAME });
+        this.queue.registerHandler(TASK_TYPE, (data, metadata) => this.runItem(data, metadata));
+        this.maxBatchSize = options.maxBatchSize || 1000;
+        this.retention = options.retention !== undefined ? options.retention : DEFAULT_RETENTION;
+        this.jobs = new Map();
+        this.idempotencyKeys = new Map();
+    }
+
+    /**
+     * Queue a job with one request per payload
+     * @param {Array} payloads - Items to process
+     * @param {Object} options - { owner, priority, idempotencyKey }
+     * @returns {Promise<Object>} - Job summary (with duplicate: true when the key was already used)
+     * @throws {Error} - With status 500 when the items could not be written to the store (the job is cancelled)
+     */
+    async createJob(payloads, options = {}) {
+        this.evictFinished();
+        const owner = options.owner || null;
+        const keyId = options.idempotencyKey ? `${owner || ''}:${options.idempotencyKey}` : null;
+        if (keyId && this.idempotencyKeys.has(keyId)) {
+            return { ...this.summarize(this.jobs.get(this.idempotencyKeys.get(keyId))), duplicate: true };
+        }
+
+        const id = crypto.randomUUID();
+        const job = this.addJob(id, owner, new Date().toISOString(), payloads.length, keyId);
+
+        job.items.forEach(item => {
+            const promise = this.queue.addRequest({
+                id: item.requestId,
+                type: TASK_TYPE,
+                priority: options.priority,
+                data: { payload: payloads[item.index], owner },
+                metadata: { jobId: id, index: item.index, total: payloads.length, createdAt: job.createdAt, idempotencyKey: keyId }
+            });
+            this.track(job, item, promise);
+        });
+
+        // Acknowledge only once every item is durably queued
+        try {
+            await this.queue.flush(job.items.map(item => item.requestId));
+        } catch (error) {
+            this.abandon(job);
+            throw Object.assign(new Error(`Batch job not queued: ${error.message}`), { status: 500 });
+        }
+        console.log(`[BatchJobs] Queued job ${id} with ${payloads.length} items`);
+        return this.summarize(job);
+    }
+
+    /**
+     * Rebuild jobs from the store and resume their unfinished items
+     * @returns {Promise<Object>} - { jobs, resumed, failed } counts
+     */
+    async recover() {
+        if (!this.store) {
+            return { jobs: 0, resumed: 0, failed: 0 };
+        }
+
+        // Only jobs with an unfinished task or a task written within the retention period are loaded
+        const cutoff = Date.now() - this.retention;
+        const tasks = [
+            ...await this.store.list(QUEUE_NAME, ACTIVE_STATUSES),
+            ...await this.store.list(QUEUE_NAME, FINISHED_STATUSES, { updatedSince: cutoff })
+        ];
+        // Recovered jobs finished when their last task was written
+        const updatedAt = new Map();
+        tasks.forEach(task => this.restoreItem(task, updatedAt));
+        await this.restoreOlderItems(updatedAt);
+        // Whatever is left finished before the cutoff: jobs a previous process did not get to evict
+        await this.store.prune(QUEUE_NAME, FINISHED_STATUSES, cutoff);
+
+        const { resumed, failed } = await this.queue.recover();
+        const itemFor = requestId => {
+            const [jobId, index] = requestId.split(':');
+            return this.jobs.get(jobId).items[index];
+        };
+        resumed.forEach(({ id, promise }) => this.track(this.jobs.get(id.split(':')[0]), itemFor(id), promise));
+        failed.forEach(({ id, error }) => {
+            Object.assign(itemFor(id), { status: STATUS.FAILED, error });
+            updatedAt.set(id.split(':')[0], Date.now());
+        });
+        this.jobs.forEach(job => this.settle(job, updatedAt.get(job.id)));
+        this.evictFinished();
+
+        console.log(`[BatchJobs] Recovered ${this.jobs.size} jobs, resumed ${resumed.length} items`);
+        return { jobs: this.jobs.size, resumed: resumed.length, failed: failed.length };
+    }
+
+    /**
+     * Rebuild one item of a recovered job from its stored task
+     * @param {Object} task - Stored task
+     * @param {Map} updatedAt - Latest task write per job ID, updated in place
+     * @returns {Object} - Job record
+     */
+    restoreItem(task, updatedAt) {
+        const { jobId, index, total, createdAt, idempotencyKey } = task.metadata;
+        const job = this.jobs.get(jobId) || this.addJob(jobId, task.data.owner, createdAt, 0, idempotencyKey);
+        job.items[index] = {
+            index,
+            requestId: task.id,
+            status: task.status === STATUS.PROCESSING ? STATUS.PENDING : task.status,
+            result: task.result,
+            error: task.error
+        };
+        if (total > job.items.length) {
+            job.items.length = total;
+        }
+        updatedAt.set(jobId, Math.max(updatedAt.get(jobId) || 0, task.updatedAt || Date.now()));
+        return job;
+    }
+
+    /**
+     * Load the items of recovered jobs that finished before the retention cutoff
+     * They are written again with the job's latest time so the job is kept or
+     * pruned as a whole; items no longer in the store are marked failed
+     * @param {Map} updatedAt - Latest task write per job ID
+     * @returns {Promise<void>}
+     */
+    async restoreOlderItems(updatedAt) {
+        for (const jobId of updatedAt.keys()) {
+            const job = this.jobs.get(jobId);
+            const active = job.items.some(item => item && item.status === STATUS.PENDING);
+            for (let index = 0; index < job.items.length; index++) {
+                if (job.items[index]) {
+                    continue;
+                }
+                const task = await this.store.get(`${jobId}:${index}`);
+                if (!task) {
+                    job.items[index] = {
+                        index, requestId: `${jobId}:${index}`, status: STATUS.FAILED, result: null, error: 'Stored task missing'
+                    };
+                    continue;
+                }
+                this.restoreItem(task, new Map());
+                await this.store.save({ ...task, updatedAt: active ? Date.now() : updatedAt.get(jobId) });
+            }
+        }
+    }
+
+    /**
+     * Look up a job
+     * @param {string} id - Job ID
+     * @param {string|null} owner - Owner that must match when the job has one
+     * @returns {Object|null} - Job summary with per-item status
+     */
+    getJob(id, owner = null) {
+        const job = this.findJob(id, owner);
+        return job ? this.summarize(job, true) : null;
+    }
+
+    /**
+     * Cancel every item of a job that has not started yet
+     * @param {string} id - Job ID
+     * @param {string|null} owner - Owner that must match when the job has one
+     * @returns {Object|null} - { cancelled, job } or null if the job is unknown
+     */
+    cancelJob(id, owner = null) {
+        const job = this.findJob(id, owner);
+        if (!job) {
+            return null;
+        }
+
+        const cancelled = this.cancelPending(job);
+        console.log(`[BatchJobs] Cancelled ${cancelled} pending items of job ${id}`);
+        return { cancelled, job: this.summarize(job, true) };
+    }
+
+    /**
+     * Remove a job's pending items from the queue
+     * @param {Object} job - Job record
+     * @returns {number} - Items cancelled
+     */
+    cancelPending(job) {
+        let cancelled = 0;
+        job.items
+            .filter(item => item.status === STATUS.PENDING)
+            .forEach(item => {
+                item.status = STATUS.CANCELLED;
+                if (this.queue.removeRequest(item.requestId)) {
+                    cancelled++;
+                } else {
+                    item.status = STATUS.PENDING;
+                }
+            });
+        this.settle(job);
+        return cancelled;
+    }
+
+    /**
+     * Give up on a job whose items did not reach the store
+     * Its pending items are cancelled and its idempotency key is released so the
+     * client can submit it again, items already running finish before it is evicted
+     * @param {Object} job - Job record
+     */
+    abandon(job) {
+        this.cancelPending(job);
+        if (job.keyId && this.idempotencyKeys.get(job.keyId) === job.id) {
+            this.idempotencyKeys.delete(job.keyId);
+        }
+        job.keyId = null;
+        console.error(`[BatchJobs] Job ${job.id} was not persisted, cancelled its pending items`);
+    }
+
+    /**
+     * Record when a job's last item finished
+     * @param {Object} job - Job record
+     * @param {number} at - Finish time (default: now)
+     */
+    settle(job, at = Date.now()) {
+        const active = job.items.some(item => item.status === STATUS.PENDING || item.status === STATUS.PROCESSING);
+        if (!active && !job.finishedAt) {
+            job.finishedAt = at;
+        }
+    }
+
+    /**
+     * Drop finished jobs older than the retention period (with their idempotency keys and stored tasks)
+     * @returns {number} - Jobs evicted
+     */
+    evictFinished() {
+        const cutoff = Date.now() - this.retention;
+        const forgotten = [];
+        let evicted = 0;
+        this.jobs.forEach((job, id) => {
+            if (job.finishedAt && job.finishedAt <= cutoff) {
+                this.jobs.delete(id);
+                if (job.keyId && this.idempotencyKeys.get(job.keyId) === id) {
+                    this.idempotencyKeys.delete(job.keyId);
+                }
+                forgotten.push(...job.items.map(item => item.requestId));
+                evicted++;
+            }
+        });
+        if (evicted > 0) {
+            this.queue.forget(forgotten);
+            console.log(`[BatchJobs] Evicted ${evicted} finished jobs`);
+        }
+        return evicted;
+    }
+
+    addJob(id, owner, createdAt, size, keyId) {
+        const job = {
+            id,
+            owner: owner || null,
+            createdAt,
+            keyId: keyId || null,
+            finishedAt: null,
+            context: null,
+            items: Array.from({ length: size }, (_, index) => ({
+                index,
+                requestId: `${id}:${index}`,
+                status: STATUS.PENDING,
+                result: null,
+                error: null
+            }))
+        };
+        this.jobs.set(id, job);
+        if (keyId) {
+            this.idempotencyKeys.set(keyId, id);
+        }
+        return job;
+    }
+
+    findJob(id, owner) {
+        const job = this.jobs.get(id);
+        if (!job || (job.owner && job.owner !== owner)) {
+            return null;
+        }
+        return job;
+    }
+
+    /**
+     * Queue handler for one item
+     * @param {Object} data - { payload, owner }
+     * @param {Object} metadata - { jobId, index }
+     * @returns {Promise<Object>} - Handler result
+     */
+    async runItem(data, metadata) {
+        const job = this.jobs.get(metadata.jobId);
+        job.items[metadata.index].status = STATUS.PROCESSING;
+        if (!job.context) {
+            job.context = this.prepare(data.owner);
+            job.context.catch(() => { job.context = null; });
+        }
+        return this.handler(data.payload, await job.context);
+    }
+
+    track(job, item, promise) {
+        promise.then(result => {
+            item.status = STATUS.COMPLETED;
+            item.result = result;
+            item.error = null;
+        }).catch(error => {
+            if (item.status !== STATUS.CANCELLED) {
+                item.status = STATUS.FAILED;
+                item.error = error.message;
+            }
+        }).then(() => this.settle(job));
+    }
+
+    /**
+     * Build the public view of a job
+     * @param {Object} job - Job record
+     * @param {boolean} withItems - Include per-item status, results and errors
+     * @returns {Object} - Job summary
+     */
+    summarize(job, withItems = false) {
+        const counts = Object.values(STATUS).reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+        job.items.forEach(item => counts[item.status]++);
+
+        const active = counts[STATUS.PENDING] + counts[STATUS.PROCESSING];
+        let status = STATUS.COMPLETED;
+        if (active > 0) {
+            status = active === job.items.length && counts[STATUS.PROCESSING] === 0 ? STATUS.PENDING : STATUS.PROCESSING;
+        } else if (counts[STATUS.CANCELLED] > 0) {
+            status = STATUS.CANCELLED;
+        }
+
+        const summary = {
+            jobId: job.id,
+            status,
+            createdAt: job.createdAt,
+            total: job.items.length,
+            counts
+        };
+        if (withItems) {
+            summary.items = job.items.map(({ index, status, result, error }) => ({ index, status, result, error }));
+        }
+        return summary;
+    }
+}
+
+module.exports = BatchJobs;
@@ -0,0 +1,134 @@
+/**
+ * Signature envelopes for SignatureVerifier.submitEnvelope
+ * Builds the EIP-712 Envelope typed data that binds a message to the chain,
+ * the contract, the signer's next nonce and a deadline, so POST /sign can
+ * produce signatures the contract accepts once and only before they expire
+ */
+
+const { ethers } = require('ethers');
+
+// Must match DOMAIN_NAME, DOMAIN_VERSION and ENVELOPE_TYPEHASH in SignatureVerifier.sol
+const DOMAIN_NAME = 'SignatureVerifier';
+const DOMAIN_VERSION = '1';
+const ENVELOPE_TYPES = {
+    Envelope: [
+        { name: 'signer', type: 'address' },
+        { name: 'message', type: 'string' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+const DEFAULT_TTL = 3600; // Seconds an envelope stays valid unless a deadline is given
+
+// Only what the builder reads from the contract
+const NONCES_ABI = ['function nonces(address signer) view returns (uint256)'];
+
+const badRequest = (text) => Object.assign(new Error(text), { status: 400 });
+
+function parseUint(value, name) {
+    if (typeof value === 'number' ? !Number.isSafeInteger(value) || value < 0 : !/^\d+$/.test(String(value))) {
+        throw badRequest(`${name} must be a non-negative integer`);
+    }
+    return BigInt(value);
+}
+
+/**
+ * Create an envelope builder for one deployed SignatureVerifier
+ * @param {Object} options - Builder options
+ * @param {string} options.contractAddress - SignatureVerifier address (the verifyingContract)
+ * @param {number} options.chainId - Chain ID (read from the provider when omitted)
+ * @param {Object} options.contract - Contract with nonces(address) (built from provider or rpcUrl when omitted)
+ * @param {Object} options.provider - Ethers provider
+ * @param {string} options.rpcUrl - JSON-RPC URL (when no provider is given)
+ * @param {number} options.ttl - Default envelope lifetime in seconds
+ * @returns {Object} - { build }
+ */
+function createEnvelopeBuilder(options = {}) {
+    const { contractAddress, ttl = DEFAULT_TTL } = options;
+    if (!ethers.isAddress(contractAddress)) {
+        throw new Error(`Invalid contract address: ${contractAddress}`);
+    }
+    const verifyingContract = ethers.getAddress(contractAddress);
+    const provider = options.provider || (options.rpcUrl ? new ethers.JsonRpcProvider(options.rpcUrl) : null);
+    const contract = options.contract || (provider ? new ethers.Contract(verifyingContract, NONCES_ABI, provider) : null);
+
+    let chainId = options.chainId !== undefined ? BigInt(options.chainId) : null;
+    async function getChainId() {
+        if (chainId === null) {
+            const source = provider || (contract && contract.runner && contract.runner.provider);
+            if (!source) {
+                throw new Error('Envelope chain ID unknown: configure a chain ID or an RPC URL');
+            }
+            chainId = (await source.getNetwork()).chainId;
+        }
+        return chainId;
+    }
+
+    /**
+     * Build the typed data for one message
+     * @param {Object} params - Envelope parameters
+     * @param {string} params.message - Message to sign
+     * @param {string} params.signer - Address of the key that will sign
+     * @param {number|string} params.nonce - Signer nonce (read from the contract when omitted)
+     * @param {number|string} params.deadline - Unix time in seconds (now + ttl when omitted)
+     * @returns {Promise<Object>} - { domain, types, value } for signTypedData
+     * @throws {Error} - With status 400 when a parameter is invalid, 502 when the nonce cannot be read
+     */
+    async function build({ message, signer, nonce, deadline }) {
+        if (!message || typeof message !== 'string') {
+            throw badRequest('Invalid message');
+        }
+        if (!ethers.isAddress(signer)) {
+            throw badRequest('Invalid signer address');
+        }
+
+        const now = BigInt(Math.floor(Date.now() / 1000));
+        const expiry = deadline === undefined ? now + BigInt(ttl) : parseUint(deadline, 'deadline');
+        if (expiry <= now) {
+            throw badRequest('Envelope deadline has passed');
+        }
+
+        let envelopeNonce;
+        if (nonce !== undefined) {
+            envelopeNonce = parseUint(nonce, 'nonce');
+        } else if (contract) {
+            try {
+                envelopeNonce = await contract.nonces(signer);
+            } catch (err) {
+                throw Object.assign(new Error(`Contract call failed: ${err.shortMessage || err.message}`), { status: 502 });
+            }
+        } else {
+            throw badRequest('nonce is required when the contract cannot be read');
+        }
+
+        return {
+            domain: { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId: await getChainId(), verifyingContract },
+            types: ENVELOPE_TYPES,
+            value: { signer: ethers.getAddress(signer), message, nonce: envelopeNonce, deadline: expiry }
+        };
+    }
+
+    return { build };
+}
+
+/**
+ * JSON-safe form of an envelope (uint256 values as decimal strings)
+ * @param {Object} typedData - Typed data returned by build
+ * @returns {Object} - { domain, types, value }
+ */
+function serializeEnvelope({ domain, types, value }) {
+    return {
+        domain: { ...domain, chainId: domain.chainId.toString() },
+        types,
+        value: { ...value, nonce: value.nonce.toString(), deadline: value.deadline.toString() }
+    };
+}
+
+module.exports = {
+    createEnvelopeBuilder,
+    serializeEnvelope,
+    ENVELOPE_TYPES,
+    DOMAIN_NAME,
+    DOMAIN_VERSION
+};
@@ -0,0 +1,220 @@
+/**
+ * Contract event queries
+ * Serves the SignatureVerifier events indexed by EventIndexer through
+ * GET /events and combines a signer's indexed history with the contract's own
+ * counter through GET /signers/:address/stats
+ */
+
+const express = require('express');
+const { ethers } = require('ethers');
+
+const EVENT_TYPES = ['SignatureSubmitted', 'SignatureVerified', 'ContractPaused', 'ContractUnpaused', 'MerkleRootAnchored'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Only what GET /signers/:address/stats reads from the contract
+const SIGNER_STATS_ABI = ['function getSignerStats(address signer) view returns (uint256 count)'];
+
+const badRequest = (text) => Object.assign(new Error(text), { status: 400 });
+
+/**
+ * Cursors point at the last event of a page: its (block number, log index)
+ */
+function encodeCursor(event) {
+    return Buffer.from(JSON.stringify([event.blockNumber, event.logIndex])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [blockNumber, logIndex] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Number.isSafeInteger(blockNumber) && Number.isSafeInteger(logIndex)) {
+            return { blockNumber, logIndex };
+        }
+    } catch (err) {
+        // Reported below
+    }
+    throw badRequest('Invalid cursor');
+}
+
+function parseBlock(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (!/^\d+$/.test(value)) {
+        throw badRequest(`${name} must be a block number`);
+    }
+    return parseInt(value, 10);
+}
+
+/**
+ * Turn GET /events query parameters into an event store filter
+ * @param {Object} query - Express req.query
+ * @returns {Object} - Filter for SQLiteEventStore.queryEvents (limit is one more than the page size)
+ */
+function parseEventQuery(query) {
+    const filter = {};
+    if (query.signer !== undefined) {
+        if (!ethers.isAddress(query.signer)) {
+            throw badRequest('Invalid signer address');
+        }
+        filter.signer = query.signer;
+    }
+    if (query.messageHash !== undefined) {
+        if (!ethers.isHexString(query.messageHash, 32)) {
+            throw badRequest('Invalid message hash');
+        }
+        filter.messageHash = query.messageHash;
+    }
+    if (query.type !== undefined) {
+        if (!EVENT_TYPES.includes(query.type)) {
+            throw badRequest(`Unknown event type: ${query.type} (expected ${EVENT_TYPES.join(', ')})`);
+        }
+        filter.eventName = query.type;
+    }
+    if (query.valid !== undefined) {
+        if (!['true', 'false'].includes(query.valid)) {
+            throw badRequest('valid must be true or false');
+        }
+        filter.isValid = query.valid === 'true';
+    }
+
+    filter.fromBlock = parseBlock(query.from, 'from');
+    filter.toBlock = parseBlock(query.to, 'to');
+    if (filter.fromBlock !== undefined && filter.toBlock !== undefined && filter.fromBlock > filter.toBlock) {
+        throw badRequest('from must not be after to');
+    }
+
+    if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) {
+        throw badRequest('order must be asc or desc');
+    }
+    filter.order = query.order || 'desc';
+
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw badRequest(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    // One extra row tells whether there is a next page
+    filter.limit = limit + 1;
+
+    if (query.cursor !== undefined) {
+        filter.after = decodeCursor(query.cursor);
+    }
+    return filter;
+}
+
+/**
+ * Response shape of an indexed event
+ */
+function formatEvent(event) {
+    return {
+        type: event.eventName,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+        signer: event.signer ? ethers.getAddress(event.signer) : null,
+        messageHash: event.messageHash,
+        isValid: event.isValid,
+        timestamp: event.timestamp,
+        args: event.args
+    };
+}
+
+/**
+ * Create the event query routes
+ * @param {Object} options - Route options
+ * @param {Object} options.store - SQLiteEventStore filled by EventIndexer
+ * @param {string} options.contractAddress - Only serve this SignatureVerifier's events
+ * @param {Object} options.contract - Contract with getSignerStats (built from
+ *   contractAddress and provider or rpcUrl when omitted)
+ * @param {Object} options.provider - Ethers provider for the contract
+ * @param {string} options.rpcUrl - JSON-RPC URL for the contract (when no provider is given)
+ * @returns {Object} - { router }
+ */
+function createEventRoutes(options = {}) {
+    const { store, contractAddress = null } = options;
+    if (!store) {
+        throw new Error('Event routes require an event store');
+    }
+    if (contractAddress && !ethers.isAddress(contractAddress)) {
+        throw new Error(`Invalid contract address: ${contractAddress}`);
+    }
+    const provider = options.provider || (options.rpcUrl ? new ethers.JsonRpcProvider(options.rpcUrl) : null);
+    const contract = options.contract || (contractAddress && provider
+        ? new ethers.Contract(contractAddress, SIGNER_STATS_ABI, provider)
+        : null);
+
+    const router = express.Router();
+
+    // GET /events - indexed events, newest first, filtered by signer, block
+    // range (from/to), type and validity, one page per cursor
+    router.get('/events', async (req, res) => {
+        let filter;
+        try {
+            filter = parseEventQuery(req.query);
+        } catch (err) {
+            return res.status(err.status || 500).json({ success: false, error: err.message });
+        }
+
+        try {
+            const rows = await store.queryEvents({ ...filter, contractAddress });
+            const page = rows.slice(0, filter.limit - 1);
+            res.json({
+                success: true,
+                events: page.map(formatEvent),
+                nextCursor: rows.length > page.length ? encodeCursor(page[page.length - 1]) : null
+            });
+        } catch (err) {
+            console.error('Event query error:', err);
+            res.status(500).json({ success: false, error: err.message });
+        }
+    });
+
+    // GET /signers/:address/stats - indexed history and the contract's signature count
+    router.get('/signers/:address/stats', async (req, res) => {
+        const { address } = req.params;
+        if (!ethers.isAddress(address)) {
+            return res.status(400).json({ success: false, error: 'Invalid signer address' });
+        }
+        const signer = ethers.getAddress(address);
+
+        let indexed;
+        let checkpoint;
+        try {
+            indexed = await store.getSignerStats(signer, contractAddress);
+            checkpoint = contractAddress ? await store.getCheckpoint(contractAddress) : null;
+        } catch (err) {
+            console.error('Signer stats error:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        let onChain = null;
+        if (contract) {
+            try {
+                const count = await contract.getSignerStats(signer);
+                onChain = {
+                    signatureCount: Number(count),
+                    // Submissions the indexer has not reached yet (it trails the chain by its confirmations)
+                    unindexed: Math.max(0, Number(count) - indexed.submitted)
+                };
+            } catch (err) {
+                return res.status(502).json({ success: false, error: `Contract call failed: ${err.shortMessage || err.message}` });
+            }
+        }
+
+        res.json({
+            success: true,
+            address: signer,
+            indexed,
+            indexedThroughBlock: checkpoint ? checkpoint.blockNumber : null,
+            onChain
+        });
+    });
+
+    return { router };
+}
+
+module.exports = {
+    createEventRoutes,
+    EVENT_TYPES
+};
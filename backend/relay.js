@@ -0,0 +1,97 @@
+/**
+ * Gasless relay routes
+ * Builds ERC-2771 forward requests for users to sign, relays signed ones
+ * through the MetaTxRelayer (which pays the gas) and reports their progress
+ * and the caller's remaining quota. Only a logged-in user may relay, and only
+ * requests from their own address, so a user's quota cannot be dodged with
+ * fresh keys under one account; new accounts do get their own quota, so the
+ * relayer's total budget (RelayPolicy totalQuota) is what bounds the gas paid.
+ * With authentication disabled nothing is relayed
+ */
+
+const express = require('express');
+const { serializeForwardRequest } = require('../3. Blockchain_Interaction/Relayer/metaTxRelayer');
+
+/**
+ * Create the relay routes
+ * @param {Object} options - Route options
+ * @param {Object} options.relayer - MetaTxRelayer
+ * @param {Array<Function>} options.middleware - Middleware run before routes that change state (e.g. requireAuth)
+ * @returns {Object} - { router }
+ */
+function createRelayRoutes(options = {}) {
+    const { relayer, middleware = [] } = options;
+    if (!relayer) {
+        throw new Error('Relay routes require a relayer');
+    }
+
+    const router = express.Router();
+    const fail = (res, err) => {
+        if (!err.status) {
+            console.error('Relay route error:', err);
+        }
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    };
+
+    // The logged-in user's address; refuses requests without a session or for someone else
+    const userAddress = (req, from) => {
+        if (!req.user || !req.user.address) {
+            throw Object.assign(new Error('Relaying requires a logged-in user'), { status: 401 });
+        }
+        if (from !== undefined && (typeof from !== 'string' || from.toLowerCase() !== req.user.address.toLowerCase())) {
+            throw Object.assign(new Error(`Forward requests must be from the logged-in user ${req.user.address}`), { status: 403 });
+        }
+        return req.user.address;
+    };
+
+    // POST /relay/requests - typed data to sign for one call { from?, method, args, gas? } (from: the logged-in user)
+    router.post('/relay/requests', ...middleware, async (req, res) => {
+        try {
+            const { method, args, gas } = req.body;
+            const from = userAddress(req, req.body.from);
+            const typedData = await relayer.buildRequest({ from, method, args, gas });
+            res.json({ success: true, ...serializeForwardRequest(typedData) });
+        } catch (err) {
+            fail(res, err);
+        }
+    });
+
+    // POST /relay - relay a signed forward request { request, signature }
+    router.post('/relay', ...middleware, async (req, res) => {
+        try {
+            const { request, signature } = req.body;
+            const user = userAddress(req);
+            res.status(202).json({ success: true, relay: await relayer.relay({ request, signature, user }) });
+        } catch (err) {
+            fail(res, err);
+        }
+    });
+
+    // GET /relay/quota/:address - relays left for an address in the current window
+    router.get('/relay/quota/:address', async (req, res) => {
+        try {
+            res.json({ success: true, ...await relayer.getQuota(req.params.address) });
+        } catch (err) {
+            fail(res, err);
+        }
+    });
+
+    // GET /relay/:id - one relay (status pending, submitted, confirmed, failed or rejected)
+    router.get('/relay/:id', async (req, res) => {
+        try {
+            const relay = await relayer.getRelay(req.params.id);
+            if (!relay) {
+                return res.status(404).json({ success: false, error: 'Relay not found' });
+            }
+            res.json({ success: true, relay });
+        } catch (err) {
+            fail(res, err);
+        }
+    });
+
+    return { router };
+}
+
+module.exports = {
+    createRelayRoutes
+};
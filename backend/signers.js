@@ -0,0 +1,500 @@
+/**
+ * Signing providers for the backend /sign route
+ * Every provider exposes the same sign(message), signTypedData(typedData) and
+ * signHash(hash) contract and reports its own name, so a response can always
+ * say which backend actually produced the signature. signHash signs a raw
+ * 32-byte digest, such as the signing hash of an offline transaction.
+ * withKey(privateKey) derives the same provider for a logged-in user's key
+ */
+
+const { ethers } = require('ethers');
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const OutputJSONReader = require('../2. Output_Interface/JS_FileReader/readOutputJSON');
+const { signMessage, signDigest, HANDLER_PATH: SIGNING_HANDLER } = require('../5. Tools/Queue_Manager/signingHandler');
+
+// Demo private key (DO NOT USE IN PRODUCTION)
+const DEMO_PRIVATE_KEY = '0x4c0883a69102937d6231471b5dbb6204fe5129617082790e7e5e2ad98079c6a1';
+const MOCK_ADDRESS = '0x742d35Cc6634C0532925a3b8D4C9db96C4b4d8b6';
+const CHIP_CORE_DIR = path.join(__dirname, '../1. Verilog_Chip_Core');
+
+/**
+ * Validate an EIP-712 payload and compute its hashes
+ * EIP712Domain is derived from the domain by ethers, so it is dropped from types
+ * @param {Object} typedData - { domain, types, value }
+ * @returns {Object} - { domain, types, value, primaryType, domainSeparator, structHash, hash }
+ * @throws {Error} - With status 400 when the payload is not valid typed data
+ */
+function encodeTypedData(typedData) {
+    const { domain, types, value } = typedData || {};
+    if (!domain || typeof domain !== 'object' || !types || typeof types !== 'object' || !value || typeof value !== 'object') {
+        throw Object.assign(new Error('Typed data requires domain, types and value objects'), { status: 400 });
+    }
+
+    const { EIP712Domain, ...structTypes } = types;
+    try {
+        const encoder = ethers.TypedDataEncoder.from(structTypes);
+        return {
+            domain,
+            types: structTypes,
+            value,
+            primaryType: encoder.primaryType,
+            domainSeparator: ethers.TypedDataEncoder.hashDomain(domain),
+            structHash: encoder.hash(value),
+            hash: ethers.TypedDataEncoder.hash(domain, structTypes, value)
+        };
+    } catch (error) {
+        throw Object.assign(new Error(`Invalid typed data: ${error.shortMessage || error.message}`), { status: 400 });
+    }
+}
+
+/**
+ * Check that a value is a 32-byte hex digest
+ * @param {string} hash - Digest to sign
+ * @returns {string} - The digest, lowercase
+ * @throws {Error} - With status 400 otherwise
+ */
+function requireDigest(hash) {
+    if (!ethers.isHexString(hash, 32)) {
+        throw Object.assign(new Error('Hash must be 32 bytes of 0x-prefixed hex'), { status: 400 });
+    }
+    return hash.toLowerCase();
+}
+
+/**
+ * Software signer backed by an ethers wallet
+ * Given a TaskScheduler with worker threads, sign() and signHash() run on its
+ * threads so large batches do not block the event loop
+ */
+class SoftwareSigner {
+    /**
+     * @param {Object} options - Signer options
+     * @param {string} options.privateKey - Key to sign with (default: the demo key)
+     * @param {Object} options.threads - TaskScheduler with workerThreads running the signing handler
+     */
+    constructor(options = {}) {
+        this.name = 'software';
+        this.wallet = new ethers.Wallet(options.privateKey || DEMO_PRIVATE_KEY);
+        this.address = this.wallet.address;
+        this.threads = options.threads || null;
+    }
+
+    /**
+     * The same provider signing with another key (a logged-in user's)
+     * @param {string} privateKey - Key to sign with
+     * @returns {SoftwareSigner} - Provider for that key
+     */
+    withKey(privateKey) {
+        return new SoftwareSigner({ privateKey, threads: this.threads });
+    }
+
+    /**
+     * The same provider signing on a scheduler's worker threads
+     * @param {Object} threads - TaskScheduler with workerThreads
+     * @returns {SoftwareSigner} - Provider for the same key
+     */
+    onThreads(threads) {
+        return new SoftwareSigner({ privateKey: this.wallet.privateKey, threads });
+    }
+
+    /**
+     * Run a signing operation on the thread pool
+     * @param {Object} data - Signing handler data (operation, message or hash)
+     * @returns {Promise<Object>} - Handler result
+     */
+    runOnThread(data) {
+        return this.threads.addTask({ handler: SIGNING_HANDLER, data: { ...data, privateKey: this.wallet.privateKey } });
+    }
+
+    /**
+     * Software signing needs no external resources
+     * @returns {Promise<boolean>} - Always true
+     */
+    async isAvailable() {
+        return true;
+    }
+
+    /**
+     * Sign keccak256(utf8(message)) with the wallet key
+     * @param {string} message - Message to sign
+     * @returns {Promise<Object>} - Signature, hash, signer address and r/s/v
+     */
+    async sign(message) {
+        if (this.threads) {
+            return this.runOnThread({ operation: 'sign', message });
+        }
+        return signMessage(this.wallet, message);
+    }
+
+    /**
+     * Sign a 32-byte digest with the wallet key, without any prefix
+     * @param {string} hash - 32-byte hex digest
+     * @returns {Promise<Object>} - Signature, hash, signer address and r/s/v
+     */
+    async signHash(hash) {
+        requireDigest(hash);
+        if (this.threads) {
+            return this.runOnThread({ operation: 'signHash', hash });
+        }
+        return signDigest(this.wallet, hash);
+    }
+
+    /**
+     * Sign EIP-712 typed data with the wallet key
+     * @param {Object} typedData - { domain, types, value }
+     * @returns {Promise<Object>} - Signature, digest, struct hash, signer address and r/s/v
+     */
+    async signTypedData(typedData) {
+        const { domain, types, value, primaryType, domainSeparator, structHash, hash } = encodeTypedData(typedData);
+        const signature = await this.wallet.signTypedData(domain, types, value);
+        const { r, s, v } = ethers.Signature.from(signature);
+        return {
+            signature,
+            hash,
+            structHash,
+            domainSeparator,
+            primaryType,
+            publicKey: this.address,
+            r,
+            s,
+            v
+        };
+    }
+}
+
+/**
+ * Mock signer returning random output, for UI demos without any key material
+ */
+class MockSigner {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.address = options.address || MOCK_ADDRESS;
+    }
+
+    /**
+     * The mock signer holds no key, so every user gets the same one
+     * @returns {MockSigner} - This provider
+     */
+    withKey() {
+        return this;
+    }
+
+    /**
+     * The mock signer is always available
+     * @returns {Promise<boolean>} - Always true
+     */
+    async isAvailable() {
+        return true;
+    }
+
+    /**
+     * Produce a random, structurally valid looking signature
+     * @param {string} message - Message to "sign"
+     * @returns {Promise<Object>} - Random signature data
+     */
+    async sign(message) {
+        const timestamp = Date.now();
+        const hash = '0x' + crypto.createHash('sha256').update(message + timestamp).digest('hex');
+        return {
+            signature: '0x' + crypto.randomBytes(65).toString('hex'),
+            hash: hash,
+            publicKey: this.address,
+            r: '0x' + crypto.randomBytes(32).toString('hex'),
+            s: '0x' + crypto.randomBytes(32).toString('hex'),
+            v: 27
+        };
+    }
+
+    /**
+     * Produce a random signature for a digest
+     * @param {string} hash - 32-byte hex digest
+     * @returns {Promise<Object>} - Random signature data
+     */
+    async signHash(hash) {
+        return { ...(await this.sign(requireDigest(hash))), hash };
+    }
+
+    /**
+     * Produce a random signature over real EIP-712 hashes
+     * @param {Object} typedData - { domain, types, value }
+     * @returns {Promise<Object>} - Random signature data
+     */
+    async signTypedData(typedData) {
+        const { primaryType, domainSeparator, structHash, hash } = encodeTypedData(typedData);
+        return {
+            ...(await this.sign(hash)),
+            hash,
+            structHash,
+            domainSeparator,
+            primaryType
+        };
+    }
+}
+
+/**
+ * Virtual chip signer driving the compiled Icarus Verilog ECDSA testbench
+ * Writes the chip input memory, runs the simulation as a child process and
+ * parses the r/s/v transcript through OutputJSONReader
+ */
+class VirtualChipSigner {
+    constructor(options = {}) {
+        this.name = 'virtual-chip';
+        this.options = options;
+        this.coreDir = options.coreDir || CHIP_CORE_DIR;
+        this.simulationBinary = options.simulationBinary || path.join(this.coreDir, 'testbench', 'ecdsa_sim');
+        // The testbench reads ../ecdsa_input.mem relative to its working directory
+        this.inputFile = options.inputFile || path.join(this.coreDir, 'ecdsa_input.mem');
+        this.vvpPath = options.vvpPath || process.env.VVP_PATH || 'vvp';
+        this.timeout = options.timeout || 30000;
+        this.wallet = new ethers.Wallet(options.privateKey || process.env.CHIP_PRIVATE_KEY || DEMO_PRIVATE_KEY);
+        this.address = this.wallet.address;
+        this.generateInput = options.generateInput || loadECDSAInputGenerator;
+        this.runSimulation = options.runSimulation || (() => this.execSimulation());
+        this.reader = new OutputJSONReader();
+        this.available = null;
+        // The input memory file is shared, so simulations must run one at a time,
+        // also across the per-user signers withKey derives from this one
+        this.queue = options.queue || { pending: Promise.resolve() };
+    }
+
+    /**
+     * The same chip signing with another key (a logged-in user's)
+     * The derived signer keeps this one's options and runs its simulations
+     * in the same queue, so users never overwrite each other's input file
+     * @param {string} privateKey - Key loaded into the chip
+     * @returns {VirtualChipSigner} - Signer for that key
+     */
+    withKey(privateKey) {
+        return new VirtualChipSigner({ ...this.options, privateKey, queue: this.queue });
+    }
+
+    /**
+     * Check that the compiled simulation and the vvp runtime are present
+     * @returns {Promise<boolean>} - True if the chip can be simulated
+     */
+    async isAvailable() {
+        if (!fs.existsSync(this.simulationBinary)) {
+            return false;
+        }
+        if (this.available === null) {
+            this.available = await new Promise(resolve => {
+                execFile(this.vvpPath, ['-V'], { timeout: 5000 }, error => resolve(!error));
+            });
+        }
+        return this.available;
+    }
+
+    /**
+     * Sign keccak256(utf8(message)) on the simulated chip
+     * Like SoftwareSigner.sign, the chip signs the EIP-191 (personal_sign) digest
+     * of the hash, so POST /verify and anchoring accept either provider's output
+     * @param {string} message - Message to sign
+     * @returns {Promise<Object>} - Signature data produced by the simulation
+     */
+    sign(message) {
+        const hash = ethers.keccak256(ethers.toUtf8Bytes(message));
+        return this.enqueue(async () => ({
+            ...(await this.signOnChip(ethers.hashMessage(ethers.getBytes(hash)))),
+            hash
+        }));
+    }
+
+    /**
+     * Sign a 32-byte digest on the simulated chip
+     * @param {string} hash - 32-byte hex digest
+     * @returns {Promise<Object>} - Signature data produced by the simulation
+     */
+    signHash(hash) {
+        const digest = requireDigest(hash);
+        return this.enqueue(() => this.signOnChip(digest));
+    }
+
+    /**
+     * Sign EIP-712 typed data on the simulated chip
+     * The chip signs the 32-byte EIP-712 digest directly
+     * @param {Object} typedData - { domain, types, value }
+     * @returns {Promise<Object>} - Signature data plus the struct hash
+     */
+    signTypedData(typedData) {
+        const { primaryType, domainSeparator, structHash, hash } = encodeTypedData(typedData);
+        return this.enqueue(async () => ({
+            ...(await this.signOnChip(hash)),
+            structHash,
+            domainSeparator,
+            primaryType
+        }));
+    }
+
+    /**
+     * Queue a simulation behind the ones already running
+     * @param {Function} task - Async simulation task
+     * @returns {Promise<Object>} - Task result
+     */
+    enqueue(task) {
+        const run = this.queue.pending.then(task);
+        this.queue.pending = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Run a single simulation for a digest
+     * The input file holds the private key, so it only exists while the simulation runs
+     * @param {string} hash - 32-byte hex digest the chip signs as is
+     * @returns {Promise<Object>} - Signature data
+     * @throws {Error} - When the chip output is invalid or does not recover to the chip's address
+     */
+    async signOnChip(hash) {
+        const nonce = crypto.randomBytes(32).toString('hex');
+        const privateKey = this.wallet.privateKey.replace(/^0x/, '');
+
+        const generateECDSAInputMem = await this.generateInput();
+        let transcript;
+        try {
+            fs.writeFileSync(this.inputFile, generateECDSAInputMem(hash.replace(/^0x/, ''), privateKey, nonce), { mode: 0o600 });
+            transcript = await this.runSimulation();
+        } finally {
+            fs.rmSync(this.inputFile, { force: true });
+        }
+        const output = await this.parseTranscript(transcript, hash);
+
+        if (!output.validation.isValid) {
+            throw new Error(`Virtual chip output invalid: ${output.validation.errors.join(', ')}`);
+        }
+
+        const { r, s, v } = output.signature;
+        let recovered;
+        try {
+            recovered = ethers.recoverAddress(hash, { r: '0x' + r, s: '0x' + s, v: parseInt(v, 16) });
+        } catch (error) {
+            throw new Error(`Virtual chip signature does not recover: ${error.message}`);
+        }
+        if (recovered !== this.address) {
+            throw new Error(`Virtual chip signature recovers to ${recovered}, not the chip address ${this.address}`);
+        }
+        return {
+            signature: '0x' + r + s + v,
+            hash,
+            publicKey: this.address,
+            r: '0x' + r,
+            s: '0x' + s,
+            v: parseInt(v, 16)
+        };
+    }
+
+    /**
+     * Execute the compiled testbench with vvp
+     * @returns {Promise<string>} - Simulation stdout
+     */
+    execSimulation() {
+        return new Promise((resolve, reject) => {
+            execFile(
+                this.vvpPath,
+                [this.simulationBinary],
+                { cwd: path.dirname(this.simulationBinary), timeout: this.timeout },
+                (error, stdout, stderr) => {
+                    if (error) {
+                        reject(new Error(`Virtual chip simulation failed: ${stderr || error.message}`));
+                        return;
+                    }
+                    resolve(stdout);
+                }
+            );
+        });
+    }
+
+    /**
+     * Parse the simulation transcript with OutputJSONReader
+     * @param {string} transcript - Simulation stdout ("r: ...", "s: ...", "v: ..." lines)
+     * @param {string} hash - Hash that was fed to the chip
+     * @returns {Promise<Object>} - Structured output data
+     */
+    async parseTranscript(transcript, hash) {
+        const outputFile = path.join(os.tmpdir(), `virtual_chip_${process.pid}_${Date.now()}.txt`);
+        // The testbench does not echo the hash, so record it next to the transcript
+        fs.writeFileSync(outputFile, `${transcript}\nhash: ${hash.replace(/^0x/, '')}\n`);
+        try {
+            return await this.reader.readOutputFile(outputFile, 'txt');
+        } finally {
+            this.reader.clearCache(outputFile);
+            fs.unlinkSync(outputFile);
+        }
+    }
+}
+
+/**
+ * Lazily load generateECDSAInputMem from the frontend Verilog file generator
+ * @returns {Promise<Function>} - generateECDSAInputMem
+ */
+async function loadECDSAInputGenerator() {
+    const generator = require('../frontend_ui/verilog_file_generator/generateInputMem.js');
+    return generator.generateECDSAInputMem;
+}
+
+const PROVIDERS = {
+    software: SoftwareSigner,
+    mock: MockSigner,
+    'virtual-chip': VirtualChipSigner
+};
+
+/**
+ * Create a signing provider by name
+ * @param {string} name - Provider name ('software', 'mock', 'virtual-chip')
+ * @param {Object} options - Provider options
+ * @returns {Object} - Provider instance
+ */
+function createSigner(name = 'software', options = {}) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown signing provider: ${name}`);
+    }
+    return new Provider(options);
+}
+
+/**
+ * Sign a message string or an EIP-712 { domain, types, value } payload
+ * @param {Object} provider - Signing provider
+ * @param {string|Object} payload - Message or typed data
+ * @returns {Promise<Object>} - Signature data
+ */
+function signPayload(provider, payload) {
+    return typeof payload === 'string' ? provider.sign(payload) : provider.signTypedData(payload);
+}
+
+/**
+ * Sign with the primary provider, falling back to a secondary one on failure
+ * Invalid typed data is rejected up front rather than retried on the fallback
+ * @param {Object} primary - Primary provider
+ * @param {Object|null} fallback - Fallback provider
+ * @param {string|Object} payload - Message or EIP-712 typed data
+ * @returns {Promise<Object>} - Signature data plus the provider that produced it
+ */
+async function signWithFallback(primary, fallback, payload) {
+    if (typeof payload !== 'string') {
+        encodeTypedData(payload);
+    }
+    try {
+        const result = await signPayload(primary, payload);
+        return { ...result, provider: primary.name };
+    } catch (error) {
+        if (!fallback) {
+            throw error;
+        }
+        console.warn(`[Signers] ${primary.name} failed (${error.message}), falling back to ${fallback.name}`);
+        const result = await signPayload(fallback, payload);
+        return { ...result, provider: fallback.name, fallbackReason: error.message };
+    }
+}
+
+module.exports = {
+    SoftwareSigner,
+    MockSigner,
+    VirtualChipSigner,
+    createSigner,
+    signWithFallback,
+    encodeTypedData,
+    PROVIDERS
+};
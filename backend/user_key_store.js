@@ -1,76 +1,235 @@
 const sqlite3 = require('sqlite3').verbose();
 const crypto = require('crypto');
 const path = require('path');
+const bcrypt = require('bcryptjs');
 require('dotenv').config();
 
-const ENCRYPTION_SECRET = process.env.ENCRYPTION_SECRET || 'changeme';
-const DB_PATH = path.join(__dirname, 'users.db');
+const DB_PATH = process.env.USER_DB_PATH || path.join(__dirname, 'users.db');
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '12', 10);
+
+// Rows written before key versioning (unsalted SHA-256 passwords, AES-256-CBC keys)
+const LEGACY_KEY_VERSION = 0;
+
+/**
+ * Master secrets by key version. ENCRYPTION_SECRET is the current secret and
+ * ENCRYPTION_KEY_VERSION its version; retired secrets stay readable as
+ * ENCRYPTION_SECRET_V<n> until rotateEncryptionKey has re-encrypted every row.
+ */
+function loadEncryptionSecrets(env) {
+  const currentVersion = parseInt(env.ENCRYPTION_KEY_VERSION || '1', 10);
+  const secrets = {};
+  for (const [name, value] of Object.entries(env)) {
+    const match = name.match(/^ENCRYPTION_SECRET_V(\d+)$/);
+    if (match && value) secrets[match[1]] = value;
+  }
+  if (env.ENCRYPTION_SECRET) {
+    secrets[currentVersion] = env.ENCRYPTION_SECRET;
+    // Legacy rows used the raw secret as the AES key
+    if (secrets[LEGACY_KEY_VERSION] === undefined) secrets[LEGACY_KEY_VERSION] = env.ENCRYPTION_SECRET;
+  }
+  return { currentVersion, secrets };
+}
+
+const { currentVersion: CURRENT_KEY_VERSION, secrets: ENCRYPTION_SECRETS } = loadEncryptionSecrets(process.env);
 
 const db = new sqlite3.Database(DB_PATH);
 
+let ready = false;
+const waiting = [];
+
+function whenReady(fn) {
+  if (ready) return fn();
+  waiting.push(fn);
+}
+
 db.serialize(() => {
   db.run(`CREATE TABLE IF NOT EXISTS users (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     username TEXT UNIQUE NOT NULL,
     password_hash TEXT NOT NULL,
-    encrypted_key TEXT NOT NULL
+    encrypted_key TEXT NOT NULL,
+    key_version INTEGER NOT NULL DEFAULT 0
   )`);
+  db.all('PRAGMA table_info(users)', (err, columns) => {
+    const done = () => {
+      ready = true;
+      waiting.splice(0).forEach(fn => fn());
+    };
+    if (!err && !columns.some(column => column.name === 'key_version')) {
+      // Databases created before key versioning: every existing row is legacy
+      db.run(`ALTER TABLE users ADD COLUMN key_version INTEGER NOT NULL DEFAULT ${LEGACY_KEY_VERSION}`, done);
+    } else {
+      done();
+    }
+  });
 });
 
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password).digest('hex');
+function getSecret(version) {
+  const secret = ENCRYPTION_SECRETS[version];
+  if (!secret) throw new Error(`No encryption secret configured for key version ${version}`);
+  return secret;
+}
+
+function hashPassword(password, cb) {
+  bcrypt.hash(password, BCRYPT_ROUNDS, cb);
+}
+
+function isLegacyPasswordHash(hash) {
+  return /^[0-9a-f]{64}$/.test(hash);
+}
+
+function verifyPassword(password, hash, cb) {
+  if (isLegacyPasswordHash(hash)) {
+    const candidate = crypto.createHash('sha256').update(password).digest();
+    return cb(null, crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex')));
+  }
+  bcrypt.compare(password, hash, cb);
 }
 
-function encrypt(text) {
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(ENCRYPTION_SECRET, 'utf8'), iv);
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return iv.toString('hex') + ':' + encrypted;
+function encrypt(text, cb) {
+  let secret;
+  try {
+    secret = getSecret(CURRENT_KEY_VERSION);
+  } catch (e) {
+    return cb(e);
+  }
+  const salt = crypto.randomBytes(16);
+  crypto.scrypt(secret, salt, 32, (err, key) => {
+    if (err) return cb(err);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    cb(null, [salt, iv, tag, encrypted].map(part => part.toString('hex')).join(':'), CURRENT_KEY_VERSION);
+  });
 }
 
-function decrypt(data) {
+function legacyDecrypt(data, secret) {
   const [ivHex, encrypted] = data.split(':');
   const iv = Buffer.from(ivHex, 'hex');
-  const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(ENCRYPTION_SECRET, 'utf8'), iv);
+  const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(secret, 'utf8'), iv);
   let decrypted = decipher.update(encrypted, 'hex', 'utf8');
   decrypted += decipher.final('utf8');
   return decrypted;
 }
 
+function decrypt(data, keyVersion, cb) {
+  let secret;
+  try {
+    secret = getSecret(keyVersion);
+    if (keyVersion === LEGACY_KEY_VERSION) return cb(null, legacyDecrypt(data, secret));
+  } catch (e) {
+    return cb(e);
+  }
+  const [salt, iv, tag, encrypted] = data.split(':').map(part => Buffer.from(part, 'hex'));
+  crypto.scrypt(secret, salt, 32, (err, key) => {
+    if (err) return cb(err);
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAuthTag(tag);
+      cb(null, Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8'));
+    } catch (e) {
+      cb(new Error('Failed to decrypt private key: authentication failed'));
+    }
+  });
+}
+
+/**
+ * Re-encrypt a row's private key with the current master secret
+ */
+function reencryptRow(row, cb) {
+  decrypt(row.encrypted_key, row.key_version, (err, privateKey) => {
+    if (err) return cb(err);
+    encrypt(privateKey, (err, encrypted_key, key_version) => {
+      if (err) return cb(err);
+      db.run(
+        'UPDATE users SET encrypted_key = ?, key_version = ? WHERE id = ?',
+        [encrypted_key, key_version, row.id],
+        err => cb(err, { ...row, encrypted_key, key_version })
+      );
+    });
+  });
+}
+
 function registerUser(username, password, privateKey, cb) {
-  const password_hash = hashPassword(password);
-  const encrypted_key = encrypt(privateKey);
-  db.run(
-    'INSERT INTO users (username, password_hash, encrypted_key) VALUES (?, ?, ?)',
-    [username, password_hash, encrypted_key],
-    cb
-  );
+  whenReady(() => {
+    hashPassword(password, (err, password_hash) => {
+      if (err) return cb(err);
+      encrypt(privateKey, (err, encrypted_key, key_version) => {
+        if (err) return cb(err);
+        db.run(
+          'INSERT INTO users (username, password_hash, encrypted_key, key_version) VALUES (?, ?, ?, ?)',
+          [username, password_hash, encrypted_key, key_version],
+          cb
+        );
+      });
+    });
+  });
 }
 
+/**
+ * Check a user's password. Legacy rows are migrated on the first successful
+ * login: the password is rehashed with bcrypt and the key re-encrypted with
+ * the current secret.
+ */
 function authenticateUser(username, password, cb) {
-  const password_hash = hashPassword(password);
-  db.get(
-    'SELECT * FROM users WHERE username = ? AND password_hash = ?',
-    [username, password_hash],
-    (err, row) => {
+  whenReady(() => {
+    db.get('SELECT * FROM users WHERE username = ?', [username], (err, row) => {
       if (err) return cb(err);
       if (!row) return cb(null, null);
-      cb(null, row);
-    }
-  );
+      verifyPassword(password, row.password_hash, (err, valid) => {
+        if (err) return cb(err);
+        if (!valid) return cb(null, null);
+        migrateUser(row, password, cb);
+      });
+    });
+  });
 }
 
-function getDecryptedKey(username, cb) {
-  db.get('SELECT encrypted_key FROM users WHERE username = ?', [username], (err, row) => {
+function migrateUser(row, password, cb) {
+  const upgradeKey = next => {
+    if (row.key_version === CURRENT_KEY_VERSION) return next(null, row);
+    reencryptRow(row, next);
+  };
+  upgradeKey((err, upgraded) => {
     if (err) return cb(err);
-    if (!row) return cb(new Error('User not found'));
-    try {
-      const privateKey = decrypt(row.encrypted_key);
-      cb(null, privateKey);
-    } catch (e) {
-      cb(e);
-    }
+    if (!isLegacyPasswordHash(upgraded.password_hash)) return cb(null, upgraded);
+    hashPassword(password, (err, password_hash) => {
+      if (err) return cb(err);
+      db.run('UPDATE users SET password_hash = ? WHERE id = ?', [password_hash, upgraded.id], err => {
+        if (err) return cb(err);
+        cb(null, { ...upgraded, password_hash });
+      });
+    });
+  });
+}
+
+function getDecryptedKey(username, cb) {
+  whenReady(() => {
+    db.get('SELECT encrypted_key, key_version FROM users WHERE username = ?', [username], (err, row) => {
+      if (err) return cb(err);
+      if (!row) return cb(new Error('User not found'));
+      decrypt(row.encrypted_key, row.key_version, cb);
+    });
+  });
+}
+
+/**
+ * Re-encrypt every row that is not on the current key version, so a retired
+ * ENCRYPTION_SECRET_V<n> can be removed. Calls back with the number of rows updated.
+ */
+function rotateEncryptionKey(cb) {
+  whenReady(() => {
+    db.all('SELECT * FROM users WHERE key_version != ?', [CURRENT_KEY_VERSION], (err, rows) => {
+      if (err) return cb(err);
+      let index = 0;
+      const next = err => {
+        if (err) return cb(err);
+        if (index >= rows.length) return cb(null, rows.length);
+        reencryptRow(rows[index++], next);
+      };
+      next();
+    });
   });
 }
 
@@ -78,4 +237,6 @@ module.exports = {
   registerUser,
   authenticateUser,
   getDecryptedKey,
-}; 
\ No newline at end of file
+  rotateEncryptionKey,
+  CURRENT_KEY_VERSION,
+};
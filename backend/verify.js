@@ -0,0 +1,129 @@
+/**
+ * Signature verification
+ * Recovers the signer of an EIP-191 personal signature so clients can check
+ * signatures without bundling their own crypto. With a provider, an expected
+ * signer that has code (a smart-contract wallet) is asked through ERC-1271
+ * isValidSignature instead, as SignatureVerifier.sol does
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * What the signer signed over
+ * message: the UTF-8 message text (MetaMask personal_sign, SignatureVerifier.sol)
+ * hash: the 32-byte keccak256 digest of the message (POST /sign)
+ */
+const ENCODINGS = ['message', 'hash'];
+
+const ERC1271_ABI = ['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'];
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+
+/**
+ * Ask a contract wallet whether it signed a hash
+ * A wallet that reverts or answers anything but the magic value did not sign it
+ * @param {Object} provider - Ethers provider
+ * @param {string} wallet - Contract wallet address
+ * @param {string} digest - EIP-191 hash of the signed data
+ * @param {string} signature - Signature in the wallet's own format
+ * @returns {Promise<boolean>} - Whether the wallet accepts the signature
+ * @throws {Error} - With status 502 when the node cannot be reached
+ */
+async function isValidContractSignature(provider, wallet, digest, signature) {
+    const contract = new ethers.Contract(wallet, ERC1271_ABI, provider);
+    try {
+        return await contract.isValidSignature(digest, signature) === ERC1271_MAGIC_VALUE;
+    } catch (error) {
+        if (['CALL_EXCEPTION', 'BAD_DATA'].includes(error.code)) {
+            return false;
+        }
+        throw Object.assign(new Error(`Contract call failed: ${error.shortMessage || error.message}`), { status: 502 });
+    }
+}
+
+/**
+ * Verify a personal signature
+ * signerType tells how it was checked: 'eoa' (ecrecover) or 'contract'
+ * (ERC-1271, only with a provider and an expected address that has code).
+ * A contract wallet recovers nothing, so signer is the wallet when it accepts
+ * the signature and null otherwise, and r, s and v are null
+ * @param {Object} params - Verification parameters
+ * @param {string} params.message - Original message
+ * @param {string} params.signature - 65-byte (or 64-byte compact) hex signature, any hex for contract wallets
+ * @param {string} params.expectedAddress - Optional address the signature must recover to
+ * @param {string} params.encoding - 'message' (default) or 'hash'
+ * @param {Object} params.provider - Optional ethers provider used to detect contract wallets
+ * @returns {Promise<Object>} - { valid, signer, signerType, expectedAddress, encoding, hash, r, s, v }
+ * @throws {Error} - With status 400 when the input cannot be parsed, 502 when the node cannot be reached
+ */
+async function verifySignature({ message, signature, expectedAddress = null, encoding = 'message', provider = null }) {
+    const invalid = (text) => Object.assign(new Error(text), { status: 400 });
+
+    if (!message || typeof message !== 'string') {
+        throw invalid('Invalid message');
+    }
+    if (!signature || typeof signature !== 'string') {
+        throw invalid('Invalid signature');
+    }
+    if (!ENCODINGS.includes(encoding)) {
+        throw invalid(`Unknown encoding: ${encoding}`);
+    }
+    if (expectedAddress && !ethers.isAddress(expectedAddress)) {
+        throw invalid('Invalid expected address');
+    }
+
+    const hash = ethers.keccak256(ethers.toUtf8Bytes(message));
+    const signed = encoding === 'hash' ? ethers.getBytes(hash) : message;
+    const expected = expectedAddress ? ethers.getAddress(expectedAddress) : null;
+
+    if (expected && provider) {
+        let code;
+        try {
+            code = await provider.getCode(expected);
+        } catch (error) {
+            throw Object.assign(new Error(`Contract call failed: ${error.shortMessage || error.message}`), { status: 502 });
+        }
+        if (code !== '0x') {
+            if (!ethers.isHexString(signature) || signature.length <= 2) {
+                throw invalid('Invalid signature format');
+            }
+            const valid = await isValidContractSignature(provider, expected, ethers.hashMessage(signed), signature);
+            return {
+                valid,
+                signer: valid ? expected : null,
+                signerType: 'contract',
+                expectedAddress: expected,
+                encoding,
+                hash,
+                r: null,
+                s: null,
+                v: null
+            };
+        }
+    }
+
+    let sig;
+    try {
+        sig = ethers.Signature.from(signature);
+    } catch (error) {
+        throw invalid('Invalid signature format');
+    }
+
+    const signer = ethers.verifyMessage(signed, sig);
+
+    return {
+        valid: expected ? signer === expected : true,
+        signer,
+        signerType: 'eoa',
+        expectedAddress: expected,
+        encoding,
+        hash,
+        r: sig.r,
+        s: sig.s,
+        v: sig.v
+    };
+}
+
+module.exports = {
+    verifySignature,
+    ENCODINGS
+};
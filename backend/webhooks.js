@@ -0,0 +1,126 @@
+/**
+ * Webhook subscription management
+ * Manages the subscriptions and dead letters of the WebhookDispatcher outbox
+ * that listen_events.js and eventIndexer.js deliver from
+ * Signed-in users only see and manage their own subscriptions and dead letters,
+ * and can only subscribe URLs of public hosts
+ */
+
+const express = require('express');
+const { EVENT_TYPES } = require('./events');
+const { checkWebhookTarget } = require('../3. Blockchain_Interaction/Contract_Events/webhookDispatcher');
+
+/**
+ * Response shape of a delivery
+ */
+function formatDelivery(delivery) {
+    return {
+        id: delivery.id,
+        subscriptionId: delivery.subscriptionId,
+        eventType: delivery.eventType,
+        eventId: delivery.eventKey,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        lastError: delivery.lastError,
+        createdAt: delivery.createdAt,
+        updatedAt: delivery.updatedAt,
+        payload: delivery.payload
+    };
+}
+
+/**
+ * Create the webhook routes
+ * @param {Object} options - Route options
+ * @param {Object} options.dispatcher - WebhookDispatcher
+ * @param {Array<Function>} options.middleware - Middleware run before every route (e.g. requireAuth)
+ * @param {boolean} options.allowPrivateTargets - Accept URLs of private and loopback hosts
+ * @param {Function} options.lookup - dns.promises.lookup implementation (for tests)
+ * @returns {Object} - { router }
+ */
+function createWebhookRoutes(options = {}) {
+    const { dispatcher, middleware = [], allowPrivateTargets = false, lookup } = options;
+    if (!dispatcher) {
+        throw new Error('Webhook routes require a dispatcher');
+    }
+
+    const router = express.Router();
+    const fail = (res, err) => {
+        if (!err.status) {
+            console.error('Webhook route error:', err);
+        }
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    };
+    // Subscriptions belong to the signed-in user (routes without auth manage every subscription)
+    const ownerOf = req => (req.user ? req.user.username : undefined);
+
+    // POST /webhooks - subscribe { url, eventTypes?, secret? }; the response holds the signing secret
+    router.post('/webhooks', ...middleware, async (req, res) => {
+        const { url, eventTypes, secret } = req.body;
+        const unknown = Array.isArray(eventTypes) ? eventTypes.find(type => !EVENT_TYPES.includes(type)) : undefined;
+        if (unknown !== undefined) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown event type: ${unknown} (expected ${EVENT_TYPES.join(', ')})`
+            });
+        }
+        try {
+            if (!allowPrivateTargets) {
+                await checkWebhookTarget(url, lookup);
+            }
+            const subscription = await dispatcher.subscribe({ url, eventTypes, secret, owner: ownerOf(req) });
+            res.status(201).json({ success: true, subscription });
+        } catch (err) {
+            fail(res, err);
+        }
+    });
+
+    // GET /webhooks - subscriptions (without secrets)
+    router.get('/webhooks', ...middleware, async (req, res) => {
+        try {
+            res.json({ success: true, subscriptions: await dispatcher.listSubscriptions(ownerOf(req)) });
+        } catch (err) {
+            fail(res, err);
+        }
+    });
+
+    // GET /webhooks/dead-letters - deliveries that ran out of attempts
+    router.get('/webhooks/dead-letters', ...middleware, async (req, res) => {
+        try {
+            const deliveries = await dispatcher.listDeadLetters(100, ownerOf(req));
+            res.json({ success: true, deliveries: deliveries.map(formatDelivery) });
+        } catch (err) {
+            fail(res, err);
+        }
+    });
+
+    // POST /webhooks/dead-letters/:id/replay - queue a dead letter again with a fresh set of attempts
+    router.post('/webhooks/dead-letters/:id/replay', ...middleware, async (req, res) => {
+        try {
+            const delivery = await dispatcher.replay(req.params.id, ownerOf(req));
+            if (!delivery) {
+                return res.status(404).json({ success: false, error: 'Dead letter not found' });
+            }
+            res.json({ success: true, delivery: formatDelivery(delivery) });
+        } catch (err) {
+            fail(res, err);
+        }
+    });
+
+    // DELETE /webhooks/:id - unsubscribe and drop the subscription's outbox
+    router.delete('/webhooks/:id', ...middleware, async (req, res) => {
+        try {
+            if (!await dispatcher.unsubscribe(req.params.id, ownerOf(req))) {
+                return res.status(404).json({ success: false, error: 'Subscription not found' });
+            }
+            res.json({ success: true, id: req.params.id });
+        } catch (err) {
+            fail(res, err);
+        }
+    });
+
+    return { router };
+}
+
+module.exports = {
+    createWebhookRoutes
+};
@@ -1,18 +1,42 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { subtask } = require("hardhat/config");
+const { TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD } = require("hardhat/builtin-tasks/task-names");
 //require("@nomiclabs/hardhat-waffle");
 //require("@nomiclabs/hardhat-ethers");
 
+// Compile with the solc-js devDependency when its version matches,
+// so compiling and the contract tests work without downloading a compiler.
+// Keep solidity.version below and the pinned "solc" in package.json in step
+subtask(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, async (args, hre, runSuper) => {
+  const solc = require("solc");
+  if (args.solcVersion !== require("solc/package.json").version) {
+    return runSuper();
+  }
+  return {
+    version: args.solcVersion,
+    longVersion: solc.version(),
+    compilerPath: require.resolve("solc/soljson.js"),
+    isSolcJs: true
+  };
+});
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20",
+    version: "0.8.26",
     settings: {
       optimizer: {
         enabled: true,
         runs: 200
       },
-      evmVersion: "paris"
+      evmVersion: "paris",
+      // deploy.js compares storage layouts before upgrading a proxy
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
+      }
     }
   },
   
@@ -44,8 +68,8 @@ module.exports = {
   },
   
   paths: {
-    sources: "./4. Blockchain_Interaction/Smart_Contract",
-    tests: "./7. Tests/SmartContract",
+    sources: "./3. Blockchain_Interaction/Smart_Contract",
+    tests: "./6. Tests/SmartContract",
     cache: "./cache",
     artifacts: "./artifacts"
   },
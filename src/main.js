@@ -8,8 +8,8 @@
 import { log, LOG_LEVELS } from '../frontend_ui/developer_debug_ui/debugLogConsole.js';
 import { connectWallet } from '../frontend_ui/metamask_integration/connectWallet.js';
 import { assignSessionID } from '../frontend_ui/session_handler/assignSessionID.js';
-import { storeTempData, getTempData } from '../frontend_ui/js_memory/storeTempData.js';
-import { updateStatus } from '../ui_feedback_module/Result_Display.js';
+import { storeTempData, getTempData, removeTempData } from '../frontend_ui/js_memory/storeTempData.js';
+import { updateStatus, displayError } from '../ui_feedback_module/Result_Display.js';
 import { processReceipt } from '../ui_feedback_module/Receipt_Processor.js';
 import { renderUserInputForm } from '../frontend_ui/input_form/userInputForm.js';
 import { validateUserInput } from '../frontend_ui/input_form/validateUserInput.js';
@@ -17,6 +17,29 @@ import { jsonToMemFormat } from '../frontend_ui/format_handler/jsonToMemFormat.j
 import { generateInputMem } from '../frontend_ui/verilog_file_generator/generateInputMem.js';
 const ethers = window.ethers;
 
+// SignatureVerifier functions the UI calls, with the custom errors they can
+// revert with, so ethers decodes reverts against the contract's ABI
+const SIGNATURE_VERIFIER_ABI = [
+    'function submitSignature(string message, bytes signature, address signer) returns (bool)',
+    'function verifySignatureOnly(string message, bytes signature, address signer) view returns (bool)',
+    'error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)',
+    'error OwnableUnauthorizedAccount(address account)',
+    'error FailedCall()'
+];
+
+// Structured error of a call that would revert, as ResultDisplay.renderError shows it
+function revertError(error, method, stage) {
+    // ethers decodes require strings as Error(string), custom errors from the ABI
+    const revert = error.revert || { name: null, signature: null, args: [] };
+    const reason = error.reason || null;
+    const decoded = reason || (revert.name ? `${revert.name}(${revert.args.join(', ')})` : null);
+    return Object.assign(new Error(`${method} would revert: ${decoded || error.shortMessage || error.message}`), {
+        reason,
+        revert: { method, stage, name: revert.name, signature: revert.signature, args: revert.args.map(String) },
+        details: { data: error.data || null }
+    });
+}
+
 // Application state
 class AppState {
     constructor() {
@@ -83,7 +106,8 @@ class VirtualChipSignatureApp {
         // Initialize storage
         this.modules.storage = {
             store: storeTempData,
-            get: getTempData
+            get: getTempData,
+            remove: removeTempData
         };
 
         // Initialize UI feedback
@@ -104,6 +128,20 @@ class VirtualChipSignatureApp {
             connectWalletBtn.addEventListener('click', () => this.handleWalletConnection());
         }
 
+        // Backend login (production backends sign as the logged-in user)
+        const loginForm = document.getElementById('login-form');
+        if (loginForm) {
+            loginForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleLogin();
+            });
+        }
+        const logoutBtn = document.getElementById('logout-btn');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => this.handleLogout());
+        }
+        this.updateLoginStatus();
+
         // Signature generation
         const generateSignatureBtn = document.getElementById('generate-signature-btn');
         if (generateSignatureBtn) {
@@ -150,8 +188,13 @@ class VirtualChipSignatureApp {
                 <input id="verify-signature" class="form-input" placeholder="Paste the signature (0x...)" required />
                 <label for="verify-address" class="form-label">Signer Address (optional)</label>
                 <input id="verify-address" class="form-input" placeholder="0x... (leave blank to recover)" />
+                <label for="verify-encoding" class="form-label">Signed Data</label>
+                <select id="verify-encoding" class="form-input">
+                    <option value="hash">Keccak-256 hash of the message (backend signatures)</option>
+                    <option value="message">Message text (wallet personal_sign)</option>
+                </select>
                 <div style="display: flex; gap: 1rem;">
-                    <button type="submit" class="btn btn-secondary">Verify (Local)</button>
+                    <button type="submit" class="btn btn-secondary">Verify</button>
                     <button type="button" id="verify-onchain-btn" class="btn btn-primary">Verify On-Chain</button>
                 </div>
             </form>
@@ -167,34 +210,39 @@ class VirtualChipSignatureApp {
                 const message = document.getElementById('verify-message').value.trim();
                 const signature = document.getElementById('verify-signature').value.trim();
                 const address = document.getElementById('verify-address').value.trim();
+                const encoding = document.getElementById('verify-encoding').value;
                 if (!message || !signature) {
                     verifyResult.textContent = 'Please provide both message and signature.';
                     log('WARN', 'Verification input missing.');
                     return;
                 }
                 try {
-                    let recovered;
-                    try {
-                        recovered = ethers.utils.verifyMessage(message, signature);
-                    } catch (err) {
-                        verifyResult.textContent = 'Invalid signature format.';
-                        log('ERROR', 'Invalid signature format.');
+                    // Recovery happens on the backend (POST /verify)
+                    const response = await fetch('http://localhost:4000/verify', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ message, signature, expectedAddress: address || undefined, encoding })
+                    });
+                    const data = await response.json();
+                    if (!data.success) {
+                        verifyResult.textContent = data.error || 'Invalid signature format.';
+                        log('ERROR', 'Verification rejected: ' + (data.error || response.status));
                         return;
                     }
-                    let valid = false;
-                    if (address) {
-                        valid = (recovered.toLowerCase() === address.toLowerCase());
-                    } else {
-                        valid = !!recovered;
-                    }
+                    const recovered = data.signer;
+                    const valid = data.valid;
+                    // Contract wallets (EIP-1271) are asked by the backend instead of recovered
+                    const signerLine = data.signerType === 'contract'
+                        ? `Contract wallet (EIP-1271): <code>${data.expectedAddress}</code>`
+                        : `Recovered address: <code>${recovered}</code>`;
                     verifyResult.innerHTML = valid
-                        ? `<span style='color:green;font-weight:600;'>✓ Signature is valid (local)</span><br>Recovered address: <code>${recovered}</code>`
-                        : `<span style='color:red;font-weight:600;'>✗ Signature is invalid (local)</span><br>Recovered address: <code>${recovered}</code>`;
-                    log('INFO', `Signature verification (local): ${valid ? 'valid' : 'invalid'} (recovered: ${recovered})`);
+                        ? `<span style='color:green;font-weight:600;'>✓ Signature is valid</span><br>${signerLine}`
+                        : `<span style='color:red;font-weight:600;'>✗ Signature is invalid</span><br>${signerLine}`;
+                    log('INFO', `Signature verification: ${valid ? 'valid' : 'invalid'} (${data.signerType === 'contract' ? 'contract wallet ' + data.expectedAddress : 'recovered: ' + recovered})`);
                     // Log to backend
                     fetch('http://localhost:4000/log', {
                         method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
+                        headers: this.backendHeaders(),
                         body: JSON.stringify({
                             type: 'local',
                             message,
@@ -236,73 +284,47 @@ class VirtualChipSignatureApp {
                             log('ERROR', 'MetaMask not found.');
                             return;
                         }
+                        if (document.getElementById('verify-encoding').value !== 'message') {
+                            onchainResult.textContent = 'SignatureVerifier checks signatures of the message text; select "Message text" to verify on-chain.';
+                            log('WARN', 'On-chain verification needs a message-text signature.');
+                            return;
+                        }
                         const provider = new ethers.BrowserProvider(window.ethereum);
-                        const signer = await provider.getSigner();
-                        const contract = new ethers.Contract(
-                            contractAddress,
-                            [
-                                'function verifySignature(address,string,bytes) public returns (bool)'
-                            ],
-                            signer
-                        );
-                        // Convert signature to bytes
-                        const sigBytes = ethers.getBytes(signature);
+                        const contract = new ethers.Contract(contractAddress, SIGNATURE_VERIFIER_ABI, provider);
+                        // A read-only call: the contract asks signers with code through EIP-1271
+                        // and recovers EOAs, without a transaction
+                        const isContract = (await provider.getCode(address)) !== '0x';
                         onchainResult.textContent = 'Verifying on-chain...';
-                        log('INFO', 'Calling verifySignature on-chain...');
-                        const tx = await contract.verifySignature(address, message, sigBytes);
-                        const receipt = await tx.wait();
-                        // Check event logs for SignatureVerified
-                        let found = false;
-                        for (const logEntry of receipt.logs) {
-                            try {
-                                const parsed = contract.interface.parseLog(logEntry);
-                                if (parsed.name === 'SignatureVerified') {
-                                    found = true;
-                                    onchainResult.innerHTML = `<span style='color:green;font-weight:600;'>✓ Signature is valid (on-chain)</span><br>Tx Hash: <code>${receipt.transactionHash}</code>`;
-                                    log('INFO', `Signature verified on-chain. Tx: ${receipt.transactionHash}`);
-                                    // Log to backend
-                                    fetch('http://localhost:4000/log', {
-                                        method: 'POST',
-                                        headers: { 'Content-Type': 'application/json' },
-                                        body: JSON.stringify({
-                                            type: 'on-chain',
-                                            message,
-                                            signature,
-                                            address,
-                                            txHash: receipt.transactionHash,
-                                            result: 'valid'
-                                        })
-                                    })
-                                    .then(res => res.json())
-                                    .then(data => log('INFO', 'Logged to backend: ' + JSON.stringify(data)))
-                                    .catch(err => log('ERROR', 'Failed to log to backend: ' + err.message));
-                                    break;
-                                }
-                            } catch {}
-                        }
-                        if (!found) {
-                            onchainResult.innerHTML = `<span style='color:red;font-weight:600;'>✗ Signature is invalid (on-chain)</span><br>Tx Hash: <code>${receipt.transactionHash}</code>`;
-                            log('INFO', `Signature invalid on-chain. Tx: ${receipt.transactionHash}`);
-                            // Log to backend
-                            fetch('http://localhost:4000/log', {
-                                method: 'POST',
-                                headers: { 'Content-Type': 'application/json' },
-                                body: JSON.stringify({
-                                    type: 'on-chain',
-                                    message,
-                                    signature,
-                                    address,
-                                    txHash: receipt.transactionHash,
-                                    result: 'invalid'
-                                })
+                        log('INFO', 'Calling verifySignatureOnly on-chain...');
+                        const valid = await contract.verifySignatureOnly(message, ethers.getBytes(signature), address);
+                        const signerLabel = isContract ? 'contract wallet (EIP-1271)' : 'EOA';
+                        onchainResult.innerHTML = valid
+                            ? `<span style='color:green;font-weight:600;'>✓ Signature is valid (on-chain)</span><br>Signer: <code>${address}</code> (${signerLabel})`
+                            : `<span style='color:red;font-weight:600;'>✗ Signature is invalid (on-chain)</span><br>Signer: <code>${address}</code> (${signerLabel})`;
+                        log('INFO', `Signature ${valid ? 'valid' : 'invalid'} on-chain (${signerLabel} ${address})`);
+                        // Log to backend
+                        fetch('http://localhost:4000/log', {
+                            method: 'POST',
+                            headers: this.backendHeaders(),
+                            body: JSON.stringify({
+                                type: 'on-chain',
+                                message,
+                                signature,
+                                address,
+                                signerType: isContract ? 'contract' : 'eoa',
+                                result: valid ? 'valid' : 'invalid'
                             })
-                            .then(res => res.json())
-                            .then(data => log('INFO', 'Logged to backend: ' + JSON.stringify(data)))
-                            .catch(err => log('ERROR', 'Failed to log to backend: ' + err.message));
-                        }
+                        })
+                        .then(res => res.json())
+                        .then(data => log('INFO', 'Logged to backend: ' + JSON.stringify(data)))
+                        .catch(err => log('ERROR', 'Failed to log to backend: ' + err.message));
                     } catch (err) {
-                        onchainResult.textContent = 'On-chain verification failed: ' + err.message;
-                        log('ERROR', 'On-chain verification failed: ' + err.message);
+                        const error = err.code === 'CALL_EXCEPTION' ? revertError(err, 'verifySignatureOnly', 'eth_call') : err;
+                        onchainResult.textContent = 'On-chain verification failed: ' + error.message;
+                        log('ERROR', 'On-chain verification failed: ' + error.message);
+                        if (error.revert) {
+                            displayError(error);
+                        }
                     }
                 };
             }
@@ -376,13 +398,31 @@ class VirtualChipSignatureApp {
                 log('[WARN] No message provided for signature generation.', LOG_LEVELS.WARN, 'SIGNATURE');
                 return;
             }
+            // EIP-712 payloads are sent as { domain, types, value } instead of { message }
+            const format = document.getElementById('sign-format')?.value || 'message';
+            let payload = { message };
+            if (format === 'typed') {
+                try {
+                    const { domain, types, value } = JSON.parse(message);
+                    payload = { domain, types, value };
+                } catch (err) {
+                    log('[WARN] Typed data must be valid JSON: ' + err.message, LOG_LEVELS.WARN, 'SIGNATURE');
+                    return;
+                }
+            }
             log('[DEBUG] Generating signature for message: ' + message, LOG_LEVELS.DEBUG, 'SIGNATURE');
             // Real signature generation via backend
+            // Production backends sign as the logged-in user (token from /auth/login)
             const response = await fetch('http://localhost:4000/sign', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ message })
+                headers: this.backendHeaders(),
+                body: JSON.stringify(payload)
             });
+            if (response.status === 401) {
+                // Expired or revoked: forget the token so the login form shows again
+                this.clearLogin();
+                throw new Error('Backend requires a login session: log in above');
+            }
             log('[DEBUG] Awaiting backend response...', LOG_LEVELS.DEBUG, 'SIGNATURE');
             const data = await response.json();
             log('[DEBUG] Backend response: ' + JSON.stringify(data), LOG_LEVELS.DEBUG, 'SIGNATURE');
@@ -395,7 +435,10 @@ class VirtualChipSignatureApp {
                 timestamp: new Date().toISOString(),
                 r: data.r,
                 s: data.s,
-                v: data.v
+                v: data.v,
+                address: data.address || null,
+                structHash: data.structHash || null,
+                typed: format === 'typed'
             };
             this.state.currentSignature = realSignature;
             this.modules.storage.store('currentSignature', realSignature);
@@ -405,7 +448,9 @@ class VirtualChipSignatureApp {
             const hashOutput = document.getElementById('hash-output');
             if (hashOutput) {
                 log('[DEBUG] Updating Keccak output: ' + data.hash, LOG_LEVELS.DEBUG, 'SIGNATURE');
-                hashOutput.innerHTML = `<code>${data.hash}</code>`;
+                hashOutput.innerHTML = data.structHash
+                    ? `<code>${data.hash}</code><br>Struct hash: <code>${data.structHash}</code>`
+                    : `<code>${data.hash}</code>`;
             }
             // Update ECDSA r, s, v outputs if present
             if (data.r && data.s && typeof data.v !== 'undefined') {
@@ -425,41 +470,123 @@ class VirtualChipSignatureApp {
         }
     }
 
+    /**
+     * Headers of JSON requests to the backend, with the session token once logged in
+     * @returns {Object} Request headers
+     */
+    backendHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        const authToken = this.modules.storage.get('authToken');
+        if (authToken) {
+            headers.Authorization = `Bearer ${authToken}`;
+        }
+        return headers;
+    }
+
+    async handleLogin() {
+        const username = document.getElementById('login-username')?.value?.trim();
+        const password = document.getElementById('login-password')?.value;
+        if (!username || !password) {
+            log('[WARN] Username and password are required to log in.', LOG_LEVELS.WARN, 'AUTH');
+            return;
+        }
+        try {
+            const response = await fetch('http://localhost:4000/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || 'Login failed');
+
+            this.modules.storage.store('authToken', data.token);
+            this.modules.storage.store('authUser', { username: data.username, address: data.address });
+            document.getElementById('login-password').value = '';
+            this.updateLoginStatus();
+            log(`Logged in as ${data.username} (${data.address})`, LOG_LEVELS.INFO, 'AUTH');
+        } catch (error) {
+            log(`Login failed: ${error.message}`, LOG_LEVELS.ERROR, 'AUTH');
+        }
+    }
+
+    async handleLogout() {
+        const authToken = this.modules.storage.get('authToken');
+        try {
+            // Revoke the token on the backend too, not only in this browser
+            if (authToken) {
+                await fetch('http://localhost:4000/auth/logout', {
+                    method: 'POST',
+                    headers: { Authorization: `Bearer ${authToken}` }
+                });
+            }
+            log('Logged out', LOG_LEVELS.INFO, 'AUTH');
+        } catch (error) {
+            log(`Logout request failed: ${error.message}`, LOG_LEVELS.WARN, 'AUTH');
+        } finally {
+            this.clearLogin();
+        }
+    }
+
+    clearLogin() {
+        this.modules.storage.remove('authToken');
+        this.modules.storage.remove('authUser');
+        this.updateLoginStatus();
+    }
+
+    updateLoginStatus() {
+        const user = this.modules.storage.get('authToken') ? this.modules.storage.get('authUser') : null;
+        const loginStatus = document.getElementById('login-status');
+        if (loginStatus) {
+            loginStatus.textContent = user ? `Logged in as ${user.username} (${user.address})` : 'Not logged in';
+        }
+        const loginBtn = document.getElementById('login-btn');
+        if (loginBtn) {
+            loginBtn.style.display = user ? 'none' : '';
+        }
+        const logoutBtn = document.getElementById('logout-btn');
+        if (logoutBtn) {
+            logoutBtn.style.display = user ? '' : 'none';
+        }
+    }
+
     async handleSignatureVerification() {
         try {
             if (!this.state.currentSignature) {
                 return;
             }
+            if (this.state.currentSignature.typed) {
+                log('EIP-712 signatures are verified on-chain with verifyTypedSignature', LOG_LEVELS.WARN, 'VERIFICATION');
+                return;
+            }
 
             log('Verifying signature...', LOG_LEVELS.INFO, 'VERIFICATION');
 
-            // TODO: Implement actual signature verification
-            // For now, simulate the process
-            await this.simulateSignatureVerification();
-            
+            // Signatures from POST /sign cover the message's keccak256 digest
+            const { message, signature, address } = this.state.currentSignature;
+            const response = await fetch('http://localhost:4000/verify', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ message, signature, expectedAddress: address, encoding: 'hash' })
+            });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || 'Verification request failed');
+
+            this.updateVerificationOutput({
+                isValid: data.valid,
+                message: data.valid ? 'Signature verified successfully' : 'Signature does not match the signer',
+                timestamp: new Date().toISOString(),
+                verifiedBy: data.signerType === 'contract'
+                    ? `Backend (EIP-1271 contract wallet ${data.expectedAddress})`
+                    : `Backend (recovered ${data.signer})`
+            });
+
+            log(`Signature ${data.valid ? 'verified' : 'rejected'} (signer: ${data.signer})`,
+                data.valid ? LOG_LEVELS.INFO : LOG_LEVELS.WARN, 'VERIFICATION');
         } catch (error) {
             log(`Signature verification failed: ${error.message}`, LOG_LEVELS.ERROR, 'VERIFICATION');
         }
     }
 
-    async simulateSignatureVerification() {
-        // Simulate verification process
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Mock verification result
-        const verificationResult = {
-            isValid: true,
-            message: 'Signature verified successfully',
-            timestamp: new Date().toISOString(),
-            verifiedBy: 'Virtual Chip System'
-        };
-
-        // Update UI
-        this.updateVerificationOutput(verificationResult);
-        
-        log('Signature verified successfully', LOG_LEVELS.INFO, 'VERIFICATION');
-    }
-
     handleInputChange(field, value) {
         log(`Input changed: ${field} = ${value ? '[REDACTED]' : 'empty'}`, LOG_LEVELS.DEBUG, 'INPUT');
         this.modules.storage.store(`input_${field}`, value);
@@ -547,6 +674,25 @@ class VirtualChipSignatureApp {
         }
     }
 
+    /**
+     * Simulate a contract write (eth_call, then eth_estimateGas) before it is sent
+     * @param {Object} contract - ethers Contract with a signer
+     * @param {string} method - Method name
+     * @param {Array} args - Method arguments
+     * @returns {Promise<bigint>} Gas estimate
+     * @throws {Error} With reason and revert when the call would revert
+     */
+    async simulateWrite(contract, method, args) {
+        let stage = 'eth_call';
+        try {
+            await contract[method].staticCall(...args);
+            stage = 'eth_estimateGas';
+            return await contract[method].estimateGas(...args);
+        } catch (error) {
+            throw error.code === 'CALL_EXCEPTION' ? revertError(error, method, stage) : error;
+        }
+    }
+
     async sendSignatureToSepolia(signature) {
         try {
             if (!window.ethereum) {
@@ -556,17 +702,16 @@ class VirtualChipSignatureApp {
             if (!contractAddress) {
                 return;
             }
-            // Minimal ABI for demonstration
-            const contractABI = [
-                'function submitSignature(string message, bytes signature, address signer) public returns (bool)'
-            ];
             const provider = new ethers.BrowserProvider(window.ethereum);
             await provider.send('eth_requestAccounts', []);
             const signerObj = await provider.getSigner();
-            const contract = new ethers.Contract(contractAddress, contractABI, signerObj);
+            const contract = new ethers.Contract(contractAddress, SIGNATURE_VERIFIER_ABI, signerObj);
             // Convert signature to bytes
             const sigBytes = ethers.getBytes(signature.signature);
-            const tx = await contract.submitSignature(signature.message, sigBytes, signature.publicKey);
+            const args = [signature.message, sigBytes, signature.publicKey];
+            // Only a transaction whose simulation succeeds is sent
+            const gasLimit = await this.simulateWrite(contract, 'submitSignature', args);
+            const tx = await contract.submitSignature(...args, { gasLimit });
             const receipt = await tx.wait();
             // Optionally, update UI with transaction hash
             const signatureOutput = document.getElementById('signature-output');
@@ -575,6 +720,9 @@ class VirtualChipSignatureApp {
             }
         } catch (error) {
             log('Failed to send transaction: ' + error.message, LOG_LEVELS.ERROR, 'CHAIN');
+            if (error.revert) {
+                displayError(error);
+            }
         }
     }
 
@@ -4,7 +4,10 @@ set -e
 # Rebuild backend if needed (optional for Node.js, but print a message)
 echo "[INFO] Ensure you restart this script after backend code changes."
 
-# Start backend
+# Start backend (BACKEND_MODE: production, demo or mock)
+BACKEND_MODE=${BACKEND_MODE:-production}
+export BACKEND_MODE
+echo "[INFO] Starting backend in $BACKEND_MODE mode"
 cd backend
 if [ ! -d node_modules ]; then
   npm install
@@ -28,7 +31,7 @@ if [ -f "6. Tools/Simulation/run_simulation.sh" ]; then
 fi
 
 echo "All services started!"
-echo "- Backend running (see backend logs)"
+echo "- Backend running in $BACKEND_MODE mode (see backend logs, or GET /api/status)"
 echo "- Frontend UI: http://localhost:8000 (open in your browser)"
 echo "- Verilog simulation running (if applicable)"
 echo "To stop all, run: kill $BACKEND_PID $FRONTEND_PID ${SIM_PID:-} (or use 'pkill -f node' to stop all Node.js processes)" 
\ No newline at end of file
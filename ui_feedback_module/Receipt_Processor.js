@@ -2,6 +2,12 @@
  * UI_Feedback_Module - Receipt_Processor.js
  * Processes blockchain transaction receipts and provides user feedback
  * Handles receipt validation, status tracking, and error reporting
+ * Loads in the browser (webpack) and in Node (the backend relayer tracks its
+ * transactions with it); accepts ethers v5 and v6 receipts
+ * Transactions replaced with the same nonce (see the chain client's
+ * NonceManager) are reported under their original hash: STUCK and REPLACED
+ * while pending, then the outcome of whichever replacement was mined
+ * (CANCELLED for a cancellation), or DROPPED when another transaction took the nonce
  */
 
 class ReceiptProcessor {
@@ -18,6 +24,7 @@ class ReceiptProcessor {
         this.processedReceipts = new Map();
         this.errorHandlers = new Map();
         this.successHandlers = new Map();
+        this.replacements = new Map(); // Replacement hash => { original, previous, action, nonce, fees }
     }
 
     /**
@@ -36,18 +43,24 @@ class ReceiptProcessor {
                 return this.processedReceipts.get(txHash);
             }
 
-            // Add to pending receipts
+            // Add to pending receipts (keeping what is known of a stuck or replaced transaction)
             this.pendingReceipts.set(txHash, {
                 status: 'PENDING',
                 startTime: Date.now(),
-                retries: 0
+                retries: 0,
+                ...this.pendingReceipts.get(txHash)
             });
 
             // Wait for transaction receipt
             const receipt = await this.waitForReceipt(txHash, provider, processingOptions);
             
+            // ethers v6 receipts count confirmations with a method
+            const confirmations = typeof receipt.confirmations === 'function'
+                ? await receipt.confirmations()
+                : receipt.confirmations;
+            
             // Process the receipt
-            const processedReceipt = this.analyzeReceipt(receipt, txHash);
+            const processedReceipt = this.analyzeReceipt(receipt, txHash, confirmations);
             
             // Store processed receipt
             this.processedReceipts.set(txHash, processedReceipt);
@@ -59,6 +72,14 @@ class ReceiptProcessor {
             return processedReceipt;
 
         } catch (error) {
+            // A dropped transaction keeps its DROPPED record
+            if (error.code === 'DROPPED') {
+                if (!this.processedReceipts.has(txHash)) {
+                    this.recordDropped(txHash);
+                }
+                throw error;
+            }
+
             // Handle processing error
             const errorReceipt = this.createErrorReceipt(txHash, error);
             this.processedReceipts.set(txHash, errorReceipt);
@@ -71,6 +92,73 @@ class ReceiptProcessor {
         }
     }
 
+    /**
+     * Record a transaction sent but not yet mined
+     * @param {string} txHash - Transaction hash
+     * @param {Object} details - { nonce, from }
+     */
+    trackPending(txHash, details = {}) {
+        if (!this.pendingReceipts.has(txHash) && !this.processedReceipts.has(txHash)) {
+            this.pendingReceipts.set(txHash, { status: 'PENDING', startTime: Date.now(), retries: 0, ...details });
+        }
+    }
+
+    /**
+     * Record that a pending transaction is not being mined
+     * @param {string} txHash - Hash of the transaction (or of its latest replacement)
+     * @param {Object} details - { nonce, blocks } pending
+     */
+    markStuck(txHash, details = {}) {
+        const original = this.originalOf(txHash);
+        const pending = this.pendingReceipts.get(original) || { startTime: Date.now(), retries: 0 };
+        this.pendingReceipts.set(original, { ...pending, status: 'STUCK', stuckFor: details.blocks, nonce: details.nonce });
+    }
+
+    /**
+     * Record a same-nonce replacement of a pending transaction
+     * @param {string} txHash - Hash replaced
+     * @param {string} replacementHash - Hash of the replacement
+     * @param {Object} details - { action: 'SPEED_UP' | 'CANCEL', nonce, maxFeePerGas, maxPriorityFeePerGas | gasPrice }
+     */
+    recordReplacement(txHash, replacementHash, details = {}) {
+        const original = this.originalOf(txHash);
+        this.replacements.set(replacementHash, { ...details, original, previous: txHash });
+        const pending = this.pendingReceipts.get(original) || { startTime: Date.now(), retries: 0 };
+        this.pendingReceipts.set(original, {
+            ...pending,
+            status: 'REPLACED',
+            replacedBy: replacementHash,
+            replacement: details.action,
+            replacements: (pending.replacements || 0) + 1
+        });
+    }
+
+    /**
+     * Record a transaction whose nonce another transaction took
+     * @param {string} txHash - Original transaction hash
+     * @param {Object} details - { nonce, hashes } sent for the nonce
+     */
+    recordDropped(txHash, details = {}) {
+        const error = Object.assign(new Error(`Transaction ${txHash} was dropped: its nonce was used by another transaction`), {
+            code: 'DROPPED'
+        });
+        const receipt = { ...this.createErrorReceipt(txHash, error), status: 'DROPPED', ...details };
+        receipt.analysis.confirmationLevel = 'DROPPED';
+        this.processedReceipts.set(txHash, receipt);
+        this.pendingReceipts.delete(txHash);
+        this.triggerErrorHandler(txHash, receipt);
+    }
+
+    /**
+     * Hash first sent for the nonce of a transaction
+     * @param {string} txHash - Transaction or replacement hash
+     * @returns {string} Original hash
+     */
+    originalOf(txHash) {
+        const replacement = this.replacements.get(txHash);
+        return replacement ? replacement.original : txHash;
+    }
+
     /**
      * Wait for transaction receipt
      * @param {string} txHash - Transaction hash
@@ -83,11 +171,12 @@ class ReceiptProcessor {
         let retries = 0;
 
         while (retries < maxRetries) {
+            const timer = {};
             try {
                 // Wait for transaction with confirmations
                 const receipt = await Promise.race([
                     provider.waitForTransaction(txHash, confirmationBlocks),
-                    this.createTimeout(timeout)
+                    this.createTimeout(timeout, timer)
                 ]);
 
                 if (receipt) {
@@ -96,6 +185,11 @@ class ReceiptProcessor {
 
             } catch (error) {
                 retries++;
+
+                // Another transaction took the nonce: no receipt will come
+                if (error.code === 'DROPPED') {
+                    throw error;
+                }
                 
                 if (retries >= maxRetries) {
                     throw new Error(`Failed to get receipt after ${maxRetries} retries: ${error.message}`);
@@ -103,6 +197,8 @@ class ReceiptProcessor {
 
                 // Wait before retry
                 await this.delay(retryDelay * retries);
+            } finally {
+                clearTimeout(timer.id);
             }
         }
 
@@ -112,11 +208,12 @@ class ReceiptProcessor {
     /**
      * Create timeout promise
      * @param {number} timeout - Timeout in milliseconds
+     * @param {Object} timer - Receives the timer id (as timer.id) so the caller can clear it
      * @returns {Promise} Timeout promise
      */
-    createTimeout(timeout) {
+    createTimeout(timeout, timer = {}) {
         return new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Transaction timeout')), timeout);
+            timer.id = setTimeout(() => reject(new Error('Transaction timeout')), timeout);
         });
     }
 
@@ -133,17 +230,18 @@ class ReceiptProcessor {
      * Analyze transaction receipt
      * @param {Object} receipt - Raw transaction receipt
      * @param {string} txHash - Transaction hash
+     * @param {number} confirmations - Confirmations (default: receipt.confirmations)
      * @returns {Object} Analyzed receipt
      */
-    analyzeReceipt(receipt, txHash) {
+    analyzeReceipt(receipt, txHash, confirmations = receipt.confirmations) {
         const analyzed = {
             txHash,
             status: receipt.status === 1 ? 'SUCCESS' : 'FAILED',
             blockNumber: receipt.blockNumber,
             blockHash: receipt.blockHash,
-            confirmations: receipt.confirmations,
+            confirmations,
             gasUsed: receipt.gasUsed.toString(),
-            effectiveGasPrice: receipt.effectiveGasPrice.toString(),
+            effectiveGasPrice: this.getGasPrice(receipt).toString(),
             cumulativeGasUsed: receipt.cumulativeGasUsed.toString(),
             from: receipt.from,
             to: receipt.to,
@@ -154,7 +252,7 @@ class ReceiptProcessor {
                 isSuccess: receipt.status === 1,
                 hasLogs: receipt.logs && receipt.logs.length > 0,
                 gasEfficiency: this.calculateGasEfficiency(receipt),
-                confirmationLevel: this.getConfirmationLevel(receipt.confirmations),
+                confirmationLevel: this.getConfirmationLevel(confirmations),
                 estimatedCost: this.estimateTransactionCost(receipt)
             }
         };
@@ -164,9 +262,30 @@ class ReceiptProcessor {
             analyzed.logAnalysis = this.analyzeLogs(receipt.logs);
         }
 
+        // A replacement was mined for the nonce (v6 receipts name the hash `hash`)
+        const minedHash = receipt.transactionHash || receipt.hash;
+        if (minedHash && minedHash !== txHash) {
+            const replacement = this.replacements.get(minedHash) || {};
+            analyzed.replacedBy = minedHash;
+            analyzed.replacement = replacement.action || 'UNKNOWN';
+            if (replacement.action === 'CANCEL') {
+                analyzed.status = 'CANCELLED';
+                analyzed.analysis.isSuccess = false;
+            }
+        }
+
         return analyzed;
     }
 
+    /**
+     * Price paid per gas (effectiveGasPrice in ethers v5, gasPrice in v6)
+     * @param {Object} receipt - Transaction receipt
+     * @returns {bigint|Object} Gas price
+     */
+    getGasPrice(receipt) {
+        return receipt.effectiveGasPrice !== undefined ? receipt.effectiveGasPrice : receipt.gasPrice;
+    }
+
     /**
      * Calculate gas efficiency
      * @param {Object} receipt - Transaction receipt
@@ -174,7 +293,7 @@ class ReceiptProcessor {
      */
     calculateGasEfficiency(receipt) {
         const gasUsed = parseInt(receipt.gasUsed.toString());
-        const gasPrice = parseInt(receipt.effectiveGasPrice.toString());
+        const gasPrice = parseInt(this.getGasPrice(receipt).toString());
         
         return {
             gasUsed,
@@ -204,7 +323,7 @@ class ReceiptProcessor {
      */
     estimateTransactionCost(receipt) {
         const gasUsed = parseInt(receipt.gasUsed.toString());
-        const gasPrice = parseInt(receipt.effectiveGasPrice.toString());
+        const gasPrice = parseInt(this.getGasPrice(receipt).toString());
         const totalWei = gasUsed * gasPrice;
         
         return {
@@ -484,7 +603,7 @@ class ReceiptProcessor {
         if (!receipt.processedAt) errors.push('Missing processedAt');
 
         // Status validation
-        if (receipt.status && !['SUCCESS', 'FAILED', 'ERROR', 'PENDING'].includes(receipt.status)) {
+        if (receipt.status && !['SUCCESS', 'FAILED', 'ERROR', 'PENDING', 'CANCELLED', 'DROPPED'].includes(receipt.status)) {
             warnings.push('Invalid status value');
         }
 
@@ -501,9 +620,14 @@ class ReceiptProcessor {
     }
 }
 
+// Shared instance used by src/main.js
+const receiptProcessorInstance = new ReceiptProcessor();
+const processReceipt = receiptProcessorInstance.processReceipt.bind(receiptProcessorInstance);
+
 // Export the class
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ReceiptProcessor;
+    module.exports.processReceipt = processReceipt;
 }
 
 // Example usage:
@@ -537,6 +661,3 @@ const stats = processor.getReceiptStats();
 console.log('Receipt statistics:', stats);
 */
 
-// Export an instance method for compatibility
-const receiptProcessorInstance = new ReceiptProcessor();
-export const processReceipt = receiptProcessorInstance.processReceipt.bind(receiptProcessorInstance);
@@ -2,6 +2,9 @@
  * UI_Feedback_Module - Result_Display.js
  * Displays signature results, transaction status, and user feedback
  * Provides beautiful and informative UI for system outputs
+ * Errors of a transaction whose simulation reverted carry `revert`
+ * ({ method, stage, name, signature, args }, as the chain client decodes it
+ * against the SignatureVerifier ABI) and render it as its own section
  */
 
 class ResultDisplay {
@@ -241,7 +244,7 @@ class ResultDisplay {
 
     /**
      * Display error result
-     * @param {Object} error - Error data
+     * @param {Object} error - Error data ({ message, details, severity }, plus reason and revert for a failed simulation)
      */
     displayError(error) {
         const errorResult = {
@@ -249,7 +252,9 @@ class ResultDisplay {
             timestamp: new Date().toISOString(),
             message: error.message || "An error occurred",
             details: error.details || error,
-            severity: error.severity || "error"
+            severity: error.severity || "error",
+            reason: error.reason || null,
+            revert: error.revert || null
         };
 
         this.currentResult = errorResult;
@@ -474,7 +479,7 @@ class ResultDisplay {
         `;
 
         const title = document.createElement("h4");
-        title.textContent = "❌ Error Occurred";
+        title.textContent = error.revert ? "❌ Transaction Would Revert" : "❌ Error Occurred";
         title.style.cssText = `
             margin: 0;
             color: #ff4444;
@@ -505,7 +510,18 @@ class ResultDisplay {
             font-weight: 500;
         `;
 
-        if (error.details) {
+        details.appendChild(message);
+
+        if (error.revert) {
+            // Decoded revert of the simulation: nothing was broadcast
+            details.appendChild(this.createDetailSection("Simulation", {
+                Method: error.revert.method,
+                Stage: error.revert.stage,
+                Reason: error.reason || "-",
+                Error: error.revert.signature || "Unknown (no matching error in the ABI)",
+                Arguments: error.revert.args.length ? error.revert.args.join(", ") : "-"
+            }, "error"));
+        } else if (error.details) {
             const detailsText = document.createElement("pre");
             detailsText.textContent = JSON.stringify(error.details, null, 2);
             detailsText.style.cssText = `
@@ -519,8 +535,6 @@ class ResultDisplay {
             details.appendChild(detailsText);
         }
 
-        details.appendChild(message);
-
         // Actions
         const actions = this.createErrorActions(error);
         details.appendChild(actions);
@@ -863,3 +877,4 @@ if (typeof module !== "undefined" && module.exports) {
 // Export updateStatus as a named export for compatibility
 const resultDisplayInstance = new ResultDisplay();
 export const updateStatus = resultDisplayInstance.updateStatus.bind(resultDisplayInstance);
+export const displayError = resultDisplayInstance.displayError.bind(resultDisplayInstance);